@@ -697,9 +697,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           source: "ashby",
         }, idToken);
 
-        // Mark the job document itself as auto-applied so it won't be queued again
+        // Mark the job document itself as auto-applied so it won't be queued again,
+        // and clear its TTL so a job we're pursuing is never auto-deleted
         if (jobId) {
-          await fsPatch(`users/${uid}/jobs/${jobId}`, { autoApplied: true, appliedAt: new Date().toISOString() }, idToken).catch(() => { });
+          await fsPatch(`users/${uid}/jobs/${jobId}`, { autoApplied: true, appliedAt: new Date().toISOString(), expireAt: null }, idToken).catch(() => { });
         }
 
         await chrome.storage.session.remove("pendingJob");
@@ -7,7 +7,8 @@
  * - Fetches jobs
  * - Filters by locations (US cities/states + Remote-US strings)
  * - ONLY writes jobs updated within last 20 minutes
- * - Sets TTL field: expireAt = sourceUpdatedTs + 3 days
+ * - Tracks job lifecycle (open → closed, firstSeenAt / lastSeenAt) per feed
+ * - Sets TTL field: expireAt per status retention (lib/jobLifecycle.cjs)
  *
  * ✅ Manual HTTP trigger:
  * - runSyncNow?userId=... forces a run and returns summary
@@ -16,8 +17,25 @@
  * - users/{uid}/syncRuns/{runId}
  *   includes startedAt, finishedAt, durationMs, feedsCount
  *
- * ✅ Manual admin tool:
- * - deleteSpacexJobs?userId=... deletes all SpaceX jobs for a user
+ * ✅ Exclusion rules (lib/exclusionRules.cjs):
+ * - Company / title / department rules drop noise before it is written
+ * - purgeExcludedJobs (admin) previews or removes stored jobs the rules match
+ *
+ * ✅ Embedding prefilter (lib/embeddings.cjs):
+ * - Jobs embedded at sync time, resumes on save (embedResumeOnSave)
+ * - Only each user's closest jobs go to the chat model; the rest get an estimate
+ *
+ * ✅ Scoring rubric (lib/scoringRubric.cjs):
+ * - Each user's target roles, seniority, skills, deal-breakers and caps build their prompt
+ * - jobScores record the rubricVersion a score was made under
+ *
+ * ✅ Rescoring (lib/rescore.cjs):
+ * - A changed resume or rubric queues the user's stale open jobs, newest first
+ * - drainRescoreQueue rescores them a batch per user every 10 minutes
+ *
+ * ✅ AI providers (lib/aiProvider.cjs):
+ * - OpenAI, an OpenAI-compatible local endpoint, or a fixture-driven mock (AI_PROVIDER)
+ * - Model chosen per feature (AI_MODEL_<FEATURE>)
  *
  * ⚠️ Firestore TTL must be enabled on field "expireAt" for collection group "jobs"
  */
@@ -26,10 +44,13 @@
 /* eslint-disable require-jsdoc */
 
 const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onDocumentCreated, onDocumentWritten } = require("firebase-functions/v2/firestore");
+const { onTaskDispatched } = require("firebase-functions/v2/tasks");
 const { onRequest, onCall, HttpsError } = require("firebase-functions/v2/https");
 const { defineSecret } = require("firebase-functions/params");
 const { logger } = require("firebase-functions");
 const admin = require("firebase-admin");
+const { getFunctions } = require("firebase-admin/functions");
 const Busboy = require("busboy");
 const pdfParse = require("pdf-parse");
 const mammoth = require("mammoth");
@@ -43,29 +64,89 @@ const pLimit = pLimitPkg.default ?? pLimitPkg;
 // scores written to their own jobScores subcollection.
 const ADMIN_UID = "7Tojjo8l5PZIYctPmdwncf7PC133";
 
-// OpenAI is the sole AI provider for all AI-powered features
-// (scoring, assistant chat, cover letters, form-field mapping,
-// name pronunciation, resume parsing).
+// AI-powered features (scoring, assistant chat, cover letters, form-field
+// mapping, name pronunciation, resume parsing) go through lib/aiProvider.cjs:
+// OpenAI by default, or an OpenAI-compatible local endpoint / the
+// fixture-driven mock via AI_PROVIDER, with the model picked per feature
+// (AI_MODEL_<FEATURE>, else OPENAI_FAST_MODEL / OPENAI_SMART_MODEL /
+// OPENAI_EMBEDDING_MODEL).
 //
-// The API key is stored in Google Secret Manager and injected at runtime.
-// Every function that calls OpenAI must include `secrets: [OPENAI_API_KEY]`
-// in its options.
-const OpenAI = require("openai");
+// The OpenAI API key is stored in Google Secret Manager and injected at
+// runtime. Every function that calls the AI provider must include
+// `secrets: [OPENAI_API_KEY]` in its options.
+const { createAIProvider } = require("./lib/aiProvider.cjs");
 const OPENAI_API_KEY = defineSecret("OPENAI_API_KEY");
 
-// Default OpenAI models used across features. Override via env if needed.
-const OPENAI_FAST_MODEL = process.env.OPENAI_FAST_MODEL || "gpt-4o-mini";
-const OPENAI_SMART_MODEL = process.env.OPENAI_SMART_MODEL || "gpt-4o-mini";
-
-function requireOpenAI() {
-  const apiKey = OPENAI_API_KEY.value() || process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY is not configured on the server.");
-  }
-  return new OpenAI({ apiKey });
+// One client per instance, made on first use (the secret is only readable inside a handler)
+let _aiProvider;
+function aiProvider() {
+  return (_aiProvider ||= createAIProvider({ apiKey: OPENAI_API_KEY.value() || process.env.OPENAI_API_KEY }));
 }
 
-const { normalizeToMapLocation } = require("./lib/locationNormalizer.cjs");
+const { resolveFeedAdapter, getAdapter } = require("./lib/sources/index.cjs");
+const { stripHtml, NotModifiedError, startOfUtcDayMs } = require("./lib/sources/common.cjs");
+const {
+  JOB_STATUS,
+  isTrackedJob,
+  resolveRetentionDays,
+  computeExpireAt,
+  planFeedLifecycle,
+  readJobDocs,
+} = require("./lib/jobLifecycle.cjs");
+const { diffJob, buildRevision, findEditedPostings } = require("./lib/jobRevisions.cjs");
+const { fingerprintJob, linkDuplicates, isCanonicalJob } = require("./lib/jobDedupe.cjs");
+const { createConditionalFetch, hashPayload } = require("./lib/feedCache.cjs");
+const { FEED_STATE_COLLECTION, LEGACY_FEED_FIELDS, feedStateId, resolveFeedState } = require("./lib/feedState.cjs");
+const { classifyLocation } = require("./lib/locationNormalizer.cjs");
+const { extractCompensation, mentionsPay, normalizeSalary } = require("./lib/salary.cjs");
+const { SENIORITY_LEVELS, ROLE_FAMILIES, classifyJob, classificationFor } = require("./lib/jobClassifier.cjs");
+const { extractSkills } = require("./lib/skills.cjs");
+const { detectWorkAuth } = require("./lib/workAuth.cjs");
+const { classifyWorkplace, pinTypeFor } = require("./lib/workplace.cjs");
+const { resolveFeedSubscriptions, planFeedFetches, viewKeysFor } = require("./lib/feedSubscriptions.cjs");
+const {
+  BACKFILL_QUEUE_COLLECTION,
+  BACKFILL_SCORE_BATCH,
+  BACKFILL_FETCH_TIMEOUT_MS,
+  backfillFirstSeen,
+  backfillAfterIngest,
+  backfillAfterBatch,
+} = require("./lib/feedBackfill.cjs");
+const { RULE_LISTS, resolveExclusionRules, invalidPatterns, compileExclusionRules, exclusionRulesKey } = require("./lib/exclusionRules.cjs");
+const {
+  EMBEDDING_MAX_CHARS,
+  resolvePrefilterPrefs,
+  jobEmbeddingText,
+  cosineSimilarity,
+  planAiScoring,
+  ensureEmbeddings,
+} = require("./lib/embeddings.cjs");
+const { resolveScoringRubric, rubricVersion, buildScoringPrompt, compileHardCaps } = require("./lib/scoringRubric.cjs");
+const { SCORE_REPLY_FORMAT, jobFactsForScoring, parseScoreBreakdown } = require("./lib/scoreBreakdown.cjs");
+const { resumeHashOf, isScoreStale, planRescore, newRescore, takeRescoreBatch } = require("./lib/rescore.cjs");
+const {
+  SYNC_TASK_RETRY,
+  emptySyncSummary,
+  counterIncrements,
+  summaryFromRun,
+  sumSyncSummaries,
+  feedRunResult,
+  feedTaskKey,
+  scoringRef,
+} = require("./lib/syncFanOut.cjs");
+const {
+  resolveLocationPrefs,
+  jobMatchesLocationPrefs,
+  mergeLocationPrefs,
+  locationPrefsKey,
+} = require("./lib/locationPrefs.cjs");
+const {
+  FEED_FETCH_TIMEOUT_MS,
+  shouldAttemptFeed,
+  recordFeedSuccess,
+  recordFeedFailure,
+  withTimeout,
+} = require("./lib/feedHealth.cjs");
 const { prepareGreenhouseApplication } = require("./lib/apply/prepare.cjs");
 
 
@@ -82,8 +163,8 @@ const storageBucket = admin.storage().bucket("greenhouse-jobs-scrapper.firebases
 const REGION = "us-central1";
 const FEED_CONCURRENCY = 15;
 
-const RECENT_WINDOW_MINUTES = 20;
-const TTL_DAYS = 3;
+// Override via env to replay older postings (test/integration/syncCore.cjs)
+const RECENT_WINDOW_MINUTES = Number(process.env.RECENT_WINDOW_MINUTES) || 20;
 
 /**
  * Allowed origins for CORS. Set ALLOWED_ORIGINS env var as comma-separated list
@@ -397,57 +478,6 @@ async function verifySessionToken(req, uid) {
 }
 
 
-/**
- * ----------------------------
- * LOCATION FILTER CONSTANTS
- * ----------------------------
- */
-const US_STATES = [
-  "Alabama", "Arizona", "Arkansas", "California", "Colorado", "Connecticut", "District of Columbia", "Florida", "Georgia",
-  "Idaho", "Illinois", "Indiana", "Iowa", "Kansas", "Kentucky", "Louisiana", "Maryland", "Massachusetts", "Michigan", "Minnesota",
-  "Missouri", "Nebraska", "Nevada", "New Hampshire", "New Jersey", "New Mexico", "New York", "North Carolina", "Oklahoma",
-  "Pennsylvania", "Rhode Island", "Tennessee", "Texas", "Utah", "Virginia", "Washington", "Wisconsin",
-];
-
-const US_STATE_ABBREVIATIONS = [
-  "AL", "AZ", "AR", "CA", "CO", "CT", "DC", "FL", "GA", "ID", "IL", "IN", "IA", "KS", "KY", "LA",
-  "MD", "MA", "MI", "MN", "MO", "NE", "NV", "NH", "NJ", "NM", "NY", "NC", "OK", "PA", "RI", "TN",
-  "TX", "UT", "VA", "WA", "WI",
-];
-
-const US_CITIES = [
-  "Albuquerque", "Anaheim", "Ann Arbor", "Arlington", "Atlanta", "Austin", "Bakersfield", "Baltimore", "Baton Rouge", "Bellevue",
-  "Birmingham", "Boise", "Boston", "Boulder", "Brooklyn", "Buffalo", "Burbank", "Cambridge", "Charlotte", "Chicago", "Cincinnati",
-  "Cleveland", "Colorado Springs", "Columbus", "Dallas", "Dayton", "Denver", "Des Moines", "Detroit", "Durham", "El Paso",
-  "Fort Collins", "Fort Lauderdale", "Fort Myers", "Fort Worth", "Fresno", "Grand Rapids", "Greensboro", "Greenville",
-  "Hartford", "Henderson", "Hoboken", "Houston", "Huntsville", "Indianapolis", "Irvine", "Jacksonville", "Jersey City",
-  "Kansas City", "Las Vegas", "Lincoln", "Little Rock", "Long Beach", "Los Angeles", "Louisville", "Madison", "Memphis", "Mesa",
-  "Miami", "Milwaukee", "Minneapolis", "Mountain View", "Nashville", "Naples", "New Haven", "New Orleans", "New York", "Newark",
-  "Norfolk", "Oakland", "Oklahoma City", "Omaha", "Orlando", "Palo Alto", "Panama City", "Pensacola", "Philadelphia", "Phoenix",
-  "Pittsburgh", "Plano", "Portland", "Providence", "Provo", "Raleigh", "Redmond", "Reston", "Richmond", "Riverside", "Rochester",
-  "Round Rock", "Sacramento", "Salt Lake City", "San Antonio", "San Diego", "San Francisco", "San Jose", "San Mateo", "Santa Ana",
-  "Santa Clara", "Santa Fe", "Sarasota", "Scottsdale", "Seattle", "Silver Spring", "Spokane", "St. Louis", "St. Paul",
-  "St. Petersburg", "Sugar Land", "Sunnyvale", "Syracuse", "Tallahassee", "Tampa", "Tempe", "The Woodlands", "Tucson", "Tulsa",
-  "Tysons", "Virginia Beach", "Washington", "West Palm Beach", "Wichita",
-];
-
-const REMOTE_US_ONLY = [
-  "US-Remote", "US Remote", "US (Remote)", "United States - Remote", "Remote US", "Remote USA", "Remote-USA",
-  "Remote in United States", "Remote in the US", "Remote - USA", "Remote - US: All locations", "Remote - US: Select locations",
-  "Anywhere in the United States", "United States", "US",
-];
-
-const NORM = {
-  states: new Set(US_STATES.map((s) => normalizeText(s))),
-  cities: new Set(US_CITIES.map((s) => normalizeText(s))),
-  remote: new Set(REMOTE_US_ONLY.map((s) => normalizeText(s))),
-  abbr: new Set(US_STATE_ABBREVIATIONS.map((s) => s.toUpperCase())),
-};
-
-const LOCATION_SPLIT_REGEX = /[;|/]+|(?:\s*,\s*)/g;
-
-const NON_US_LOCATION_RE = /\b(afghanistan|albania|algeria|angola|argentina|armenia|australia|austria|azerbaijan|bahrain|bangladesh|belarus|belgium|belize|benin|bolivia|bosnia|botswana|brazil|bulgaria|burkina|burundi|cambodia|cameroon|canada|cape verde|chad|chile|china|colombia|congo|costa rica|croatia|cuba|cyprus|czech|denmark|dominican|ecuador|egypt|el salvador|eritrea|estonia|ethiopia|finland|france|gabon|ghana|greece|guatemala|guinea|haiti|honduras|hungary|iceland|india|indonesia|iran|iraq|ireland|israel|italy|ivory coast|jamaica|japan|jordan|kazakhstan|kenya|kosovo|kuwait|kyrgyzstan|laos|latvia|lebanon|lesotho|liberia|libya|liechtenstein|lithuania|luxembourg|madagascar|malawi|malaysia|mali|malta|mauritania|mauritius|mexico|moldova|mongolia|montenegro|morocco|mozambique|myanmar|namibia|nepal|netherlands|new zealand|nicaragua|niger|nigeria|north korea|norway|oman|pakistan|palestine|panama|paraguay|peru|philippines|poland|portugal|qatar|romania|russia|rwanda|saudi arabia|senegal|serbia|sierra leone|singapore|slovakia|slovenia|somalia|south africa|south korea|south sudan|spain|sri lanka|sudan|sweden|switzerland|syria|taiwan|tajikistan|tanzania|thailand|togo|tunisia|turkey|turkmenistan|uganda|ukraine|united arab emirates|uae|united kingdom|uruguay|uzbekistan|venezuela|vietnam|yemen|zambia|zimbabwe|europe|european|emea|latam|apac|mena|apj)\b/i;
-
 /**
  * =====================================================================================
  * 1) SCHEDULED: Every 15 minutes sync
@@ -458,10 +488,9 @@ exports.syncRecentJobsHourly = onSchedule(
     region: REGION,
     schedule: "every 15 minutes",
     timeZone: "America/Los_Angeles",
-    timeoutSeconds: 540,
-    memory: "1GiB",
-    maxInstances: 3,
-    secrets: [OPENAI_API_KEY],
+    timeoutSeconds: 300,
+    memory: "512MiB",
+    maxInstances: 1,
   },
   async () => {
     const now = admin.firestore.Timestamp.now();
@@ -469,80 +498,53 @@ exports.syncRecentJobsHourly = onSchedule(
       new Date(Date.now() - RECENT_WINDOW_MINUTES * 60 * 1000)
     );
 
-    const userIds = await listUserIdsToProcess();
+    // One run for everyone: each distinct board is fetched once into the
+    // shared corpus (lib/feedSubscriptions.cjs). This is only the coordinator;
+    // the work happens in syncFeedTask / scoreUserTask (lib/syncFanOut.cjs).
+    const userId = ADMIN_UID;
+    const startedAt = admin.firestore.Timestamp.now();
+    const runId = String(startedAt.toMillis());
+    const runRef = db.collection("users").doc(userId).collection("syncRuns").doc(runId);
 
-    for (const userId of userIds) {
-      const startedAt = admin.firestore.Timestamp.now();
-      const runId = String(startedAt.toMillis());
-      const runRef = db.collection("users").doc(userId).collection("syncRuns").doc(runId);
+    await runRef.set(
+      {
+        ok: true,
+        userId,
+        source: "syncRecentJobsHourly",
+        runType: "scheduled",
+        status: "RUNNING",
+        startedAt,
+        ranAt: startedAt,
+        recentCutoffIso: recentCutoff.toDate().toISOString(),
+
+      },
+      { merge: true }
+    );
+
+    try {
+      await expireStaleRuns(now).catch((err) => logger.warn(`expireStaleRuns failed: ${err?.message || err}`));
+      const queued = await startFanOutRun(runRef, { now, recentCutoff });
+      logger.info(`Sync run ${runId}: ${queued} feed tasks queued`);
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : String(e);
+      logger.error(`Scheduled user sync failed userId=${userId}: ${msg}`);
+
+      const finishedAt = admin.firestore.Timestamp.now();
+      const durationMs = finishedAt.toMillis() - startedAt.toMillis();
 
       await runRef.set(
         {
-          ok: true,
-          userId,
-          source: "syncRecentJobsHourly",
-          runType: "scheduled",
-          status: "RUNNING",
-          startedAt,
-          ranAt: startedAt,
-          recentCutoffIso: recentCutoff.toDate().toISOString(),
+          ok: false,
+          status: "FAILED",
+          error: msg,
+          finishedAt,
+          durationMs,
 
+          // ✅ NEW (still set something predictable)
+          feedsCount: 0,
         },
         { merge: true }
       );
-
-      try {
-        const summary = await syncUserRecentJobs({ userId, now, recentCutoff });
-
-        const finishedAt = admin.firestore.Timestamp.now();
-        const durationMs = finishedAt.toMillis() - startedAt.toMillis();
-
-        await runRef.set(
-          {
-            status: "DONE",
-            finishedAt,
-            durationMs,
-
-            ok: true,
-            scanned: summary.jobsFetched,
-            updated: summary.jobsWritten,
-            jobsWritten: summary.jobsWritten,
-
-            // ✅ NEW
-            feedsCount: summary.feedsCount,
-
-            // extra breakdown (optional)
-            feedsProcessed: summary.feedsProcessed,
-            failedFeeds: summary.failedFeeds,
-            jobsFetched: summary.jobsFetched,
-            jobsKeptRecent: summary.jobsKeptRecent,
-          },
-          { merge: true }
-        );
-
-        // Send Push Notification
-        await sendPushNotification(userId, summary, durationMs);
-      } catch (e) {
-        const msg = e instanceof Error ? e.message : String(e);
-        logger.error(`Scheduled user sync failed userId=${userId}: ${msg}`);
-
-        const finishedAt = admin.firestore.Timestamp.now();
-        const durationMs = finishedAt.toMillis() - startedAt.toMillis();
-
-        await runRef.set(
-          {
-            ok: false,
-            status: "FAILED",
-            error: msg,
-            finishedAt,
-            durationMs,
-
-            // ✅ NEW (still set something predictable)
-            feedsCount: 0,
-          },
-          { merge: true }
-        );
-      }
     }
   }
 );
@@ -554,6 +556,14 @@ exports.syncRecentJobsHourly = onSchedule(
  *
  * Trigger:
  * https://us-central1-<PROJECT_ID>.cloudfunctions.net/runSyncNow?userId=<UID>
+ * Optional &feedId=<FEED_ID> syncs just that feed, ignoring its backoff
+ * ("retry now" on the Feeds page). A full run is admin-only; other users may
+ * retry one of their own feeds. &backfill=1 (admin, with feedId) ingests every
+ * open posting on that feed regardless of age — see runFeedBackfill.
+ * The admin may add &ownerUid=<UID> to retry a feed another user owns
+ * (re-running one board from the History page).
+ * A full run is fanned out like the scheduled one and answers 202 with the
+ * runId; progress shows on the syncRuns doc.
  */
 exports.runSyncNow = onRequest(
   { region: REGION, timeoutSeconds: 540, memory: "1GiB", maxInstances: 3, cors: CORS_ORIGINS, secrets: [OPENAI_API_KEY] },
@@ -565,11 +575,26 @@ exports.runSyncNow = onRequest(
       return res.status(err.statusCode || 401).json({ error: err.message });
     }
 
-    const ADMIN_UID = "7Tojjo8l5PZIYctPmdwncf7PC133";
-    if (decodedToken.uid !== ADMIN_UID) {
-      return res.status(403).json({ error: "Forbidden: Admin only." });
-    }
     const userId = decodedToken.uid;
+    const feedId = req.query.feedId ? String(req.query.feedId) : null;
+    if (userId !== ADMIN_UID) {
+      if (!feedId) return res.status(403).json({ error: "Forbidden: Admin only." });
+      const own = await db.collection("users").doc(userId).collection("feeds").doc(feedId).get();
+      if (!own.exists) return res.status(404).json({ error: "Feed not found." });
+    }
+
+    const ownerUid = userId === ADMIN_UID && req.query.ownerUid ? String(req.query.ownerUid) : userId;
+
+    if (req.query.backfill === "1") {
+      if (userId !== ADMIN_UID) return res.status(403).json({ error: "Forbidden: Admin only." });
+      if (!feedId) return res.status(400).json({ error: "backfill needs a feedId." });
+      try {
+        const summary = await runFeedBackfill({ ownerUid, feedId, source: "runSyncNow" });
+        return res.json({ ok: true, scanned: summary.jobsFetched, updated: summary.jobsWritten, ...summary });
+      } catch (e) {
+        return res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+      }
+    }
 
     const startedAt = admin.firestore.Timestamp.now();
     const runId = String(startedAt.toMillis());
@@ -590,13 +615,27 @@ exports.runSyncNow = onRequest(
         startedAt,
         ranAt: startedAt,
         recentCutoffIso: recentCutoff.toDate().toISOString(),
+        ...(feedId ? { feedIds: [feedId] } : {}),
 
       },
       { merge: true }
     );
 
+    if (!feedId) {
+      try {
+        const queued = await startFanOutRun(runRef, { now, recentCutoff });
+        return res.status(202).json({ ok: true, runId, queued });
+      } catch (e) {
+        const msg = e instanceof Error ? e.message : String(e);
+        logger.error("runSyncNow fan-out failed:", e);
+        await runRef.set({ ok: false, status: "FAILED", error: msg, finishedAt: admin.firestore.Timestamp.now() }, { merge: true });
+        return res.status(500).json({ error: msg });
+      }
+    }
+
     try {
-      const summary = await syncUserRecentJobs({ userId, now, recentCutoff });
+      const { feedResults, ...summary } = await syncFeeds({ now, recentCutoff, feedIds: [feedId], ownerUid });
+      await recordFeedResults(runRef, feedResults);
 
       const finishedAt = admin.firestore.Timestamp.now();
       const durationMs = finishedAt.toMillis() - startedAt.toMillis();
@@ -637,6 +676,15 @@ exports.runSyncNow = onRequest(
           failedFeeds: summary.failedFeeds,
           jobsFetched: summary.jobsFetched,
           jobsKeptRecent: summary.jobsKeptRecent,
+          jobsClosed: summary.jobsClosed,
+          jobsChanged: summary.jobsChanged,
+          jobsDeduped: summary.jobsDeduped,
+          jobsExcluded: summary.jobsExcluded,
+          skippedFeeds: summary.skippedFeeds,
+          unchangedFeeds: summary.unchangedFeeds,
+          notModifiedFeeds: summary.notModifiedFeeds,
+          bytesFetched: summary.bytesFetched,
+          bytesSaved: summary.bytesSaved,
         },
         { merge: true }
       );
@@ -674,32 +722,110 @@ exports.runSyncNow = onRequest(
 
 /**
  * ----------------------------
- * USER SYNC CORE
+ * SYNC CORE
  * ----------------------------
+ * Every user's feeds land in the admin's jobs collection (the shared corpus);
+ * each distinct board URL is fetched once per run. See lib/feedSubscriptions.cjs.
+ *
+ * In-process run for a few feeds (manual retry, backfill); the scheduled
+ * sync runs the same stages as tasks (FAN-OUT SYNC below).
+ *
+ * backfill: keep every open posting (recentCutoff is ignored), re-read the
+ * board even if unchanged, and return the ids to score instead of scoring
+ * inline (lib/feedBackfill.cjs).
  */
-async function syncUserRecentJobs({ userId, now, recentCutoff }) {
-  const feedsSnap = await db
-    .collection("users")
-    .doc(userId)
-    .collection("feeds")
-    .where("archivedAt", "==", null)
-    .get();
+async function syncFeeds({ now, recentCutoff, feedIds = null, ownerUid = null, backfill = false }) {
+  const plan = await loadFeedPlan();
+  const fetches = selectFetches(plan, feedIds, ownerUid);
+  const { jobsToScore, ...summary } = await ingestFeeds({
+    fetches,
+    now,
+    recentCutoff,
+    ingestPrefs: plan.ingestPrefs,
+    force: !!feedIds,
+    backfill,
+  });
 
-  const feeds = feedsSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
-  const feedsCount = feeds.length;
-
-  if (feedsCount === 0) {
-    return {
-      ok: true,
-      feedsCount,
-      feedsProcessed: 0,
-      failedFeeds: 0,
-      jobsFetched: 0,
-      jobsKeptRecent: 0,
-      jobsWritten: 0,
-    };
+  // AWAIT scoring — Cloud Functions terminate any un-awaited Promises immediately upon return!
+  // A backfill can write hundreds of jobs; those are scored later by scoreBackfillQueue.
+  if (jobsToScore.length > 0 && !backfill) {
+    await scoreJobsForSubscribers(plan, jobsToScore);
+  }
+
+  // Rebuild the /jobs page aggregation docs so clients can render with a single read.
+  // Only rebuild if we actually wrote or scored something new — otherwise it's a no-op.
+  if (summary.jobsWritten > 0 || summary.jobsClosed > 0 || jobsToScore.length > 0) {
+    // After a backfill older postings move the map and company counts too
+    await rebuildJobViews(plan, { full: backfill });
   }
 
+  return {
+    ...summary,
+    ...(backfill ? { backfillJobIds: jobsToScore.map((j) => j.jobDocId) } : {}),
+  };
+}
+
+/**
+ * Planned boards narrowed to feedIds (canonical or mirror docs, of ownerUid
+ * when given). No feedIds = every board.
+ */
+function selectFetches(plan, feedIds, ownerUid) {
+  if (!feedIds) return plan.fetches;
+  const wanted = new Set(feedIds);
+  return plan.fetches.filter((f) =>
+    [{ ownerUid: f.ownerUid, feedId: f.feed.id }, ...f.mirrors].some(
+      (r) => wanted.has(r.feedId) && (!ownerUid || r.ownerUid === ownerUid)
+    )
+  );
+}
+
+/** Per-feed lines of an in-process run, stored like the fan-out's feed task results. */
+async function recordFeedResults(runRef, feedResults = []) {
+  if (feedResults.length === 0) return;
+  const batch = db.batch();
+  for (const result of feedResults) {
+    batch.set(runRef.collection("feedResults").doc(feedTaskKey(runRef.id, result.ownerUid, result.feedId)), {
+      ...result,
+      finishedAt: admin.firestore.Timestamp.now(),
+    });
+  }
+  await batch.commit();
+}
+
+/**
+ * Fetch boards into the corpus: lifecycle, revisions, enrichment, dedupe.
+ * Returns the run counters plus `jobsToScore` (new canonical jobs, with
+ * descriptions) and `feedResults` (one feedRunResult per board).
+ * ingestPrefs: the run's location filter, from loadFeedPlan().
+ * force: ignore the circuit breaker (manual retry, backfill).
+ */
+async function ingestFeeds({ fetches, now, recentCutoff, ingestPrefs = resolveLocationPrefs(null), force = false, backfill = false }) {
+  const userId = ADMIN_UID; // corpus owner
+  const feedsCount = fetches.length;
+  if (feedsCount === 0) return { ...emptySyncSummary(0), jobsToScore: [], feedResults: [] };
+
+  const jobsCol = db.collection("users").doc(userId).collection("jobs");
+
+  // Per-status retention (open / closed) from settings, see lib/jobLifecycle.cjs
+  let retentionDays = resolveRetentionDays(null);
+  let salaryAiFallback = false;
+  let exclusionRules = resolveExclusionRules(null);
+  try {
+    const prefsSnap = await db.collection("users").doc(userId).collection("settings").doc("preferences").get();
+    retentionDays = resolveRetentionDays(prefsSnap.exists ? prefsSnap.data() : null);
+    salaryAiFallback = prefsSnap.exists && prefsSnap.data()?.salaryAiFallback === true;
+    exclusionRules = resolveExclusionRules(prefsSnap.exists ? prefsSnap.data() : null);
+  } catch (err) {
+    logger.warn(`syncFeeds: could not read retention settings for userId=${userId}: ${err?.message}`);
+  }
+
+  // Noise dropped before writes and scoring (lib/exclusionRules.cjs)
+  const exclusion = compileExclusionRules(exclusionRules);
+
+  // Changing either filter re-reads unchanged feeds once (loosened rules bring jobs back)
+  const rulesKey = exclusionRulesKey(exclusionRules);
+  const ingestPrefsKey = rulesKey ? `${locationPrefsKey(ingestPrefs)}+${rulesKey}` : locationPrefsKey(ingestPrefs);
+
   const limiter = pLimit(FEED_CONCURRENCY);
   const bw = db.bulkWriter();
 
@@ -710,30 +836,79 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
 
   let feedsProcessed = 0;
   let failedFeeds = 0;
+  let skippedFeeds = 0;
+  let unchangedFeeds = 0;
+  let notModifiedFeeds = 0;
+  let bytesFetched = 0;
+  let bytesSaved = 0;
 
   let jobsFetched = 0;
   let jobsKeptRecent = 0;
   let jobsWritten = 0;
+  let jobsClosed = 0;
+  let jobsChanged = 0;
+  let jobsExcluded = 0;
+
+  // Fingerprint buckets written this run — re-planned by the dedupe stage
+  const dedupeKeys = new Set();
 
   // Scoring metadata — collected during sync, consumed after bw.close()
   const newJobsForScoring = [];
 
-  const tasks = feeds.map((feed) =>
+  // Descriptions that talk about pay but didn't parse — see extractSalariesWithAI
+  const salaryAiCandidates = [];
+
+  // Texts for the scoring prefilter, embedded once after the writes (lib/embeddings.cjs)
+  const embeddingCandidates = [];
+
+  // One line per board for the run's feedResults (lib/syncFanOut.cjs)
+  const feedResults = [];
+
+  const tasks = fetches.map(({ ownerUid: feedOwnerUid, feed, mirrors }) =>
     limiter(async () => {
       const feedId = feed.id;
-      const feedRef = db.collection("users").doc(userId).collection("feeds").doc(feedId);
+      const feedRef = db.collection("users").doc(feedOwnerUid).collection("feeds").doc(feedId);
+      // Lifecycle, cache and breaker state come from the server-only doc, never the feed doc
+      const stateRef = db.collection(FEED_STATE_COLLECTION).doc(feedStateId(feedOwnerUid, feedId));
+      const stateSnap = await stateRef.get();
+      const state = resolveFeedState(stateSnap.exists ? stateSnap.data() : null, feed, { trustFeedDoc: feedOwnerUid === userId });
+      // Boards outside the catalog stay out of the shared views
+      const feedOwner = feedOwnerUid === userId ? null : feedOwnerUid;
+      const resultBase = {
+        ownerUid: feedOwnerUid,
+        feedId,
+        ranAt: now,
+        companyName: feed.companyName || feed.company || null,
+        source: feed.source || null,
+      };
+
+      // Circuit breaker: feeds backing off are skipped until their next probe (lib/feedHealth.cjs)
+      const gate = shouldAttemptFeed(state.health, now.toMillis());
+      if (!gate.attempt && !force) {
+        skippedFeeds += 1;
+        feedResults.push(feedRunResult({ ...resultBase, outcome: "skipped" }));
+        return;
+      }
+      if (gate.probe) {
+        logger.info(`Recovery probe for feed userId=${userId} feedId=${feedId} after ${state.health?.consecutiveFailures} failures`);
+      }
+
+      const attemptStartMs = Date.now();
+      let latencyMs = null;
+      let fetchStats = null;
 
       try {
-        let url = String(feed.url || "").trim();
+        const url = String(feed.url || "").trim();
         if (!url) throw new Error("Feed missing url");
 
         const source = String(feed.source || "").toLowerCase();
         const companyName = String(feed.companyName || feed.company || "Unknown");
 
-        // Force Greenhouse to fetch full descriptions natively
-        if (source.includes("greenhouse") && !url.includes("content=true")) {
-          url += url.includes("?") ? "&content=true" : "?content=true";
-        }
+        const adapter = resolveFeedAdapter({ source, url });
+        if (!adapter) throw new Error(`Unsupported feed source "${source}"`);
+        // The URL is whatever the owner saved; only fetch what the adapter accepts
+        const valid = adapter.validate(url);
+        if (!valid.ok) throw new Error(valid.error);
 
         feedsProcessed += 1;
 
@@ -751,57 +926,191 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
           { merge: true }
         );
 
-        const recentCutoffMs = recentCutoff ? recentCutoff.toMillis() : null;
-        const rawJobs = await fetchJobsFromFeed(url, source, recentCutoffMs);
-        jobsFetched += rawJobs.length;
+        let recentCutoffMs = recentCutoff && !backfill ? recentCutoff.toMillis() : null;
+        // Date-only postings (Workday) all read as midnight UTC; keep the cutoff's whole day
+        if (recentCutoffMs != null && adapter.postedDateOnly) recentCutoffMs = startOfUtcDayMs(recentCutoffMs);
 
-        const normalized = rawJobs
-          .map((j) => normalizeJobMinimal(j, { source, companyName, companyKey: feedId, now, url }))
-          .filter(Boolean);
+        // Jobs skipped under last run's location filter may be wanted now;
+        // a backfill wants everything the board lists
+        const fullRead = backfill || state.locationFilterKey !== ingestPrefsKey;
 
-        const locationFiltered = normalized.filter(jobMatchesLocationFilter);
+        // Conditional GET with last run's validators; a 304 leaves rawJobs null
+        const conditional = createConditionalFetch(fullRead ? null : state.httpCache);
+        let rawJobs = null;
+        try {
+          rawJobs = await withTimeout(
+            (signal) => adapter.fetch(url, { recentCutoffMs, fetchJson: conditional.fetchJson, nowMs: now.toMillis(), signal }),
+            backfill ? BACKFILL_FETCH_TIMEOUT_MS : FEED_FETCH_TIMEOUT_MS,
+            `${adapter.label} fetch`
+          );
+        } catch (err) {
+          fetchStats = conditional.result();
+          if (!(err instanceof NotModifiedError)) throw err;
+        }
+        latencyMs = Date.now() - attemptStartMs;
 
-        const recentOnly = locationFiltered.filter(
-          (j) => j.sourceUpdatedTs && j.sourceUpdatedTs.toMillis() >= recentCutoff.toMillis()
-        );
+        fetchStats = conditional.result();
+        bytesFetched += fetchStats.bytes;
+        if (!rawJobs) {
+          notModifiedFeeds += 1;
+          bytesSaved += state.httpCache?.bytes || 0;
+        }
+        const payloadHash = rawJobs ? hashPayload(rawJobs) : state.payloadHash;
+        const unchanged = !rawJobs || (!fullRead && !!state.payloadHash && payloadHash === state.payloadHash);
+        const httpCache = rawJobs ? fetchStats.httpCache : state.httpCache;
+
+        let normalized = [];
+        let recentOnly = [];
+        let excludedThisFeed = 0;
+        let contentHashes = adapter.stableTimestamps ? state.contentHashes : {};
+        let editedOnly = new Set();
+
+        if (unchanged) {
+          // Same board as last run: every posting in it was already processed
+          unchangedFeeds += 1;
+        } else {
+          jobsFetched += rawJobs.length;
+
+          normalized = rawJobs
+            .map((j) => adapter.normalize(j, { companyName, companyKey: feedId, now, url }))
+            .filter(Boolean)
+            .map((j) => ({ ...j, geo: classifyLocation(j.locationName) }));
+
+          const locationFiltered = normalized.filter((j) => jobMatchesLocationPrefs(j, ingestPrefs));
+
+          const recent = recentCutoffMs == null
+            ? locationFiltered
+            : locationFiltered.filter((j) => j.sourceUpdatedTs && j.sourceUpdatedTs.toMillis() >= recentCutoffMs);
+
+          // Exclusion rules: counted among the postings we would have written
+          recentOnly = exclusion.active ? recent.filter((j) => !exclusion.match(j)) : recent;
+          excludedThisFeed = recent.length - recentOnly.length;
+          jobsExcluded += excludedThisFeed;
+
+          jobsKeptRecent += recentOnly.length;
+
+          // Edits don't move these postings' timestamps: rewrite the stored ones
+          // whose content changed since last run, so their revisions are recorded
+          if (adapter.stableTimestamps) {
+            const kept = exclusion.active ? locationFiltered.filter((j) => !exclusion.match(j)) : locationFiltered;
+            const writing = new Set(recentOnly.map((j) => j.jobDocId));
+            const { edited, hashes } = findEditedPostings(kept, state.contentHashes, new Set([...Object.keys(state.openJobs), ...writing]));
+            editedOnly = new Set(edited.map((j) => j.jobDocId).filter((id) => !writing.has(id)));
+            recentOnly = [...recentOnly, ...edited.filter((j) => editedOnly.has(j.jobDocId))];
+            contentHashes = hashes;
+          }
 
-        jobsKeptRecent += recentOnly.length;
-
-        // Enrich Eightfold/Netflix jobs with descriptions during sync.
-        // Greenhouse & Ashby already have them from the feed. Eightfold bulk feeds
-        // don't include descriptions, so we fetch them per-job now and save to DB,
-        // completely eliminating the need to re-fetch during AI scoring.
-        const descEnricher = pLimit(5);
-        await Promise.all(
-          recentOnly.map((job) =>
-            descEnricher(async () => {
-              if (job.fullDescription) return; // Already have it (Greenhouse/Ashby)
-              if (job.source !== "eightfold") return; // Only needed for Eightfold/Netflix
-
-              try {
-                const desc = await fetchJobDescription(job.source, job.externalId, url, null);
-                if (desc && desc.length > 50) {
-                  job.fullDescription = desc;
+          // Enrich jobs from adapters whose bulk feeds carry no description
+          // (Eightfold/Netflix). Fetch them per-job now and save to DB,
+          // completely eliminating the need to re-fetch during AI scoring.
+          const descEnricher = pLimit(5);
+          await Promise.all(
+            recentOnly.map((job) =>
+              descEnricher(async () => {
+                if (job.fullDescription) return; // Already have it from the feed
+                if (!adapter.enrichDescriptions) return;
+
+                try {
+                  const desc = await fetchJobDescription(job.source, job.externalId, url, null);
+                  if (desc && desc.length > 50) {
+                    job.fullDescription = desc;
+                  }
+                } catch (e) {
+                  logger.warn(`Desc enrichment failed for ${job.jobDocId}: ${e.message}`);
                 }
-              } catch (e) {
-                logger.warn(`Desc enrichment failed for ${job.jobDocId}: ${e.message}`);
-              }
-            })
-          )
+              })
+            )
+          );
+        }
+
+        // Lifecycle: diff every posting on the board (not just recent ones)
+        // against the jobs this feed had open after its previous run. An
+        // unchanged full listing still holds every open job, so those only
+        // get their lastSeenAt refreshed; nothing can close.
+        const lifecycle = unchanged
+          ? planFeedLifecycle({
+            prevOpen: state.openJobs,
+            currentIds: new Set(adapter.fullListing ? Object.keys(state.openJobs) : []),
+            writtenIds: new Set(),
+            fullListing: false,
+            nowMs: now.toMillis(),
+            openRetentionDays: retentionDays.open,
+          })
+          : planFeedLifecycle({
+            prevOpen: state.openJobs,
+            currentIds: new Set(normalized.map((j) => j.jobDocId)),
+            writtenIds: new Set(recentOnly.map((j) => j.jobDocId)),
+            fullListing: adapter.fullListing,
+            nowMs: now.toMillis(),
+            openRetentionDays: retentionDays.open,
+          });
+        const existing = await readJobDocs(
+          jobsCol,
+          [...recentOnly.map((j) => j.jobDocId), ...lifecycle.toRefresh, ...lifecycle.toClose],
+          db
         );
 
         for (const job of recentOnly) {
-          const jobRef = db.collection("users").doc(userId).collection("jobs").doc(job.jobDocId);
+          const jobRef = jobsCol.doc(job.jobDocId);
+          const prev = existing.get(job.jobDocId);
+
+          // Reappearing postings reopen; firstSeenAt survives (legacy docs fall back to
+          // fetchedAt). Old postings a backfill finds date from when they went up.
+          const seen = {
+            status: JOB_STATUS.OPEN,
+            closedAt: null,
+            firstSeenAt: prev?.firstSeenAt || prev?.fetchedAt || (backfill ? backfillFirstSeen(job.sourceUpdatedTs, now) : now),
+            lastSeenAt: now,
+          };
+
+          // An edit found by hash doesn't move the posting's date; keep the stored
+          // one rather than Workday's re-estimate ("30+ Days Ago" from today)
+          const dated = editedOnly.has(job.jobDocId) && prev?.sourceUpdatedTs
+            ? { sourceUpdatedTs: prev.sourceUpdatedTs, sourceUpdatedIso: prev.sourceUpdatedIso ?? null }
+            : {};
+
+          // Company edited the posting since we last stored it → append a revision
+          let revisionPatch = {};
+          const diff = diffJob(prev, job);
+          if (diff) {
+            const { revision, jobPatch } = buildRevision(diff, { now, tracked: isTrackedJob(prev) });
+            bw.create(jobRef.collection("revisions").doc(), revision);
+            revisionPatch = jobPatch;
+            jobsChanged += 1;
+          }
+
+          const fingerprint = fingerprintJob(job);
+          if (fingerprint) dedupeKeys.add(fingerprint.dedupeKey);
+
+          // Structured pay (lib/salary.cjs); an earlier AI answer survives until the text parses
+          const compensation = extractCompensation(job);
+          if (!compensation.salary && prev?.salary?.source === "ai") {
+            compensation.salary = prev.salary;
+          } else if (!compensation.salary && salaryAiFallback && mentionsPay(job.fullDescription)) {
+            salaryAiCandidates.push({ jobDocId: job.jobDocId, title: job.title, fullDescription: job.fullDescription });
+          }
 
-          const baseTs = job.sourceUpdatedTs || now;
-          const expireAt = addDaysTs(baseTs, TTL_DAYS);
+          const workplace = classifyWorkplace(job);
+          const mapLocation = job.mapLocation ? { ...job.mapLocation, pinType: pinTypeFor(job.mapLocation, workplace) } : null;
 
           bw.set(
             jobRef,
             {
               ...job,
+              ...dated,
+              ...seen,
+              ...revisionPatch,
+              ...fingerprint,
+              ...compensation,
+              ...classifyJob(job),
+              skills: extractSkills(job.fullDescription),
+              workAuth: detectWorkAuth(job.fullDescription),
+              workplace,
+              mapLocation,
+              feedOwner,
+              feedUrl: url,
               fetchedAt: now,
-              expireAt,
+              expireAt: computeExpireAt({ ...prev, ...job, ...dated, ...seen }, retentionDays),
             },
             { merge: true }
           );
@@ -811,77 +1120,147 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
           // Collect for post-sync scoring
           newJobsForScoring.push({
             jobDocId: job.jobDocId,
+            companyKey: job.companyKey,
             source: job.source,
             externalId: job.externalId,
             feedUrl: url || feed.url,
             jobUrl: job.jobUrl || null,
             fullDescription: job.fullDescription || null,
+            geo: job.geo,
           });
+          if (job.fullDescription) {
+            embeddingCandidates.push({ id: job.jobDocId, text: jobEmbeddingText(job.title, job.fullDescription) });
+          }
         }
 
-        await feedRef.set(
-          {
-            lastCheckedAt: now,
-            lastError: null,
-            lastJobCount: recentOnly.length,
-          },
-          { merge: true }
-        );
+        // Still on the board: push lastSeenAt (throttled) so retention keeps sliding
+        for (const id of lifecycle.toRefresh) {
+          const prev = existing.get(id);
+          if (!prev) {
+            delete lifecycle.nextOpen[id]; // TTL already removed it
+            continue;
+          }
+          bw.update(jobsCol.doc(id), {
+            lastSeenAt: now,
+            expireAt: computeExpireAt({ ...prev, lastSeenAt: now }, retentionDays),
+            // Jobs written before skill tags / requirement flags / workplace existed pick them up on their next refresh
+            ...(Array.isArray(prev.skills) ? {} : { skills: extractSkills(prev.fullDescription) }),
+            ...(prev.workAuth ? {} : { workAuth: detectWorkAuth(prev.fullDescription) }),
+            ...(prev.workplace ? {} : { workplace: classifyWorkplace(prev) }),
+          });
+        }
+
+        // Gone from the board: closed by the company
+        let closedThisFeed = 0;
+        for (const id of lifecycle.toClose) {
+          const prev = existing.get(id);
+          if (!prev || prev.status === JOB_STATUS.CLOSED) continue;
+          const closed = { status: JOB_STATUS.CLOSED, closedAt: now };
+          bw.update(jobsCol.doc(id), {
+            ...closed,
+            expireAt: computeExpireAt({ ...prev, ...closed }, retentionDays),
+          });
+          closedThisFeed += 1;
+        }
+        jobsClosed += closedThisFeed;
+
+        const status = {
+          lastCheckedAt: now,
+          lastError: null,
+          lastJobCount: recentOnly.length,
+          lastClosedCount: closedThisFeed,
+          openJobCount: Object.keys(lifecycle.nextOpen).length,
+          health: recordFeedSuccess(state.health, { nowMs: now.toMillis(), latencyMs }),
+        };
+        // set() without merge so openJobs is replaced and closed ids drop out of the map
+        await stateRef.set({
+          ownerUid: feedOwnerUid,
+          feedId,
+          openJobs: lifecycle.nextOpen,
+          contentHashes,
+          httpCache,
+          payloadHash,
+          locationFilterKey: ingestPrefsKey,
+          health: status.health,
+          updatedAt: now,
+        });
+        await feedRef.update({ ...status, ...dropLegacyFeedFields() });
+        await mirrorFeedStatus(mirrors, status);
+
+        feedResults.push(feedRunResult({
+          ...resultBase,
+          outcome: !rawJobs ? "notModified" : unchanged ? "unchanged" : "ok",
+          httpStatus: rawJobs ? fetchStats.status : 304,
+          durationMs: Date.now() - attemptStartMs,
+          pages: fetchStats.requests,
+          bytes: fetchStats.bytes,
+          jobsFetched: unchanged ? 0 : rawJobs.length,
+          jobsKeptRecent: recentOnly.length,
+          jobsWritten: recentOnly.length,
+          jobsClosed: closedThisFeed,
+          jobsExcluded: excludedThisFeed,
+        }));
       } catch (e) {
         failedFeeds += 1;
         const msg = e instanceof Error ? e.message : String(e);
-        logger.error(`Feed failed userId=${userId} feedId=${feed.id}: ${msg}`);
-
-        await feedRef.set(
-          {
-            lastCheckedAt: now,
-            lastError: msg,
-          },
-          { merge: true }
-        );
+        logger.error(`Feed failed ownerUid=${feedOwnerUid} feedId=${feed.id}: ${msg}`);
+        feedResults.push(feedRunResult({
+          ...resultBase,
+          outcome: "failed",
+          httpStatus: e?.status ?? fetchStats?.status ?? null,
+          durationMs: Date.now() - attemptStartMs,
+          pages: fetchStats?.requests || 0,
+          bytes: fetchStats?.bytes || 0,
+          error: msg,
+        }));
+
+        const status = {
+          lastCheckedAt: now,
+          lastError: msg,
+          // A backfill reads far more than a sync does; its failures don't back the feed off
+          health: backfill
+            ? state.health
+            : recordFeedFailure(state.health, {
+              nowMs: now.toMillis(),
+              latencyMs: latencyMs ?? Date.now() - attemptStartMs,
+            }),
+        };
+        await stateRef.set({ ownerUid: feedOwnerUid, feedId, ...state, health: status.health, updatedAt: now });
+        await feedRef.set({ ...status, ...dropLegacyFeedFields() }, { merge: true });
+        await mirrorFeedStatus(mirrors, status);
       }
     })
   );
 
   await Promise.all(tasks);
+
+  // Dedupe stage: link clones/reposts across feeds to one canonical job so the
+  // list, aggregations and scoring see each opening once (lib/jobDedupe.cjs).
+  let duplicateIds = new Set();
+  let jobsDeduped = 0;
+  if (dedupeKeys.size > 0) {
+    try {
+      await bw.flush();
+      ({ duplicateIds, linked: jobsDeduped } = await linkDuplicates(jobsCol, dedupeKeys, bw));
+    } catch (err) {
+      logger.warn(`dedupe stage failed userId=${userId}: ${err?.message || err}`);
+    }
+  }
+
   await bw.close();
 
-  // AWAIT scoring — Cloud Functions terminate any un-awaited Promises immediately upon return!
-  if (newJobsForScoring.length > 0) {
-    await scoreNewJobsForUser(userId, newJobsForScoring).catch((err) =>
-      logger.error(`scoreNewJobsForUser failed userId=${userId}: ${err?.message || err}`)
+  if (salaryAiCandidates.length > 0) {
+    await extractSalariesWithAI(jobsCol, salaryAiCandidates).catch((err) =>
+      logger.warn(`salary AI fallback failed userId=${userId}: ${err?.message || err}`)
     );
-
-    // Fan out scoring to every other AI-enabled user. The job corpus lives
-    // under admin, so each user gets the same jobs scored against their own
-    // resume, with results written to users/{uid}/jobScores/*. Sequential to
-    // stay within OpenAI rate limits (each call uses concurrency=1 internally).
-    if (userId === ADMIN_UID) {
-      try {
-        const otherUids = (await listAiEnabledUserIds()).filter((u) => u !== ADMIN_UID);
-        for (const uid of otherUids) {
-          await scoreNewJobsForUser(uid, newJobsForScoring).catch((err) =>
-            logger.error(`scoreNewJobsForUser fan-out failed userId=${uid}: ${err?.message || err}`)
-          );
-        }
-      } catch (err) {
-        logger.warn(`scoring fan-out failed: ${err?.message}`);
-      }
-    }
   }
 
-  // Rebuild the /jobs page aggregation docs so clients can render with a single read.
-  // Only rebuild if we actually wrote or scored something new — otherwise it's a no-op.
-  if (jobsWritten > 0 || newJobsForScoring.length > 0) {
-    try {
-      const { rebuildRecentJobs, rebuildAllJobs } = require("./lib/recentJobs.cjs");
-      const n = await rebuildRecentJobs(userId);
-      logger.info(`recentJobs aggregation rebuilt for ${userId}: ${n} jobs`);
-      const m = await rebuildAllJobs(userId);
-      logger.info(`allJobs aggregation rebuilt for ${userId}: ${m} jobs`);
-    } catch (err) {
-      logger.warn(`recentJobs/allJobs rebuild failed for ${userId}: ${err?.message || err}`);
-    }
+  // Linked duplicates are never scored, so they don't need a vector either
+  const toEmbed = embeddingCandidates.filter((c) => !duplicateIds.has(c.id));
+  if (toEmbed.length > 0) {
+    await embedJobs(toEmbed).catch((err) =>
+      logger.warn(`job embeddings failed userId=${userId}: ${err?.message || err}`)
+    );
   }
 
   return {
@@ -889,475 +1268,903 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
     feedsCount,
     feedsProcessed,
     failedFeeds,
+    skippedFeeds,
+    unchangedFeeds,
+    notModifiedFeeds,
+    bytesFetched,
+    bytesSaved,
     jobsFetched,
     jobsKeptRecent,
     jobsWritten,
+    jobsClosed,
+    jobsChanged,
+    jobsDeduped,
+    jobsExcluded,
+    jobsToScore: newJobsForScoring.filter((j) => !duplicateIds.has(j.jobDocId)),
+    feedResults,
   };
 }
 
 /**
- * ----------------------------
- * LIST USERS TO PROCESS
- * ----------------------------
+ * Rebuild the /jobs page aggregation docs (shared and personal) so clients
+ * can render with a single read. full: also mapClusters / companyStats.
+ * @param {{ viewKeys: Object<string, string[]> }} plan
  */
-async function listUserIdsToProcess() {
-  return [ADMIN_UID];
+async function rebuildJobViews(plan, { full = false } = {}) {
+  const userId = ADMIN_UID;
+  try {
+    if (full) {
+      const result = await rebuildAggregations(userId);
+      logger.info(`Aggregation rebuilt for ${userId}: ${result.totalJobs} jobs, ${result.companies} companies`);
+    } else {
+      const { rebuildRecentJobs, rebuildAllJobs } = require("./lib/recentJobs.cjs");
+      const n = await rebuildRecentJobs(userId);
+      logger.info(`recentJobs aggregation rebuilt for ${userId}: ${n} jobs`);
+      const m = await rebuildAllJobs(userId);
+      logger.info(`allJobs aggregation rebuilt for ${userId}: ${m} jobs`);
+    }
+  } catch (err) {
+    logger.warn(`job views rebuild failed for ${userId}: ${err?.message || err}`);
+  }
+  await rebuildPersonalViews(plan);
 }
 
 /**
- * Returns the set of users who should have AI scoring run for them on the
- * next sync. Admin is always included (AI is always on for admin). Other
- * users must have `aiAccess === true` on their user doc — admin grants this
- * from the Users page. New signups default to `aiAccess: false`.
+ * Score new jobs for every AI-enabled user who follows their feeds. The job
+ * corpus lives under admin, so each user gets the jobs they follow scored
+ * against their own resume, with results written to users/{uid}/jobScores/*.
+ * Sequential to stay within OpenAI rate limits (each call uses concurrency=1
+ * internally).
  */
-async function listAiEnabledUserIds() {
-  const snap = await db.collection("users").get();
-  const uids = new Set([ADMIN_UID]);
-  snap.forEach((d) => {
-    if (d.id === ADMIN_UID) return;
-    if (d.data()?.aiAccess === true) uids.add(d.id);
-  });
-  return Array.from(uids);
+async function scoreJobsForSubscribers(plan, jobs) {
+  const jobsInView = (uid) => {
+    const keys = viewKeysFor(plan, uid);
+    return jobs.filter((j) => keys.has(j.companyKey));
+  };
+
+  const adminJobs = jobsInView(ADMIN_UID);
+  if (adminJobs.length > 0) {
+    await scoreNewJobsForUser(ADMIN_UID, adminJobs).catch((err) =>
+      logger.error(`scoreNewJobsForUser failed userId=${ADMIN_UID}: ${err?.message || err}`)
+    );
+  }
+
+  try {
+    const otherUids = (await listAiEnabledUserIds()).filter((u) => u !== ADMIN_UID);
+    for (const uid of otherUids) {
+      const theirJobs = jobsInView(uid);
+      if (theirJobs.length === 0) continue;
+      await scoreNewJobsForUser(uid, theirJobs).catch((err) =>
+        logger.error(`scoreNewJobsForUser fan-out failed userId=${uid}: ${err?.message || err}`)
+      );
+    }
+  } catch (err) {
+    logger.warn(`scoring fan-out failed: ${err?.message}`);
+  }
 }
 
 /**
  * ----------------------------
- * FETCHING
+ * FAN-OUT SYNC
  * ----------------------------
+ * The scheduled sync as tasks, so no single invocation has to fit every
+ * board and every user's scoring in 540s (lib/syncFanOut.cjs). Runs on the
+ * emulator too: the Admin SDK enqueues to the Cloud Tasks emulator there.
  */
-async function fetchJobsFromFeed(url, source, recentCutoffMs) {
-  if (
-    source.includes("eightfold") ||
-    source.includes("microsoft") ||
-    source.includes("paypal") ||
-    source.includes("netflix")
-  ) {
-    return await fetchEightfoldJobsPaginated(url, recentCutoffMs);
-  }
 
-  const json = await fetchJson(url);
+// Runs still RUNNING / SCORING after this long lost a task for good
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+const syncRunRef = (runId) => db.collection("users").doc(ADMIN_UID).collection("syncRuns").doc(String(runId));
+const taskQueue = (name) => getFunctions().taskQueue(`locations/${REGION}/functions/${name}`);
+
+const isAlreadyExists = (err) => err?.code === 6 || err?.code === "functions/task-already-exists" || /already exists/i.test(err?.message || "");
+
+/** Move a run from one status to the next; false if another task got there first. */
+function advanceRun(runRef, from, to) {
+  return db.runTransaction(async (tx) => {
+    const run = await tx.get(runRef);
+    if (!run.exists || run.get("status") !== from) return false;
+    tx.update(runRef, { status: to });
+    return true;
+  });
+}
+
+/**
+ * Coordinator: plan every board and enqueue one syncFeedTask each.
+ * @returns {Promise<number>} Feed tasks queued
+ */
+async function startFanOutRun(runRef, { now, recentCutoff }) {
+  const plan = await loadFeedPlan();
+  const fetches = plan.fetches;
 
-  if (source.includes("greenhouse")) {
-    return Array.isArray(json?.jobs) ? json.jobs : [];
+  await runRef.set(
+    {
+      fanOut: true,
+      feedsCount: fetches.length,
+      tasksTotal: fetches.length,
+      tasksDone: 0,
+      // Who follows what, for the scoring tasks and the final rebuild
+      viewPlan: { sharedKeys: plan.sharedKeys, viewKeys: plan.viewKeys },
+    },
+    { merge: true }
+  );
+  if (fetches.length === 0) {
+    await startScoringPhase(runRef);
+    return 0;
   }
 
-  if (source.includes("ashby")) {
-    if (Array.isArray(json)) return json;
-    if (Array.isArray(json?.jobs)) return json.jobs;
-    if (Array.isArray(json?.results)) return json.results;
-    if (Array.isArray(json?.data?.jobs)) return json.data.jobs;
-    if (Array.isArray(json?.postings)) return json.postings;
-    return [];
+  const queue = taskQueue("syncFeedTask");
+  const enqueue = pLimit(20);
+  await Promise.all(
+    fetches.map(({ ownerUid, feed, mirrors }) =>
+      enqueue(async () => {
+        const key = feedTaskKey(runRef.id, ownerUid, feed.id);
+        try {
+          await queue.enqueue(
+            {
+              runId: runRef.id,
+              ownerUid,
+              feedId: feed.id,
+              mirrors,
+              nowMs: now.toMillis(),
+              recentCutoffMs: recentCutoff.toMillis(),
+              ingestPrefs: plan.ingestPrefs,
+            },
+            { id: key }
+          );
+        } catch (err) {
+          if (isAlreadyExists(err)) return;
+          // Counted as a failed feed so the run can still finish
+          logger.error(`enqueue syncFeedTask failed feedId=${feed.id}: ${err?.message || err}`);
+          await recordFeedTaskResult(runRef, key, {
+            ...emptySyncSummary(1),
+            failedFeeds: 1,
+            feedResults: [feedRunResult({
+              ownerUid,
+              feedId: feed.id,
+              ranAt: now,
+              companyName: feed.companyName || feed.company || null,
+              source: feed.source || null,
+              outcome: "failed",
+              error: `Could not queue: ${err?.message || err}`,
+            })],
+          });
+        }
+      })
+    )
+  );
+  return fetches.length;
+}
+
+/** Store one board's result; the last board in moves the run on to scoring. */
+async function recordFeedTaskResult(runRef, key, result) {
+  const { jobsToScore = [], feedResults = [], ...summary } = result;
+  try {
+    await runRef.collection("feedResults").doc(key).create({
+      ...summary,
+      ...feedResults[0],
+      jobsToScore: jobsToScore.map(scoringRef),
+      finishedAt: admin.firestore.Timestamp.now(),
+    });
+  } catch (err) {
+    if (isAlreadyExists(err)) return; // redelivered: already counted
+    throw err;
   }
+  await runRef.update({
+    tasksDone: admin.firestore.FieldValue.increment(1),
+    ...counterIncrements(summary, admin.firestore.FieldValue.increment),
+  });
 
-  if (Array.isArray(json?.jobs)) return json.jobs;
-  if (Array.isArray(json)) return json;
-  return [];
+  const [run, done] = await Promise.all([runRef.get(), runRef.collection("feedResults").count().get()]);
+  if (done.data().count >= (run.get("tasksTotal") || 0)) await startScoringPhase(runRef);
 }
 
+exports.syncFeedTask = onTaskDispatched(
+  {
+    region: REGION,
+    retryConfig: SYNC_TASK_RETRY,
+    rateLimits: { maxConcurrentDispatches: FEED_CONCURRENCY },
+    timeoutSeconds: 300,
+    memory: "1GiB",
+    secrets: [OPENAI_API_KEY],
+  },
+  async (req) => {
+    const { runId, ownerUid, feedId, mirrors = [], nowMs, recentCutoffMs, ingestPrefs } = req.data || {};
+    const runRef = syncRunRef(runId);
+    const key = feedTaskKey(runId, ownerUid, feedId);
+    if ((await runRef.collection("feedResults").doc(key).get()).exists) return;
+
+    const now = admin.firestore.Timestamp.fromMillis(nowMs);
+    let result;
+    try {
+      const snap = await db.collection("users").doc(ownerUid).collection("feeds").doc(feedId).get();
+      if (snap.exists && snap.get("archivedAt") === null) {
+        result = await ingestFeeds({
+          fetches: [{ ownerUid, feed: { id: feedId, ...snap.data() }, mirrors }],
+          now,
+          recentCutoff: admin.firestore.Timestamp.fromMillis(recentCutoffMs),
+          ingestPrefs,
+        });
+      } else {
+        // Archived or deleted since the run was planned
+        result = {
+          ...emptySyncSummary(0),
+          feedResults: [feedRunResult({ ownerUid, feedId, ranAt: now, outcome: "skipped", error: "Feed archived or deleted" })],
+        };
+      }
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      // Let the queue retry; the last attempt is recorded so the run still finishes
+      if ((req.retryCount || 0) < SYNC_TASK_RETRY.maxAttempts - 1) throw err;
+      logger.error(`syncFeedTask gave up run=${runId} feedId=${feedId}: ${msg}`);
+      result = {
+        ...emptySyncSummary(1),
+        failedFeeds: 1,
+        feedResults: [feedRunResult({ ownerUid, feedId, ranAt: now, outcome: "failed", error: msg })],
+      };
+    }
+    await recordFeedTaskResult(runRef, key, { ownerUid, feedId, ...result });
+  }
+);
+
 /**
- * Paginated fetcher for Eightfold-based APIs (including Microsoft, PayPal, etc.).
- * Uses offset-based pagination (start=0, 10, 20, ...).
- * Stops early when jobs are older than recentCutoff to avoid unnecessary requests.
+ * Every board is in: sum the task results onto the run doc and enqueue one
+ * scoreUserTask per AI-enabled user with new jobs in their view.
  */
-async function fetchEightfoldJobsPaginated(baseUrl, recentCutoffMs) {
-  const PAGE_SIZE = 10;
-  const MAX_JOBS = 5000;
-  const allPositions = [];
-
-  // Parse URL and ensure start param can be manipulated
-  const urlObj = new URL(baseUrl);
-  let offset = parseInt(urlObj.searchParams.get("start") || "0", 10);
-
-  while (allPositions.length < MAX_JOBS) {
-    urlObj.searchParams.set("start", String(offset));
-    const json = await fetchJson(urlObj.toString());
-
-    const positions = json?.positions || json?.data?.positions;
-    if (!Array.isArray(positions) || positions.length === 0) break;
-
-    allPositions.push(...positions);
-
-    // Smart stop: if the oldest job on this page is older than our cutoff, stop
-    if (recentCutoffMs) {
-      const oldestOnPage = positions[positions.length - 1];
-      const oldestEpoch = oldestOnPage?.t_update || oldestOnPage?.postedTs || 0;
-      const oldestTs = oldestEpoch * 1000; // epoch seconds → ms
-      if (oldestTs > 0 && oldestTs < recentCutoffMs) {
-        logger.info(`Eightfold pagination: stopping at offset=${offset}, oldest job on page is past cutoff`);
-        break;
-      }
+async function startScoringPhase(runRef) {
+  if (!(await advanceRun(runRef, "RUNNING", "SCORING"))) return;
+
+  const [run, results] = await Promise.all([runRef.get(), runRef.collection("feedResults").get()]);
+  const summary = sumSyncSummaries(results.docs.map((d) => d.data()), run.get("feedsCount") || 0);
+  const jobs = results.docs.flatMap((d) => d.get("jobsToScore") || []);
+  const viewPlan = run.get("viewPlan") || { sharedKeys: [], viewKeys: {} };
+
+  let uids = [];
+  if (jobs.length > 0) {
+    uids = (await listAiEnabledUserIds()).filter((uid) => {
+      const keys = viewKeysFor(viewPlan, uid);
+      return jobs.some((j) => keys.has(j.companyKey));
+    });
+  }
+
+  await runRef.update({ ...summary, scoringTotal: uids.length, scoringDone: 0 });
+  if (uids.length === 0) {
+    await completeFanOutRun(runRef);
+    return;
+  }
+
+  const queue = taskQueue("scoreUserTask");
+  for (const uid of uids) {
+    try {
+      await queue.enqueue({ runId: runRef.id, uid }, { id: `${runRef.id}-score-${uid}` });
+    } catch (err) {
+      if (isAlreadyExists(err)) continue;
+      logger.error(`enqueue scoreUserTask failed userId=${uid}: ${err?.message || err}`);
+      await recordScoringResult(runRef, uid, String(err?.message || err));
     }
+  }
+}
+
+/** Mark one user's scoring done; the last one finishes the run. */
+async function recordScoringResult(runRef, uid, error = null) {
+  try {
+    await runRef.collection("scoring").doc(uid).create({ error, finishedAt: admin.firestore.Timestamp.now() });
+  } catch (err) {
+    if (isAlreadyExists(err)) return;
+    throw err;
+  }
+  await runRef.update({ scoringDone: admin.firestore.FieldValue.increment(1) });
 
-    // If we got fewer than PAGE_SIZE, we've reached the end
-    if (positions.length < PAGE_SIZE) break;
+  const [run, done] = await Promise.all([runRef.get(), runRef.collection("scoring").count().get()]);
+  if (done.data().count >= (run.get("scoringTotal") || 0)) await completeFanOutRun(runRef);
+}
+
+/** Job refs from a feed task, with descriptions read back from the corpus. */
+async function hydrateScoringJobs(refs) {
+  const jobsCol = db.collection("users").doc(ADMIN_UID).collection("jobs");
+  const docs = await readJobDocs(jobsCol, refs.map((r) => r.jobDocId), db);
+  return refs
+    .filter((r) => docs.has(r.jobDocId) && !docs.get(r.jobDocId).canonicalId)
+    .map((r) => ({ ...r, fullDescription: docs.get(r.jobDocId).fullDescription || null }));
+}
 
-    const totalCount = json?.count ?? json?.data?.count ?? Infinity;
-    offset += PAGE_SIZE;
-    if (offset >= totalCount) break;
+// One user at a time, like the old sequential fan-out, to stay within OpenAI rate limits
+exports.scoreUserTask = onTaskDispatched(
+  {
+    region: REGION,
+    retryConfig: SYNC_TASK_RETRY,
+    rateLimits: { maxConcurrentDispatches: 1 },
+    timeoutSeconds: 540,
+    memory: "1GiB",
+    secrets: [OPENAI_API_KEY],
+  },
+  async (req) => {
+    const { runId, uid } = req.data || {};
+    const runRef = syncRunRef(runId);
+    if ((await runRef.collection("scoring").doc(uid).get()).exists) return;
+
+    let error = null;
+    try {
+      const [run, results] = await Promise.all([runRef.get(), runRef.collection("feedResults").get()]);
+      const keys = viewKeysFor(run.get("viewPlan") || { sharedKeys: [], viewKeys: {} }, uid);
+      const refs = results.docs.flatMap((d) => d.get("jobsToScore") || []).filter((j) => keys.has(j.companyKey));
+      await scoreNewJobsForUser(uid, await hydrateScoringJobs(refs));
+    } catch (err) {
+      error = err instanceof Error ? err.message : String(err);
+      if ((req.retryCount || 0) < SYNC_TASK_RETRY.maxAttempts - 1) throw err;
+      logger.error(`scoreUserTask gave up run=${runId} userId=${uid}: ${error}`);
+    }
+    await recordScoringResult(runRef, uid, error);
   }
+);
 
-  logger.info(`Eightfold pagination: fetched ${allPositions.length} total positions`);
-  return allPositions;
+/** Rebuild the job views once, stamp the run DONE and notify. */
+async function completeFanOutRun(runRef) {
+  if (!(await advanceRun(runRef, "SCORING", "FINALIZING"))) return;
+
+  const run = (await runRef.get()).data();
+  const summary = summaryFromRun(run);
+  if (summary.jobsWritten > 0 || summary.jobsClosed > 0 || run.scoringTotal > 0) {
+    await rebuildJobViews(run.viewPlan || { viewKeys: {} });
+  }
+
+  const finishedAt = admin.firestore.Timestamp.now();
+  const durationMs = finishedAt.toMillis() - run.startedAt.toMillis();
+  await runRef.update({
+    status: "DONE",
+    ok: true,
+    finishedAt,
+    durationMs,
+    scanned: summary.jobsFetched,
+    updated: summary.jobsWritten,
+  });
+  await sendPushNotification(ADMIN_UID, summary, durationMs);
 }
 
-async function fetchJson(url, maxRetries = 2) {
-  let attempts = 0;
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        accept: "application/json,text/plain,*/*",
-        "user-agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+/** Close out fan-out runs whose tasks never all reported back. */
+async function expireStaleRuns(now) {
+  const snap = await db
+    .collection("users")
+    .doc(ADMIN_UID)
+    .collection("syncRuns")
+    .where("status", "in", ["RUNNING", "SCORING", "FINALIZING"])
+    .get();
+  await Promise.all(
+    snap.docs
+      .filter((d) => d.get("fanOut") === true && now.toMillis() - (d.get("startedAt")?.toMillis() || 0) > STALE_RUN_MS)
+      .map((d) => d.ref.update({
+        ok: false,
+        status: "STALE",
+        error: `Only ${d.get("tasksDone") || 0}/${d.get("tasksTotal") || 0} feed tasks and ${d.get("scoringDone") || 0}/${d.get("scoringTotal") || 0} scoring tasks reported back`,
+        finishedAt: now,
+      }))
+  );
+}
+
+/**
+ * ----------------------------
+ * FEED BACKFILL
+ * ----------------------------
+ */
+
+/**
+ * Ingest every open posting on one feed, whatever its age, and queue the
+ * new jobs for throttled scoring. Progress goes on the feed doc (`backfill`),
+ * the queue under its server-only state (lib/feedBackfill.cjs), and the run
+ * is logged to the corpus owner's syncRuns (the History page).
+ */
+async function runFeedBackfill({ ownerUid, feedId, source }) {
+  const feedRef = db.collection("users").doc(ownerUid).collection("feeds").doc(feedId);
+  const startedAt = admin.firestore.Timestamp.now();
+  const runRef = db.collection("users").doc(ADMIN_UID).collection("syncRuns").doc(String(startedAt.toMillis()));
+
+  await feedRef.update({
+    backfill: { state: "running", startedAt, finishedAt: null, jobsWritten: 0, scoreTotal: 0, scoreRemaining: 0, error: null },
+  });
+  await runRef.set({
+    ok: true,
+    userId: ownerUid,
+    source,
+    runType: "backfill",
+    status: "RUNNING",
+    startedAt,
+    ranAt: startedAt,
+    feedIds: [feedId],
+  });
+
+  try {
+    const summary = await syncFeeds({ now: startedAt, recentCutoff: null, feedIds: [feedId], ownerUid, backfill: true });
+    const { backfillJobIds = [], feedResults, ...counts } = summary;
+    await recordFeedResults(runRef, feedResults);
+    const finishedAt = admin.firestore.Timestamp.now();
+
+    const { status, queue } = backfillAfterIngest({ startedAt, now: finishedAt, jobsWritten: counts.jobsWritten, jobIds: backfillJobIds });
+    // Queue first: the drain starts on the "scoring" state
+    const queueRef = backfillQueueRef(ownerUid, feedId);
+    const qw = db.bulkWriter();
+    for (const id of queue) qw.set(queueRef.doc(id), { queuedAt: finishedAt });
+    await qw.close();
+    await feedRef.update({ backfill: status });
+    await runRef.set(
+      {
+        status: "DONE",
+        finishedAt,
+        durationMs: finishedAt.toMillis() - startedAt.toMillis(),
+        scanned: counts.jobsFetched,
+        updated: counts.jobsWritten,
+        ...counts,
+        jobsQueuedForScoring: backfillJobIds.length,
       },
+      { merge: true }
+    );
+    logger.info(`Backfill ownerUid=${ownerUid} feedId=${feedId}: ${counts.jobsWritten} jobs written, ${backfillJobIds.length} queued for scoring`);
+    return { ...counts, jobsQueuedForScoring: backfillJobIds.length };
+  } catch (e) {
+    const msg = e instanceof Error ? e.message : String(e);
+    logger.error(`Backfill failed ownerUid=${ownerUid} feedId=${feedId}: ${msg}`);
+    const finishedAt = admin.firestore.Timestamp.now();
+    await feedRef.update({ "backfill.state": "failed", "backfill.finishedAt": finishedAt, "backfill.error": msg });
+    await runRef.set(
+      { ok: false, status: "FAILED", error: msg, finishedAt, durationMs: finishedAt.toMillis() - startedAt.toMillis() },
+      { merge: true }
+    );
+    throw e;
+  }
+}
+
+/** A feed's backfill score queue, one doc per jobDocId. */
+const backfillQueueRef = (ownerUid, feedId) =>
+  db.collection(FEED_STATE_COLLECTION).doc(feedStateId(ownerUid, feedId)).collection(BACKFILL_QUEUE_COLLECTION);
+
+/**
+ * New feeds (anyone's) start with a backfill, so a company's existing
+ * openings show up right away instead of only the ones edited from now on.
+ */
+exports.backfillNewFeed = onDocumentCreated(
+  {
+    document: "users/{uid}/feeds/{feedId}",
+    region: REGION,
+    timeoutSeconds: 540,
+    memory: "1GiB",
+    maxInstances: 3,
+    secrets: [OPENAI_API_KEY],
+  },
+  async (event) => {
+    const { uid, feedId } = event.params;
+    if (event.data?.get("archivedAt") != null) return;
+    await runFeedBackfill({ ownerUid: uid, feedId, source: "backfillNewFeed" }).catch(() => {
+      // Logged and recorded on the feed doc; the admin can re-run it from the Feeds page
     });
+  }
+);
 
-    if (!resp.ok) {
-      if ((resp.status === 429 || resp.status === 403 || resp.status >= 500) && attempts < maxRetries) {
-        attempts++;
-        await new Promise((r) => setTimeout(r, 1500 * attempts));
-        continue;
+/**
+ * Scores backfilled jobs a batch per feed per run (BACKFILL_SCORE_BATCH),
+ * so a large board doesn't blow one invocation's time or the model's rate
+ * limit. Feeds in the "scoring" state are found by their doc; the jobs come
+ * from the server-only queue, never from the feed doc.
+ */
+exports.scoreBackfillQueue = onSchedule(
+  {
+    region: REGION,
+    schedule: "every 10 minutes",
+    timeZone: "America/Los_Angeles",
+    timeoutSeconds: 540,
+    memory: "512MiB",
+    maxInstances: 1,
+    secrets: [OPENAI_API_KEY],
+  },
+  async () => {
+    const pending = await db.collectionGroup("feeds").where("backfill.state", "==", "scoring").get();
+    if (pending.empty) return;
+
+    const plan = await loadFeedPlan();
+    const jobsCol = db.collection("users").doc(ADMIN_UID).collection("jobs");
+
+    for (const feedDoc of pending.docs) {
+      const owner = feedDoc.ref.parent.parent;
+      if (!owner) continue;
+      const queueRef = backfillQueueRef(owner.id, feedDoc.id);
+      try {
+        const queued = await queueRef.limit(BACKFILL_SCORE_BATCH).get();
+        const batch = queued.docs.map((d) => d.id);
+        const jobs = [];
+        const existing = await readJobDocs(jobsCol, batch, db);
+        for (const id of batch) {
+          const job = existing.get(id);
+          if (!job || job.status === JOB_STATUS.CLOSED || job.canonicalId) continue;
+          jobs.push({
+            jobDocId: id,
+            companyKey: job.companyKey,
+            source: job.source,
+            externalId: job.externalId,
+            feedUrl: feedDoc.get("url"),
+            jobUrl: job.jobUrl || null,
+            fullDescription: job.fullDescription || null,
+            geo: job.geo,
+          });
+        }
+        if (jobs.length > 0) await scoreJobsForSubscribers(plan, jobs);
+
+        const done = db.batch();
+        queued.docs.forEach((d) => done.delete(d.ref));
+        await done.commit();
+        const remaining = (await queueRef.count().get()).data().count;
+        await feedDoc.ref.update({ backfill: backfillAfterBatch(feedDoc.get("backfill"), remaining, admin.firestore.Timestamp.now()) });
+        logger.info(`scoreBackfillQueue: ${feedDoc.ref.path} scored ${jobs.length}, ${remaining} left`);
+      } catch (err) {
+        logger.warn(`scoreBackfillQueue: ${feedDoc.ref.path} failed: ${err?.message || err}`);
       }
-      const body = await safeReadText(resp);
-      throw new Error(`HTTP ${resp.status} ${resp.statusText} for ${url}. Body: ${(body || "").slice(0, 400)}`);
     }
-
-    return await resp.json();
-  }
-}
-
-async function safeReadText(resp) {
-  try {
-    return await resp.text();
-  } catch {
-    return "";
   }
-}
+);
 
 /**
  * ----------------------------
- * NORMALIZATION (MINIMAL)
- * - NO contentHtml, NO isRemote, NO applyUrl
+ * RESCORING
  * ----------------------------
+ * Scores follow the resume and rubric they were made from (lib/rescore.cjs):
+ * a change queues the user's stale open jobs, drained a batch per run.
  */
-function normalizeJobMinimal(rawJob, ctx) {
-  const { source, companyName, companyKey, now, url } = ctx;
-  if (!rawJob || typeof rawJob !== "object") return null;
-
-  if (source.includes("greenhouse")) {
-    const externalId =
-      rawJob.id != null ? String(rawJob.id)
-        : (rawJob.internal_job_id != null ? String(rawJob.internal_job_id) : null);
-
-    const jobUrl = rawJob.absolute_url ? String(rawJob.absolute_url) : null;
-    if (!externalId && !jobUrl) return null;
-
-    const title = rawJob.title ? String(rawJob.title) : null;
-    const locationName = rawJob?.location?.name ? String(rawJob.location.name) : null;
-
-    const sourceUpdatedIso = rawJob.updated_at ? String(rawJob.updated_at) : null;
-    const sourceUpdatedTs = toTimestampOrNull(sourceUpdatedIso) || now;
-
-    const locationTokens = extractLocationTokens(locationName || "");
-    const stateCodes = extractStateCodes(locationTokens);
-
-    const meta = simplifyMetadataArray(rawJob.metadata);
 
-    const jobDocId = makeJobDocId({
-      source: "greenhouse",
-      companyKey,
-      externalId: externalId || jobUrl,
+/**
+ * Queue a rescore of `uid`'s open jobs whose scores don't match their
+ * current resume and rubric, replacing any rescore still in progress.
+ * @returns {Promise<object | null>} the stored rescore status, or null if the user isn't scored
+ */
+async function requestRescore(uid, reason) {
+  const userRef = db.collection("users").doc(uid);
+  const [userDoc, resumeSnap, prefsSnap] = await Promise.all([
+    userRef.get(),
+    userRef.collection("resume").doc("profile").get(),
+    userRef.collection("settings").doc("preferences").get(),
+  ]);
+  if (uid !== ADMIN_UID && userDoc.get("aiAccess") !== true) return null;
+  const prefs = prefsSnap.exists ? prefsSnap.data() : null;
+  if (prefs?.aiScoringEnabled === false) return null;
+  const resumeText = resumeSnap.exists ? scoringResumeText(resumeSnap.data() || {}) : "";
+  if (!resumeText) return null;
+
+  const current = { resumeHash: resumeHashOf(resumeText), rubricVersion: rubricVersion(resolveScoringRubric(prefs)) };
+  const scoreSnap = await userRef.collection("jobScores").select("resumeHash", "rubricVersion", "source").get();
+  const scores = scoreSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  // Only what the plan needs, not the descriptions
+  const jobsCol = db.collection("users").doc(ADMIN_UID).collection("jobs");
+  const jobs = new Map();
+  for (let i = 0; i < scores.length; i += 300) {
+    const chunk = scores.slice(i, i + 300);
+    const snaps = await db.getAll(...chunk.map((s) => jobsCol.doc(s.id)), { fieldMask: ["status", "canonicalId", "firstSeenAt"] });
+    snaps.forEach((snap, idx) => {
+      jobs.set(chunk[idx].id, snap.exists
+        ? { status: snap.get("status"), canonicalId: snap.get("canonicalId") || null, firstSeenMs: snap.get("firstSeenAt")?.toMillis?.() || 0 }
+        : null);
     });
-
-    const rawDesc = rawJob.content || rawJob.description || "";
-    const fullDescription = stripHtml(rawDesc);
-
-    return {
-      jobDocId,
-      source: "greenhouse",
-      companyKey,
-      companyName,
-      externalId,
-      title,
-      jobUrl,
-      locationName,
-      locationTokens,
-      stateCodes,
-      sourceUpdatedTs,
-      sourceUpdatedIso,
-      meta,
-      fullDescription, // Save directly into Firestore
-      mapLocation: normalizeToMapLocation(locationName),
-    };
   }
 
-  if (source.includes("ashby")) {
-    const externalId =
-      rawJob.id != null ? String(rawJob.id)
-        : (rawJob.jobId != null ? String(rawJob.jobId) : null);
-
-    const jobUrl = rawJob.jobUrl ? String(rawJob.jobUrl) : (rawJob.url ? String(rawJob.url) : null);
-    if (!externalId && !jobUrl) return null;
-
-    const title = rawJob.title ? String(rawJob.title) : null;
-
-    const primaryLoc = rawJob.location ? String(rawJob.location) : null;
-    const secondary = Array.isArray(rawJob.secondaryLocations)
-      ? rawJob.secondaryLocations
-          .map(s => typeof s === "string" ? s : (s?.location ? String(s.location) : null))
-          .filter(Boolean)
-      : [];
-    const combinedLocation = [primaryLoc, ...secondary].filter(Boolean).join("; ");
-
-    // Skip non-US jobs
-    if (combinedLocation && NON_US_LOCATION_RE.test(combinedLocation)) return null;
-
-    const sourceUpdatedIso = rawJob.publishedAt ? String(rawJob.publishedAt) : null;
-    const sourceUpdatedTs = toTimestampOrNull(sourceUpdatedIso) || now;
-
-    const locationTokens = extractLocationTokens(combinedLocation || "");
-    const stateCodes = extractStateCodes(locationTokens);
-
-    const meta = {};
-    if (rawJob.employmentType != null) meta["Employment Type"] = rawJob.employmentType;
-    if (rawJob.department != null) meta["Department"] = rawJob.department;
-    if (rawJob.team != null) meta["Team"] = rawJob.team;
-
-    // Ashby listings include the full JD in the feed response
-    const rawDesc = rawJob.descriptionHtml || rawJob.descriptionPlain || rawJob.description || "";
-    const fullDescription = stripHtml(rawDesc);
-
-    const jobDocId = makeJobDocId({
-      source: "ashbyhq",
-      companyKey,
-      externalId: externalId || jobUrl,
-    });
+  const now = admin.firestore.Timestamp.now();
+  const rescore = newRescore({ reason, queue: planRescore(scores, jobs, current), now });
+  await userRef.collection("aggregations").doc("scoringStatus").set({ current, rescore, updatedAt: now }, { merge: true });
+  logger.info(`requestRescore: userId=${uid} reason=${reason} queued ${rescore.total}/${scores.length} scores`);
+  return rescore;
+}
 
-    return {
-      jobDocId,
-      source: "ashbyhq",
-      companyKey,
-      companyName,
-      externalId,
-      title,
-      jobUrl,
-      locationName: combinedLocation || primaryLoc || null,
-      locationTokens,
-      stateCodes,
-      workplaceType: rawJob.workplaceType || null,
-      isRemote: rawJob.isRemote != null ? Boolean(rawJob.isRemote) : null,
-      sourceUpdatedTs,
-      sourceUpdatedIso,
-      meta,
-      fullDescription,
-      mapLocation: normalizeToMapLocation(combinedLocation || primaryLoc || null),
-    };
+/** A re-uploaded or edited resume queues a rescore when the text scoring sees changed. */
+exports.rescoreOnResumeChange = onDocumentWritten(
+  { document: "users/{uid}/resume/profile", region: REGION, timeoutSeconds: 120, memory: "512MiB" },
+  async (event) => {
+    const before = event.data?.before;
+    const after = event.data?.after;
+    if (!after?.exists) return;
+    const hashOf = (snap) => (snap?.exists ? resumeHashOf(scoringResumeText(snap.data() || {})) : null);
+    if (hashOf(before) === hashOf(after)) return;
+    try {
+      await requestRescore(event.params.uid, "resume");
+    } catch (err) {
+      logger.warn(`rescoreOnResumeChange failed userId=${event.params.uid}: ${err?.message || err}`);
+    }
   }
+);
 
-  if (
-    source.includes("eightfold") ||
-    source.includes("microsoft") ||
-    source.includes("paypal") ||
-    source.includes("netflix")
-  ) {
-    const externalId = rawJob.id != null ? String(rawJob.id)
-      : (rawJob.displayJobId != null ? String(rawJob.displayJobId) : null);
-
-    let domain = "careers.microsoft.com";
+/** A saved rubric that compiles to another version queues a rescore. */
+exports.rescoreOnRubricChange = onDocumentWritten(
+  { document: "users/{uid}/settings/preferences", region: REGION, timeoutSeconds: 120, memory: "512MiB" },
+  async (event) => {
+    const versionOf = (snap) => rubricVersion(resolveScoringRubric(snap?.exists ? snap.data() : null));
+    if (!event.data?.after?.exists || versionOf(event.data.before) === versionOf(event.data.after)) return;
     try {
-      if (url) {
-        const urlObj = new URL(url);
-        domain = urlObj.hostname;
-      }
-    } catch (e) {
-      // fallback
+      await requestRescore(event.params.uid, "rubric");
+    } catch (err) {
+      logger.warn(`rescoreOnRubricChange failed userId=${event.params.uid}: ${err?.message || err}`);
     }
-
-    const jobUrl = rawJob.canonicalPositionUrl || (rawJob.positionUrl
-      ? `https://${domain}${rawJob.positionUrl}`
-      : null);
-    if (!externalId && !jobUrl) return null;
-
-    const title = rawJob.name ? String(rawJob.name) : null;
-
-    // Combine locations array into a single string
-    const locationsArr = Array.isArray(rawJob.locations) ? rawJob.locations : [];
-    const standardizedArr = Array.isArray(rawJob.standardizedLocations) ? rawJob.standardizedLocations : [];
-    const locationName = locationsArr.join("; ") || null;
-
-    // postedTs / t_update is epoch seconds
-    const updatedEpoch = rawJob.t_update || rawJob.postedTs || 0;
-    const sourceUpdatedTs = updatedEpoch
-      ? admin.firestore.Timestamp.fromDate(new Date(updatedEpoch * 1000))
-      : now;
-    const sourceUpdatedIso = updatedEpoch
-      ? new Date(updatedEpoch * 1000).toISOString()
-      : null;
-
-    // Use standardized locations as tokens (contains city, state abbrev, country)
-    const allLocTokens = [...locationsArr, ...standardizedArr];
-    const locationTokens = extractLocationTokens(allLocTokens.join("; "));
-    const stateCodes = extractStateCodes(locationTokens);
-
-    const meta = {};
-    if (rawJob.department) meta["Department"] = rawJob.department;
-    if (rawJob.workLocationOption) meta["Work Location"] = rawJob.workLocationOption;
-    if (rawJob.displayJobId) meta["Job ID"] = rawJob.displayJobId;
-
-    const sourceName = "eightfold";
-    const jobDocId = makeJobDocId({
-      source: sourceName,
-      companyKey,
-      externalId: externalId || jobUrl,
-    });
-
-    return {
-      jobDocId,
-      source: sourceName,
-      companyKey,
-      companyName,
-      externalId,
-      title,
-      jobUrl,
-      locationName,
-      locationTokens,
-      stateCodes,
-      sourceUpdatedTs,
-      sourceUpdatedIso,
-      meta,
-      mapLocation: normalizeToMapLocation(locationName),
-    };
   }
+);
 
-  return null;
+/**
+ * The board URL a stored job came from: `feedUrl` on the job, else (jobs
+ * written before it was stored) the url of its canonical feed, whose id is
+ * the job's companyKey. `cache` holds one lookup per feed.
+ */
+function jobFeedUrl(job, cache) {
+  if (job.feedUrl) return job.feedUrl;
+  if (!job.companyKey) return null;
+  const owner = job.feedOwner || ADMIN_UID;
+  const key = `${owner}/${job.companyKey}`;
+  if (!cache.has(key)) {
+    cache.set(
+      key,
+      db.collection("users").doc(owner).collection("feeds").doc(String(job.companyKey)).get()
+        .then((snap) => snap.get("url") || null)
+        .catch(() => null)
+    );
+  }
+  return cache.get(key);
 }
 
-function simplifyMetadataArray(metadata) {
-  if (!Array.isArray(metadata)) return {};
-  const out = {};
-  for (const m of metadata) {
-    if (!m || typeof m !== "object") continue;
-    const name = m.name != null ? String(m.name) : null;
-    if (!name) continue;
-    out[name] = m.value ?? null;
+/**
+ * Works through queued rescores a batch per user per run (RESCORE_BATCH),
+ * newest jobs first, so a resume change doesn't spend a whole corpus of
+ * model calls at once.
+ */
+exports.drainRescoreQueue = onSchedule(
+  {
+    region: REGION,
+    schedule: "every 10 minutes",
+    timeZone: "America/Los_Angeles",
+    timeoutSeconds: 540,
+    memory: "512MiB",
+    maxInstances: 1,
+    secrets: [OPENAI_API_KEY],
+  },
+  async () => {
+    const pending = await db.collectionGroup("aggregations").where("rescore.state", "in", ["queued", "running"]).get();
+    if (pending.empty) return;
+
+    const jobsCol = db.collection("users").doc(ADMIN_UID).collection("jobs");
+    const feedUrls = new Map();
+    for (const statusDoc of pending.docs) {
+      if (statusDoc.id !== "scoringStatus") continue;
+      const uid = statusDoc.ref.parent.parent.id;
+      const rescore = statusDoc.get("rescore");
+      const { batch, next } = takeRescoreBatch(rescore, admin.firestore.Timestamp.now());
+      let update = { rescore: next };
+      try {
+        await statusDoc.ref.update({ "rescore.state": "running" });
+        const existing = await readJobDocs(jobsCol, batch, db);
+        const jobs = [];
+        for (const id of batch) {
+          const job = existing.get(id);
+          if (!job || job.status === JOB_STATUS.CLOSED || job.canonicalId) continue;
+          jobs.push({
+            jobDocId: id,
+            companyKey: job.companyKey,
+            source: job.source,
+            externalId: job.externalId,
+            feedUrl: await jobFeedUrl(job, feedUrls),
+            jobUrl: job.jobUrl || null,
+            fullDescription: job.fullDescription || null,
+            geo: job.geo,
+          });
+        }
+        if (jobs.length > 0) await scoreNewJobsForUser(uid, jobs, { rescore: true });
+        logger.info(`drainRescoreQueue: userId=${uid} rescored ${jobs.length}, ${next.queue.length} left`);
+      } catch (err) {
+        const msg = String(err?.message || err);
+        logger.warn(`drainRescoreQueue: userId=${uid} failed: ${msg}`);
+        update = { rescore: { ...rescore, state: "failed", error: msg, finishedAt: admin.firestore.Timestamp.now() } };
+      }
+
+      // A newer request replaced this rescore while the batch ran; leave it be
+      await db.runTransaction(async (tx) => {
+        const latest = await tx.get(statusDoc.ref);
+        if (!latest.get("rescore.requestedAt")?.isEqual?.(rescore.requestedAt)) return;
+        tx.update(statusDoc.ref, update);
+      });
+    }
   }
-  return out;
-}
+);
 
 /**
  * ----------------------------
- * LOCATION FILTERING
+ * EXCLUSION RULES
  * ----------------------------
  */
-function normalizeText(s) {
-  return String(s)
-    .toLowerCase()
-    .replace(/[().]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
 
-function extractLocationTokens(locationString) {
-  const raw = String(locationString || "").trim();
-  if (!raw) return [];
-  const pieces = raw
-    .split(LOCATION_SPLIT_REGEX)
-    .map((p) => p.trim())
-    .filter(Boolean);
+// Matches listed back to the Profile page by a preview
+const EXCLUSION_PREVIEW_SAMPLE = 100;
 
-  const tokens = new Set([raw, ...pieces]);
-  return Array.from(tokens);
-}
-
-function extractStateCodes(tokens) {
-  const found = new Set();
-  for (const t of tokens || []) {
-    const upper = String(t).toUpperCase();
-    const matches = upper.match(/\b[A-Z]{2}\b/g) || [];
-    for (const code of matches) {
-      if (NORM.abbr.has(code)) found.add(code);
+/**
+ * Apply the exclusion rules (lib/exclusionRules.cjs) to jobs already in the
+ * corpus. { dryRun: true } (the default) only reports what would go and may
+ * try unsaved `rules` from the settings form; { dryRun: false } deletes the
+ * matches under the saved rules and rebuilds the job views. Jobs someone
+ * tracked or applied to are always kept.
+ */
+exports.purgeExcludedJobs = onCall(
+  { region: REGION, timeoutSeconds: 540, memory: "1GiB", maxInstances: 1, enforceAppCheck: false },
+  async (request) => {
+    if (!request.auth || request.auth.uid !== ADMIN_UID) {
+      throw new HttpsError("permission-denied", "Only the admin can purge jobs.");
+    }
+    const dryRun = request.data?.dryRun !== false;
+
+    const prefsSnap = await db.collection("users").doc(ADMIN_UID).collection("settings").doc("preferences").get();
+    const rules = dryRun && request.data?.rules
+      ? resolveExclusionRules({ exclusionRules: request.data.rules })
+      : resolveExclusionRules(prefsSnap.exists ? prefsSnap.data() : null);
+    const invalid = RULE_LISTS.flatMap((key) => invalidPatterns(rules[key]));
+    const exclusion = compileExclusionRules(rules);
+    if (!exclusion.active) return { dryRun, matched: 0, removed: 0, keptTracked: 0, byRule: {}, sample: [], invalid };
+
+    const jobsCol = db.collection("users").doc(ADMIN_UID).collection("jobs");
+    const snap = await jobsCol
+      .select("title", "companyName", "companyKey", "department", "meta", "status", "tracked", "autoApplied", "appliedAt", "lastAppliedAt")
+      .get();
+
+    const matches = [];
+    const byRule = {};
+    let keptTracked = 0;
+    for (const d of snap.docs) {
+      const job = d.data();
+      const hit = exclusion.match(job);
+      if (!hit) continue;
+      if (isTrackedJob(job)) {
+        keptTracked += 1;
+        continue;
+      }
+      byRule[hit.rule] = (byRule[hit.rule] || 0) + 1;
+      matches.push({ jobDocId: d.id, title: job.title || null, companyName: job.companyName || null, status: job.status || null, ...hit });
     }
-  }
-  return Array.from(found);
-}
-
-function jobMatchesLocationFilter(job) {
-  const tokens = Array.isArray(job.locationTokens) ? job.locationTokens : [];
-  if (tokens.length === 0) return false;
-  for (const t of tokens) {
-    if (locationTokenMatches(t)) return true;
-  }
-  return false;
-}
 
-function locationTokenMatches(token) {
-  const raw = String(token || "");
-  if (!raw) return false;
-  const n = normalizeText(raw);
+    const sample = [...matches]
+      .sort((a, b) => String(a.companyName).localeCompare(String(b.companyName)) || String(a.title).localeCompare(String(b.title)))
+      .slice(0, EXCLUSION_PREVIEW_SAMPLE);
 
-  if (NORM.remote.has(n)) return true;
+    if (dryRun || matches.length === 0) {
+      return { dryRun, matched: matches.length, removed: 0, keptTracked, byRule, sample, invalid };
+    }
 
-  for (const city of NORM.cities) {
-    if (n.includes(city)) return true;
+    // Each job goes with its revisions subcollection (TTL doesn't cascade)
+    const bw = db.bulkWriter();
+    bw.onWriteError((err) => {
+      logger.error("purgeExcludedJobs delete failed:", err);
+      return false;
+    });
+    const deleter = pLimit(20);
+    let failed = 0;
+    await Promise.all(matches.map((m) => deleter(() =>
+      db.recursiveDelete(jobsCol.doc(m.jobDocId), bw).catch(() => { failed += 1; })
+    )));
+    await bw.close();
+    const removed = matches.length - failed;
+    logger.info(`purgeExcludedJobs: removed ${removed} jobs (${JSON.stringify(byRule)})${failed ? `, ${failed} failed` : ""}`);
+
+    await rebuildJobViews(await loadFeedPlan(), { full: true });
+    return { dryRun, matched: matches.length, removed, keptTracked, byRule, sample, invalid };
   }
+);
 
-  for (const st of NORM.states) {
-    if (n.includes(st)) return true;
-  }
+/**
+ * ----------------------------
+ * FEED SUBSCRIPTIONS
+ * ----------------------------
+ */
+
+/**
+ * Every active feed (the admin's catalog plus each user's own) and every
+ * user's catalog subscriptions, planned into one fetch per distinct board.
+ * Also carries `ingestPrefs`, the run's location filter, so the preferences
+ * are read once per run.
+ */
+async function loadFeedPlan() {
+  // Only live feeds are read; archived ones (and any without the field) cost nothing
+  const [feedsSnap, prefDocs] = await Promise.all([
+    db.collectionGroup("feeds").where("archivedAt", "==", null).get(),
+    loadPreferenceDocs(),
+  ]);
+
+  const catalog = [];
+  const userFeeds = [];
+  feedsSnap.forEach((d) => {
+    const owner = d.ref.parent.parent;
+    if (!owner || owner.parent.id !== "users") return;
+    const feed = { id: d.id, ...d.data() };
+    if (owner.id === ADMIN_UID) catalog.push(feed);
+    else userFeeds.push({ ownerUid: owner.id, feed });
+  });
 
-  const abbrMatches = raw.toUpperCase().match(/\b[A-Z]{2}\b/g) || [];
-  for (const abbr of abbrMatches) {
-    if (NORM.abbr.has(abbr)) return true;
+  const subscriptions = {};
+  for (const { uid, prefs } of prefDocs) {
+    if (uid !== ADMIN_UID) subscriptions[uid] = resolveFeedSubscriptions(prefs);
   }
 
-  return false;
+  return {
+    ...planFeedFetches({ corpusUid: ADMIN_UID, catalog, userFeeds, subscriptions }),
+    ingestPrefs: ingestLocationPrefs(prefDocs),
+  };
 }
 
 /**
- * ----------------------------
- * TIME + IDS + TTL
- * ----------------------------
+ * settings/preferences docs that set feedSubscriptions or a location filter,
+ * as { uid, prefs }. Other users are on the defaults for both, so the
+ * settings docs are queried on those fields (collection-group indexes in
+ * firestore.indexes.json) instead of read in full.
  */
-function toTimestampOrNull(isoOrDateString) {
-  if (!isoOrDateString) return null;
-  try {
-    const d = new Date(isoOrDateString);
-    if (Number.isNaN(d.getTime())) return null;
-    return admin.firestore.Timestamp.fromDate(d);
-  } catch {
-    return null;
+async function loadPreferenceDocs() {
+  const settings = db.collectionGroup("settings");
+  const snaps = await Promise.all([
+    settings.where("feedSubscriptions", "!=", null).get(),
+    settings.where("locationFilter", "!=", null).get(),
+  ]);
+  const byPath = new Map();
+  for (const d of snaps.flatMap((s) => s.docs)) {
+    const owner = d.ref.parent.parent;
+    if (d.id !== "preferences" || !owner || owner.parent.id !== "users") continue;
+    byPath.set(d.ref.path, { uid: owner.id, prefs: d.data() });
   }
+  return [...byPath.values()];
 }
 
-function addDaysTs(ts, days) {
-  const d = ts.toDate ? ts.toDate() : new Date();
-  return admin.firestore.Timestamp.fromDate(new Date(d.getTime() + days * 24 * 60 * 60 * 1000));
+/** Deletes for the sync state feed docs carried before lib/feedState.cjs. */
+const dropLegacyFeedFields = () =>
+  Object.fromEntries(LEGACY_FEED_FIELDS.map((field) => [field, admin.firestore.FieldValue.delete()]));
+
+/** Copy a canonical feed's status onto the other users' docs for the same board. */
+async function mirrorFeedStatus(mirrors, status) {
+  await Promise.all(
+    mirrors.map(({ ownerUid, feedId }) =>
+      db.collection("users").doc(ownerUid).collection("feeds").doc(feedId).set(status, { merge: true })
+        .catch((err) => logger.warn(`mirror status failed ownerUid=${ownerUid} feedId=${feedId}: ${err?.message}`))
+    )
+  );
 }
 
-function makeJobDocId({ source, companyKey, externalId }) {
-  const base = `${String(source)}|${String(companyKey)}|${String(externalId)}`;
-  return sanitizeId(base);
+/** Rebuild recentJobs / allJobs / companyStats for users with their own feed selection. */
+async function rebuildPersonalViews(plan) {
+  try {
+    const { rebuildPersonalJobs } = require("./lib/recentJobs.cjs");
+    const n = await rebuildPersonalJobs(ADMIN_UID, plan.viewKeys);
+    if (n > 0) logger.info(`personal job views rebuilt for ${n} users`);
+  } catch (err) {
+    logger.warn(`personal job views rebuild failed: ${err?.message || err}`);
+  }
 }
 
-function sanitizeId(s) {
-  const clean = s
-    .toLowerCase()
-    .replace(/https?:\/\//g, "")
-    .replace(/[^\w|.-]+/g, "_")
-    .replace(/\|+/g, "|")
-    .slice(0, 150);
-
-  const checksum = simpleChecksum(s);
-  return `${clean}_${checksum}`;
+/**
+ * Returns the set of users who should have AI scoring run for them on the
+ * next sync. Admin is always included (AI is always on for admin). Other
+ * users must have `aiAccess === true` on their user doc — admin grants this
+ * from the Users page. New signups default to `aiAccess: false`.
+ */
+async function listAiEnabledUserIds() {
+  const snap = await db.collection("users").get();
+  const uids = new Set([ADMIN_UID]);
+  snap.forEach((d) => {
+    if (d.id === ADMIN_UID) return;
+    if (d.data()?.aiAccess === true) uids.add(d.id);
+  });
+  return Array.from(uids);
 }
 
-function simpleChecksum(s) {
-  let h = 0;
-  for (let i = 0; i < s.length; i++) {
-    h = (h * 31 + s.charCodeAt(i)) >>> 0;
+/**
+ * ----------------------------
+ * LOCATION FILTERING
+ * ----------------------------
+ */
+
+/**
+ * The filter the sync ingests with: the union of every user's location
+ * preference (lib/locationPrefs.cjs), always including the defaults for users
+ * who never set one. Each user's view and scoring narrow it further.
+ * @param {{ uid: string, prefs: object }[]} prefDocs - from loadPreferenceDocs()
+ */
+function ingestLocationPrefs(prefDocs) {
+  const all = [resolveLocationPrefs(null)];
+  for (const { prefs } of prefDocs) {
+    if (prefs.locationFilter) all.push(resolveLocationPrefs(prefs));
   }
-  return h.toString(16);
+  return mergeLocationPrefs(all);
 }
 
 /**
@@ -1370,96 +2177,14 @@ function simpleChecksum(s) {
  */
 
 /**
- * Strip HTML tags from a string cleanly.
- */
-function stripHtml(html) {
-  if (!html) return "";
-  return String(html)
-    .replace(/<\/?(p|li|h[1-6]|br|div|ul|ol)[^>]*>/gi, "\n")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">")
-    .replace(/&nbsp;/g, " ").replace(/&#43;/g, "+").replace(/&[a-z]+;/gi, " ")
-    .replace(/\n{3,}/g, "\n\n")
-    .replace(/[ \t]{2,}/g, " ")
-    .trim()
-    .slice(0, 4000);
-}
-
-/**
- * Fetch a job description from the ATS-specific endpoint.
+ * Fetch a job description via the job's source adapter.
  * Returns plain text or null on failure.
  */
 async function fetchJobDescription(source, externalId, feedUrl, descriptionHint) {
+  const adapter = getAdapter(source);
+  if (!adapter) return null;
   try {
-    // Ashby: description already captured from feed listing
-    if (source === "ashbyhq" && descriptionHint) {
-      return descriptionHint.slice(0, 4000);
-    }
-
-    if (source === "greenhouse") {
-      // Try API feed URL: https://boards-api.greenhouse.io/v1/boards/{slug}/jobs
-      let slug = null;
-      const apiMatch = feedUrl.match(/boards-api\.greenhouse\.io\/v1\/boards\/([^/?#]+)/i);
-      if (apiMatch) slug = apiMatch[1];
-
-      // Fallback: jobUrl format: https://boards.greenhouse.io/{slug}/jobs/{id}
-      if (!slug) {
-        const jobMatch = feedUrl.match(/boards\.greenhouse\.io\/([^/?#]+)\/jobs/i);
-        if (jobMatch) slug = jobMatch[1];
-      }
-
-      if (!slug || !externalId) return null;
-
-      // Greenhouse IDs in normalized feed look like "7743800_5ca2b88". API only accepts "7743800"
-      const realId = String(externalId).split("_")[0];
-
-      const url = `https://boards-api.greenhouse.io/v1/boards/${slug}/jobs/${realId}`;
-      const json = await fetchJson(url);
-      const raw = json?.content || json?.description || "";
-      return stripHtml(raw);
-    }
-
-    if (source === "eightfold") {
-      if (!externalId) return null;
-
-      // ── Netflix: has its own backend separate from standard Eightfold ──
-      // Feed URL: https://explore.jobs.netflix.net/api/apply/v2/jobs?...
-      // Detail:   https://explore.jobs.netflix.net/api/apply/v2/jobs/<id>?domain=netflix.com
-      if (feedUrl.includes("netflix")) {
-        const url = `https://explore.jobs.netflix.net/api/apply/v2/jobs/${externalId}?domain=netflix.com`;
-        const json = await fetchJson(url);
-        const raw = json?.job_description || "";
-        return raw ? stripHtml(raw) : null;
-      }
-
-      // ── Standard Eightfold companies (BNY Mellon, Microsoft, Morgan Stanley, Nvidia, etc.) ──
-      // Every Eightfold feed URL already contains ?domain=<company>.com — extract it directly.
-      // This means ANY new Eightfold company added to feeds will work without code changes.
-      let apiBase = "";
-      let domain = "";
-      try {
-        const u = new URL(feedUrl);
-        apiBase = `${u.protocol}//${u.hostname}`;
-
-        // Best source: the domain= param already embedded in the feed URL
-        // e.g. https://bnymellon.eightfold.ai/api/pcsx/search?domain=bnymellon.com → "bnymellon.com"
-        domain = u.searchParams.get("domain") ||
-          // Fallback: strip .eightfold.ai suffix
-          u.hostname.replace(/\.eightfold\.ai$/, ".com");
-      } catch (_) {
-        return null;
-      }
-
-      if (!apiBase || !domain) return null;
-
-      // pcsx/position_details is the canonical detail endpoint for all Eightfold companies
-      const url = `${apiBase}/api/pcsx/position_details?position_id=${externalId}&domain=${domain}&hl=en`;
-      const json = await fetchJson(url);
-      const raw = json?.data?.jobDescription || "";
-      return raw ? stripHtml(raw) : null;
-    }
-
-    return null;
+    return await adapter.describe({ externalId, feedUrl, descriptionHint });
   } catch (err) {
     logger.warn(`fetchJobDescription failed source=${source} externalId=${externalId}: ${err?.message}`);
     return null;
@@ -1467,47 +2192,84 @@ async function fetchJobDescription(source, externalId, feedUrl, descriptionHint)
 }
 
 /**
- * Score a single job against a resume using OpenAI.
- * Returns { score: number, reason: string } or null.
+ * ----------------------------
+ * SALARY AI FALLBACK
+ * ----------------------------
  */
-async function scoreJobWithAI(jobTitle, jobDescription, resumeText) {
-  const systemPrompt = `You are a technical recruiting expert. Score this job's relevance for the candidate. Be fast and decisive.
 
-SCORING RUBRIC (apply in order — first match wins):
+// Keeps the opt-in fallback cheap on runs that ingest a whole new board
+const SALARY_AI_MAX_PER_RUN = 25;
 
-HARD CAPS (override everything else):
-- Title has "Intern", "New Grad", "PhD Intern", "University Graduate", "Co-op" → score 0-20
-- Title has "Product Manager", "Program Manager", "Data Scientist", "Analyst", "Sales", "Marketing", "Finance", "Recruiter", "Designer" → score 0-15
-- Title has "Principal", "Distinguished", "VP", "Director", "Head of", "C-level" → score 0-30
-
-SCORE BANDS:
-- 85-100: Core tech stack is a strong match AND right seniority level (SWE 0-8 yrs)
-- 65-84: Good overlap, 1-2 missing but learnable tools
-- 40-64: Partial match — right field but tech stack gaps
-- 20-39: Weak match — misaligned role OR requires 10+ years experience not in resume
-- 0-19: Wrong field entirely
+/**
+ * Ask the model for the pay range of jobs whose description mentions pay in a
+ * shape the deterministic parser missed. Answers are validated by
+ * normalizeSalary and written with source "ai".
+ */
+async function extractSalariesWithAI(jobsCol, candidates) {
+  const ai = aiProvider();
+  const limit = pLimit(3);
+  let found = 0;
+
+  await Promise.all(
+    candidates.slice(0, SALARY_AI_MAX_PER_RUN).map((job) =>
+      limit(async () => {
+        try {
+          const completion = await ai.chat.completions.create(
+            {
+              model: ai.model("salary"),
+              max_tokens: 80,
+              temperature: 0,
+              response_format: { type: "json_object" },
+              messages: [
+                {
+                  role: "system",
+                  content: "Extract the base pay range stated in a job posting. Ignore bonuses, funding, revenue and benefits. " +
+                    "Reply with ONLY valid JSON: {\"min\": <number|null>, \"max\": <number|null>, " +
+                    "\"currency\": \"<ISO 4217>\", \"period\": \"year|month|week|day|hour\"}. Use nulls when no pay is stated.",
+                },
+                { role: "user", content: `## Job Title\n${job.title}\n\n## Job Description\n${String(job.fullDescription).slice(0, 6000)}` },
+              ],
+            },
+            { timeout: 30000 }
+          );
+          const raw = completion.choices?.[0]?.message?.content?.trim() || "";
+          const jsonMatch = raw.match(/\{[\s\S]*\}/);
+          if (!jsonMatch) return;
+          const salary = normalizeSalary({ ...JSON.parse(jsonMatch[0]), source: "ai" });
+          if (!salary) return;
+          await jobsCol.doc(job.jobDocId).update({ salary });
+          found += 1;
+        } catch (err) {
+          logger.warn(`salary AI fallback failed for ${job.jobDocId}: ${err?.message}`);
+        }
+      })
+    )
+  );
 
-KEY RULES:
-- Ignore lack of domain knowledge (AdTech, FinTech, HealthTech) if core SWE skills match — engineers learn domains
-- Judge primarily on: languages, frameworks, cloud tools, system design experience
-- Be decisive. Do not hedge with mid-range scores like 50 unless truly uncertain
+  logger.info(`salary AI fallback: ${found}/${Math.min(candidates.length, SALARY_AI_MAX_PER_RUN)} extracted`);
+}
 
-## Candidate Resume
-${resumeText}`;
+/**
+ * Score a single job against a resume with the AI provider, under the user's
+ * rubric (lib/scoringRubric.cjs; hard caps are enforced by the caller).
+ * Returns { score, reason, breakdown, matched, missing } (lib/scoreBreakdown.cjs) or null.
+ */
+async function scoreJobWithAI(jobTitle, jobDescription, resumeText, rubric = resolveScoringRubric(null), jobFacts = "") {
+  const systemPrompt = buildScoringPrompt(rubric, resumeText);
 
   const userPrompt = `## Job Title
 ${jobTitle}
 
 ## Job Description
 ${jobDescription}
+${jobFacts ? `\n## Job Details\n${jobFacts}\n` : ""}
+${SCORE_REPLY_FORMAT}`;
 
-Reply with ONLY valid JSON: {"score": <0-100>, "reason": "<15 words max>"}`;
-
-  const client = requireOpenAI();
-  const completion = await client.chat.completions.create(
+  const ai = aiProvider();
+  const completion = await ai.chat.completions.create(
     {
-      model: OPENAI_FAST_MODEL,
-      max_tokens: 120,
+      model: ai.model("scoring"),
+      max_tokens: 400,
       temperature: 0,
       response_format: { type: "json_object" },
       messages: [
@@ -1529,15 +2291,120 @@ Reply with ONLY valid JSON: {"score": <0-100>, "reason": "<15 words max>"}`;
   }
   const score = Math.max(0, Math.min(100, Math.round(Number(parsed.score))));
   if (Number.isNaN(score)) return null;
-  return { score, reason: String(parsed.reason || "").slice(0, 120) };
+  return { score, reason: String(parsed.reason || "").slice(0, 120), ...parseScoreBreakdown(parsed) };
+}
+
+/**
+ * Compact resume text for the scoring prompt; also what the resume
+ * embedding is computed from, so both see the same resume.
+ */
+function scoringResumeText(resumeProfile) {
+  return [
+    resumeProfile.summary ? `Summary: ${resumeProfile.summary}` : "",
+    resumeProfile.skills?.length ? `Skills: ${resumeProfile.skills.slice(0, 40).join(", ")}` : "",
+    resumeProfile.roles?.length
+      ? `Experience:\n${resumeProfile.roles.slice(0, 4).map((r) => `  - ${r.title} at ${r.company}: ${(r.description || "").slice(0, 200)}`).join("\n")}`
+      : "",
+    resumeProfile.education?.length
+      ? `Education: ${resumeProfile.education.map((e) => `${e.degree} at ${e.institution}`).join("; ")}`
+      : "",
+    resumeProfile.projects?.length
+      ? `Projects: ${resumeProfile.projects.slice(0, 3).map((p) => `${p.name} (${p.techStack})`).join("; ")}`
+      : "",
+  ].filter(Boolean).join("\n").slice(0, 15000);
+}
+
+/**
+ * ----------------------------
+ * EMBEDDINGS
+ * ----------------------------
+ * Prefilter for AI scoring (lib/embeddings.cjs): vectors cached by text hash.
+ */
+
+const jobEmbeddingsCol = () => db.collection("users").doc(ADMIN_UID).collection("jobEmbeddings");
+
+const embeddingOpts = (ai) => ({ openai: ai, model: ai.model("embeddings") });
+
+/** Embed new job texts into the shared cache (sync time). */
+async function embedJobs(items) {
+  const vectors = await ensureEmbeddings(jobEmbeddingsCol(), items, embeddingOpts(aiProvider()), db);
+  return vectors.size;
+}
+
+/** A user's resume vector, embedded only when the resume text changed. */
+async function embedResume(userId, resumeText, ai = aiProvider()) {
+  const col = db.collection("users").doc(userId).collection("embeddings");
+  const vectors = await ensureEmbeddings(col, [{ id: "resume", text: resumeText.slice(0, EMBEDDING_MAX_CHARS) }], embeddingOpts(ai), db);
+  return vectors.get("resume") || null;
 }
 
+/**
+ * Rank a user's unscored jobs against their resume. Jobs without a stored
+ * description can't be ranked and go to the model as before (it fetches
+ * their JD); of the rest only planAiScoring's picks do.
+ * @returns {Promise<{ aiJobs: object[], estimated: object[] }>}
+ */
+async function prefilterByEmbedding(userId, resumeText, jobs, titles, prefs) {
+  const ai = aiProvider();
+  const ranked = jobs.filter((j) => j.fullDescription);
+  const [resumeVector, jobVectors] = await Promise.all([
+    embedResume(userId, resumeText, ai),
+    ensureEmbeddings(
+      jobEmbeddingsCol(),
+      ranked.map((j) => ({ id: j.jobDocId, text: jobEmbeddingText(titles[j.jobDocId], j.fullDescription) })),
+      embeddingOpts(ai),
+      db
+    ),
+  ]);
+  if (!resumeVector) return { aiJobs: jobs, estimated: [] };
+
+  const candidates = ranked
+    .filter((j) => jobVectors.has(j.jobDocId))
+    .map((j) => ({ jobDocId: j.jobDocId, similarity: cosineSimilarity(resumeVector, jobVectors.get(j.jobDocId)) }));
+  const { aiIds, estimated } = planAiScoring(candidates, prefs);
+  const rankedIds = new Set(candidates.map((c) => c.jobDocId));
+  return { aiJobs: jobs.filter((j) => aiIds.has(j.jobDocId) || !rankedIds.has(j.jobDocId)), estimated };
+}
+
+/**
+ * Embed a resume when it's saved, so scoring runs find it cached. Only for
+ * users who get AI scoring; anyone else is embedded on their first run.
+ */
+exports.embedResumeOnSave = onDocumentWritten(
+  {
+    document: "users/{uid}/resume/profile",
+    region: REGION,
+    secrets: [OPENAI_API_KEY],
+  },
+  async (event) => {
+    const uid = event.params.uid;
+    const after = event.data?.after;
+    if (!after?.exists) {
+      await db.collection("users").doc(uid).collection("embeddings").doc("resume").delete().catch(() => { });
+      return;
+    }
+    if (uid !== ADMIN_UID) {
+      const userDoc = await db.collection("users").doc(uid).get();
+      if (userDoc.get("aiAccess") !== true) return;
+    }
+    const resumeText = scoringResumeText(after.data() || {});
+    if (!resumeText) return;
+    try {
+      await embedResume(uid, resumeText);
+    } catch (err) {
+      logger.warn(`embedResumeOnSave failed userId=${uid}: ${err?.message || err}`);
+    }
+  }
+);
+
 /**
  * Main scoring orchestrator — runs after every sync, fire-and-forget.
  * Fetches JDs, scores with OpenAI, writes score back to job doc.
- * Never stores the JD itself.
+ * Never stores the JD itself. With { rescore: true } (drainRescoreQueue)
+ * jobs already scored are redone unless their score matches the current
+ * resume and rubric (lib/rescore.cjs).
  */
-async function scoreNewJobsForUser(userId, newJobs) {
+async function scoreNewJobsForUser(userId, newJobs, { rescore = false } = {}) {
   if (!newJobs || newJobs.length === 0) return;
 
   const isAdmin = userId === ADMIN_UID;
@@ -1557,16 +2424,29 @@ async function scoreNewJobsForUser(userId, newJobs) {
   }
 
   // Check user's AI scoring toggle — stored at users/{uid}/settings/preferences
+  let locationPrefs = resolveLocationPrefs(null);
+  let prefilterPrefs = resolvePrefilterPrefs(null);
+  let scoringRubric = resolveScoringRubric(null);
   try {
     const settingsSnap = await db.collection("users").doc(userId).collection("settings").doc("preferences").get();
     if (settingsSnap.exists && settingsSnap.data()?.aiScoringEnabled === false) {
       logger.info(`scoreNewJobsForUser: AI scoring disabled for userId=${userId}, skipping`);
       return;
     }
+    locationPrefs = resolveLocationPrefs(settingsSnap.exists ? settingsSnap.data() : null);
+    prefilterPrefs = resolvePrefilterPrefs(settingsSnap.exists ? settingsSnap.data() : null);
+    scoringRubric = resolveScoringRubric(settingsSnap.exists ? settingsSnap.data() : null);
   } catch (err) {
     logger.warn(`scoreNewJobsForUser: could not read settings for userId=${userId}: ${err?.message}`);
   }
 
+  // Only spend AI calls on jobs inside the user's own location filter
+  newJobs = newJobs.filter((j) => jobMatchesLocationPrefs(j, locationPrefs));
+  if (newJobs.length === 0) {
+    logger.info(`scoreNewJobsForUser: no new jobs in userId=${userId}'s locations, skipping`);
+    return;
+  }
+
   // Load user's saved resume profile
   let resumeProfile = null;
   try {
@@ -1581,26 +2461,19 @@ async function scoreNewJobsForUser(userId, newJobs) {
     return;
   }
 
-  // Build a compact resume text for the prompt
-  const resumeText = [
-    resumeProfile.summary ? `Summary: ${resumeProfile.summary}` : "",
-    resumeProfile.skills?.length ? `Skills: ${resumeProfile.skills.slice(0, 40).join(", ")}` : "",
-    resumeProfile.roles?.length
-      ? `Experience:\n${resumeProfile.roles.slice(0, 4).map((r) => `  - ${r.title} at ${r.company}: ${(r.description || "").slice(0, 200)}`).join("\n")}`
-      : "",
-    resumeProfile.education?.length
-      ? `Education: ${resumeProfile.education.map((e) => `${e.degree} at ${e.institution}`).join("; ")}`
-      : "",
-    resumeProfile.projects?.length
-      ? `Projects: ${resumeProfile.projects.slice(0, 3).map((p) => `${p.name} (${p.techStack})`).join("; ")}`
-      : "",
-  ].filter(Boolean).join("\n").slice(0, 15000);
+  const resumeText = scoringResumeText(resumeProfile);
 
   if (!resumeText) {
     logger.info(`scoreNewJobsForUser: resume has no content for userId=${userId}, skipping`);
     return;
   }
 
+  // Stored with every score, so ones made from an older resume or rubric can be told apart
+  const scoringRubricVersion = rubricVersion(scoringRubric);
+  const resumeHash = resumeHashOf(resumeText);
+  const currentInputs = { resumeHash, rubricVersion: scoringRubricVersion };
+  const capScore = compileHardCaps(scoringRubric);
+
   // ─── OPTIMIZATION 1: Batch pre-read all job docs in ONE Firestore round-trip ──
   // Jobs ALWAYS live under the admin user (shared corpus). Scores are written
   // per-user to users/{userId}/jobScores/*.
@@ -1625,9 +2498,10 @@ async function scoreNewJobsForUser(userId, newJobs) {
 
   // For non-admin: batch-read this user's existing score docs to detect
   // already-scored jobs. (Admin's "already scored" check uses the legacy
-  // relevanceScore field on the job doc itself.)
+  // relevanceScore field on the job doc itself.) A rescore reads them for
+  // everyone and only counts scores made from the current inputs.
   const alreadyScoredIds = new Set();
-  if (!isAdmin) {
+  if (!isAdmin || rescore) {
     const scoreRefs = uniqueNewJobs.map((job) => userScoresCol.doc(job.jobDocId));
     const scoreSnaps = [];
     for (let i = 0; i < scoreRefs.length; i += CHUNK) {
@@ -1635,20 +2509,21 @@ async function scoreNewJobsForUser(userId, newJobs) {
       scoreSnaps.push(...batch);
     }
     scoreSnaps.forEach((s) => {
-      if (s.exists && typeof s.data()?.score === "number" && s.data().score >= 0) {
-        alreadyScoredIds.add(s.id);
-      }
+      if (!s.exists || typeof s.data()?.score !== "number" || s.data().score < 0) return;
+      if (rescore && isScoreStale(s.data(), currentInputs)) return;
+      alreadyScoredIds.add(s.id);
     });
   }
 
   const titleMap = {};
+  const factsMap = {};
   const unscoredJobs = [];
 
   for (let i = 0; i < jobSnapshots.length; i++) {
     const snap = jobSnapshots[i];
     const job = uniqueNewJobs[i];
 
-    if (isAdmin) {
+    if (isAdmin && !rescore) {
       const existingScore = snap.exists ? snap.data()?.relevanceScore : null;
       if (existingScore !== null && existingScore >= 0) {
         logger.info(`scoreNewJobsForUser: ${job.jobDocId} already has valid score (${existingScore}), skipping`);
@@ -1660,6 +2535,7 @@ async function scoreNewJobsForUser(userId, newJobs) {
 
     const title = snap.exists ? (snap.data()?.title || "") : "";
     titleMap[job.jobDocId] = title;
+    factsMap[job.jobDocId] = snap.exists ? jobFactsForScoring(snap.data()) : "";
 
     unscoredJobs.push(job);
   }
@@ -1678,15 +2554,35 @@ async function scoreNewJobsForUser(userId, newJobs) {
 
   // Accumulate results across tasks so we can do a single per-user score
   // write at the end (one batched aggregation rebuild instead of N).
-  const computedResults = []; // [{ jobId, score, reason }]
+  const computedResults = []; // [{ jobId, score, reason, source, rubricVersion?, resumeHash?, breakdown?, matched?, missing? }]
+
+  // Embedding prefilter: the rest get a similarity estimate instead of a model call
+  let aiJobs = unscoredJobs;
+  try {
+    const { aiJobs: picked, estimated } = await prefilterByEmbedding(userId, resumeText, unscoredJobs, titleMap, prefilterPrefs);
+    aiJobs = picked;
+    // Estimates respect the rubric's title caps too
+    for (const e of estimated) e.score = capScore(titleMap[e.jobDocId], e.score);
+    if (isAdmin && estimated.length > 0) {
+      const bw = db.bulkWriter();
+      for (const e of estimated) {
+        bw.set(sharedJobsCol.doc(e.jobDocId), { relevanceScore: e.score, scoreReason: e.reason, scoreSource: "similarity", scoredAt }, { merge: true });
+      }
+      await bw.close();
+    }
+    for (const e of estimated) computedResults.push({ jobId: e.jobDocId, score: e.score, reason: e.reason, source: "similarity", resumeHash });
+    logger.info(`scoreNewJobsForUser: prefilter sent ${aiJobs.length}/${unscoredJobs.length} jobs to the model for userId=${userId}`);
+  } catch (err) {
+    logger.warn(`scoreNewJobsForUser: embedding prefilter failed for userId=${userId}, scoring all with AI: ${err?.message || err}`);
+  }
 
-  const scoringTasks = unscoredJobs.map((job) =>
+  const scoringTasks = aiJobs.map((job) =>
     scoringLimiter(async () => {
       try {
         // Title pre-loaded from batch read — no Firestore read needed here
         const jobTitle = titleMap[job.jobDocId];
 
-        // 1. Fetch JD (Greenhouse & Ashby natively injected via Sync loop; others via HTTPS)
+        // 1. Fetch JD (Greenhouse, Ashby & Lever natively injected via Sync loop; others via HTTPS)
         let description = job.fullDescription;
 
         if (!description) {
@@ -1727,7 +2623,7 @@ async function scoreNewJobsForUser(userId, newJobs) {
         while (attempts < 5) {
           attempts++;
           try {
-            result = await scoreJobWithAI(jobTitle, jd, resumeText);
+            result = await scoreJobWithAI(jobTitle, jd, resumeText, scoringRubric, factsMap[job.jobDocId]);
             if (result) break;
             logger.warn(`scoreJobWithAI: attempt ${attempts}/5 returned invalid format for ${job.jobDocId}, retrying...`);
             await new Promise((r) => setTimeout(r, 1000));
@@ -1764,14 +2660,27 @@ async function scoreNewJobsForUser(userId, newJobs) {
           return;
         }
 
+        // The model is told the caps; enforce them in case it strays
+        result.score = capScore(jobTitle, result.score);
+
         // 3. Write ONLY score + reason (no JD) back to job doc (admin only — legacy fallback)
         if (isAdmin) {
           await sharedJobsCol.doc(job.jobDocId).set(
-            { relevanceScore: result.score, scoreReason: result.reason, scoredAt },
+            { relevanceScore: result.score, scoreReason: result.reason, scoreSource: "ai", scoredAt },
             { merge: true }
           );
         }
-        computedResults.push({ jobId: job.jobDocId, score: result.score, reason: result.reason });
+        computedResults.push({
+          jobId: job.jobDocId,
+          score: result.score,
+          reason: result.reason,
+          source: "ai",
+          rubricVersion: scoringRubricVersion,
+          resumeHash,
+          breakdown: result.breakdown,
+          matched: result.matched,
+          missing: result.missing,
+        });
 
         logger.info(`Scored ${job.jobDocId} for ${userId}: ${result.score}/100 — ${result.reason}`);
       } catch (err) {
@@ -1792,18 +2701,30 @@ async function scoreNewJobsForUser(userId, newJobs) {
 
   // Write scoring status aggregation (frontend listens via onSnapshot)
   try {
-    const recentScores = computedResults
+    const allScores = computedResults
       .filter((r) => typeof r.score === "number")
-      .map((r) => ({ id: r.jobId, score: r.score, reason: r.reason || "" }))
-      .slice(0, 50);
+      .map((r) => ({
+        id: r.jobId,
+        score: r.score,
+        reason: r.reason || "",
+        source: r.source || "ai",
+        rubricVersion: r.rubricVersion || null,
+        resumeHash: r.resumeHash || null,
+        breakdown: r.breakdown || null,
+        matched: r.matched || [],
+        missing: r.missing || [],
+      }));
+    const recentScores = allScores.slice(0, 50);
 
     if (recentScores.length > 0) {
+      // Merged: a queued rescore (lib/rescore.cjs) lives on this doc too
       await db.collection("users").doc(userId).collection("aggregations").doc("scoringStatus").set({
         recentScores,
+        current: currentInputs,
         pendingCount: 0,
         scoringInProgress: false,
         updatedAt: admin.firestore.Timestamp.now(),
-      });
+      }, { merge: true });
 
       // Mirror the just-computed scores into the per-user jobScores collection
       // and refresh /users/{userId}/aggregations/myJobScores. The Jobs page
@@ -1811,10 +2732,16 @@ async function scoreNewJobsForUser(userId, newJobs) {
       // (with AI enabled) gets their own personalized view.
       try {
         const { writeUserScores } = require("./lib/userJobScores.cjs");
-        await writeUserScores(userId, recentScores.map((s) => ({
+        await writeUserScores(userId, allScores.map((s) => ({
           jobId: s.id,
           score: s.score,
           reason: s.reason,
+          source: s.source,
+          rubricVersion: s.rubricVersion,
+          resumeHash: s.resumeHash,
+          breakdown: s.breakdown,
+          matched: s.matched,
+          missing: s.missing,
         })));
       } catch (err) {
         logger.warn(`writeUserScores failed for ${userId}: ${err?.message}`);
@@ -1920,6 +2847,8 @@ exports.askAssistant = onRequest(
       if (settingsSnap.exists && settingsSnap.data()?.aiScoringEnabled === false) {
         return res.status(403).json({ error: "AI features are disabled in your settings." });
       }
+      const locationPrefs = resolveLocationPrefs(settingsSnap.exists ? settingsSnap.data() : null);
+      const inUserView = (j) => isCanonicalJob(j) && jobMatchesLocationPrefs(j, locationPrefs);
 
       if (!Array.isArray(messages)) {
         return res.status(400).json({ error: "Messages array is required." });
@@ -1954,14 +2883,23 @@ exports.askAssistant = onRequest(
           type: "function",
           function: {
             name: "search_jobs",
-            description: "Search for jobs by title or company name in the recent results.",
+            description: "Search recent jobs by title or company name, optionally narrowed to seniority levels and role families.",
             parameters: {
               type: "object",
               properties: {
-                query: { type: "string", description: "Search query (title or company)" },
+                query: { type: "string", description: "Search query (title or company); omit to match every title" },
+                seniority: {
+                  type: "array",
+                  items: { type: "string", enum: SENIORITY_LEVELS },
+                  description: "Only these seniority levels",
+                },
+                roleFamily: {
+                  type: "array",
+                  items: { type: "string", enum: ROLE_FAMILIES },
+                  description: "Only these role families (e.g. backend, ml, pm)",
+                },
                 limit: { type: "number", description: "Number of results (default: 5)" },
               },
-              required: ["query"],
             },
           },
         },
@@ -1996,13 +2934,13 @@ exports.askAssistant = onRequest(
         })),
       ];
 
-      const client = requireOpenAI();
+      const ai = aiProvider();
       let finalResponse = null;
 
       // Tool handling loop — cap iterations to guard against loops
       for (let iter = 0; iter < 8; iter++) {
-        const response = await client.chat.completions.create({
-          model: OPENAI_SMART_MODEL,
+        const response = await ai.chat.completions.create({
+          model: ai.model("assistant"),
           max_tokens: 4096,
           messages: currentMessages,
           tools,
@@ -2037,22 +2975,33 @@ exports.askAssistant = onRequest(
               switch (toolName) {
                 case "list_feeds": {
                   const snap = await db.collection("users").doc(activeUserId).collection("feeds").where("archivedAt", "==", null).get();
-                  resultData = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+                  // openJobs is the lifecycle id map — large and meaningless to the model
+                  resultData = snap.docs.map(d => {
+                    const { openJobs: _openJobs, ...feed } = d.data();
+                    return { id: d.id, ...feed };
+                  });
                   break;
                 }
                 case "get_recent_jobs": {
                   const limit = args.limit || 10;
                   const snap = await db.collection("users").doc(ADMIN_UID).collection("jobs").orderBy("sourceUpdatedTs", "desc").limit(limit).get();
-                  resultData = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+                  resultData = snap.docs.map(d => ({ id: d.id, ...d.data() })).filter(inUserView);
                   break;
                 }
                 case "search_jobs": {
                   const query = String(args.query || "").toLowerCase();
                   const limit = args.limit || 5;
-                  const snap = await db.collection("users").doc(ADMIN_UID).collection("jobs").orderBy("sourceUpdatedTs", "desc").limit(50).get();
+                  const levels = Array.isArray(args.seniority) && args.seniority.length ? new Set(args.seniority) : null;
+                  const families = Array.isArray(args.roleFamily) && args.roleFamily.length ? new Set(args.roleFamily) : null;
+                  // Facet-only searches look further back so narrow facets still find something
+                  const scan = levels || families ? 200 : 50;
+                  const snap = await db.collection("users").doc(ADMIN_UID).collection("jobs").orderBy("sourceUpdatedTs", "desc").limit(scan).get();
                   resultData = snap.docs
                     .map(d => ({ id: d.id, ...d.data() }))
-                    .filter(j => (j.title && j.title.toLowerCase().includes(query)) || (j.companyName && j.companyName.toLowerCase().includes(query)))
+                    .filter(inUserView)
+                    .filter(j => !query || (j.title && j.title.toLowerCase().includes(query)) || (j.companyName && j.companyName.toLowerCase().includes(query)))
+                    .map(j => ({ ...j, ...classificationFor(j) }))
+                    .filter(j => (!levels || levels.has(j.seniority)) && (!families || families.has(j.roleFamily)))
                     .slice(0, limit);
                   break;
                 }
@@ -2099,7 +3048,7 @@ exports.askAssistant = onRequest(
 
 /**
  * =====================================================================================
- * 📄 RESUME PARSER: Upload a PDF/DOCX/TXT file and extract structured JSON via OpenAI (gpt-4o-mini)
+ * 📄 RESUME PARSER: Upload a PDF/DOCX/TXT file and extract structured JSON via the AI provider
  * =====================================================================================
  *
  * POST multipart/form-data with fields:
@@ -2247,17 +3196,17 @@ Rules:
 - If a section has no data, use an empty array [] or empty string "".
 - Dates: preserve whatever format is in the resume; do not invent missing dates.
 - Output ONLY the raw JSON object. No markdown fences, no explanation.`;
-      // Use OpenAI (gpt-4o-mini) for resume parsing — runs regardless of the
-      // user's AI-features toggle. jsonrepair stays as a safety net.
-      let openaiClient;
+      // Resume parsing runs on the AI provider regardless of the user's
+      // AI-features toggle. jsonrepair stays as a safety net.
+      let ai;
       try {
-        openaiClient = requireOpenAI();
+        ai = aiProvider();
       } catch (e) {
-        logger.error("parseResume: OPENAI_API_KEY is not configured");
+        logger.error(`parseResume: ${e.message}`);
         return res.status(500).json({ error: "Resume parsing is not configured on the server." });
       }
-      const openaiRes = await openaiClient.chat.completions.create({
-        model: OPENAI_FAST_MODEL,
+      const openaiRes = await ai.chat.completions.create({
+        model: ai.model("resumeParse"),
         max_tokens: 2048,
         temperature: 0,
         response_format: { type: "json_object" },
@@ -2414,10 +3363,10 @@ ${jobDesc}
 ${builtResumeStr}
 `;
 
-      const client = requireOpenAI();
-      const completion = await client.chat.completions.create(
+      const ai = aiProvider();
+      const completion = await ai.chat.completions.create(
           {
-            model: OPENAI_FAST_MODEL,
+            model: ai.model("coverLetter"),
             max_tokens: 600,
             temperature: 0.7,
             messages: [
@@ -2798,9 +3747,9 @@ Fields:
 ${fieldList}`;
 
       try {
-        const client = requireOpenAI();
-        const completion = await client.chat.completions.create({
-          model: OPENAI_FAST_MODEL,
+        const ai = aiProvider();
+        const completion = await ai.chat.completions.create({
+          model: ai.model("formFields"),
           max_tokens: 500,
           response_format: { type: "json_object" },
           messages: [{ role: "user", content: prompt }],
@@ -2839,9 +3788,9 @@ exports.generateNamePronunciation = onRequest(
       return res.status(400).json({ error: "name too long" });
     }
     try {
-      const client = requireOpenAI();
-      const completion = await client.chat.completions.create({
-        model: OPENAI_FAST_MODEL,
+      const ai = aiProvider();
+      const completion = await ai.chat.completions.create({
+        model: ai.model("pronunciation"),
         max_tokens: 60,
         messages: [{
           role: "user",
@@ -2865,8 +3814,8 @@ exports.prepareGreenhouseApplication = onCall(
     if (!uid) throw new HttpsError("unauthenticated", "Login required.");
     const { token, id } = request.data || {};
     if (!token || !id) throw new HttpsError("invalid-argument", "token and id are required.");
-    const openai = requireOpenAI();
-    return prepareGreenhouseApplication(uid, String(token), String(id), { db, openai, model: OPENAI_FAST_MODEL });
+    const ai = aiProvider();
+    return prepareGreenhouseApplication(uid, String(token), String(id), { db, openai: ai, model: ai.model("apply") });
   }
 );
 
@@ -2921,7 +3870,8 @@ exports.getAdminUsersList = onCall({ region: REGION, maxInstances: 3, enforceApp
 /**
  * =====================================================================================
  * DAILY AGGREGATION RECONCILIATION
- * Runs at 3am PT daily. Reads all jobs, rebuilds mapClusters + companyStats.
+ * Runs at 3am PT daily. Reads all jobs, rebuilds mapClusters + companyStats,
+ * then every user's personal job views.
  * =====================================================================================
  */
 const { rebuildAggregations } = require("./lib/aggregations.cjs");
@@ -2936,15 +3886,17 @@ exports.dailyAggregationReconciliation = onSchedule(
     maxInstances: 1,
   },
   async () => {
-    const userIds = await listUserIdsToProcess();
+    try {
+      const result = await rebuildAggregations(ADMIN_UID);
+      logger.info(`Aggregation rebuilt for ${ADMIN_UID}: ${result.totalJobs} jobs, ${result.cities} cities, ${result.companies} companies`);
+    } catch (err) {
+      logger.error(`Aggregation rebuild failed for ${ADMIN_UID}: ${err?.message || err}`);
+    }
 
-    for (const userId of userIds) {
-      try {
-        const result = await rebuildAggregations(userId);
-        logger.info(`Aggregation rebuilt for ${userId}: ${result.totalJobs} jobs, ${result.cities} cities, ${result.companies} companies`);
-      } catch (err) {
-        logger.error(`Aggregation rebuild failed for ${userId}: ${err?.message || err}`);
-      }
+    try {
+      await rebuildPersonalViews(await loadFeedPlan());
+    } catch (err) {
+      logger.error(`Feed plan load failed: ${err?.message || err}`);
     }
   }
 );
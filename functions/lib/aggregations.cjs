@@ -5,11 +5,13 @@
  * Used by: (1) daily reconciliation scheduled function, (2) one-time backfill script.
  *
  * Aggregation docs:
- *   /users/{uid}/aggregations/mapClusters   — city counts for map page
+ *   /users/{uid}/aggregations/mapClusters   — city counts for map page, split by
+ *                                            pin type (city / state / remote / hybrid)
  *   /users/{uid}/aggregations/companyStats   — company job counts for filter dropdown
  */
 
 const admin = require("firebase-admin");
+const { workplaceFor, pinTypeFor } = require("./workplace.cjs");
 
 /**
  * Reads all jobs for a user and computes + writes aggregation docs.
@@ -38,6 +40,9 @@ async function rebuildAggregations(userId, dbInstance) {
 
     for (const doc of snap.docs) {
       const data = doc.data();
+      // Linked duplicates (clones/reposts) are counted once, via their canonical job.
+      // Jobs from users' own boards stay out of the shared view.
+      if (data.canonicalId || data.feedOwner) continue;
       totalJobs++;
 
       // --- Map clusters ---
@@ -45,10 +50,11 @@ async function rebuildAggregations(userId, dbInstance) {
       if (loc && loc.city && loc.state) {
         const key = `${loc.city}|${loc.state}`;
         if (!clusters[key]) {
-          clusters[key] = { lat: loc.lat, lng: loc.lng, count: 0, cityPin: 0, remotePin: 0, statePin: 0 };
+          clusters[key] = { lat: loc.lat, lng: loc.lng, count: 0, cityPin: 0, remotePin: 0, statePin: 0, hybridPin: 0 };
         }
         clusters[key].count++;
-        const ptKey = (loc.pinType || "city") + "Pin";
+        // Legacy docs carry the location-only pin type; re-derive from the workplace
+        const ptKey = pinTypeFor(loc, workplaceFor(data)) + "Pin";
         if (clusters[key][ptKey] !== undefined) clusters[key][ptKey]++;
       }
 
@@ -0,0 +1,229 @@
+/**
+ * functions/lib/aiProvider.cjs
+ *
+ * The one AI provider interface for the functions and the worker. Every AI
+ * feature talks to a provider through the OpenAI Chat Completions /
+ * Embeddings shape (`chat.completions.create`, `embeddings.create`), which
+ * all three providers speak:
+ *
+ *   AI_PROVIDER=openai   (default) OpenAI, with OPENAI_API_KEY
+ *   AI_PROVIDER=local    an OpenAI-compatible endpoint at AI_BASE_URL
+ *                        (Ollama, vLLM, LM Studio…), optional AI_API_KEY
+ *   AI_PROVIDER=mock     deterministic replies from fixtures, no network
+ *
+ * Models are chosen per feature: AI_MODEL_<FEATURE> (e.g. AI_MODEL_SCORING,
+ * AI_MODEL_RESUME_PARSE), else the feature's tier model (OPENAI_FAST_MODEL,
+ * OPENAI_SMART_MODEL, OPENAI_EMBEDDING_MODEL; OPENAI_MODEL for either chat
+ * tier), else the tier default. The mock names its models "mock:<feature>",
+ * which is how it tells features apart.
+ *
+ * Mock fixtures (`fixtures`, or a JSON file at AI_MOCK_FIXTURES):
+ *
+ *   {
+ *     chat: [{
+ *       feature?: string,            // AI_FEATURES key; unset = any feature
+ *       match?: string,              // substring of the last message, or "/re/flags"
+ *       reply?: string | object,     // objects are sent as JSON
+ *       toolCalls?: [{ name, arguments }],
+ *     }],
+ *     embeddingDims?: number,        // default 8
+ *   }
+ *
+ * The first fixture matching a request answers it; none matching is an
+ * error, so a test can't pass on a reply it didn't expect. Embeddings are
+ * unit vectors hashed from the text: equal texts, equal vectors.
+ *
+ * The worker imports this file too (worker/lib/ai.mjs). It is its own
+ * package, so it passes `sdkFrom` to load the openai SDK from its own
+ * node_modules.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { createRequire } = require("module");
+
+const AI_PROVIDERS = ["openai", "local", "mock"];
+
+// Feature → model tier
+const AI_FEATURES = Object.freeze({
+  scoring: "fast",
+  salary: "fast",
+  embeddings: "embedding",
+  assistant: "smart",
+  resumeParse: "fast",
+  coverLetter: "fast",
+  formFields: "fast",
+  pronunciation: "fast",
+  apply: "fast",
+  answers: "fast",
+  tailoring: "fast",
+});
+
+const TIER_DEFAULTS = Object.freeze({
+  fast: "gpt-4o-mini",
+  smart: "gpt-4o-mini",
+  embedding: "text-embedding-3-small",
+});
+
+const DEFAULT_EMBEDDING_DIMS = 8;
+
+/** AI_MODEL_<FEATURE> env name, e.g. resumeParse → AI_MODEL_RESUME_PARSE. */
+const featureEnvName = (feature) => `AI_MODEL_${feature.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase()}`;
+
+function featureTier(feature) {
+  const tier = AI_FEATURES[feature];
+  if (!tier) throw new Error(`Unknown AI feature "${feature}".`);
+  return tier;
+}
+
+/** The model a feature runs on under `env`. */
+function resolveModel(feature, env = process.env) {
+  const tier = featureTier(feature);
+  const tierModel = env[`OPENAI_${tier.toUpperCase()}_MODEL`] || (tier === "embedding" ? "" : env.OPENAI_MODEL);
+  return env[featureEnvName(feature)] || tierModel || TIER_DEFAULTS[tier];
+}
+
+/** Provider kind from AI_PROVIDER, defaulting to openai. */
+function providerKind(env = process.env) {
+  const kind = String(env.AI_PROVIDER || "openai").trim().toLowerCase();
+  if (!AI_PROVIDERS.includes(kind)) throw new Error(`Unknown AI_PROVIDER "${env.AI_PROVIDER}" (expected ${AI_PROVIDERS.join(", ")}).`);
+  return kind;
+}
+
+function openAIClient(options, sdkFrom) {
+  const sdk = sdkFrom ? createRequire(sdkFrom)("openai") : require("openai");
+  const OpenAI = sdk.OpenAI || sdk.default || sdk;
+  return new OpenAI(options);
+}
+
+function compileMatch(match) {
+  if (!match) return () => true;
+  const re = /^\/(.+)\/([a-z]*)$/.exec(match);
+  if (re) {
+    const pattern = new RegExp(re[1], re[2]);
+    return (text) => pattern.test(text);
+  }
+  return (text) => text.includes(match);
+}
+
+const messageText = (m) => (typeof m?.content === "string" ? m.content : JSON.stringify(m?.content ?? ""));
+
+/** Unit vector of `dims` floats hashed from the text. */
+function hashedEmbedding(text, dims) {
+  const values = [];
+  for (let block = 0; values.length < dims; block++) {
+    const digest = crypto.createHash("sha256").update(`${block}:${text}`).digest();
+    for (let i = 0; i + 1 < digest.length && values.length < dims; i += 2) {
+      values.push(digest.readUInt16BE(i) / 32767.5 - 1);
+    }
+  }
+  const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return values.map((v) => v / norm);
+}
+
+function loadFixtures(env) {
+  if (!env.AI_MOCK_FIXTURES) return {};
+  return JSON.parse(fs.readFileSync(env.AI_MOCK_FIXTURES, "utf8"));
+}
+
+/**
+ * Mock provider: chat replies come from fixtures, and every request is kept
+ * in `calls` ({ feature, model, messages } / { feature, model, input }).
+ */
+function mockProvider(fixtures) {
+  const rules = (Array.isArray(fixtures.chat) ? fixtures.chat : []).map((f) => ({ ...f, test: compileMatch(f.match) }));
+  const dims = Number.isInteger(fixtures.embeddingDims) && fixtures.embeddingDims > 0 ? fixtures.embeddingDims : DEFAULT_EMBEDDING_DIMS;
+  const calls = [];
+  const featureOf = (model) => String(model || "").replace(/^mock:/, "");
+
+  return {
+    kind: "mock",
+    calls,
+    model: (feature) => {
+      featureTier(feature);
+      return `mock:${feature}`;
+    },
+    chat: {
+      completions: {
+        create: async ({ model, messages = [] }) => {
+          const feature = featureOf(model);
+          calls.push({ feature, model, messages });
+          const last = messageText(messages[messages.length - 1]);
+          const rule = rules.find((r) => (!r.feature || r.feature === feature) && r.test(last));
+          if (!rule) throw new Error(`No mock AI fixture for this ${feature} request.`);
+
+          const message = { role: "assistant", content: null };
+          let finishReason = "stop";
+          if (Array.isArray(rule.toolCalls) && rule.toolCalls.length > 0) {
+            finishReason = "tool_calls";
+            message.tool_calls = rule.toolCalls.map((t, i) => ({
+              id: `call_${calls.length}_${i}`,
+              type: "function",
+              function: { name: t.name, arguments: JSON.stringify(t.arguments || {}) },
+            }));
+          }
+          if (rule.reply !== undefined) {
+            message.content = typeof rule.reply === "string" ? rule.reply : JSON.stringify(rule.reply);
+          }
+          return {
+            id: `mock-${calls.length}`,
+            object: "chat.completion",
+            model,
+            choices: [{ index: 0, message, finish_reason: finishReason }],
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+          };
+        },
+      },
+    },
+    embeddings: {
+      create: async ({ model, input }) => {
+        const texts = Array.isArray(input) ? input : [input];
+        calls.push({ feature: featureOf(model), model, input: texts });
+        return {
+          object: "list",
+          model,
+          data: texts.map((t, index) => ({ object: "embedding", index, embedding: hashedEmbedding(String(t), dims) })),
+        };
+      },
+    },
+  };
+}
+
+/**
+ * The configured provider: `chat` and `embeddings` as on the OpenAI client,
+ * plus `kind` and `model(feature)`. `sdkFrom` is a path or file URL to
+ * resolve the openai package from (default: next to this file).
+ * @param {{ kind?: string, apiKey?: string, baseURL?: string, fixtures?: object, env?: object, sdkFrom?: string }} [opts]
+ */
+function createAIProvider({ kind, apiKey, baseURL, fixtures, env = process.env, sdkFrom } = {}) {
+  const resolved = kind ? providerKind({ AI_PROVIDER: kind }) : providerKind(env);
+  if (resolved === "mock") return mockProvider(fixtures || loadFixtures(env));
+
+  let client;
+  if (resolved === "local") {
+    const url = baseURL || env.AI_BASE_URL;
+    if (!url) throw new Error("AI_PROVIDER=local needs AI_BASE_URL (e.g. http://localhost:11434/v1).");
+    // The SDK wants a key even when the endpoint ignores it
+    client = openAIClient({ apiKey: apiKey || env.AI_API_KEY || "local", baseURL: url }, sdkFrom);
+  } else {
+    const key = apiKey || env.OPENAI_API_KEY;
+    if (!key) throw new Error("OPENAI_API_KEY is not configured.");
+    client = openAIClient({ apiKey: key }, sdkFrom);
+  }
+  return {
+    kind: resolved,
+    model: (feature) => resolveModel(feature, env),
+    chat: client.chat,
+    embeddings: client.embeddings,
+  };
+}
+
+module.exports = {
+  AI_PROVIDERS,
+  AI_FEATURES,
+  TIER_DEFAULTS,
+  featureEnvName,
+  resolveModel,
+  providerKind,
+  createAIProvider,
+};
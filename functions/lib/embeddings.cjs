@@ -0,0 +1,175 @@
+/**
+ * functions/lib/embeddings.cjs
+ *
+ * Embedding prefilter for AI scoring. A chat-model score costs one call per
+ * job per AI-enabled user; an embedding costs one call per text, ever. So
+ * each job description is embedded once at sync time, each resume once on
+ * save, and scoreNewJobsForUser ranks a user's new jobs by cosine
+ * similarity: the closest ones above the user's floor go to the model, the
+ * rest get a score estimated from the similarity (source "similarity").
+ *
+ * Cache, keyed by a hash of the embedded text (and the model), so unchanged
+ * text is never embedded twice:
+ *
+ *   /users/{ADMIN_UID}/jobEmbeddings/{jobDocId}  { hash, model, vector, embeddedAt }
+ *   /users/{uid}/embeddings/resume               { hash, model, vector, embeddedAt }
+ *
+ * Per-user settings on /users/{uid}/settings/preferences:
+ *
+ *   aiPrefilter: {
+ *     similarityFloor: number,  // 0–1; below it a job is never sent to the model
+ *     maxAiJobs:       number,  // most jobs per scoring run sent to the model
+ *   }
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+const DEFAULT_PREFILTER = Object.freeze({ similarityFloor: 0.3, maxAiJobs: 40 });
+const MAX_AI_JOBS_LIMIT = 500;
+
+// Characters of a job / resume that get embedded (well inside the model's input limit)
+const EMBEDDING_MAX_CHARS = 8000;
+// Inputs per embeddings request
+const EMBED_BATCH = 100;
+
+// Similarities that map to an estimated 0 and 100; typical resume↔JD pairs land in between
+const SIMILARITY_LOW = 0.15;
+const SIMILARITY_HIGH = 0.65;
+
+/** `aiPrefilter` preference with defaults filled in and out-of-range values clamped. */
+function resolvePrefilterPrefs(prefs) {
+  const raw = prefs && typeof prefs.aiPrefilter === "object" && prefs.aiPrefilter ? prefs.aiPrefilter : {};
+  const floor = Number(raw.similarityFloor);
+  const maxAi = Number(raw.maxAiJobs);
+  return {
+    similarityFloor: Number.isFinite(floor) ? Math.min(1, Math.max(0, floor)) : DEFAULT_PREFILTER.similarityFloor,
+    maxAiJobs: Number.isInteger(maxAi) && maxAi >= 0 ? Math.min(MAX_AI_JOBS_LIMIT, maxAi) : DEFAULT_PREFILTER.maxAiJobs,
+  };
+}
+
+/** What gets embedded for a job. */
+function jobEmbeddingText(title, description) {
+  return `${String(title || "").trim()}\n\n${String(description || "").trim()}`.slice(0, EMBEDDING_MAX_CHARS);
+}
+
+function textHash(text) {
+  return crypto.createHash("sha1").update(String(text)).digest("hex");
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/** 0–100 score estimated from a similarity. */
+function similarityScore(similarity) {
+  const t = (similarity - SIMILARITY_LOW) / (SIMILARITY_HIGH - SIMILARITY_LOW);
+  return Math.round(Math.min(1, Math.max(0, t)) * 100);
+}
+
+/**
+ * Split a user's candidates between the model and an estimated score.
+ * @param {Array<{ jobDocId: string, similarity: number }>} candidates
+ * @param {{ similarityFloor: number, maxAiJobs: number }} prefs
+ * @returns {{ aiIds: Set<string>, estimated: Array<{ jobDocId, similarity, score, reason }> }}
+ */
+function planAiScoring(candidates, prefs) {
+  const ranked = [...candidates].sort((a, b) => b.similarity - a.similarity);
+  const aiIds = new Set();
+  const estimated = [];
+  for (const c of ranked) {
+    if (c.similarity >= prefs.similarityFloor && aiIds.size < prefs.maxAiJobs) {
+      aiIds.add(c.jobDocId);
+      continue;
+    }
+    const why = c.similarity < prefs.similarityFloor ? "below your similarity floor" : "past this run's AI limit";
+    estimated.push({
+      jobDocId: c.jobDocId,
+      similarity: c.similarity,
+      score: similarityScore(c.similarity),
+      reason: `Estimated from resume similarity (${c.similarity.toFixed(2)}), ${why}.`,
+    });
+  }
+  return { aiIds, estimated };
+}
+
+/** Embed texts through an AI provider's embeddings API (lib/aiProvider.cjs), in batches. */
+async function embedTexts(openai, texts, { model }) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    // Plain float arrays (the SDK's default is base64 → Float32Array), as FieldValue.vector expects
+    const res = await openai.embeddings.create({ model, input: texts.slice(i, i + EMBED_BATCH), encoding_format: "float" });
+    const data = [...(res.data || [])].sort((a, b) => a.index - b.index);
+    vectors.push(...data.map((d) => d.embedding));
+  }
+  return vectors;
+}
+
+/**
+ * Vectors for `items` from the cache collection, embedding (and storing)
+ * only those whose text or model changed.
+ * @param {FirebaseFirestore.CollectionReference} col
+ * @param {Array<{ id: string, text: string }>} items
+ * @param {{ openai: object, model: string }} opts  AI provider (lib/aiProvider.cjs) and embedding model
+ * @returns {Promise<Map<string, number[]>>} id → vector
+ */
+async function ensureEmbeddings(col, items, { openai, model }, dbInstance) {
+  const db = dbInstance || admin.firestore();
+  const out = new Map();
+  const unique = [...new Map(items.filter((it) => it.id && it.text).map((it) => [it.id, it])).values()];
+
+  const stale = [];
+  for (let i = 0; i < unique.length; i += 300) {
+    const chunk = unique.slice(i, i + 300);
+    const snaps = await db.getAll(...chunk.map((it) => col.doc(it.id)));
+    snaps.forEach((s, idx) => {
+      const it = { ...chunk[idx], hash: textHash(chunk[idx].text) };
+      const cached = s.exists ? s.data() : null;
+      if (cached && cached.hash === it.hash && cached.model === model && cached.vector) {
+        out.set(it.id, cached.vector.toArray ? cached.vector.toArray() : cached.vector);
+      } else {
+        stale.push(it);
+      }
+    });
+  }
+  if (stale.length === 0) return out;
+
+  const vectors = await embedTexts(openai, stale.map((it) => it.text), { model });
+  const embeddedAt = admin.firestore.Timestamp.now();
+  for (let i = 0; i < stale.length; i += 400) {
+    const batch = db.batch();
+    stale.slice(i, i + 400).forEach((it, j) => {
+      const vector = vectors[i + j];
+      if (!vector) return;
+      out.set(it.id, vector);
+      batch.set(col.doc(it.id), {
+        hash: it.hash,
+        model,
+        vector: admin.firestore.FieldValue.vector(vector),
+        embeddedAt,
+      });
+    });
+    await batch.commit();
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_PREFILTER,
+  EMBEDDING_MAX_CHARS,
+  resolvePrefilterPrefs,
+  jobEmbeddingText,
+  textHash,
+  cosineSimilarity,
+  similarityScore,
+  planAiScoring,
+  embedTexts,
+  ensureEmbeddings,
+};
@@ -0,0 +1,114 @@
+/**
+ * functions/lib/exclusionRules.cjs
+ *
+ * Noise the sync should never store (replaces one-off purge scripts like the
+ * old deleteSpacexJobs). Admin-only, since it shapes the shared corpus;
+ * stored on /users/{ADMIN_UID}/settings/preferences:
+ *
+ *   exclusionRules: {
+ *     companies:    string[],  // company name or feed id, case-insensitive
+ *     titleInclude: string[],  // when set, a title must match one of these
+ *     titleExclude: string[],  // a title matching any of these is dropped
+ *     departments:  string[],  // department (Greenhouse) / meta.Department / meta.Team
+ *   }
+ *
+ * Patterns are keywords matched as whole words ("intern" doesn't hit
+ * "internal"), or regexes written "/…/flags". Invalid regexes are ignored.
+ * Applied at ingest before anything is written or scored; the run doc
+ * counts the matches (jobsExcluded), and purgeExcludedJobs applies the
+ * rules to jobs already stored.
+ */
+
+const crypto = require("crypto");
+
+const RULE_LISTS = ["companies", "titleInclude", "titleExclude", "departments"];
+const MAX_RULES_PER_LIST = 200;
+
+const cleanList = (v) =>
+  Array.isArray(v)
+    ? [...new Set(v.map((x) => String(x ?? "").trim()).filter(Boolean))].slice(0, MAX_RULES_PER_LIST)
+    : [];
+
+/** The `exclusionRules` preference with every list present and cleaned. */
+function resolveExclusionRules(prefs) {
+  const raw = prefs && typeof prefs.exclusionRules === "object" && prefs.exclusionRules ? prefs.exclusionRules : {};
+  const rules = {};
+  for (const key of RULE_LISTS) rules[key] = cleanList(raw[key]);
+  return rules;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * RegExp for one pattern, or null if it's an invalid "/…/" regex.
+ * Keywords get letter/digit boundaries so punctuation-heavy ones ("C++") work.
+ */
+function compilePattern(pattern) {
+  const re = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (re) {
+    try {
+      // Always case-insensitive; g / y would make test() stateful
+      const flags = re[2].replace(/[giy]/g, "");
+      return new RegExp(re[1], `${flags}i`);
+    } catch {
+      return null;
+    }
+  }
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(pattern)}(?![\\p{L}\\p{N}])`, "iu");
+}
+
+/** Patterns of a list that won't compile (shown as errors in the settings form). */
+function invalidPatterns(list) {
+  return cleanList(list).filter((p) => compilePattern(p) === null);
+}
+
+/**
+ * Compile resolved rules into a matcher.
+ * @returns {{ active: boolean, match: (job: object) => { rule: string, pattern: string } | null }}
+ */
+function compileExclusionRules(rules) {
+  const compiled = (key) =>
+    (rules?.[key] || []).map((pattern) => ({ pattern, re: compilePattern(pattern) })).filter((p) => p.re);
+  const companies = new Set((rules?.companies || []).map((c) => c.toLowerCase()));
+  const titleInclude = compiled("titleInclude");
+  const titleExclude = compiled("titleExclude");
+  const departments = compiled("departments");
+  const active = companies.size + titleInclude.length + titleExclude.length + departments.length > 0;
+
+  const match = (job) => {
+    if (!active || !job) return null;
+    for (const value of [job.companyName, job.companyKey]) {
+      const key = String(value || "").trim().toLowerCase();
+      if (key && companies.has(key)) return { rule: "company", pattern: key };
+    }
+
+    const title = String(job.title || "");
+    const excluded = titleExclude.find((p) => p.re.test(title));
+    if (excluded) return { rule: "titleExclude", pattern: excluded.pattern };
+    if (titleInclude.length > 0 && !titleInclude.some((p) => p.re.test(title))) {
+      return { rule: "titleInclude", pattern: null };
+    }
+
+    const department = [job.department, job.meta?.Department, job.meta?.Team].filter(Boolean).join(" / ");
+    const dept = department && departments.find((p) => p.re.test(department));
+    if (dept) return { rule: "department", pattern: dept.pattern };
+    return null;
+  };
+
+  return { active, match };
+}
+
+/** Short stable key for resolved rules; "" when there are none. */
+function exclusionRulesKey(rules) {
+  if (!compileExclusionRules(rules).active) return "";
+  return crypto.createHash("sha1").update(JSON.stringify(rules)).digest("hex").slice(0, 12);
+}
+
+module.exports = {
+  RULE_LISTS,
+  resolveExclusionRules,
+  compilePattern,
+  invalidPatterns,
+  compileExclusionRules,
+  exclusionRulesKey,
+};
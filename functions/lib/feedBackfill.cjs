@@ -0,0 +1,87 @@
+/**
+ * functions/lib/feedBackfill.cjs
+ *
+ * Historical backfill for one feed. The regular sync keeps only postings
+ * updated in the last RECENT_WINDOW_MINUTES, so a newly added board would
+ * show nothing until each opening happens to be touched. A backfill ingests
+ * every open posting once, whatever its age, and leaves the AI scoring to a
+ * throttled drain (scoreBackfillQueue) that works through the queue a batch
+ * per run. Progress lives on the feed doc:
+ *
+ *   backfill: {
+ *     state: "running" | "scoring" | "done" | "failed",
+ *     requestedAt, startedAt, finishedAt: timestamp | null,
+ *     jobsWritten: number,
+ *     scoreTotal: number,      // queue length when ingest finished
+ *     scoreRemaining: number,  // jobs still queued
+ *     error: string | null,
+ *   }
+ *
+ * The queue itself is one doc per job under the feed's server-only state
+ * (lib/feedState.cjs), /feedState/{id}/backfillQueue/{jobDocId}, so owners
+ * can't queue jobs for scoring and a large board can't outgrow the feed doc.
+ */
+
+const BACKFILL_STATES = ["running", "scoring", "done", "failed"];
+
+const BACKFILL_QUEUE_COLLECTION = "backfillQueue";
+
+// Jobs scored per feed per drain run; each is one model call per AI-enabled user
+const BACKFILL_SCORE_BATCH = 25;
+
+// A backfill pages through the whole board, so it gets most of its 540s
+// invocation instead of the sync's per-feed cap
+const BACKFILL_FETCH_TIMEOUT_MS = 6 * 60 * 1000;
+
+const toMs = (ts) => (ts?.toMillis ? ts.toMillis() : null);
+
+/**
+ * firstSeenAt for a posting a backfill stores for the first time: when the
+ * source says it went up, never later than now. Without this every old
+ * opening would read as brand new.
+ */
+function backfillFirstSeen(sourceUpdatedTs, now) {
+  const postedMs = toMs(sourceUpdatedTs);
+  return postedMs != null && postedMs < toMs(now) ? sourceUpdatedTs : now;
+}
+
+/**
+ * Feed status once the backfill has written its jobs, and the jobDocIds to
+ * queue for scoring.
+ * @returns {{ status: object, queue: string[] }}
+ */
+function backfillAfterIngest({ startedAt, now, jobsWritten, jobIds }) {
+  const queue = [...new Set(jobIds)];
+  return {
+    status: {
+      state: queue.length > 0 ? "scoring" : "done",
+      startedAt,
+      finishedAt: queue.length > 0 ? null : now,
+      jobsWritten,
+      scoreTotal: queue.length,
+      scoreRemaining: queue.length,
+      error: null,
+    },
+    queue,
+  };
+}
+
+/** Feed status after a drain run, with `remaining` jobs still queued. */
+function backfillAfterBatch(backfill, remaining, now) {
+  return {
+    ...backfill,
+    state: remaining > 0 ? "scoring" : "done",
+    scoreRemaining: remaining,
+    finishedAt: remaining > 0 ? null : now,
+  };
+}
+
+module.exports = {
+  BACKFILL_STATES,
+  BACKFILL_QUEUE_COLLECTION,
+  BACKFILL_SCORE_BATCH,
+  BACKFILL_FETCH_TIMEOUT_MS,
+  backfillFirstSeen,
+  backfillAfterIngest,
+  backfillAfterBatch,
+};
@@ -0,0 +1,84 @@
+/**
+ * functions/lib/feedCache.cjs
+ *
+ * Skips work for feeds that haven't changed since the last sync. Two layers:
+ *
+ *   1. Conditional GET — single-request boards (Greenhouse, Ashby, Lever)
+ *      are re-requested with the stored ETag / Last-Modified; a 304 means
+ *      nothing was downloaded at all.
+ *   2. Payload hash — when the server ignores validators (or the adapter
+ *      paginates), the raw postings are hashed and compared to last run's.
+ *
+ * Either way an unchanged feed short-circuits before normalization, location
+ * filtering and description enrichment. Stored on the feed's server-only
+ * state doc (lib/feedState.cjs):
+ *
+ *   httpCache:   { url, etag, lastModified, bytes } | null
+ *   payloadHash: string | null
+ *
+ * Wraps the adapter's injectable fetchJson, so adapters stay unaware of it.
+ */
+
+const crypto = require("crypto");
+const { fetchJson: defaultFetchJson } = require("./sources/common.cjs");
+
+/**
+ * Build a fetchJson for one feed run. Validators are only sent on the first
+ * request, and only kept when the whole fetch was that one request — for a
+ * paginated board, page 1 being unchanged says nothing about page 2.
+ *
+ * @param {{ url, etag, lastModified, bytes }|null|undefined} httpCache
+ * `requests` doubles as the page count of a paginated board (Eightfold);
+ * `status` is the last HTTP status seen.
+ *
+ * @returns {{ fetchJson: Function, result: () => { requests: number, bytes: number, status: number|null, httpCache: object|null } }}
+ */
+function createConditionalFetch(httpCache, baseFetchJson = defaultFetchJson) {
+  let requests = 0;
+  let bytes = 0;
+  let first = null;
+  let status = null;
+
+  const fetchJson = (url, maxRetries = 2, opts = {}) => {
+    const isFirst = requests === 0;
+    requests += 1;
+
+    const headers = { ...(opts.headers || {}) };
+    if (isFirst && !opts.body && httpCache?.url === url) {
+      if (httpCache.etag) headers["if-none-match"] = httpCache.etag;
+      if (httpCache.lastModified) headers["if-modified-since"] = httpCache.lastModified;
+    }
+
+    return baseFetchJson(url, maxRetries, {
+      ...opts,
+      headers,
+      onResponse: (r) => {
+        bytes += r.bytes || 0;
+        status = r.status ?? status;
+        if (isFirst && !opts.body) first = r;
+        if (opts.onResponse) opts.onResponse(r);
+      },
+    });
+  };
+
+  const result = () => ({
+    requests,
+    bytes,
+    status,
+    httpCache: requests === 1 && first && (first.etag || first.lastModified)
+      ? { url: first.url, etag: first.etag || null, lastModified: first.lastModified || null, bytes: first.bytes }
+      : null,
+  });
+
+  return { fetchJson, result };
+}
+
+/** Stable hash of an adapter's raw postings. */
+function hashPayload(rawJobs) {
+  return crypto.createHash("sha1").update(JSON.stringify(rawJobs)).digest("hex");
+}
+
+module.exports = {
+  createConditionalFetch,
+  hashPayload,
+};
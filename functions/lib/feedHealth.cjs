@@ -0,0 +1,119 @@
+/**
+ * functions/lib/feedHealth.cjs
+ *
+ * Per-feed circuit breaker. Every sync attempt records its outcome under
+ * `health` on the feed's server-only state doc (lib/feedState.cjs), with a
+ * copy on the feed doc for the Feeds page:
+ *
+ *   {
+ *     state: "healthy" | "degraded" | "backoff",
+ *     consecutiveFailures, lastSuccessAt, lastFailureAt,
+ *     lastLatencyMs, avgLatencyMs,   // EWMA over attempts
+ *     nextAttemptAt,                 // set while backing off
+ *   }
+ *
+ * The first FAILURE_THRESHOLD - 1 failures only mark the feed degraded; from
+ * then on the breaker opens and the sync skips the feed until nextAttemptAt,
+ * doubling the wait on every failed probe (capped at MAX_BACKOFF_MS). The
+ * first run after nextAttemptAt is a recovery probe: success closes the
+ * breaker, failure backs off further.
+ */
+
+const admin = require("firebase-admin");
+
+const HEALTH_STATE = Object.freeze({
+  HEALTHY: "healthy",
+  DEGRADED: "degraded",
+  BACKOFF: "backoff",
+});
+
+const FAILURE_THRESHOLD = 3;
+const BASE_BACKOFF_MS = 30 * 60 * 1000;
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+// Hard cap on one feed's fetch so a hung board can't eat the 540s sync budget
+const FEED_FETCH_TIMEOUT_MS = 90 * 1000;
+
+const LATENCY_ALPHA = 0.3;
+
+const toMs = (ts) => (ts && typeof ts.toMillis === "function" ? ts.toMillis() : null);
+const fromMs = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+
+/** Backoff after `failures` consecutive failures, or 0 while still under the threshold. */
+function backoffMs(failures) {
+  if (failures < FAILURE_THRESHOLD) return 0;
+  return Math.min(BASE_BACKOFF_MS * 2 ** (failures - FAILURE_THRESHOLD), MAX_BACKOFF_MS);
+}
+
+/**
+ * Should this run fetch the feed?
+ * @returns {{ attempt: boolean, probe: boolean }} probe = first try after a backoff
+ */
+function shouldAttemptFeed(health, nowMs) {
+  const next = toMs(health?.nextAttemptAt);
+  if (health?.state !== HEALTH_STATE.BACKOFF || next == null) return { attempt: true, probe: false };
+  if (nowMs >= next) return { attempt: true, probe: true };
+  return { attempt: false, probe: false };
+}
+
+function averageLatency(prevAvg, latencyMs) {
+  if (typeof latencyMs !== "number") return prevAvg ?? null;
+  if (typeof prevAvg !== "number") return Math.round(latencyMs);
+  return Math.round(prevAvg * (1 - LATENCY_ALPHA) + latencyMs * LATENCY_ALPHA);
+}
+
+function recordFeedSuccess(health, { nowMs, latencyMs }) {
+  return {
+    state: HEALTH_STATE.HEALTHY,
+    consecutiveFailures: 0,
+    lastSuccessAt: fromMs(nowMs),
+    lastFailureAt: health?.lastFailureAt || null,
+    lastLatencyMs: typeof latencyMs === "number" ? Math.round(latencyMs) : null,
+    avgLatencyMs: averageLatency(health?.avgLatencyMs, latencyMs),
+    nextAttemptAt: null,
+  };
+}
+
+function recordFeedFailure(health, { nowMs, latencyMs }) {
+  const failures = (health?.consecutiveFailures || 0) + 1;
+  const wait = backoffMs(failures);
+  return {
+    state: wait > 0 ? HEALTH_STATE.BACKOFF : HEALTH_STATE.DEGRADED,
+    consecutiveFailures: failures,
+    lastSuccessAt: health?.lastSuccessAt || null,
+    lastFailureAt: fromMs(nowMs),
+    lastLatencyMs: typeof latencyMs === "number" ? Math.round(latencyMs) : null,
+    avgLatencyMs: averageLatency(health?.avgLatencyMs, latencyMs),
+    nextAttemptAt: wait > 0 ? fromMs(nowMs + wait) : null,
+  };
+}
+
+/**
+ * Reject with a timeout error if `work` hasn't settled within `ms`. `work` is
+ * a promise, or a function called with an AbortSignal that is aborted (with
+ * the timeout error) when the time runs out, so its requests stop too.
+ */
+function withTimeout(work, ms, label) {
+  const controller = new AbortController();
+  const promise = typeof work === "function" ? work(controller.signal) : work;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${Math.round(ms / 1000)}s`);
+      controller.abort(err);
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  HEALTH_STATE,
+  FAILURE_THRESHOLD,
+  FEED_FETCH_TIMEOUT_MS,
+  backoffMs,
+  shouldAttemptFeed,
+  recordFeedSuccess,
+  recordFeedFailure,
+  withTimeout,
+};
@@ -0,0 +1,61 @@
+/**
+ * functions/lib/feedState.cjs
+ *
+ * Server-only sync state per feed. Feed docs live under users/{uid}/feeds,
+ * which their owner can write, so nothing the sync acts on may be read from
+ * them: a hand-edited `openJobs` would close arbitrary corpus jobs, a
+ * `health` or `httpCache` could park a board. That state lives in a
+ * top-level collection no client rule matches:
+ *
+ *   /feedState/{ownerUid}__{feedId}
+ *   {
+ *     ownerUid, feedId,
+ *     openJobs: { [jobDocId]: lastSeenMs },   // lib/jobLifecycle.cjs
+ *     contentHashes: { [jobDocId]: hash },    // lib/jobRevisions.cjs, stableTimestamps sources only
+ *     httpCache, payloadHash,                 // lib/feedCache.cjs
+ *     locationFilterKey,                      // filters the last full read used
+ *     health,                                 // lib/feedHealth.cjs
+ *     updatedAt,
+ *   }
+ *
+ * The feed doc keeps display copies only (health, lastError, openJobCount,
+ * backfill progress). Before this collection the state sat on the feed doc;
+ * the admin's catalog feeds carry it over on their first run, other users'
+ * feeds start fresh.
+ */
+
+const FEED_STATE_COLLECTION = "feedState";
+
+// Fields the sync used to keep on the feed doc; dropped from it once moved
+const LEGACY_FEED_FIELDS = ["openJobs", "httpCache", "payloadHash", "locationFilterKey"];
+
+/** Doc id of a feed's state. */
+function feedStateId(ownerUid, feedId) {
+  return `${ownerUid}__${feedId}`.replace(/[^A-Za-z0-9_-]/g, "_");
+}
+
+/**
+ * The state a run starts from: the stored doc, else (catalog feeds only) what
+ * the feed doc carried before the move, else nothing.
+ * @param {object|null} stored - feedState doc data, or null
+ * @param {object} feed - feed doc data
+ * @param {{ trustFeedDoc: boolean }} opts - true for feeds only the admin writes
+ */
+function resolveFeedState(stored, feed, { trustFeedDoc }) {
+  const source = stored || (trustFeedDoc ? feed : {}) || {};
+  return {
+    openJobs: source.openJobs && typeof source.openJobs === "object" ? source.openJobs : {},
+    contentHashes: stored?.contentHashes && typeof stored.contentHashes === "object" ? stored.contentHashes : {},
+    httpCache: source.httpCache || null,
+    payloadHash: source.payloadHash || null,
+    locationFilterKey: source.locationFilterKey || null,
+    health: source.health || null,
+  };
+}
+
+module.exports = {
+  FEED_STATE_COLLECTION,
+  LEGACY_FEED_FIELDS,
+  feedStateId,
+  resolveFeedState,
+};
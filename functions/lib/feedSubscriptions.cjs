@@ -0,0 +1,112 @@
+/**
+ * functions/lib/feedSubscriptions.cjs
+ *
+ * Per-user feeds layered on the shared corpus. The admin's feeds are the
+ * catalog. Every other user follows part of it
+ * (settings/preferences.feedSubscriptions: catalog feed ids; missing = the
+ * whole catalog) and may add boards of their own under users/{uid}/feeds.
+ *
+ * The sync fetches each distinct board URL once into the admin's jobs
+ * collection. A board several people added is fetched through one canonical
+ * feed doc — the catalog's if it has one, else the oldest user feed — whose
+ * id becomes the jobs' companyKey and whose state doc (lib/feedState.cjs)
+ * carries openJobs, httpCache and health. The other docs are mirrors that
+ * only get status. Jobs from a board outside the catalog carry `feedOwner` so the
+ * shared views leave them out; a user's own view is every job whose
+ * companyKey they follow.
+ */
+
+/** Comparable form of a feed URL: case, trailing slash and fragment don't matter. */
+function feedUrlKey(url) {
+  return String(url || "")
+    .trim()
+    .toLowerCase()
+    .replace(/#.*$/, "")
+    .replace(/\/+(\?|$)/, "$1");
+}
+
+/** Catalog feed ids a user follows, or null for the whole catalog. */
+function resolveFeedSubscriptions(prefs) {
+  const list = prefs?.feedSubscriptions;
+  if (!Array.isArray(list)) return null;
+  return [...new Set(list.filter((id) => typeof id === "string" && id))];
+}
+
+const createdMs = (feed) => (feed?.createdAt?.toMillis ? feed.createdAt.toMillis() : Number(feed?.createdAt) || 0);
+const refKey = (ownerUid, feedId) => `${ownerUid}/${feedId}`;
+
+/**
+ * What to fetch and who sees it.
+ * @param {object} args
+ * @param {string} args.corpusUid - Admin uid; owns the catalog and the jobs
+ * @param {object[]} args.catalog - Active catalog feeds ({ id, url, ... })
+ * @param {{ ownerUid: string, feed: object }[]} args.userFeeds - Active feeds of other users
+ * @param {Object<string, string[]|null>} args.subscriptions - uid → resolveFeedSubscriptions()
+ * @returns {{
+ *   fetches: { ownerUid: string, feed: object, urlKey: string, mirrors: { ownerUid: string, feedId: string }[] }[],
+ *   sharedKeys: string[],
+ *   viewKeys: Object<string, string[]>,
+ * }}
+ *   sharedKeys: companyKeys in the shared (catalog) view.
+ *   viewKeys: companyKeys per user with a personal view (custom subscriptions or own feeds).
+ */
+function planFeedFetches({ corpusUid, catalog = [], userFeeds = [], subscriptions = {} }) {
+  const byUrl = new Map();
+  const companyKeyOf = new Map(); // "uid/feedId" → canonical feed id
+
+  const add = (ownerUid, feed) => {
+    const urlKey = feedUrlKey(feed.url);
+    if (!urlKey) return;
+    const hit = byUrl.get(urlKey);
+    if (hit) {
+      hit.mirrors.push({ ownerUid, feedId: feed.id });
+      companyKeyOf.set(refKey(ownerUid, feed.id), hit.feed.id);
+      return;
+    }
+    byUrl.set(urlKey, { ownerUid, feed, urlKey, mirrors: [] });
+    companyKeyOf.set(refKey(ownerUid, feed.id), feed.id);
+  };
+
+  for (const feed of catalog) add(corpusUid, feed);
+  const ordered = [...userFeeds].sort((a, b) =>
+    createdMs(a.feed) - createdMs(b.feed) || refKey(a.ownerUid, a.feed.id).localeCompare(refKey(b.ownerUid, b.feed.id))
+  );
+  for (const { ownerUid, feed } of ordered) add(ownerUid, feed);
+
+  const sharedKeys = [...new Set(catalog.map((f) => companyKeyOf.get(refKey(corpusUid, f.id))).filter(Boolean))];
+
+  const ownKeys = {};
+  for (const { ownerUid, feed } of userFeeds) {
+    const key = companyKeyOf.get(refKey(ownerUid, feed.id));
+    if (key) (ownKeys[ownerUid] ||= new Set()).add(key);
+  }
+
+  const viewKeys = {};
+  const users = new Set([...Object.keys(subscriptions), ...Object.keys(ownKeys)]);
+  users.delete(corpusUid);
+  for (const uid of users) {
+    const subs = subscriptions[uid] ?? null;
+    if (subs === null && !ownKeys[uid]) continue; // shared view
+    const followed = subs === null
+      ? sharedKeys
+      : subs.map((id) => companyKeyOf.get(refKey(corpusUid, id))).filter(Boolean);
+    viewKeys[uid] = [...new Set([...followed, ...(ownKeys[uid] || [])])];
+  }
+
+  return { fetches: [...byUrl.values()], sharedKeys, viewKeys };
+}
+
+/**
+ * companyKeys a user's view covers: their personal keys, or the catalog.
+ * @param {ReturnType<typeof planFeedFetches>} plan
+ */
+function viewKeysFor(plan, uid) {
+  return new Set(plan.viewKeys[uid] || plan.sharedKeys);
+}
+
+module.exports = {
+  feedUrlKey,
+  resolveFeedSubscriptions,
+  planFeedFetches,
+  viewKeysFor,
+};
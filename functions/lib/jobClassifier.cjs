@@ -0,0 +1,145 @@
+/**
+ * functions/lib/jobClassifier.cjs
+ *
+ * Deterministic seniority / role-family tags, written on every job at sync
+ * time (`seniority`, `roleFamily`) and used as facets by the Jobs page and
+ * the assistant's search_jobs tool. The title decides; the description only
+ * breaks ties for untagged IC titles ("5+ years of experience" → senior).
+ *
+ * Jobs synced before this existed are classified on the fly by
+ * classificationFor(), so the aggregations and the assistant never see a
+ * missing tag. Bump CLASSIFIER_VERSION when the rules change meaningfully.
+ */
+
+const CLASSIFIER_VERSION = 1;
+
+// Ordered junior → senior. "manager" / "director" are people-leadership tracks.
+const SENIORITY_LEVELS = ["intern", "entry", "mid", "senior", "staff", "principal", "manager", "director"];
+
+const ROLE_FAMILIES = [
+  "backend", "frontend", "fullstack", "mobile", "infra", "security", "ml", "data", "qa", "hardware",
+  "software", "pm", "design", "sales", "marketing", "recruiting", "finance", "support", "legal", "operations",
+  "other",
+];
+
+// First match wins — most specific first
+const SENIORITY_RULES = [
+  ["intern", /\b(intern|internship|co-?op|apprentice(ship)?|summer (student|analyst))\b/],
+  ["director", /\b(director|vp|svp|evp|vice president|head of|chief|cto|cio|ciso|cpo|ceo|cfo|coo)\b/],
+  ["principal", /\b(principal|distinguished|fellow)\b/],
+  ["staff", /\b(staff|senior staff|architect)\b/],
+  // "Product/Program/Project Manager" is a role, not a management level
+  ["manager", /\b(engineering|software|development|team|people|data|ml|machine learning|security|infrastructure|platform|qa|design) manager\b|\bmanager,? (software|engineering|data|platform|infrastructure)\b|\b(eng|em)\b manager/],
+  ["senior", /\b(senior|sr\.?|lead|tech lead|iii|iv)\b/],
+  ["entry", /\b(junior|jr\.?|new grad(uate)?|graduate|entry[- ]level|early career|university|associate|apprentice|i)\b(?!\s*\/)/],
+  ["mid", /\b(ii|mid[- ]level|intermediate)\b/],
+];
+
+const FAMILY_RULES = [
+  ["hardware", /\b(hardware|asic|fpga|firmware|embedded|silicon|rtl|pcb|analog|design verification|electrical engineer|mechanical engineer|chip)\b/],
+  ["design", /\b(designer|design|ux|ui\/ux|user experience|ux research(er)?)\b/],
+  ["pm", /\b(product manager|product management|program manager|project manager|product owner|tpm|technical program|product lead)\b/],
+  ["ml", /\b(machine learning|ml|ai|deep learning|research scientist|applied scientist|llm|nlp|computer vision|perception|genai|generative ai)\b/],
+  ["security", /\b(security|appsec|infosec|offensive|detection|threat|cryptograph\w*|penetration|red team)\b/],
+  ["data", /\b(data|analytics|business intelligence|bi engineer|etl|data warehouse)\b/],
+  ["infra", /\b(devops|sre|site reliability|infrastructure|platform|cloud|systems engineer|network|kubernetes|reliability|production engineer|build|release engineer|database administrator|dba)\b/],
+  ["mobile", /\b(ios|android|mobile|react native|flutter|swift|kotlin)\b/],
+  ["fullstack", /\b(full[- ]?stack)\b/],
+  ["frontend", /\b(front[- ]?end|ui engineer|web engineer|web developer|react|javascript|typescript)\b/],
+  ["backend", /\b(back[- ]?end|server|api|distributed systems|java|golang|go|python|ruby|rails|scala|c\+\+)\b/],
+  ["qa", /\b(qa|quality assurance|quality engineer|test engineer|sdet|test automation|automation engineer)\b/],
+  ["software", /\b(software|swe|developer|programmer|member of technical staff|mts|engineer(ing)?)\b/],
+  ["sales", /\b(sales|account executive|account manager|business development|bdr|sdr|solutions consultant|sales engineer)\b/],
+  ["marketing", /\b(marketing|growth|brand|content|communications|seo|demand gen)\b/],
+  ["recruiting", /\b(recruit(er|ing)|talent|sourcer|people partner|hr|human resources)\b/],
+  ["finance", /\b(finance|financial|accountant|accounting|fp&a|controller|tax|payroll|treasury)\b/],
+  ["support", /\b(support|customer success|customer experience|technical account|implementation|onboarding)\b/],
+  ["legal", /\b(legal|counsel|attorney|paralegal|compliance|privacy)\b/],
+  ["operations", /\b(operations|ops|logistics|supply chain|procurement|office|facilities)\b/],
+];
+
+// Customer-facing engineers sell; checked before the engineering families
+const FAMILY_OVERRIDES = [
+  ["sales", /\b(sales engineer|solutions engineer|pre-?sales)\b/],
+];
+
+function normTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/[()[\]]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Minimum years of experience a description asks for, or null. */
+function requiredYears(description) {
+  const text = String(description || "").slice(0, 20000);
+  const re = /(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*)?(?:years|yrs)(?:\s+of)?(?:\s+\w+){0,4}\s+experience/gi;
+  let min = null;
+  let m;
+  while ((m = re.exec(text))) {
+    const n = Number(m[1]);
+    if (n <= 25) min = min == null ? n : Math.min(min, n);
+  }
+  return min;
+}
+
+/** Seniority level for a title (+ optional description). */
+function classifySeniority(title, description) {
+  // "Member of Technical Staff" is a generic IC title, not the staff level
+  const t = normTitle(title).replace(/\bmember of (the )?technical staff\b/g, "mts");
+  for (const [level, re] of SENIORITY_RULES) {
+    if (re.test(t)) return level;
+  }
+  const years = requiredYears(description);
+  if (years != null) {
+    if (years >= 8) return "staff";
+    if (years >= 5) return "senior";
+    if (years <= 1) return "entry";
+  }
+  return "mid";
+}
+
+/** Role family for a title; description is not consulted (too noisy). */
+function classifyRoleFamily(title) {
+  const t = normTitle(title);
+  for (const [family, re] of FAMILY_OVERRIDES) {
+    if (re.test(t)) return family;
+  }
+  for (const [family, re] of FAMILY_RULES) {
+    if (re.test(t)) return family;
+  }
+  return "other";
+}
+
+/**
+ * Tags for one job.
+ * @param {{ title?: string, fullDescription?: string }} job
+ * @returns {{ seniority: string, roleFamily: string, classifierVersion: number }}
+ */
+function classifyJob(job) {
+  return {
+    seniority: classifySeniority(job?.title, job?.fullDescription),
+    roleFamily: classifyRoleFamily(job?.title),
+    classifierVersion: CLASSIFIER_VERSION,
+  };
+}
+
+/** Stored tags when current, otherwise computed from the title. */
+function classificationFor(job) {
+  if (job?.classifierVersion === CLASSIFIER_VERSION && job.seniority && job.roleFamily) {
+    return { seniority: job.seniority, roleFamily: job.roleFamily };
+  }
+  const { seniority, roleFamily } = classifyJob(job);
+  return { seniority, roleFamily };
+}
+
+module.exports = {
+  CLASSIFIER_VERSION,
+  SENIORITY_LEVELS,
+  ROLE_FAMILIES,
+  classifySeniority,
+  classifyRoleFamily,
+  classifyJob,
+  classificationFor,
+};
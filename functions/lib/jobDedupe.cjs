@@ -0,0 +1,217 @@
+/**
+ * functions/lib/jobDedupe.cjs
+ *
+ * Cross-feed duplicate and repost detection. The same opening regularly shows
+ * up under several job IDs — multi-location clones, reposts with a fresh ID
+ * after closing, or one role listed on both an Eightfold and a Greenhouse
+ * board. Every written job gets a fingerprint:
+ *
+ *   dedupeKey  — hash of normalized company + title (the bucket)
+ *   dedupeSig  — bottom-k sketch of 5-word description shingles
+ *   dedupeLoc  — hash of the normalized location
+ *   dedupeRef  — the posting's listing (requisition) ID, if it shows one
+ *
+ * After each sync, the buckets it touched are re-planned: jobs in the same
+ * bucket whose descriptions are near-identical to every other member form
+ * one group. The group's
+ * canonical job carries `repostCount`; every other member points at it via
+ * `canonicalId`. The Jobs list aggregations, mapClusters/companyStats and AI
+ * scoring all skip jobs with a `canonicalId`.
+ *
+ * Without a description on both sides a title match proves little (one
+ * company hires "Software Engineer" in many teams), so such jobs only group
+ * when they're at the same location and neither shows a listing ID.
+ */
+
+const crypto = require("crypto");
+const { stripHtml } = require("./sources/common.cjs");
+
+const SHINGLE_SIZE = 5;
+const SKETCH_SIZE = 64;
+const SIMILARITY_THRESHOLD = 0.8;
+const IN_QUERY_CHUNK = 30; // Firestore "in" filter limit
+
+// Legal-form suffixes dropped from the end of a company name ("Stripe, Inc.")
+const COMPANY_SUFFIXES = new Set(["inc", "incorporated", "llc", "ltd", "limited", "corp", "corporation", "co", "gmbh", "plc", "ag", "sa", "bv"]);
+
+function tokens(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9+#]+/)
+    .filter(Boolean);
+}
+
+function normalizeCompany(name) {
+  const t = tokens(name);
+  while (t.length > 1 && COMPANY_SUFFIXES.has(t[t.length - 1])) t.pop();
+  return t.join(" ");
+}
+
+/**
+ * Title without the parts that vary between clones of the same opening:
+ * bracketed notes ("(Remote)", "[R-12345]") and a trailing " - <location>"
+ * segment when that segment is part of the job's own location.
+ */
+function normalizeTitle(title, locationName) {
+  let t = String(title || "").replace(/\([^)]*\)|\[[^\]]*\]/g, " ");
+  const loc = tokens(locationName).join(" ");
+  const parts = t.split(/\s[-–—|,]\s|,\s/);
+  while (parts.length > 1) {
+    const tail = tokens(parts[parts.length - 1]).join(" ");
+    if (tail && (tail === "remote" || tail === "hybrid" || (loc && loc.includes(tail)))) parts.pop();
+    else break;
+  }
+  t = parts.join(" ");
+  return tokens(t).join(" ");
+}
+
+// FNV-1a, 32-bit — stable across runtimes and cheap enough for thousands of shingles
+function hash32(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Bottom-k sketch of the description's word shingles: the SKETCH_SIZE
+ * smallest shingle hashes, ascending. Null when the text is too short to
+ * say anything.
+ */
+function descriptionSketch(text) {
+  const words = tokens(stripHtml(String(text || "")));
+  if (words.length < SHINGLE_SIZE) return null;
+  const hashes = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    hashes.add(hash32(words.slice(i, i + SHINGLE_SIZE).join(" ")));
+  }
+  return [...hashes].sort((a, b) => a - b).slice(0, SKETCH_SIZE);
+}
+
+/** Jaccard estimate from two bottom-k sketches. */
+function sketchSimilarity(a, b) {
+  if (!a?.length || !b?.length) return 0;
+  const bSet = new Set(b);
+  const aSet = new Set(a);
+  const union = [...new Set([...a, ...b])].sort((x, y) => x - y).slice(0, SKETCH_SIZE);
+  let both = 0;
+  for (const h of union) if (aSet.has(h) && bSet.has(h)) both++;
+  return both / union.length;
+}
+
+/**
+ * Fingerprint a normalized job. Returns the fields to store on the job doc,
+ * or null when there's no usable company + title.
+ */
+function fingerprintJob(job) {
+  const company = normalizeCompany(job.companyName);
+  const title = normalizeTitle(job.title, job.locationName);
+  if (!company || !title) return null;
+  const location = tokens(job.locationName).join(" ");
+  const listingId = String(job.meta?.["Job ID"] || "").trim();
+  return {
+    dedupeKey: crypto.createHash("sha1").update(`${company}|${title}`).digest("hex").slice(0, 20),
+    dedupeSig: descriptionSketch(job.fullDescription),
+    dedupeLoc: location ? crypto.createHash("sha1").update(location).digest("hex").slice(0, 12) : null,
+    dedupeRef: listingId || null,
+  };
+}
+
+function sameOpening(a, b) {
+  if (a.sig && b.sig) return sketchSimilarity(a.sig, b.sig) >= SIMILARITY_THRESHOLD;
+  return !!a.loc && a.loc === b.loc && !a.ref && !b.ref;
+}
+
+/**
+ * Group one bucket's members into openings and pick each group's canonical:
+ * open postings first (so a repost replaces its closed original), then the
+ * earliest seen, then id for a stable order.
+ *
+ * @param {{ id: string, sig: number[]|null, loc: string|null, ref: string|null, open: boolean, firstSeenMs: number }[]} members
+ * @returns {Map<string, { canonicalId: string|null, repostCount: number }>}
+ */
+function planDedupe(members) {
+  const ordered = [...members].sort(
+    (a, b) => (b.open - a.open) || (a.firstSeenMs - b.firstSeenMs) || a.id.localeCompare(b.id)
+  );
+  const groups = [];
+  for (const m of ordered) {
+    // Every member, not just the first: similarity isn't transitive
+    const group = groups.find((g) => g.every((x) => sameOpening(x, m)));
+    if (group) group.push(m);
+    else groups.push([m]);
+  }
+
+  const plan = new Map();
+  for (const [canonical, ...dupes] of groups) {
+    plan.set(canonical.id, { canonicalId: null, repostCount: dupes.length });
+    for (const d of dupes) plan.set(d.id, { canonicalId: canonical.id, repostCount: 0 });
+  }
+  return plan;
+}
+
+/**
+ * Re-plan every bucket in `keys` and write the links that changed.
+ * Reads only the jobs sharing those keys. Writes go through the caller's
+ * BulkWriter, which must have been flushed so this run's jobs are visible.
+ *
+ * @returns {Promise<{ duplicateIds: Set<string>, linked: number }>}
+ */
+async function linkDuplicates(jobsCol, keys, bw) {
+  const duplicateIds = new Set();
+  let linked = 0;
+  const keyList = [...keys].filter(Boolean);
+
+  for (let i = 0; i < keyList.length; i += IN_QUERY_CHUNK) {
+    const snap = await jobsCol.where("dedupeKey", "in", keyList.slice(i, i + IN_QUERY_CHUNK)).get();
+
+    const buckets = new Map();
+    for (const d of snap.docs) {
+      const x = d.data();
+      if (!buckets.has(x.dedupeKey)) buckets.set(x.dedupeKey, []);
+      buckets.get(x.dedupeKey).push({
+        id: d.id,
+        sig: Array.isArray(x.dedupeSig) ? x.dedupeSig : null,
+        loc: x.dedupeLoc ?? null,
+        ref: x.dedupeRef ?? null,
+        open: x.status !== "closed",
+        firstSeenMs: (x.firstSeenAt || x.fetchedAt)?.toMillis?.() ?? 0,
+        stored: { canonicalId: x.canonicalId ?? null, repostCount: x.repostCount ?? 0 },
+      });
+    }
+
+    for (const members of buckets.values()) {
+      const plan = planDedupe(members);
+      for (const m of members) {
+        const next = plan.get(m.id);
+        if (next.canonicalId) duplicateIds.add(m.id);
+        if (next.canonicalId === m.stored.canonicalId && next.repostCount === m.stored.repostCount) continue;
+        bw.update(jobsCol.doc(m.id), next);
+        if (next.canonicalId && next.canonicalId !== m.stored.canonicalId) linked += 1;
+      }
+    }
+  }
+
+  return { duplicateIds, linked };
+}
+
+/** Does this job doc stand for a real opening (i.e. is not a linked duplicate)? */
+function isCanonicalJob(job) {
+  return !job?.canonicalId;
+}
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  normalizeCompany,
+  normalizeTitle,
+  descriptionSketch,
+  sketchSimilarity,
+  fingerprintJob,
+  planDedupe,
+  linkDuplicates,
+  isCanonicalJob,
+};
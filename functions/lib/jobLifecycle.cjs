@@ -0,0 +1,167 @@
+/**
+ * functions/lib/jobLifecycle.cjs
+ *
+ * Job lifecycle: open → closed, driven by diffing each feed's current postings
+ * against the jobs we stored for it on the previous run.
+ *
+ * Per-feed state lives on the feed's server-only state doc (lib/feedState.cjs)
+ * as `openJobs: { [jobDocId]: lastSeenMs }` so the sync can diff without
+ * reading the jobs collection. Only adapters
+ * whose fetch() returns the whole board (`fullListing`) can prove a posting
+ * is gone; paginated sources that stop early just age out of the map.
+ *
+ * Job fields:  status ("open" | "closed"), firstSeenAt, lastSeenAt, closedAt,
+ *              expireAt (TTL; null for tracked jobs and "keep forever")
+ *
+ * Retention is configurable per status at
+ *   /users/{uid}/settings/preferences.jobRetentionDays = { open, closed }
+ * where a value of null keeps that status forever.
+ */
+
+const admin = require("firebase-admin");
+
+const JOB_STATUS = {
+  OPEN: "open",
+  CLOSED: "closed",
+};
+
+const DEFAULT_RETENTION_DAYS = {
+  open: 14, // days since the posting was last seen on its feed
+  closed: 7, // days since the posting disappeared from its feed
+};
+
+const MAX_RETENTION_DAYS = 365;
+
+// lastSeenAt is refreshed at most this often per job, so a board with 500
+// open postings costs ~2 writes/job/day instead of one per 20-minute sync.
+const SEEN_REFRESH_MS = 12 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Merge a user's `jobRetentionDays` preference over the defaults. Invalid
+ * values fall back to the default; null means "never expire".
+ */
+function resolveRetentionDays(prefs) {
+  const raw = prefs && typeof prefs.jobRetentionDays === "object" && prefs.jobRetentionDays
+    ? prefs.jobRetentionDays
+    : {};
+  const out = { ...DEFAULT_RETENTION_DAYS };
+  for (const status of Object.keys(DEFAULT_RETENTION_DAYS)) {
+    if (!(status in raw)) continue;
+    const v = raw[status];
+    if (v === null) {
+      out[status] = null;
+    } else if (Number.isFinite(Number(v)) && Number(v) >= 1) {
+      out[status] = Math.min(Math.round(Number(v)), MAX_RETENTION_DAYS);
+    }
+  }
+  return out;
+}
+
+/**
+ * A job someone is actively pursuing. Set by the worker / extension when
+ * applying, or explicitly via `tracked: true`. Tracked jobs never expire.
+ */
+function isTrackedJob(job) {
+  if (!job) return false;
+  return Boolean(job.tracked || job.autoApplied || job.appliedAt || job.lastAppliedAt);
+}
+
+function toMillis(ts) {
+  if (!ts) return null;
+  if (typeof ts.toMillis === "function") return ts.toMillis();
+  const ms = new Date(ts).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * TTL for a job given its lifecycle fields. Returns a Timestamp, or null when
+ * the job must be kept (tracked, or retention for its status is null).
+ */
+function computeExpireAt(job, retentionDays) {
+  if (isTrackedJob(job)) return null;
+
+  const closed = job.status === JOB_STATUS.CLOSED;
+  const days = closed ? retentionDays.closed : retentionDays.open;
+  if (days == null) return null;
+
+  const baseMs = closed
+    ? toMillis(job.closedAt)
+    : (toMillis(job.lastSeenAt) ?? toMillis(job.sourceUpdatedTs));
+  if (baseMs == null) return null;
+
+  return admin.firestore.Timestamp.fromMillis(baseMs + days * DAY_MS);
+}
+
+/**
+ * Diff one feed run against the previous `openJobs` map.
+ *
+ *   prevOpen      { [jobDocId]: lastSeenMs } from the feed doc
+ *   currentIds    Set of jobDocIds for every posting the fetch returned
+ *   writtenIds    Set of jobDocIds the sync is (re)writing this run
+ *   fullListing   adapter returns the whole board, so absence means closed
+ *
+ * Returns { toClose, toRefresh, nextOpen }. `toRefresh` are still-open jobs
+ * whose lastSeenAt is older than SEEN_REFRESH_MS; written jobs are excluded
+ * from both lists because the main write already stamps them.
+ */
+function planFeedLifecycle({ prevOpen, currentIds, writtenIds, fullListing, nowMs, openRetentionDays }) {
+  const prev = prevOpen && typeof prevOpen === "object" ? prevOpen : {};
+  const toClose = [];
+  const toRefresh = [];
+  const nextOpen = {};
+
+  // An empty board right after a non-empty one is far more likely an API
+  // hiccup than every posting closing at once; don't trust it.
+  const canClose = fullListing && currentIds.size > 0;
+
+  for (const [id, lastSeenMsRaw] of Object.entries(prev)) {
+    if (writtenIds.has(id)) continue;
+    const lastSeenMs = Number(lastSeenMsRaw) || 0;
+
+    if (currentIds.has(id)) {
+      if (nowMs - lastSeenMs >= SEEN_REFRESH_MS) {
+        toRefresh.push(id);
+        nextOpen[id] = nowMs;
+      } else {
+        nextOpen[id] = lastSeenMs;
+      }
+    } else if (canClose) {
+      toClose.push(id);
+    } else if (openRetentionDays == null || nowMs - lastSeenMs < openRetentionDays * DAY_MS) {
+      // Not on the pages we fetched; keep until it would have expired anyway
+      nextOpen[id] = lastSeenMs;
+    }
+  }
+
+  for (const id of writtenIds) nextOpen[id] = nowMs;
+
+  return { toClose, toRefresh, nextOpen };
+}
+
+/**
+ * Batch-read job docs by id. Returns Map<jobDocId, data | null>.
+ */
+async function readJobDocs(jobsCol, ids, dbInstance) {
+  const db = dbInstance || admin.firestore();
+  const out = new Map();
+  const unique = Array.from(new Set(ids));
+  for (let i = 0; i < unique.length; i += 300) {
+    const chunk = unique.slice(i, i + 300);
+    const snaps = await db.getAll(...chunk.map((id) => jobsCol.doc(id)));
+    snaps.forEach((s, idx) => out.set(chunk[idx], s.exists ? s.data() : null));
+  }
+  return out;
+}
+
+module.exports = {
+  JOB_STATUS,
+  DEFAULT_RETENTION_DAYS,
+  SEEN_REFRESH_MS,
+  resolveRetentionDays,
+  isTrackedJob,
+  computeExpireAt,
+  planFeedLifecycle,
+  readJobDocs,
+};
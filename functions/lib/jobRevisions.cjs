@@ -0,0 +1,204 @@
+/**
+ * functions/lib/jobRevisions.cjs
+ *
+ * Compact change history for job postings. When a sync rewrites a job that
+ * already exists, the stored doc is diffed against the freshly normalized
+ * one and any edits are appended to a revisions subcollection.
+ *
+ * Doc path:   /users/{uid}/jobs/{jobId}/revisions/{autoId}
+ * Shape:      { at, fields, changes: [{ field, from, to }], description, expireAt }
+ *
+ * The job doc itself carries lastChangedAt / lastChangedFields / revisionCount
+ * so the Jobs page can flag edits without reading the subcollection.
+ *
+ * Full descriptions are never copied into a revision; only a line-level
+ * summary (what was added / removed) is kept to stay small.
+ *
+ * Only postings the sync rewrites get diffed, and it rewrites the recently
+ * updated ones. Sources whose timestamp never moves on an edit (Lever's
+ * createdAt, Ashby's publishedAt, Workday's posted date) hash each stored
+ * posting's tracked content instead, and the ones whose hash changed since
+ * the last run are rewritten too.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+// Scalar fields whose edits are worth surfacing. Values are stored verbatim.
+const TRACKED_FIELDS = ["title", "locationName", "workplaceType", "isRemote", "jobUrl"];
+
+// meta keys that change on their own and would flood the history
+const VOLATILE_META_KEYS = new Set(["Posted"]);
+
+const MAX_SAMPLE_LINES = 5;
+const MAX_LINE_CHARS = 200;
+
+// Revisions outlive their job by design (Firestore TTL doesn't cascade to
+// subcollections), so they carry their own expiry.
+const REVISION_TTL_DAYS = 90;
+
+function normalizeLine(s) {
+  return String(s).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Split a plain-text description into comparable units: lines, then
+ * sentences within long lines, whitespace-normalized.
+ */
+function descriptionUnits(text) {
+  const units = [];
+  for (const line of String(text || "").split(/\n+/)) {
+    const parts = line.length > MAX_LINE_CHARS ? line.split(/(?<=[.!?])\s+/) : [line];
+    for (const p of parts) {
+      const n = normalizeLine(p);
+      if (n) units.push(n);
+    }
+  }
+  return units;
+}
+
+/**
+ * Line/sentence-level summary of a description edit. Returns null when the
+ * two texts are equivalent after whitespace normalization.
+ */
+function summarizeDescriptionDiff(before, after) {
+  const a = descriptionUnits(before);
+  const b = descriptionUnits(after);
+  if (a.join("\n") === b.join("\n")) return null;
+
+  const aSet = new Set(a);
+  const bSet = new Set(b);
+  const added = b.filter((u) => !aSet.has(u));
+  const removed = a.filter((u) => !bSet.has(u));
+  const clip = (u) => (u.length > MAX_LINE_CHARS ? `${u.slice(0, MAX_LINE_CHARS - 1)}…` : u);
+
+  return {
+    addedCount: added.length,
+    removedCount: removed.length,
+    added: added.slice(0, MAX_SAMPLE_LINES).map(clip),
+    removed: removed.slice(0, MAX_SAMPLE_LINES).map(clip),
+    lengthBefore: String(before || "").length,
+    lengthAfter: String(after || "").length,
+  };
+}
+
+function stableMeta(meta) {
+  const out = {};
+  if (!meta || typeof meta !== "object") return out;
+  for (const k of Object.keys(meta).sort()) {
+    if (!VOLATILE_META_KEYS.has(k)) out[k] = meta[k] ?? null;
+  }
+  return out;
+}
+
+/** Short hash of what diffJob compares: tracked fields, stable meta, description. */
+function contentHash(job) {
+  const content = [
+    TRACKED_FIELDS.map((f) => job[f] ?? null),
+    stableMeta(job.meta),
+    descriptionUnits(job.fullDescription).join("\n"),
+  ];
+  return crypto.createHash("sha1").update(JSON.stringify(content)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Stored postings edited since the last run, for sources whose timestamps
+ * don't move on an edit. Postings without a hash from last run are only
+ * recorded, so the first run after a deploy rewrites nothing. Postings that
+ * came back without a description (Workday only fetches detail docs inside
+ * the recent window, or the fetch failed) keep last run's hash.
+ * @param {object[]} jobs - normalized postings the sync would keep
+ * @param {Object<string, string>} prevHashes - jobDocId → contentHash from the last run
+ * @param {Set<string>} storedIds - jobDocIds stored open or written this run
+ * @returns {{ edited: object[], hashes: Object<string, string> }}
+ */
+function findEditedPostings(jobs, prevHashes, storedIds) {
+  const hashes = {};
+  const edited = [];
+  for (const job of jobs) {
+    if (!storedIds.has(job.jobDocId)) continue;
+    const prev = prevHashes?.[job.jobDocId];
+    if (!job.fullDescription) {
+      if (prev) hashes[job.jobDocId] = prev;
+      continue;
+    }
+    const hash = contentHash(job);
+    hashes[job.jobDocId] = hash;
+    if (prev && prev !== hash) edited.push(job);
+  }
+  return { edited, hashes };
+}
+
+/**
+ * Diff a stored job against its newly normalized version.
+ * Fields missing on either side are skipped (legacy docs, failed JD enrichment),
+ * so only real edits are reported. Returns null when nothing changed.
+ */
+function diffJob(prev, next) {
+  if (!prev || !next) return null;
+  const changes = [];
+
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in prev) || !(field in next)) continue;
+    const from = prev[field] ?? null;
+    const to = next[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+
+  if (prev.meta && next.meta) {
+    const a = stableMeta(prev.meta);
+    const b = stableMeta(next.meta);
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      const from = k in a ? a[k] : null;
+      const to = k in b ? b[k] : null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field: `meta.${k}`, from, to });
+    }
+  }
+
+  const description = prev.fullDescription && next.fullDescription
+    ? summarizeDescriptionDiff(prev.fullDescription, next.fullDescription)
+    : null;
+
+  if (changes.length === 0 && !description) return null;
+
+  return {
+    fields: [...changes.map((c) => c.field), ...(description ? ["fullDescription"] : [])],
+    changes,
+    description,
+  };
+}
+
+/**
+ * Build the revision doc + job-doc stamp for a diff. Caller writes both
+ * (BulkWriter in the sync) so the job and its history land together.
+ */
+function buildRevision(diff, { now, tracked }) {
+  const expireAt = tracked
+    ? null
+    : admin.firestore.Timestamp.fromMillis(now.toMillis() + REVISION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  return {
+    revision: {
+      at: now,
+      fields: diff.fields,
+      changes: diff.changes,
+      description: diff.description,
+      expireAt,
+    },
+    jobPatch: {
+      lastChangedAt: now,
+      lastChangedFields: diff.fields,
+      revisionCount: admin.firestore.FieldValue.increment(1),
+    },
+  };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  REVISION_TTL_DAYS,
+  diffJob,
+  contentHash,
+  findEditedPostings,
+  summarizeDescriptionDiff,
+  buildRevision,
+};
@@ -2,9 +2,11 @@
  * functions/lib/locationNormalizer.cjs
  * 
  * Normalizes raw locationName strings from any source (greenhouse, ashby, eightfold)
- * into a canonical { city, state, lat, lng } object for map display.
+ * into a canonical { city, state, country, lat, lng } object for map display,
+ * and classifies them into the countries / regions / cities a job is open to
+ * (see classifyLocation, used by the per-user location filter).
  * 
- * Returns null for remote-only / vague / unresolvable locations.
+ * Returns null for international locations that can't be placed on a city.
  */
 
 // ──────────────────────────────────────────────────────
@@ -402,6 +404,11 @@ const CITY_CANONICAL = {
   "saint petersburg": "St. Petersburg",
   "saint johns": "Saint Johns",
   "fort smith": "Fort Smith",
+  "munchen": "Munich",
+  "bangalore": "Bengaluru",
+  "gurgaon": "Gurugram",
+  "sao paulo": "São Paulo",
+  "bogota": "Bogotá",
 };
 
 // State name → abbreviation mapping
@@ -440,6 +447,233 @@ const STATE_BIGGEST_CITY = {
   "WI": "milwaukee", "WY": "cheyenne", "DC": "washington",
 };
 
+// ──────────────────────────────────────────────────────
+// International lookups
+// ──────────────────────────────────────────────────────
+
+// ISO 3166-1 alpha-2 → names seen in postings. Multi-word aliases are matched
+// first and consumed, so "New Mexico" resolves to US before "Mexico" can match.
+const COUNTRIES = {
+  US: ["united states of america", "united states", "usa", "us", "new mexico", "new england"],
+  CA: ["canada"],
+  GB: ["united kingdom", "uk", "great britain", "england", "scotland", "wales", "northern ireland"],
+  IE: ["ireland"],
+  DE: ["germany", "deutschland"],
+  FR: ["france"],
+  NL: ["netherlands", "the netherlands", "holland"],
+  ES: ["spain"],
+  PT: ["portugal"],
+  IT: ["italy"],
+  PL: ["poland"],
+  SE: ["sweden"],
+  DK: ["denmark"],
+  NO: ["norway"],
+  FI: ["finland"],
+  CH: ["switzerland"],
+  AT: ["austria"],
+  BE: ["belgium"],
+  CZ: ["czech republic", "czechia"],
+  EE: ["estonia"],
+  IN: ["india"],
+  SG: ["singapore"],
+  JP: ["japan"],
+  KR: ["south korea", "korea"],
+  AU: ["australia"],
+  NZ: ["new zealand"],
+  IL: ["israel"],
+  AE: ["united arab emirates", "uae"],
+  MX: ["mexico"],
+  BR: ["brazil", "brasil"],
+  AR: ["argentina"],
+  CO: ["colombia"],
+  PH: ["philippines"],
+};
+
+const COUNTRY_NAMES = {
+  US: "United States", CA: "Canada", GB: "United Kingdom", IE: "Ireland", DE: "Germany", FR: "France",
+  NL: "Netherlands", ES: "Spain", PT: "Portugal", IT: "Italy", PL: "Poland", SE: "Sweden", DK: "Denmark",
+  NO: "Norway", FI: "Finland", CH: "Switzerland", AT: "Austria", BE: "Belgium", CZ: "Czechia", EE: "Estonia",
+  IN: "India", SG: "Singapore", JP: "Japan", KR: "South Korea", AU: "Australia", NZ: "New Zealand",
+  IL: "Israel", AE: "United Arab Emirates", MX: "Mexico", BR: "Brazil", AR: "Argentina", CO: "Colombia",
+  PH: "Philippines",
+};
+
+const COUNTRY_ALIASES = Object.entries(COUNTRIES)
+  .flatMap(([code, aliases]) => aliases.map((alias) => ({ code, alias })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+// First-level subdivisions outside the US, keyed by name and by the
+// abbreviations postings actually use. Values are ISO 3166-2 suffixes.
+const INTL_REGIONS = {
+  CA: {
+    "ontario": "ON", "quebec": "QC", "british columbia": "BC", "alberta": "AB", "manitoba": "MB",
+    "saskatchewan": "SK", "nova scotia": "NS", "new brunswick": "NB", "newfoundland and labrador": "NL",
+    "prince edward island": "PE",
+    "on": "ON", "qc": "QC", "bc": "BC", "ab": "AB", "mb": "MB", "sk": "SK", "ns": "NS", "nb": "NB", "pe": "PE",
+  },
+  GB: { "england": "ENG", "scotland": "SCT", "wales": "WLS", "northern ireland": "NIR" },
+  AU: {
+    "new south wales": "NSW", "victoria": "VIC", "queensland": "QLD", "western australia": "WA",
+    "south australia": "SA", "tasmania": "TAS", "australian capital territory": "ACT",
+    "nsw": "NSW", "vic": "VIC", "qld": "QLD", "tas": "TAS", "act": "ACT",
+  },
+  IN: {
+    "karnataka": "KA", "maharashtra": "MH", "telangana": "TG", "tamil nadu": "TN", "delhi": "DL",
+    "haryana": "HR", "uttar pradesh": "UP",
+  },
+};
+
+// Non-US cities. `region` is the ISO 3166-2 suffix, or null where postings
+// never name one. Keys are lowercase with accents folded.
+const INTL_CITY_COORDS = {
+  // Canada
+  "toronto": { country: "CA", region: "ON", lat: 43.6532, lng: -79.3832 },
+  "ottawa": { country: "CA", region: "ON", lat: 45.4215, lng: -75.6972 },
+  "waterloo": { country: "CA", region: "ON", lat: 43.4643, lng: -80.5204 },
+  "kitchener": { country: "CA", region: "ON", lat: 43.4516, lng: -80.4925 },
+  "mississauga": { country: "CA", region: "ON", lat: 43.5890, lng: -79.6441 },
+  "montreal": { country: "CA", region: "QC", lat: 45.5019, lng: -73.5674 },
+  "quebec city": { country: "CA", region: "QC", lat: 46.8139, lng: -71.2080 },
+  "vancouver": { country: "CA", region: "BC", lat: 49.2827, lng: -123.1207 },
+  "victoria": { country: "CA", region: "BC", lat: 48.4284, lng: -123.3656 },
+  "calgary": { country: "CA", region: "AB", lat: 51.0447, lng: -114.0719 },
+  "edmonton": { country: "CA", region: "AB", lat: 53.5461, lng: -113.4938 },
+  "winnipeg": { country: "CA", region: "MB", lat: 49.8951, lng: -97.1384 },
+  "halifax": { country: "CA", region: "NS", lat: 44.6488, lng: -63.5752 },
+
+  // United Kingdom & Ireland
+  "london": { country: "GB", region: "ENG", lat: 51.5074, lng: -0.1278 },
+  "manchester": { country: "GB", region: "ENG", lat: 53.4808, lng: -2.2426 },
+  "cambridge": { country: "GB", region: "ENG", lat: 52.2053, lng: 0.1218 },
+  "oxford": { country: "GB", region: "ENG", lat: 51.7520, lng: -1.2577 },
+  "bristol": { country: "GB", region: "ENG", lat: 51.4545, lng: -2.5879 },
+  "leeds": { country: "GB", region: "ENG", lat: 53.8008, lng: -1.5491 },
+  "birmingham": { country: "GB", region: "ENG", lat: 52.4862, lng: -1.8904 },
+  "edinburgh": { country: "GB", region: "SCT", lat: 55.9533, lng: -3.1883 },
+  "glasgow": { country: "GB", region: "SCT", lat: 55.8642, lng: -4.2518 },
+  "cardiff": { country: "GB", region: "WLS", lat: 51.4816, lng: -3.1791 },
+  "belfast": { country: "GB", region: "NIR", lat: 54.5973, lng: -5.9301 },
+  "dublin": { country: "IE", region: null, lat: 53.3498, lng: -6.2603 },
+  "cork": { country: "IE", region: null, lat: 51.8985, lng: -8.4756 },
+  "galway": { country: "IE", region: null, lat: 53.2707, lng: -9.0568 },
+
+  // Europe
+  "berlin": { country: "DE", region: null, lat: 52.5200, lng: 13.4050 },
+  "munich": { country: "DE", region: null, lat: 48.1351, lng: 11.5820 },
+  "munchen": { country: "DE", region: null, lat: 48.1351, lng: 11.5820 },
+  "hamburg": { country: "DE", region: null, lat: 53.5511, lng: 9.9937 },
+  "frankfurt": { country: "DE", region: null, lat: 50.1109, lng: 8.6821 },
+  "paris": { country: "FR", region: null, lat: 48.8566, lng: 2.3522 },
+  "amsterdam": { country: "NL", region: null, lat: 52.3676, lng: 4.9041 },
+  "rotterdam": { country: "NL", region: null, lat: 51.9244, lng: 4.4777 },
+  "madrid": { country: "ES", region: null, lat: 40.4168, lng: -3.7038 },
+  "barcelona": { country: "ES", region: null, lat: 41.3874, lng: 2.1686 },
+  "lisbon": { country: "PT", region: null, lat: 38.7223, lng: -9.1393 },
+  "milan": { country: "IT", region: null, lat: 45.4642, lng: 9.1900 },
+  "warsaw": { country: "PL", region: null, lat: 52.2297, lng: 21.0122 },
+  "krakow": { country: "PL", region: null, lat: 50.0647, lng: 19.9450 },
+  "stockholm": { country: "SE", region: null, lat: 59.3293, lng: 18.0686 },
+  "copenhagen": { country: "DK", region: null, lat: 55.6761, lng: 12.5683 },
+  "oslo": { country: "NO", region: null, lat: 59.9139, lng: 10.7522 },
+  "helsinki": { country: "FI", region: null, lat: 60.1699, lng: 24.9384 },
+  "zurich": { country: "CH", region: null, lat: 47.3769, lng: 8.5417 },
+  "geneva": { country: "CH", region: null, lat: 46.2044, lng: 6.1432 },
+  "vienna": { country: "AT", region: null, lat: 48.2082, lng: 16.3738 },
+  "brussels": { country: "BE", region: null, lat: 50.8503, lng: 4.3517 },
+  "prague": { country: "CZ", region: null, lat: 50.0755, lng: 14.4378 },
+  "tallinn": { country: "EE", region: null, lat: 59.4370, lng: 24.7536 },
+
+  // Asia-Pacific & Middle East
+  "bengaluru": { country: "IN", region: "KA", lat: 12.9716, lng: 77.5946 },
+  "bangalore": { country: "IN", region: "KA", lat: 12.9716, lng: 77.5946 },
+  "hyderabad": { country: "IN", region: "TG", lat: 17.3850, lng: 78.4867 },
+  "pune": { country: "IN", region: "MH", lat: 18.5204, lng: 73.8567 },
+  "mumbai": { country: "IN", region: "MH", lat: 19.0760, lng: 72.8777 },
+  "chennai": { country: "IN", region: "TN", lat: 13.0827, lng: 80.2707 },
+  "new delhi": { country: "IN", region: "DL", lat: 28.6139, lng: 77.2090 },
+  "gurugram": { country: "IN", region: "HR", lat: 28.4595, lng: 77.0266 },
+  "gurgaon": { country: "IN", region: "HR", lat: 28.4595, lng: 77.0266 },
+  "noida": { country: "IN", region: "UP", lat: 28.5355, lng: 77.3910 },
+  "singapore": { country: "SG", region: null, lat: 1.3521, lng: 103.8198 },
+  "tokyo": { country: "JP", region: null, lat: 35.6762, lng: 139.6503 },
+  "seoul": { country: "KR", region: null, lat: 37.5665, lng: 126.9780 },
+  "sydney": { country: "AU", region: "NSW", lat: -33.8688, lng: 151.2093 },
+  "melbourne": { country: "AU", region: "VIC", lat: -37.8136, lng: 144.9631 },
+  "brisbane": { country: "AU", region: "QLD", lat: -27.4698, lng: 153.0251 },
+  "perth": { country: "AU", region: "WA", lat: -31.9523, lng: 115.8613 },
+  "auckland": { country: "NZ", region: null, lat: -36.8485, lng: 174.7633 },
+  "wellington": { country: "NZ", region: null, lat: -41.2866, lng: 174.7756 },
+  "tel aviv": { country: "IL", region: null, lat: 32.0853, lng: 34.7818 },
+  "dubai": { country: "AE", region: null, lat: 25.2048, lng: 55.2708 },
+  "manila": { country: "PH", region: null, lat: 14.5995, lng: 120.9842 },
+
+  // Latin America
+  "mexico city": { country: "MX", region: null, lat: 19.4326, lng: -99.1332 },
+  "guadalajara": { country: "MX", region: null, lat: 20.6597, lng: -103.3496 },
+  "sao paulo": { country: "BR", region: null, lat: -23.5505, lng: -46.6333 },
+  "buenos aires": { country: "AR", region: null, lat: -34.6037, lng: -58.3816 },
+  "bogota": { country: "CO", region: null, lat: 4.7110, lng: -74.0721 },
+};
+
+// Bare names that mean the non-US city far more often than the US one
+const INTL_PREFERRED = new Set(["dublin"]);
+
+/** Lowercase with accents folded: "Montréal" → "montreal". */
+function foldKey(str) {
+  return String(str || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+/**
+ * Resolves a "state" slot that names a place outside the US — a country
+ * ("Germany", "UK") or a non-US region ("Ontario", "ON", "NSW").
+ * US states (including ambiguous abbreviations like "CA") return null.
+ * @returns {{ country: string, region: string|null } | null}
+ */
+function foreignPlaceHint(stateRaw) {
+  if (!stateRaw) return null;
+  const clean = stateRaw.trim();
+  if (/^[A-Z]{2}$/i.test(clean) && STATE_ABBRS.has(clean.toUpperCase())) return null;
+  const key = foldKey(clean);
+  if (STATE_TO_ABBR[key]) return null;
+  for (const [country, regions] of Object.entries(INTL_REGIONS)) {
+    if (regions[key]) return { country, region: regions[key] };
+  }
+  const hit = COUNTRY_ALIASES.find((c) => c.alias === key.replace(/\./g, ""));
+  if (hit && hit.code !== "US") return { country: hit.code, region: null };
+  return null;
+}
+
+/** Map location for a non-US city key, or null. */
+function intlCityLocation(key) {
+  const hit = INTL_CITY_COORDS[key];
+  if (!hit) return null;
+  return {
+    city: CITY_CANONICAL[key] || toTitleCase(key),
+    state: hit.region,
+    country: hit.country,
+    lat: hit.lat,
+    lng: hit.lng,
+    pinType: "city",
+  };
+}
+
+/**
+ * ISO codes of every country named in free text. Matched aliases are
+ * consumed, longest first.
+ */
+function countriesMentioned(text) {
+  let rest = ` ${foldKey(text).replace(/\./g, "").replace(/[^a-z]+/g, " ")} `;
+  const found = new Set();
+  for (const { code, alias } of COUNTRY_ALIASES) {
+    const needle = ` ${alias} `;
+    if (rest.includes(needle)) {
+      found.add(code);
+      rest = rest.split(needle).join(" ");
+    }
+  }
+  return found;
+}
+
 // ──────────────────────────────────────────────────────
 // Patterns that indicate "Remote / Other"
 // ──────────────────────────────────────────────────────
@@ -447,6 +681,9 @@ const REMOTE_ONLY_RE = /^(remote|united states|anywhere in the united states|us|
 
 const REMOTE_INDICATOR_RE = /\bremote\b/i;
 
+// Multi-country areas: never a city, never the US
+const CONTINENT_RE = /\b(europe|emea|apac|latam|asia|africa|middle east|mena|apj)\b/i;
+
 // State-only patterns (no specific city)
 const STATE_ONLY_RE = new RegExp(
   "^(" + Object.keys(STATE_TO_ABBR).join("|") + ")\\s*,?\\s*(united states( of america)?|usa|us)?\\s*$", "i"
@@ -454,7 +691,7 @@ const STATE_ONLY_RE = new RegExp(
 
 // Default fallback for remote/vague locations
 const SF_COORDS = CITY_COORDS["san francisco"];
-const REMOTE_FALLBACK = { city: "San Francisco", state: "CA", lat: SF_COORDS.lat, lng: SF_COORDS.lng, pinType: "remote" };
+const REMOTE_FALLBACK = { city: "San Francisco", state: "CA", country: "US", lat: SF_COORDS.lat, lng: SF_COORDS.lng, pinType: "remote" };
 
 /**
  * Returns a map location for a state-only location string.
@@ -464,7 +701,7 @@ function stateOnlyFallback(stateAbbr) {
   if (!cityKey || !CITY_COORDS[cityKey]) return { ...REMOTE_FALLBACK, pinType: "state" };
   const coords = CITY_COORDS[cityKey];
   const canonicalName = CITY_CANONICAL[cityKey] || toTitleCase(cityKey);
-  return { city: canonicalName, state: stateAbbr, lat: coords.lat, lng: coords.lng, pinType: "state" };
+  return { city: canonicalName, state: stateAbbr, country: "US", lat: coords.lat, lng: coords.lng, pinType: "state" };
 }
 
 // ──────────────────────────────────────────────────────
@@ -474,9 +711,10 @@ function stateOnlyFallback(stateAbbr) {
 /**
  * Normalizes a raw locationName string to a map location object.
  * @param {string|null} locationName - Raw location from the job document
- * @returns {{ city: string, state: string, lat: number, lng: number, pinType: string } | null}
+ * @returns {{ city: string, state: string|null, country: string, lat: number, lng: number, pinType: string } | null}
  *   pinType: "city" = exact city match, "remote" = remote/vague → SF, "state" = state-only → biggest city
- *   Returns null ONLY for international locations.
+ *   Non-US cities resolve with their region code as `state` (may be null).
+ *   Returns null ONLY for international locations with no known city.
  */
 function normalizeToMapLocation(locationName) {
   if (!locationName || typeof locationName !== "string") return { ...REMOTE_FALLBACK };
@@ -504,14 +742,14 @@ function normalizeToMapLocation(locationName) {
     }
   }
 
-  // International patterns → null (not US jobs)
-  if (/^(uk|india|canada|europe)\s*[\/ ]/i.test(trimmed)) return null;
-  if (/^[A-Z]{2}-(pune|bengaluru|bangalore|london|paris|berlin|mumbai|hyderabad|chennai)/i.test(trimmed)) return null;
   if (/^(east|west|north|south)\s+(texas|coast|region)/i.test(trimmed)) return { ...REMOTE_FALLBACK };
 
   // Clean the string
   let cleaned = trimmed;
 
+  // Country-code prefixes on international postings: "IN-Pune", "GB-London"
+  cleaned = cleaned.replace(/^(?!US-)[A-Z]{2}-(?=[A-Za-z]{3})/i, "");
+
   // Remove zip codes (5 digit or 5+4 format)
   cleaned = cleaned.replace(/\b\d{5}(-\d{4})?\b/g, "").trim();
 
@@ -575,7 +813,7 @@ function normalizeToMapLocation(locationName) {
     if (!seg) continue;
     if (/^(united states|US|USA|U\.S\.)$/i.test(seg)) continue;
     if (/^united states\s*-\s*remote$/i.test(seg)) continue;
-    if (/^(uk|india|canada|europe|dublin|london|toronto|paris|berlin)$/i.test(seg)) continue;
+    if (isCountryOnly(seg)) continue;
     
     // Skip segments that are ONLY remote indicators
     if (/^remote(\s|$)/i.test(seg) || /^(remote)$/i.test(seg)) {
@@ -602,7 +840,20 @@ function normalizeToMapLocation(locationName) {
     }
   }
 
-  return bestCity || { ...REMOTE_FALLBACK };
+  if (bestCity) return bestCity;
+
+  // Nothing placeable: a non-US country or continent isn't "remote in the US"
+  const countries = countriesMentioned(trimmed);
+  countries.delete("US");
+  if (countries.size > 0 || CONTINENT_RE.test(trimmed)) return null;
+  return { ...REMOTE_FALLBACK };
+}
+
+/** "Canada", "UK", "Europe" — a segment naming no city at all. */
+function isCountryOnly(seg) {
+  const key = foldKey(seg).replace(/\./g, "");
+  if (CONTINENT_RE.test(key) && key.replace(CONTINENT_RE, "").trim() === "") return true;
+  return COUNTRY_ALIASES.some((c) => c.alias === key && c.code !== "US");
 }
 
 /**
@@ -717,6 +968,15 @@ function lookupCity(cityRaw, stateRaw) {
   // Skip if too short and not a known city
   if (city.length < 2) return null;
   
+  // "London, UK" / "Toronto, ON" / "Dublin" — non-US table first
+  const foreign = foreignPlaceHint(stateRaw);
+  const cityKey = foldKey(city);
+  if (foreign) {
+    const intl = intlCityLocation(cityKey);
+    return intl && intl.country === foreign.country ? intl : null;
+  }
+  if (!stateRaw && INTL_PREFERRED.has(cityKey)) return intlCityLocation(cityKey);
+
   // Resolve state abbreviation from the state parameter
   let stateAbbr = null;
   if (stateRaw) {
@@ -741,6 +1001,7 @@ function lookupCity(cityRaw, stateRaw) {
     return {
       city: canonicalName,
       state: (stateAbbr && !stateIsAlsoCity) ? stateAbbr : coords.state,
+      country: "US",
       lat: coords.lat,
       lng: coords.lng,
       pinType: "city",
@@ -759,6 +1020,7 @@ function lookupCity(cityRaw, stateRaw) {
     return {
       city: canonicalName,
       state: stateAbbr || coords.state,
+      country: "US",
       lat: coords.lat,
       lng: coords.lng,
       pinType: "city",
@@ -773,6 +1035,7 @@ function lookupCity(cityRaw, stateRaw) {
     return {
       city: canonicalName,
       state: stateAbbr || coords.state,
+      country: "US",
       lat: coords.lat,
       lng: coords.lng,
       pinType: "city",
@@ -787,6 +1050,7 @@ function lookupCity(cityRaw, stateRaw) {
     return {
       city: canonicalName,
       state: stateAbbr || coords.state,
+      country: "US",
       lat: coords.lat,
       lng: coords.lng,
       pinType: "city",
@@ -796,12 +1060,93 @@ function lookupCity(cityRaw, stateRaw) {
   // San Francisco Bay Area special case
   if (cityLower.includes("san francisco") || cityLower === "sf") {
     const coords = CITY_COORDS["san francisco"];
-    return { city: "San Francisco", state: "CA", lat: coords.lat, lng: coords.lng, pinType: "city" };
+    return { city: "San Francisco", state: "CA", country: "US", lat: coords.lat, lng: coords.lng, pinType: "city" };
   }
 
+  // Bare non-US city: "Toronto", "Berlin"
+  if (!stateAbbr) return intlCityLocation(cityKey);
+
   return null;
 }
 
+// ──────────────────────────────────────────────────────
+// Location classification (per-user location filter)
+// ──────────────────────────────────────────────────────
+
+/**
+ * US states, Canadian provinces etc. named in one segment, as ISO 3166-2
+ * codes ("US-WA", "CA-ON"). Two-letter US codes only count in capitals
+ * after a comma/dash, so "Remote in the US" doesn't read as Indiana.
+ */
+function regionsMentioned(segment) {
+  const found = new Set();
+  const parts = segment.split(/\s*[,\-–—:()/]\s*/).map((p) => p.trim()).filter(Boolean);
+  parts.forEach((part, i) => {
+    const key = foldKey(part);
+    if (STATE_TO_ABBR[key] && !(i === 0 && CITY_COORDS[key])) found.add(`US-${STATE_TO_ABBR[key]}`);
+    else if (i > 0 && /^[A-Z]{2}$/.test(part) && STATE_ABBRS.has(part)) found.add(`US-${part}`);
+    else {
+      const hint = foreignPlaceHint(part);
+      if (hint?.region) found.add(`${hint.country}-${hint.region}`);
+    }
+  });
+  return found;
+}
+
+/**
+ * Classifies a raw locationName into where the job can be done from:
+ *
+ *   countries / regions / cities  — physical (onsite or hybrid) locations,
+ *                                   as ISO 3166-1 codes, "CC-RR" region codes
+ *                                   and display names
+ *   remote                        — any segment says remote
+ *   remoteCountries               — countries a remote role is restricted
+ *                                   to; empty = unrestricted or unspecified
+ *
+ * "Seattle, WA; Remote - US" → { countries: ["US"], regions: ["US-WA"],
+ *   cities: ["Seattle"], remote: true, remoteCountries: ["US"] }
+ */
+function classifyLocation(locationName) {
+  const countries = new Set();
+  const regions = new Set();
+  const cities = new Set();
+  const remoteCountries = new Set();
+  let remote = false;
+
+  const raw = typeof locationName === "string" ? locationName.trim() : "";
+  for (const segment of raw.split(/\s*[;|•]\s*|\s+or\s+/i)) {
+    const seg = segment.trim();
+    if (!seg) continue;
+
+    const segCountries = countriesMentioned(seg);
+    const segRegions = regionsMentioned(seg);
+    for (const r of segRegions) segCountries.add(r.slice(0, 2));
+
+    if (REMOTE_INDICATOR_RE.test(seg) || /\b(anywhere|work from home|distributed)\b/i.test(seg)) {
+      remote = true;
+      for (const c of segCountries) remoteCountries.add(c);
+      continue;
+    }
+
+    const loc = normalizeToMapLocation(seg);
+    if (loc && loc.pinType !== "remote") {
+      segCountries.add(loc.country);
+      if (loc.state) segRegions.add(`${loc.country}-${loc.state}`);
+      if (loc.pinType === "city") cities.add(loc.city);
+    }
+    for (const c of segCountries) countries.add(c);
+    for (const r of segRegions) regions.add(r);
+  }
+
+  return {
+    countries: [...countries],
+    regions: [...regions],
+    cities: [...cities],
+    remote,
+    remoteCountries: [...remoteCountries],
+  };
+}
+
 function toTitleCase(str) {
   return str.split(" ").map(w => {
     // Handle "st." prefix
@@ -810,4 +1155,12 @@ function toTitleCase(str) {
   }).join(" ");
 }
 
-module.exports = { normalizeToMapLocation, CITY_COORDS, CITY_CANONICAL, STATE_TO_ABBR };
+module.exports = {
+  normalizeToMapLocation,
+  classifyLocation,
+  CITY_COORDS,
+  CITY_CANONICAL,
+  STATE_TO_ABBR,
+  COUNTRY_NAMES,
+  INTL_CITY_COORDS,
+};
@@ -0,0 +1,127 @@
+/**
+ * functions/lib/locationPrefs.cjs
+ *
+ * Per-user location filter. Stored on /users/{uid}/settings/preferences:
+ *
+ *   locationFilter: {
+ *     countries: string[],   // ISO 3166-1 alpha-2, e.g. ["US", "CA"]
+ *     regions:   string[],   // ISO 3166-2, e.g. ["US-WA", "CA-ON"]
+ *     cities:    string[],   // display names, e.g. ["London"]
+ *     remote:    "none" | "country" | "anywhere",
+ *   }
+ *
+ * A job matches when one of its physical locations is in a listed country,
+ * region or city, or when it's remote and the remote scope allows it:
+ * "country" = remote roles restricted to one of the user's countries,
+ * "anywhere" = every remote role. No places at all means no physical
+ * restriction. Jobs are classified once at sync time (job.geo, see
+ * classifyLocation in locationNormalizer.cjs).
+ *
+ * The sync ingests the union of every user's filter; each user's Jobs view
+ * and AI scoring then apply their own. Mirrored in src/lib/locationPrefs.js.
+ */
+
+const crypto = require("crypto");
+
+const REMOTE_SCOPES = ["none", "country", "anywhere"];
+
+const DEFAULT_LOCATION_PREFS = Object.freeze({
+  countries: ["US"],
+  regions: [],
+  cities: [],
+  remote: "country",
+});
+
+const cleanList = (v, re, upper) =>
+  Array.isArray(v)
+    ? [...new Set(v.map((x) => String(x || "").trim()).map((x) => (upper ? x.toUpperCase() : x)).filter((x) => re.test(x)))].sort()
+    : [];
+
+/**
+ * Merge a user's `locationFilter` preference over the defaults. Invalid
+ * entries are dropped; a missing filter means DEFAULT_LOCATION_PREFS.
+ */
+function resolveLocationPrefs(prefs) {
+  const raw = prefs && typeof prefs.locationFilter === "object" && prefs.locationFilter;
+  if (!raw) return { ...DEFAULT_LOCATION_PREFS, countries: [...DEFAULT_LOCATION_PREFS.countries] };
+  return {
+    countries: cleanList(raw.countries, /^[A-Z]{2}$/, true),
+    regions: cleanList(raw.regions, /^[A-Z]{2}-[A-Z0-9]{1,3}$/, true),
+    cities: cleanList(raw.cities, /^\S.{0,59}$/, false),
+    remote: REMOTE_SCOPES.includes(raw.remote) ? raw.remote : DEFAULT_LOCATION_PREFS.remote,
+  };
+}
+
+const hasPlaces = (p) => p.countries.length + p.regions.length + p.cities.length > 0;
+
+/**
+ * Jobs written before locations were classified were all ingested under the
+ * old US-only filter, so their stateCodes are enough to place them.
+ */
+function geoForJob(job) {
+  if (job?.geo && Array.isArray(job.geo.countries)) return job.geo;
+  const stateCodes = Array.isArray(job?.stateCodes) ? job.stateCodes : [];
+  const remote = job?.isRemote === true;
+  return {
+    countries: ["US"],
+    regions: stateCodes.map((s) => `US-${s}`),
+    cities: [],
+    remote,
+    remoteCountries: remote ? ["US"] : [],
+  };
+}
+
+/** Does `job` fall inside resolved location prefs `prefs`? */
+function jobMatchesLocationPrefs(job, prefs) {
+  const geo = geoForJob(job);
+  const restricted = hasPlaces(prefs);
+
+  const onsite = geo.countries.length > 0 || geo.cities.length > 0 || !geo.remote;
+  if (onsite) {
+    if (!restricted) return true;
+    const cities = new Set(prefs.cities.map((c) => c.toLowerCase()));
+    if (geo.cities.some((c) => cities.has(String(c).toLowerCase()))) return true;
+    if (geo.regions.some((r) => prefs.regions.includes(r))) return true;
+    if (geo.countries.some((c) => prefs.countries.includes(c))) return true;
+  }
+
+  if (geo.remote) {
+    if (prefs.remote === "anywhere") return true;
+    if (prefs.remote === "country") {
+      if (!restricted) return true;
+      const allowed = new Set([...prefs.countries, ...prefs.regions.map((r) => r.slice(0, 2))]);
+      return (geo.remoteCountries || []).some((c) => allowed.has(c));
+    }
+  }
+  return false;
+}
+
+/**
+ * Union of several users' resolved prefs — what the sync has to ingest so
+ * every user's view can be built from the shared corpus. Any unrestricted
+ * user makes the union unrestricted.
+ */
+function mergeLocationPrefs(list) {
+  const all = (list || []).filter(Boolean);
+  if (all.length === 0) return resolveLocationPrefs(null);
+  const rank = (scope) => REMOTE_SCOPES.indexOf(scope);
+  const remote = all.reduce((best, p) => (rank(p.remote) > rank(best) ? p.remote : best), "none");
+  if (all.some((p) => !hasPlaces(p))) return { countries: [], regions: [], cities: [], remote };
+  const union = (k) => [...new Set(all.flatMap((p) => p[k]))].sort();
+  return { countries: union("countries"), regions: union("regions"), cities: union("cities"), remote };
+}
+
+/** Short stable key for a resolved filter; a change forces a full re-ingest. */
+function locationPrefsKey(prefs) {
+  return crypto.createHash("sha1").update(JSON.stringify(prefs)).digest("hex").slice(0, 12);
+}
+
+module.exports = {
+  REMOTE_SCOPES,
+  DEFAULT_LOCATION_PREFS,
+  resolveLocationPrefs,
+  geoForJob,
+  jobMatchesLocationPrefs,
+  mergeLocationPrefs,
+  locationPrefsKey,
+};
@@ -8,18 +8,44 @@
  * Doc path:   /users/{uid}/aggregations/recentJobs
  * Shape:      { jobs: Job[], count, updatedAt }
  *
- * Limit chosen so the doc stays well under Firestore's 1 MiB ceiling
- * (500 jobs × ~600 B ≈ 300 KiB headroom).
+ * Limit chosen so the doc stays under Firestore's 1 MiB ceiling
+ * (500 jobs × ~1.3 KB of JSON for a typical full row ≈ 650 KiB).
+ *
+ * Users with their own feed selection (lib/feedSubscriptions.cjs) get the same
+ * docs under their own uid, built by rebuildPersonalJobs from the shared corpus.
  */
 
 const admin = require("firebase-admin");
+const { classificationFor } = require("./jobClassifier.cjs");
+const { workplaceFor } = require("./workplace.cjs");
 
 const RECENT_JOBS_LIMIT = 500;
 
 // The "All" view aggregation holds more rows but uses a leaner projection
-// (no locationTokens) so it still fits comfortably under Firestore's 1 MiB
-// per-document ceiling. ~1500 jobs × ~350 B ≈ 525 KiB.
-const ALL_JOBS_LIMIT = 1500;
+// (projectJobLean) so it fits under Firestore's 1 MiB per-document ceiling.
+// A typical lean row (salary, workAuth, workplace, a few skills, four
+// timestamps) is ~1 KB of JSON, so 800 rows come to ~820 KiB. Rows with every
+// field maxed out reach ~MAX_LEAN_ROW_BYTES (test/recentJobs.cjs builds one),
+// so leanRowsWithinBudget also stops at ALL_JOBS_MAX_BYTES: a corpus of heavy
+// rows shortens the view instead of failing the write.
+const ALL_JOBS_LIMIT = 800;
+const ALL_JOBS_MAX_BYTES = 900 * 1024;
+const MAX_LEAN_ROW_BYTES = 1800;
+
+// Skill ids are short, but 1000 rows add up; the lean view keeps the first few
+// (taxonomy order: languages before tools).
+const MAX_SKILLS = 20;
+const MAX_SKILLS_LEAN = 10;
+
+// Display strings in the lean view; longer ones end in "…".
+const MAX_TITLE_LEAN = 120;
+const MAX_COMPANY_LEAN = 60;
+const MAX_LOCATION_LEAN = 80;
+const MAX_CODES_LEAN = 5;
+
+// Personal views are carved out of one ordered scan of the corpus; enough
+// rows that a user following a slice of the catalog still fills allJobs.
+const PERSONAL_SCAN_LIMIT = 3000;
 
 /**
  * Project a job document down to the fields actually rendered by the Jobs
@@ -39,8 +65,15 @@ function projectJob(id, x) {
     locationName: x.locationName || "",
     locationTokens: Array.isArray(x.locationTokens) ? x.locationTokens : [],
     stateCodes: Array.isArray(x.stateCodes) ? x.stateCodes : [],
+    geo: x.geo || null,
+    salary: x.salary || null,
+    equity: x.equity === true,
+    workAuth: x.workAuth || null,
+    ...classificationFor(x),
+    skills: Array.isArray(x.skills) ? x.skills.slice(0, MAX_SKILLS) : [],
     isRemote: x.isRemote === true,
     workplaceType: x.workplaceType || "",
+    workplace: workplaceFor(x),
     source: x.source || "",
     externalId: x.externalId || "",
     jobUrl: x.jobUrl || "",
@@ -48,34 +81,88 @@ function projectJob(id, x) {
     sourceUpdatedTs: x.sourceUpdatedTs || null,
     firstSeenAt: x.firstSeenAt || null,
     fetchedAt: x.fetchedAt || null,
+    status: x.status || "open",
+    closedAt: x.closedAt || null,
+    lastChangedAt: x.lastChangedAt || null,
+    lastChangedFields: Array.isArray(x.lastChangedFields) ? x.lastChangedFields : [],
+    revisionCount: x.revisionCount || 0,
+    repostCount: x.repostCount || 0,
   };
 }
 
 /**
  * Leaner projection for the "All" view. Drops `locationTokens` (the heaviest
  * field) to keep the aggregation doc small. `locationName` + `stateCodes` are
- * already denormalized, so the UI doesn't need the raw tokens to render.
+ * already denormalized, so the UI doesn't need the raw tokens to render;
+ * `geo` (a few short codes) is what the per-user location filter reads.
+ *
+ * Also folds the fields the Jobs page only reads as fallbacks (applyUrl into
+ * jobUrl, fetchedAt into firstSeenAt), leaves out the raw workplaceType,
+ * externalId and salary.source, and clips display strings and place lists,
+ * so every row has a known upper bound (MAX_LEAN_ROW_BYTES).
  */
 function projectJobLean(id, x) {
   return {
     id,
-    title: x.title || "",
+    title: clip(x.title, MAX_TITLE_LEAN),
     companyKey: x.companyKey || "",
-    companyName: x.companyName || "Unknown",
-    locationName: x.locationName || "",
-    stateCodes: Array.isArray(x.stateCodes) ? x.stateCodes : [],
+    companyName: clip(x.companyName, MAX_COMPANY_LEAN) || "Unknown",
+    locationName: clip(x.locationName, MAX_LOCATION_LEAN),
+    stateCodes: Array.isArray(x.stateCodes) ? x.stateCodes.slice(0, MAX_CODES_LEAN) : [],
+    geo: leanGeo(x.geo),
+    salary: leanSalary(x.salary),
+    equity: x.equity === true,
+    workAuth: x.workAuth || null,
+    ...classificationFor(x),
+    skills: Array.isArray(x.skills) ? x.skills.slice(0, MAX_SKILLS_LEAN) : [],
     isRemote: x.isRemote === true,
-    workplaceType: x.workplaceType || "",
+    workplace: workplaceFor(x),
     source: x.source || "",
-    externalId: x.externalId || "",
-    jobUrl: x.jobUrl || "",
-    applyUrl: x.applyUrl || "",
+    jobUrl: x.jobUrl || x.applyUrl || "",
     sourceUpdatedTs: x.sourceUpdatedTs || null,
-    firstSeenAt: x.firstSeenAt || null,
-    fetchedAt: x.fetchedAt || null,
+    firstSeenAt: x.firstSeenAt || x.fetchedAt || null,
+    status: x.status || "open",
+    closedAt: x.closedAt || null,
+    lastChangedAt: x.lastChangedAt || null,
+    revisionCount: x.revisionCount || 0,
+    repostCount: x.repostCount || 0,
   };
 }
 
+/** geo with each place list capped; multi-location postings can name dozens of cities. */
+function leanGeo(geo) {
+  if (!geo) return null;
+  const out = { ...geo };
+  for (const k of ["countries", "regions", "cities", "remoteCountries"]) {
+    if (Array.isArray(geo[k])) out[k] = geo[k].slice(0, MAX_CODES_LEAN);
+  }
+  return out;
+}
+
+function leanSalary(salary) {
+  if (!salary) return null;
+  const { source: _source, ...rest } = salary;
+  return rest;
+}
+
+function clip(s, n) {
+  const v = String(s || "");
+  return v.length > n ? `${v.slice(0, n - 1)}…` : v;
+}
+
+/** Lean rows for docs (newest first), stopping before ALL_JOBS_MAX_BYTES of JSON. */
+function leanRowsWithinBudget(docs) {
+  const rows = [];
+  let bytes = 0;
+  for (const d of docs.slice(0, ALL_JOBS_LIMIT)) {
+    const row = projectJobLean(d.id, d.data());
+    bytes += Buffer.byteLength(JSON.stringify(row));
+    if (bytes > ALL_JOBS_MAX_BYTES) break;
+    rows.push(row);
+  }
+  return rows;
+}
+
 /**
  * Rebuilds /users/{uid}/aggregations/recentJobs from the live jobs collection.
  * Safe to call concurrently; last writer wins. Cheap (1 ordered+limited read).
@@ -89,7 +176,11 @@ async function rebuildRecentJobs(userId, dbInstance) {
     .limit(RECENT_JOBS_LIMIT)
     .get();
 
-  const jobs = snap.docs.map((d) => projectJob(d.id, d.data()));
+  // Linked duplicates are hidden; their canonical job shows a repost count instead.
+  // Jobs from users' own boards only show in their personal views.
+  const jobs = snap.docs
+    .filter((d) => !d.get("canonicalId") && !d.get("feedOwner"))
+    .map((d) => projectJob(d.id, d.data()));
 
   await db
     .collection("users")
@@ -121,7 +212,7 @@ async function rebuildAllJobs(userId, dbInstance) {
     .limit(ALL_JOBS_LIMIT)
     .get();
 
-  const jobs = snap.docs.map((d) => projectJobLean(d.id, d.data()));
+  const jobs = leanRowsWithinBudget(snap.docs.filter((d) => !d.get("canonicalId") && !d.get("feedOwner")));
 
   await db
     .collection("users")
@@ -138,9 +229,61 @@ async function rebuildAllJobs(userId, dbInstance) {
   return jobs.length;
 }
 
+/**
+ * Rebuilds recentJobs, allJobs and companyStats under each user with a
+ * personal view, keeping only jobs whose companyKey they follow.
+ * @param {string} corpusUid - Owner of the shared jobs collection
+ * @param {Object<string, string[]>} viewKeys - uid → followed companyKeys (planFeedFetches().viewKeys)
+ * @param {FirebaseFirestore.Firestore} [dbInstance]
+ * @returns {Promise<number>} Users rebuilt
+ */
+async function rebuildPersonalJobs(corpusUid, viewKeys, dbInstance) {
+  const uids = Object.keys(viewKeys || {});
+  if (uids.length === 0) return 0;
+
+  const db = dbInstance || admin.firestore();
+  const snap = await db
+    .collection("users")
+    .doc(corpusUid)
+    .collection("jobs")
+    .orderBy("sourceUpdatedTs", "desc")
+    .limit(PERSONAL_SCAN_LIMIT)
+    .get();
+  const docs = snap.docs.filter((d) => !d.get("canonicalId"));
+  const now = admin.firestore.Timestamp.now();
+
+  for (const uid of uids) {
+    const keys = new Set(viewKeys[uid]);
+    const mine = docs.filter((d) => keys.has(d.get("companyKey")));
+
+    const companies = {};
+    for (const d of mine) {
+      const ck = d.get("companyKey");
+      if (!companies[ck]) companies[ck] = { name: d.get("companyName") || "Unknown", count: 0 };
+      companies[ck].count++;
+    }
+
+    const recent = mine.slice(0, RECENT_JOBS_LIMIT).map((d) => projectJob(d.id, d.data()));
+    const all = leanRowsWithinBudget(mine);
+    const aggRef = db.collection("users").doc(uid).collection("aggregations");
+    await Promise.all([
+      aggRef.doc("recentJobs").set({ jobs: recent, count: recent.length, limit: RECENT_JOBS_LIMIT, updatedAt: now }),
+      aggRef.doc("allJobs").set({ jobs: all, count: all.length, limit: ALL_JOBS_LIMIT, updatedAt: now }),
+      aggRef.doc("companyStats").set({ companies, totalCompanies: Object.keys(companies).length, updatedAt: now }),
+    ]);
+  }
+
+  return uids.length;
+}
+
 module.exports = {
   rebuildRecentJobs,
   rebuildAllJobs,
+  rebuildPersonalJobs,
+  projectJobLean,
+  leanRowsWithinBudget,
   RECENT_JOBS_LIMIT,
   ALL_JOBS_LIMIT,
+  ALL_JOBS_MAX_BYTES,
+  MAX_LEAN_ROW_BYTES,
 };
@@ -0,0 +1,116 @@
+/**
+ * functions/lib/rescore.cjs
+ *
+ * Rescoring after a user's resume or scoring rubric changes. Every score
+ * records what it was computed from: resumeHash (of the resume text the
+ * prompt sees) and, for AI scores, rubricVersion (lib/scoringRubric.cjs).
+ * When either changes, the user's open jobs whose scores no longer match are
+ * queued newest first and drained a batch per run (drainRescoreQueue), like
+ * a feed backfill. Progress sits on the existing scoring status doc:
+ *
+ *   /users/{uid}/aggregations/scoringStatus
+ *   {
+ *     current: { resumeHash, rubricVersion },  // what up-to-date scores match
+ *     rescore: {
+ *       state: "queued" | "running" | "done" | "failed",
+ *       reason: "resume" | "rubric",
+ *       queue: string[],      // jobDocIds still to rescore, newest first
+ *       total: number,        // queue length when requested
+ *       done: number,
+ *       requestedAt, finishedAt: timestamp | null,
+ *       error: string | null,
+ *     },
+ *   }
+ *
+ * The Jobs page compares each score's inputs with `current` to mark the
+ * stale ones until they're refreshed.
+ */
+
+const crypto = require("crypto");
+
+const RESCORE_STATES = ["queued", "running", "done", "failed"];
+
+// Jobs rescored per user per drain run; each is one model call
+const RESCORE_BATCH = 25;
+// Most jobs one rescore covers (matches the myJobScores aggregation's cap)
+const RESCORE_MAX_JOBS = 2000;
+
+/** Short hash of the resume text the scoring prompt is built from. */
+function resumeHashOf(resumeText) {
+  return crypto.createHash("sha1").update(String(resumeText || "")).digest("hex").slice(0, 12);
+}
+
+/**
+ * Whether a score was made from other inputs than `current`. Scores from
+ * before hashes were stored count as stale; similarity estimates don't use
+ * the rubric, so only the resume decides for them.
+ */
+function isScoreStale(score, current) {
+  if (!score || !current) return false;
+  if (current.resumeHash && score.resumeHash !== current.resumeHash) return true;
+  if ((score.source || "ai") === "ai" && current.rubricVersion && score.rubricVersion !== current.rubricVersion) return true;
+  return false;
+}
+
+/**
+ * Jobs to rescore, newest first: open, not a duplicate, and scored from
+ * other inputs than `current`.
+ * @param {Array<{ id: string, resumeHash?: string, rubricVersion?: string, source?: string }>} scores
+ * @param {Map<string, { status?: string, canonicalId?: string, firstSeenMs?: number } | null>} jobs
+ * @returns {string[]}
+ */
+function planRescore(scores, jobs, current, max = RESCORE_MAX_JOBS) {
+  return scores
+    .filter((s) => {
+      const job = jobs.get(s.id);
+      return job && job.status !== "closed" && !job.canonicalId && isScoreStale(s, current);
+    })
+    .sort((a, b) => (jobs.get(b.id).firstSeenMs || 0) - (jobs.get(a.id).firstSeenMs || 0))
+    .slice(0, max)
+    .map((s) => s.id);
+}
+
+/** A fresh rescore for a planned queue. */
+function newRescore({ reason, queue, now }) {
+  return {
+    state: queue.length > 0 ? "queued" : "done",
+    reason,
+    queue,
+    total: queue.length,
+    done: 0,
+    requestedAt: now,
+    finishedAt: queue.length > 0 ? null : now,
+    error: null,
+  };
+}
+
+/**
+ * Next slice of the queue and the status to store once it's rescored.
+ * @returns {{ batch: string[], next: object }}
+ */
+function takeRescoreBatch(rescore, now, size = RESCORE_BATCH) {
+  const queue = Array.isArray(rescore?.queue) ? rescore.queue : [];
+  const batch = queue.slice(0, size);
+  const rest = queue.slice(size);
+  return {
+    batch,
+    next: {
+      ...rescore,
+      state: rest.length > 0 ? "running" : "done",
+      queue: rest,
+      done: Math.min(rescore?.total || 0, (rescore?.done || 0) + batch.length),
+      finishedAt: rest.length > 0 ? null : now,
+    },
+  };
+}
+
+module.exports = {
+  RESCORE_STATES,
+  RESCORE_BATCH,
+  RESCORE_MAX_JOBS,
+  resumeHashOf,
+  isScoreStale,
+  planRescore,
+  newRescore,
+  takeRescoreBatch,
+};
@@ -0,0 +1,257 @@
+/**
+ * functions/lib/salary.cjs
+ *
+ * Deterministic pay extraction. Pay-transparency postings state a range in
+ * the JD text ("$150,000 – $190,000 USD per year") or, on Greenhouse, in a
+ * custom metadata field. Stored on the job as:
+ *
+ *   salary: {
+ *     min, max,                 // as posted, in `currency` per `period`
+ *     currency,                 // ISO 4217, e.g. "USD"
+ *     period,                   // "year" | "month" | "week" | "day" | "hour"
+ *     annualMin, annualMax,     // normalized to a year for filtering / sorting
+ *     source,                   // "metadata" | "description" | "ai"
+ *   } | null
+ *   equity: boolean             // stock / options / RSUs mentioned
+ *
+ * Amounts are never converted between currencies. The sync may ask the
+ * model when the text clearly talks about pay but no range parsed
+ * (settings/preferences.salaryAiFallback); its answer goes through
+ * normalizeSalary like everything else.
+ */
+
+const PERIODS = ["year", "month", "week", "day", "hour"];
+
+// Working-time multipliers to a year
+const PER_YEAR = { year: 1, month: 12, week: 52, day: 260, hour: 2080 };
+
+// Plausible annualized bounds — outside these it's revenue, funding or a typo
+const MIN_ANNUAL = 10000;
+const MAX_ANNUAL = 2000000;
+
+const CURRENCY_CODES = ["USD", "CAD", "GBP", "EUR", "AUD", "NZD", "INR", "SGD", "CHF", "SEK", "DKK", "NOK", "PLN", "JPY", "MXN", "BRL", "ILS"];
+
+// Longest first so "CA$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ["CA$", "CAD"], ["C$", "CAD"], ["A$", "AUD"], ["AU$", "AUD"], ["NZ$", "NZD"], ["S$", "SGD"], ["US$", "USD"],
+  ["R$", "BRL"], ["$", "USD"], ["£", "GBP"], ["€", "EUR"], ["₹", "INR"], ["¥", "JPY"], ["₪", "ILS"],
+];
+
+const SYMBOL_RE = CURRENCY_SYMBOLS.map(([s]) => s.replace(/\$/g, "\\$")).join("|");
+const CODE_RE = CURRENCY_CODES.join("|");
+
+// One amount: optional currency, number with separators, optional k/K
+const AMOUNT = `(?:(${SYMBOL_RE})\\s?|(?:(${CODE_RE})\\s?))?(\\d{1,3}(?:[,.\\s]\\d{3})+|\\d+)(?:\\.(\\d{1,2}))?\\s?([kK])?`;
+const RANGE_RE = new RegExp(
+  `${AMOUNT}(?:\\s?(?:${CODE_RE}))?(\\s?\\/\\s?(?:hr|hour|yr|year))?\\s*(?:-|–|—|to|and)\\s*${AMOUNT}(\\s?(?:${CODE_RE}))?`,
+  "g"
+);
+const SINGLE_RE = new RegExp(`(?:${SYMBOL_RE})\\s?\\d[\\d,]*(?:\\.\\d{1,2})?\\s?[kK]?`, "g");
+
+const PAY_CONTEXT_RE = /\b(salary|salaries|compensation|pay|base|wage|ote|range|hiring range|annual|hourly)\b/i;
+const NOT_PAY_RE = /^\s*(?:m\b|mm\b|bn?\b|million|billion|\+?\s*(?:employees|customers|users|people|companies))/i;
+
+const PERIOD_PATTERNS = [
+  ["hour", /\b(per hour|an hour|hourly|\/\s?hr|\/\s?hour|p\/h)\b/i],
+  ["day", /\b(per day|a day|daily rate|\/\s?day)\b/i],
+  ["week", /\b(per week|a week|weekly|\/\s?wk|\/\s?week)\b/i],
+  ["month", /\b(per month|a month|monthly|\/\s?mo|\/\s?month)\b/i],
+  ["year", /\b(per year|a year|annually|annual|yearly|per annum|p\.?a\.?|\/\s?yr|\/\s?year)\b/i],
+];
+
+const EQUITY_RE = /\b(equity|stock options?|rsus?|restricted stock units?|esop|employee stock|share options)\b/gi;
+// "pay equity", "health equity", "Diversity, Equity & Inclusion" aren't compensation
+const EQUITY_NOT_RE = /(pay|health|racial|gender|social|diversity,?|educational)\s+$|^\s*(,|&|and)\s*inclusion/i;
+
+function currencyFrom(symbol, code) {
+  if (code) return code.toUpperCase();
+  if (!symbol) return null;
+  const hit = CURRENCY_SYMBOLS.find(([s]) => s === symbol);
+  return hit ? hit[1] : null;
+}
+
+function toNumber(intPart, decPart, k) {
+  const n = Number(String(intPart).replace(/[,.\s]/g, "")) + (decPart ? Number(`0.${decPart}`) : 0);
+  return k ? n * 1000 : n;
+}
+
+function periodNear(text) {
+  for (const [period, re] of PERIOD_PATTERNS) if (re.test(text)) return period;
+  return null;
+}
+
+/** Infer a period from the magnitude when the posting doesn't say. */
+function guessPeriod(amount) {
+  if (amount >= MIN_ANNUAL) return "year";
+  if (amount <= 500) return "hour";
+  return null;
+}
+
+/**
+ * Validate and annualize a candidate. Returns a salary object or null.
+ * @param {{ min, max, currency, period, source }} c
+ */
+function normalizeSalary(c) {
+  if (!c) return null;
+  let min = Number(c.min);
+  let max = Number(c.max ?? c.min);
+  if (!Number.isFinite(min) || min <= 0) min = null;
+  if (!Number.isFinite(max) || max <= 0) max = null;
+  if (min == null && max == null) return null;
+  if (min == null) min = max;
+  if (max == null) max = min;
+  if (min > max) [min, max] = [max, min];
+
+  const period = PERIODS.includes(c.period) ? c.period : guessPeriod(max);
+  if (!period) return null;
+  const currency = typeof c.currency === "string" && /^[A-Z]{3}$/.test(c.currency.toUpperCase())
+    ? c.currency.toUpperCase()
+    : "USD";
+
+  const annualMin = Math.round(min * PER_YEAR[period]);
+  const annualMax = Math.round(max * PER_YEAR[period]);
+  // JPY/INR amounts run orders of magnitude higher; only sanity-check the rest
+  const loose = currency === "JPY" || currency === "INR";
+  if (!loose && (annualMin < MIN_ANNUAL || annualMax > MAX_ANNUAL)) return null;
+  if (annualMax > annualMin * 5) return null; // "$20 - $200,000" is two different numbers
+
+  return { min, max, currency, period, annualMin, annualMax, source: c.source || "description" };
+}
+
+/**
+ * Every pay range in free text, in order. Ranges without pay context in the
+ * preceding ~200 characters are ignored ("a $5M - $10M book of business").
+ */
+function rangesInText(text) {
+  const out = [];
+  RANGE_RE.lastIndex = 0;
+  let m;
+  while ((m = RANGE_RE.exec(text))) {
+    const [full, sym1, code1, int1, dec1, k1, , sym2, code2, int2, dec2, k2, codeAfter] = m;
+    const before = text.slice(Math.max(0, m.index - 200), m.index);
+    const after = text.slice(m.index + full.length, m.index + full.length + 60);
+    if (NOT_PAY_RE.test(after)) continue;
+    const currency = currencyFrom(sym1 || sym2, code1 || code2 || (codeAfter || "").trim() || null)
+      || currencyFrom(null, (after.match(new RegExp(`^\\s*(${CODE_RE})\\b`)) || [])[1]);
+    // A bare "120 - 150" needs a currency to count
+    if (!currency) continue;
+    if (!PAY_CONTEXT_RE.test(before) && !periodNear(after)) continue;
+    // "$120 - 150k": the k applies to both ends
+    const kShared = !k1 && k2 && int1.length <= 3 && !/[,.\s]/.test(int1);
+    out.push({
+      min: toNumber(int1, dec1, k1 || kShared),
+      max: toNumber(int2, dec2, k2),
+      currency,
+      period: periodNear(full) || periodNear(after),
+    });
+  }
+  return out;
+}
+
+/** Salary from free text: the widest range in the first range's currency and period. */
+function salaryFromText(text) {
+  const t = String(text || "");
+  if (!t) return null;
+  const ranges = rangesInText(t)
+    .map((r) => normalizeSalary({ ...r, source: "description" }))
+    .filter(Boolean);
+
+  if (ranges.length === 0) {
+    // Single figure: "$185,000 per year" / "$45/hr"
+    SINGLE_RE.lastIndex = 0;
+    let m;
+    while ((m = SINGLE_RE.exec(t))) {
+      const before = t.slice(Math.max(0, m.index - 200), m.index);
+      const after = t.slice(m.index + m[0].length, m.index + m[0].length + 60);
+      if (NOT_PAY_RE.test(after) || !PAY_CONTEXT_RE.test(before)) continue;
+      const sym = CURRENCY_SYMBOLS.find(([s]) => m[0].startsWith(s));
+      const num = m[0].slice(sym ? sym[0].length : 0).trim();
+      const k = /k$/i.test(num);
+      const [intPart, decPart] = num.replace(/k$/i, "").split(".");
+      const amount = toNumber(intPart, decPart, k);
+      const s = normalizeSalary({ min: amount, max: amount, currency: sym ? sym[1] : null, period: periodNear(after), source: "description" });
+      if (s) return s;
+    }
+    return null;
+  }
+
+  // Several ranges usually mean geo pay zones — report the full span
+  const first = ranges[0];
+  const same = ranges.filter((r) => r.currency === first.currency && r.period === first.period);
+  return normalizeSalary({
+    min: Math.min(...same.map((r) => r.min)),
+    max: Math.max(...same.map((r) => r.max)),
+    currency: first.currency,
+    period: first.period,
+    source: "description",
+  });
+}
+
+/**
+ * Salary from adapter metadata. Greenhouse currency_range fields come as
+ * { min_value, max_value, unit }; free-text fields go through the text parser.
+ */
+function salaryFromMeta(meta) {
+  if (!meta || typeof meta !== "object") return null;
+  for (const [key, value] of Object.entries(meta)) {
+    if (!/salary|compensation|pay\b|pay range|wage/i.test(key) || value == null) continue;
+    if (typeof value === "object" && ("min_value" in value || "max_value" in value)) {
+      const s = normalizeSalary({
+        min: value.min_value,
+        max: value.max_value,
+        currency: value.unit,
+        period: periodNear(key),
+        source: "metadata",
+      });
+      if (s) return s;
+      continue;
+    }
+    const text = `${key}: ${String(value)}`;
+    const s = salaryFromText(text);
+    if (s) return { ...s, source: "metadata" };
+  }
+  return null;
+}
+
+/** True when the JD mentions equity as compensation. */
+function mentionsEquity(text) {
+  const t = String(text || "");
+  EQUITY_RE.lastIndex = 0;
+  let m;
+  while ((m = EQUITY_RE.exec(t))) {
+    const before = t.slice(Math.max(0, m.index - 24), m.index);
+    const after = t.slice(m.index + m[0].length, m.index + m[0].length + 16);
+    if (EQUITY_NOT_RE.test(before) || EQUITY_NOT_RE.test(after)) continue;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Worth asking the model? The text talks about pay and has a currency
+ * amount, yet nothing parsed.
+ */
+function mentionsPay(text) {
+  const t = String(text || "");
+  return /\b(salary|compensation|pay range|base pay|hourly rate)\b/i.test(t)
+    && new RegExp(`(?:${SYMBOL_RE})\\s?\\d|\\b(?:${CODE_RE})\\s?\\d`).test(t);
+}
+
+/**
+ * Structured pay for one normalized job.
+ * @returns {{ salary: object|null, equity: boolean }}
+ */
+function extractCompensation({ meta, fullDescription }) {
+  const salary = salaryFromMeta(meta) || salaryFromText(fullDescription);
+  return { salary, equity: mentionsEquity(fullDescription) };
+}
+
+module.exports = {
+  PERIODS,
+  normalizeSalary,
+  salaryFromText,
+  salaryFromMeta,
+  mentionsEquity,
+  mentionsPay,
+  extractCompensation,
+};
@@ -0,0 +1,94 @@
+/**
+ * functions/lib/scoreBreakdown.cjs
+ *
+ * Why a job scored what it did. Alongside the overall 0–100 score and its
+ * one-line reason, the model returns a sub-score per dimension and the
+ * job's requirements the resume does and doesn't meet:
+ *
+ *   breakdown: { skills, seniority, location, domain, compensation }  // 0–100, null = can't tell
+ *   matched:   string[]   // requirements the resume meets
+ *   missing:   string[]   // requirements it doesn't
+ *
+ * Stored on jobScores and in the myJobScores aggregation
+ * (lib/userJobScores.cjs). Older scores and similarity estimates have
+ * breakdown null and empty lists.
+ */
+
+const SCORE_DIMENSIONS = ["skills", "seniority", "location", "domain", "compensation"];
+const MAX_REQUIREMENTS = 5;
+const MAX_REQUIREMENT_CHARS = 80;
+
+/** The JSON shape scoreJobWithAI asks the model for (end of its user prompt). */
+const SCORE_REPLY_FORMAT = `Reply with ONLY valid JSON:
+{"score": <0-100>, "reason": "<15 words max>",
+ "breakdown": {"skills": <0-100>, "seniority": <0-100>, "location": <0-100 or null>, "domain": <0-100 or null>, "compensation": <0-100 or null>},
+ "matched": ["<requirement the resume meets>", ...], "missing": ["<requirement the resume lacks>", ...]}
+
+breakdown: skills = languages, frameworks and tools overlap; seniority = fit with the target experience; location = the job's location and workplace type against the candidate's; domain = industry / problem-space familiarity; compensation = stated pay against the candidate's level. Use null when the job or resume doesn't say.
+matched / missing: up to ${MAX_REQUIREMENTS} each, the job's key requirements, 6 words max each.`;
+
+function subScore(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.max(0, Math.min(100, n)) : null;
+}
+
+function requirementList(v) {
+  if (!Array.isArray(v)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const item of v) {
+    const text = String(item ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_REQUIREMENT_CHARS);
+    const key = text.toLowerCase();
+    if (!text || seen.has(key)) continue;
+    seen.add(key);
+    out.push(text);
+    if (out.length === MAX_REQUIREMENTS) break;
+  }
+  return out;
+}
+
+/**
+ * Location, workplace and stated pay from a job doc, as prompt lines, so the
+ * location and compensation sub-scores don't depend on the JD saying them.
+ */
+function jobFactsForScoring(job) {
+  if (!job) return "";
+  const lines = [];
+  const workplace = job.workplace?.type;
+  if (job.locationName || workplace) {
+    lines.push(`Location: ${[job.locationName, workplace].filter(Boolean).join(" · ")}`);
+  }
+  const s = job.salary;
+  if (s && Number.isFinite(s.min) && Number.isFinite(s.max)) {
+    const range = s.min === s.max ? `${s.min}` : `${s.min}-${s.max}`;
+    lines.push(`Stated pay: ${s.currency || ""} ${range} per ${s.period || "year"}`.replace(/\s+/g, " "));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Breakdown and requirement lists out of the model's parsed reply.
+ * @returns {{ breakdown: object | null, matched: string[], missing: string[] }}
+ */
+function parseScoreBreakdown(parsed) {
+  const raw = parsed && typeof parsed.breakdown === "object" && parsed.breakdown ? parsed.breakdown : null;
+  let breakdown = null;
+  if (raw) {
+    breakdown = {};
+    for (const key of SCORE_DIMENSIONS) breakdown[key] = subScore(raw[key]);
+    if (SCORE_DIMENSIONS.every((key) => breakdown[key] === null)) breakdown = null;
+  }
+  return {
+    breakdown,
+    matched: requirementList(parsed?.matched),
+    missing: requirementList(parsed?.missing),
+  };
+}
+
+module.exports = {
+  SCORE_DIMENSIONS,
+  SCORE_REPLY_FORMAT,
+  jobFactsForScoring,
+  parseScoreBreakdown,
+};
@@ -0,0 +1,170 @@
+/**
+ * functions/lib/scoringRubric.cjs
+ *
+ * Per-user scoring rubric. scoreJobWithAI used to carry one person's
+ * preferences in its prompt (SWE 0–8 years, PM / Data Scientist capped at 15,
+ * Principal at 30); now each user sets their own on
+ * /users/{uid}/settings/preferences and it's compiled into their prompt:
+ *
+ *   scoringRubric: {
+ *     targetRoles:      string[],  // e.g. "Software Engineer", "Data Scientist"
+ *     seniority:        { minYears: number | null, maxYears: number | null },
+ *     mustHaveSkills:   string[],
+ *     niceToHaveSkills: string[],
+ *     dealBreakers:     string[],  // free text, e.g. "requires security clearance"
+ *     hardCaps:         [{ titles: string[], maxScore: number }],
+ *   }
+ *
+ * A field left unset takes DEFAULT_RUBRIC's value (the old prompt), so users
+ * who never open the form score exactly as before. Hard-cap titles are
+ * exclusion-rule patterns (whole words, or "/…/"); besides being in the
+ * prompt they're enforced on the model's answer. Each score stores the
+ * rubricVersion it was made under (jobScores).
+ */
+
+const crypto = require("crypto");
+const { compilePattern } = require("./exclusionRules.cjs");
+
+// Bump when the prompt template changes, so versions stop matching
+const RUBRIC_TEMPLATE = 2;
+
+const MAX_ITEMS = 50;
+const MAX_ITEM_CHARS = 120;
+const MAX_HARD_CAPS = 10;
+const MAX_YEARS = 50;
+
+const DEFAULT_RUBRIC = Object.freeze({
+  targetRoles: ["Software Engineer"],
+  seniority: { minYears: 0, maxYears: 8 },
+  mustHaveSkills: [],
+  niceToHaveSkills: [],
+  dealBreakers: [],
+  hardCaps: [
+    { titles: ["Intern", "New Grad", "PhD Intern", "University Graduate", "Co-op"], maxScore: 20 },
+    { titles: ["Product Manager", "Program Manager", "Data Scientist", "Analyst", "Sales", "Marketing", "Finance", "Recruiter", "Designer"], maxScore: 15 },
+    { titles: ["Principal", "Distinguished", "VP", "Director", "Head of", "C-level"], maxScore: 30 },
+  ],
+});
+
+const cleanList = (v) =>
+  [...new Set(v.map((x) => String(x ?? "").trim().slice(0, MAX_ITEM_CHARS)).filter(Boolean))].slice(0, MAX_ITEMS);
+
+function cleanYears(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(MAX_YEARS, Math.max(0, Math.round(n))) : null;
+}
+
+/** The `scoringRubric` preference, cleaned, with unset fields from DEFAULT_RUBRIC. */
+function resolveScoringRubric(prefs) {
+  const raw = prefs && typeof prefs.scoringRubric === "object" && prefs.scoringRubric ? prefs.scoringRubric : {};
+  const list = (key) => (Array.isArray(raw[key]) ? cleanList(raw[key]) : [...DEFAULT_RUBRIC[key]]);
+  // Same key order as DEFAULT_RUBRIC, so equal rubrics get equal versions
+  const rubric = { targetRoles: list("targetRoles") };
+
+  if (raw.seniority && typeof raw.seniority === "object") {
+    let minYears = cleanYears(raw.seniority.minYears);
+    let maxYears = cleanYears(raw.seniority.maxYears);
+    if (minYears !== null && maxYears !== null && minYears > maxYears) [minYears, maxYears] = [maxYears, minYears];
+    rubric.seniority = { minYears, maxYears };
+  } else {
+    rubric.seniority = { ...DEFAULT_RUBRIC.seniority };
+  }
+  rubric.mustHaveSkills = list("mustHaveSkills");
+  rubric.niceToHaveSkills = list("niceToHaveSkills");
+  rubric.dealBreakers = list("dealBreakers");
+
+  rubric.hardCaps = Array.isArray(raw.hardCaps)
+    ? raw.hardCaps
+      .map((c) => ({
+        titles: Array.isArray(c?.titles) ? cleanList(c.titles) : [],
+        maxScore: Math.min(100, Math.max(0, Math.round(Number(c?.maxScore)))),
+      }))
+      .filter((c) => c.titles.length > 0 && Number.isFinite(c.maxScore))
+      .slice(0, MAX_HARD_CAPS)
+    : DEFAULT_RUBRIC.hardCaps.map((c) => ({ titles: [...c.titles], maxScore: c.maxScore }));
+  return rubric;
+}
+
+/** Short stable id of a resolved rubric (and the prompt template it compiles into). */
+function rubricVersion(rubric) {
+  return crypto.createHash("sha1").update(JSON.stringify([RUBRIC_TEMPLATE, rubric])).digest("hex").slice(0, 12);
+}
+
+function seniorityText({ minYears, maxYears }) {
+  if (minYears !== null && maxYears !== null) return `${minYears}-${maxYears} yrs`;
+  if (minYears !== null) return `${minYears}+ yrs`;
+  if (maxYears !== null) return `up to ${maxYears} yrs`;
+  return null;
+}
+
+const quoted = (list) => list.map((t) => `"${t}"`).join(", ");
+
+/** System prompt for scoreJobWithAI under a resolved rubric. */
+function buildScoringPrompt(rubric, resumeText) {
+  const seniority = seniorityText(rubric.seniority);
+  const roles = rubric.targetRoles.length > 0 ? rubric.targetRoles.join(" / ") : "the candidate's field";
+
+  const caps = rubric.hardCaps.map((c) => `- Title has ${quoted(c.titles)} → score 0-${c.maxScore}`);
+  if (rubric.dealBreakers.length > 0) {
+    caps.push(`- Job has a deal-breaker (${rubric.dealBreakers.join("; ")}) → score 0-10`);
+  }
+
+  const targets = [
+    `- Target roles: ${roles}`,
+    seniority ? `- Seniority: ${seniority} of experience` : "",
+    rubric.mustHaveSkills.length > 0 ? `- Must-have skills: ${rubric.mustHaveSkills.join(", ")} (missing most of these → 39 or below)` : "",
+    rubric.niceToHaveSkills.length > 0 ? `- Nice-to-have skills: ${rubric.niceToHaveSkills.join(", ")} (raise the score within its band)` : "",
+  ].filter(Boolean);
+
+  return `You are a technical recruiting expert. Score this job's relevance for the candidate. Be fast and decisive.
+
+SCORING RUBRIC (apply in order — first match wins):
+
+HARD CAPS (override everything else):
+${caps.length > 0 ? caps.join("\n") : "- None"}
+
+CANDIDATE TARGETS:
+${targets.join("\n")}
+
+SCORE BANDS:
+- 85-100: Core skills are a strong match AND a target role${seniority ? ` AND right seniority level (${seniority})` : ""}
+- 65-84: Good overlap, 1-2 missing but learnable tools
+- 40-64: Partial match — right field but skill gaps
+- 20-39: Weak match — not a target role OR requires far more (or less) experience than the target
+- 0-19: Wrong field entirely
+
+KEY RULES:
+- Ignore lack of domain knowledge (AdTech, FinTech, HealthTech) if core skills match — people learn domains
+- Judge primarily on: the target roles, skills (languages, frameworks, tools) and seniority above
+- Be decisive. Do not hedge with mid-range scores like 50 unless truly uncertain
+
+## Candidate Resume
+${resumeText}`;
+}
+
+/**
+ * Compile the hard caps into a title check.
+ * @returns {(title: string, score: number) => number} score, lowered to the tightest matching cap
+ */
+function compileHardCaps(rubric) {
+  const caps = rubric.hardCaps
+    .map((c) => ({ maxScore: c.maxScore, res: c.titles.map(compilePattern).filter(Boolean) }))
+    .filter((c) => c.res.length > 0);
+  return (title, score) => {
+    const t = String(title || "");
+    let capped = score;
+    for (const c of caps) {
+      if (c.res.some((re) => re.test(t))) capped = Math.min(capped, c.maxScore);
+    }
+    return capped;
+  };
+}
+
+module.exports = {
+  DEFAULT_RUBRIC,
+  resolveScoringRubric,
+  rubricVersion,
+  buildScoringPrompt,
+  compileHardCaps,
+};
@@ -0,0 +1,135 @@
+/**
+ * functions/lib/skills.cjs
+ *
+ * Tech-stack tags. Every written job gets `skills`: the canonical ids of the
+ * languages, frameworks, data stores and cloud tools its description names,
+ * in taxonomy order. The Jobs page canonicalizes the resume's free-form
+ * `skills` with the same table to show matched vs. missing skills.
+ *
+ * Taxonomy rows are [id, label, category, ...aliases]. Aliases are plain
+ * phrases matched case-insensitively on word boundaries; a leading "=" makes
+ * one case-sensitive ("=Go", "=React") where the lowercase word is English.
+ * Mirrored in src/lib/skills.js — keep the two tables identical.
+ */
+
+const SKILL_TAXONOMY = [
+  // languages
+  ["python", "Python", "language", "python"],
+  ["java", "Java", "language", "java"],
+  ["javascript", "JavaScript", "language", "javascript", "=JS", "ecmascript"],
+  ["typescript", "TypeScript", "language", "typescript", "=TS"],
+  ["go", "Go", "language", "golang", "=Go"],
+  ["rust", "Rust", "language", "=Rust"],
+  ["cpp", "C++", "language", "c++", "cpp"],
+  ["csharp", "C#", "language", "c#", "csharp"],
+  ["kotlin", "Kotlin", "language", "kotlin"],
+  ["swift", "Swift", "language", "=Swift"],
+  ["scala", "Scala", "language", "scala"],
+  ["ruby", "Ruby", "language", "ruby"],
+  ["php", "PHP", "language", "php"],
+  ["elixir", "Elixir", "language", "elixir"],
+  ["sql", "SQL", "language", "=SQL"],
+  ["bash", "Bash", "language", "bash", "shell scripting"],
+  // frontend
+  ["react", "React", "frontend", "react.js", "reactjs", "=React"],
+  ["vue", "Vue", "frontend", "vue.js", "vuejs", "=Vue"],
+  ["angular", "Angular", "frontend", "angular", "angularjs"],
+  ["svelte", "Svelte", "frontend", "svelte", "sveltekit"],
+  ["nextjs", "Next.js", "frontend", "next.js", "nextjs"],
+  ["redux", "Redux", "frontend", "redux"],
+  ["html_css", "HTML/CSS", "frontend", "=HTML", "=CSS", "html5", "css3"],
+  ["tailwind", "Tailwind", "frontend", "tailwind", "tailwindcss"],
+  // backend
+  ["nodejs", "Node.js", "backend", "node.js", "nodejs", "=Node"],
+  ["express", "Express", "backend", "express.js", "expressjs"],
+  ["django", "Django", "backend", "django"],
+  ["flask", "Flask", "backend", "flask"],
+  ["fastapi", "FastAPI", "backend", "fastapi"],
+  ["spring", "Spring", "backend", "spring boot", "springboot", "spring framework"],
+  ["rails", "Rails", "backend", "ruby on rails", "=Rails"],
+  ["dotnet", ".NET", "backend", ".net", "asp.net", "dotnet"],
+  ["graphql", "GraphQL", "backend", "graphql"],
+  ["grpc", "gRPC", "backend", "grpc"],
+  ["rest", "REST APIs", "backend", "=REST", "restful"],
+  ["microservices", "Microservices", "backend", "microservices", "microservice"],
+  // mobile
+  ["ios", "iOS", "mobile", "=iOS"],
+  ["android", "Android", "mobile", "android"],
+  ["react_native", "React Native", "mobile", "react native"],
+  ["flutter", "Flutter", "mobile", "flutter"],
+  ["swiftui", "SwiftUI", "mobile", "swiftui"],
+  // databases
+  ["postgres", "PostgreSQL", "database", "postgresql", "postgres"],
+  ["mysql", "MySQL", "database", "mysql"],
+  ["mongodb", "MongoDB", "database", "mongodb", "mongo"],
+  ["redis", "Redis", "database", "redis"],
+  ["elasticsearch", "Elasticsearch", "database", "elasticsearch", "opensearch"],
+  ["dynamodb", "DynamoDB", "database", "dynamodb"],
+  ["cassandra", "Cassandra", "database", "cassandra"],
+  // data
+  ["kafka", "Kafka", "data", "kafka"],
+  ["spark", "Spark", "data", "=Spark", "pyspark", "apache spark"],
+  ["airflow", "Airflow", "data", "airflow"],
+  ["dbt", "dbt", "data", "=dbt"],
+  ["snowflake", "Snowflake", "data", "snowflake"],
+  ["bigquery", "BigQuery", "data", "bigquery"],
+  ["redshift", "Redshift", "data", "redshift"],
+  ["databricks", "Databricks", "data", "databricks"],
+  ["flink", "Flink", "data", "flink"],
+  ["pandas", "pandas", "data", "pandas"],
+  // ML
+  ["pytorch", "PyTorch", "ml", "pytorch"],
+  ["tensorflow", "TensorFlow", "ml", "tensorflow", "keras"],
+  ["scikit_learn", "scikit-learn", "ml", "scikit-learn", "sklearn"],
+  ["llm", "LLMs", "ml", "llm", "llms", "large language models"],
+  ["huggingface", "Hugging Face", "ml", "hugging face", "huggingface"],
+  ["langchain", "LangChain", "ml", "langchain"],
+  // cloud / infra
+  ["aws", "AWS", "cloud", "aws", "amazon web services"],
+  ["gcp", "GCP", "cloud", "gcp", "google cloud"],
+  ["azure", "Azure", "cloud", "azure"],
+  ["kubernetes", "Kubernetes", "cloud", "kubernetes", "k8s", "eks", "gke"],
+  ["docker", "Docker", "cloud", "docker", "containers"],
+  ["terraform", "Terraform", "cloud", "terraform"],
+  ["ansible", "Ansible", "cloud", "ansible"],
+  ["linux", "Linux", "cloud", "linux"],
+  ["ci_cd", "CI/CD", "cloud", "ci/cd", "github actions", "jenkins", "circleci", "gitlab ci"],
+  ["observability", "Observability", "cloud", "prometheus", "grafana", "datadog", "opentelemetry"],
+  // testing
+  ["jest", "Jest", "testing", "jest"],
+  ["cypress", "Cypress", "testing", "cypress"],
+  ["playwright", "Playwright", "testing", "playwright"],
+  ["selenium", "Selenium", "testing", "selenium"],
+  ["pytest", "pytest", "testing", "pytest"],
+];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// One regex per row. Boundaries treat . + # as word characters so "c++",
+// ".net" and "node.js" don't match inside longer tokens.
+const MATCHERS = SKILL_TAXONOMY.map(([id, , , ...aliases]) => {
+  const sensitive = aliases.filter((a) => a.startsWith("=")).map((a) => escapeRe(a.slice(1)));
+  const insensitive = aliases.filter((a) => !a.startsWith("=")).map(escapeRe);
+  const wrap = (alts, flags) => (alts.length ? new RegExp(`(?<![\\w+#])(?:${alts.join("|")})(?![\\w+#]|\\.\\w)`, flags) : null);
+  return { id, res: [wrap(insensitive, "i"), wrap(sensitive, "")].filter(Boolean) };
+});
+
+const LABELS = Object.fromEntries(SKILL_TAXONOMY.map(([id, label]) => [id, label]));
+
+/** Canonical skill ids named in `text`, in taxonomy order. */
+function extractSkills(text) {
+  const t = String(text || "");
+  if (!t) return [];
+  return MATCHERS.filter(({ res }) => res.some((re) => re.test(t))).map(({ id }) => id);
+}
+
+/** Display label for a skill id. */
+function skillLabel(id) {
+  return LABELS[id] || id;
+}
+
+module.exports = {
+  SKILL_TAXONOMY,
+  extractSkills,
+  skillLabel,
+};
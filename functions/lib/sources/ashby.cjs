@@ -0,0 +1,124 @@
+/**
+ * functions/lib/sources/ashby.cjs
+ *
+ * Ashby public posting API adapter.
+ *   Feed: https://api.ashbyhq.com/posting-api/job-board/{company}
+ *
+ * Listings include the full JD, so describe() only echoes the stored hint.
+ */
+
+const { normalizeToMapLocation } = require("../locationNormalizer.cjs");
+const {
+  fetchJson: defaultFetchJson,
+  stripHtml,
+  extractLocationTokens,
+  extractStateCodes,
+  toTimestampOrNull,
+  makeJobDocId,
+} = require("./common.cjs");
+
+const FEED_RE = /^https:\/\/api\.ashbyhq\.com\/posting-api\/job-board\/[^/?#]+(?:\?.*)?$/i;
+
+function detect(url) {
+  return /api\.ashbyhq\.com\/posting-api\/job-board\//i.test(String(url || ""));
+}
+
+function validate(url) {
+  const clean = String(url || "").trim();
+  if (!FEED_RE.test(clean)) {
+    return { ok: false, error: "Ashby URL should look like: https://api.ashbyhq.com/posting-api/job-board/<company>" };
+  }
+  return { ok: true, normalizedUrl: clean };
+}
+
+async function fetchJobs(url, { fetchJson = defaultFetchJson, signal } = {}) {
+  const json = await fetchJson(url, 2, { signal });
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json?.jobs)) return json.jobs;
+  if (Array.isArray(json?.results)) return json.results;
+  if (Array.isArray(json?.data?.jobs)) return json.data.jobs;
+  if (Array.isArray(json?.postings)) return json.postings;
+  return [];
+}
+
+function normalize(rawJob, { companyName, companyKey, now }) {
+  if (!rawJob || typeof rawJob !== "object") return null;
+
+  const externalId =
+    rawJob.id != null ? String(rawJob.id)
+      : (rawJob.jobId != null ? String(rawJob.jobId) : null);
+
+  const jobUrl = rawJob.jobUrl ? String(rawJob.jobUrl) : (rawJob.url ? String(rawJob.url) : null);
+  if (!externalId && !jobUrl) return null;
+
+  const title = rawJob.title ? String(rawJob.title) : null;
+
+  const primaryLoc = rawJob.location ? String(rawJob.location) : null;
+  const secondary = Array.isArray(rawJob.secondaryLocations)
+    ? rawJob.secondaryLocations
+      .map((s) => typeof s === "string" ? s : (s?.location ? String(s.location) : null))
+      .filter(Boolean)
+    : [];
+  const combinedLocation = [primaryLoc, ...secondary].filter(Boolean).join("; ");
+
+  // publishedAt stays put when a posting is edited; edits are found by content hash (stableTimestamps)
+  const sourceUpdatedIso = rawJob.publishedAt ? String(rawJob.publishedAt) : null;
+  const sourceUpdatedTs = toTimestampOrNull(sourceUpdatedIso) || now;
+
+  const locationTokens = extractLocationTokens(combinedLocation || "");
+  const stateCodes = extractStateCodes(locationTokens);
+
+  const meta = {};
+  if (rawJob.employmentType != null) meta["Employment Type"] = rawJob.employmentType;
+  if (rawJob.department != null) meta["Department"] = rawJob.department;
+  if (rawJob.team != null) meta["Team"] = rawJob.team;
+
+  // Ashby listings include the full JD in the feed response
+  const rawDesc = rawJob.descriptionHtml || rawJob.descriptionPlain || rawJob.description || "";
+  const fullDescription = stripHtml(rawDesc);
+
+  const jobDocId = makeJobDocId({
+    source: "ashbyhq",
+    companyKey,
+    externalId: externalId || jobUrl,
+  });
+
+  return {
+    jobDocId,
+    source: "ashbyhq",
+    companyKey,
+    companyName,
+    externalId,
+    title,
+    jobUrl,
+    locationName: combinedLocation || primaryLoc || null,
+    locationTokens,
+    stateCodes,
+    workplaceType: rawJob.workplaceType || null,
+    isRemote: rawJob.isRemote != null ? Boolean(rawJob.isRemote) : null,
+    sourceUpdatedTs,
+    sourceUpdatedIso,
+    meta,
+    fullDescription,
+    mapLocation: normalizeToMapLocation(combinedLocation || primaryLoc || null),
+  };
+}
+
+async function describe({ descriptionHint }) {
+  // Description already captured from feed listing
+  return descriptionHint ? String(descriptionHint).slice(0, 4000) : null;
+}
+
+module.exports = {
+  id: "ashbyhq",
+  label: "AshbyHQ",
+  feedSources: ["ashby", "ashbyhq"],
+  // One GET returns every open posting, so absent postings are closed
+  fullListing: true,
+  stableTimestamps: true,
+  detect,
+  validate,
+  fetch: fetchJobs,
+  normalize,
+  describe,
+};
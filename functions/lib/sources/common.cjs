@@ -0,0 +1,229 @@
+/**
+ * functions/lib/sources/common.cjs
+ *
+ * Helpers shared by every ATS source adapter: HTTP, HTML stripping, IDs,
+ * timestamps and location tokenization. Adapters never touch Firestore, so
+ * everything here is safe to run outside the Functions runtime (contract
+ * tests replay fixture payloads through the same code paths).
+ */
+
+const { setTimeout: sleep } = require("timers/promises");
+const admin = require("firebase-admin");
+
+const US_STATE_ABBREVIATIONS = [
+  "AL", "AZ", "AR", "CA", "CO", "CT", "DC", "FL", "GA", "ID", "IL", "IN", "IA", "KS", "KY", "LA",
+  "MD", "MA", "MI", "MN", "MO", "NE", "NV", "NH", "NJ", "NM", "NY", "NC", "OK", "PA", "RI", "TN",
+  "TX", "UT", "VA", "WA", "WI",
+];
+const US_STATE_ABBR_SET = new Set(US_STATE_ABBREVIATIONS);
+
+const LOCATION_SPLIT_REGEX = /[;|/]+|(?:\s*,\s*)/g;
+
+/**
+ * ----------------------------
+ * HTTP
+ * ----------------------------
+ */
+
+/**
+ * Thrown by fetchJson when a conditional GET comes back 304 — the caller's
+ * cached copy is still current.
+ */
+class NotModifiedError extends Error {
+  constructor(url) {
+    super(`Not modified: ${url}`);
+    this.name = "NotModifiedError";
+    this.url = url;
+  }
+}
+
+/**
+ * GET (or POST, when `body` is given) a JSON endpoint with a browser UA.
+ * Retries 429/403/5xx with linear backoff; throws on any other non-2xx.
+ *
+ * `headers` are merged into the request (conditional GETs send
+ * If-None-Match / If-Modified-Since; a 304 throws NotModifiedError).
+ * `onResponse({ url, status, bytes, etag, lastModified })` sees every 2xx
+ * body. Errors for other statuses carry it as `err.status`. `signal` aborts
+ * the request and any retry wait.
+ */
+async function fetchJson(url, maxRetries = 2, { body, headers, onResponse, signal } = {}) {
+  let attempts = 0;
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const resp = await fetch(url, {
+      method: body ? "POST" : "GET",
+      headers: {
+        accept: "application/json,text/plain,*/*",
+        "user-agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+        ...(body ? { "content-type": "application/json" } : {}),
+        ...(headers || {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+      ...(signal ? { signal } : {}),
+    });
+
+    if (resp.status === 304) throw new NotModifiedError(url);
+
+    if (!resp.ok) {
+      if ((resp.status === 429 || resp.status === 403 || resp.status >= 500) && attempts < maxRetries) {
+        attempts++;
+        await sleep(1500 * attempts, undefined, signal ? { signal } : {});
+        continue;
+      }
+      const text = await safeReadText(resp);
+      const err = new Error(`HTTP ${resp.status} ${resp.statusText} for ${url}. Body: ${(text || "").slice(0, 400)}`);
+      err.status = resp.status;
+      throw err;
+    }
+
+    if (!onResponse) return await resp.json();
+
+    const text = await resp.text();
+    onResponse({
+      url,
+      status: resp.status,
+      bytes: Buffer.byteLength(text),
+      etag: resp.headers.get("etag"),
+      lastModified: resp.headers.get("last-modified"),
+    });
+    return JSON.parse(text);
+  }
+}
+
+async function safeReadText(resp) {
+  try {
+    return await resp.text();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * ----------------------------
+ * TEXT
+ * ----------------------------
+ */
+
+/**
+ * Strip HTML tags from a string cleanly.
+ */
+function stripHtml(html) {
+  if (!html) return "";
+  return String(html)
+    .replace(/<\/?(p|li|h[1-6]|br|div|ul|ol)[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ").replace(/&#43;/g, "+").replace(/&[a-z]+;/gi, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim()
+    .slice(0, 4000);
+}
+
+/**
+ * ----------------------------
+ * LOCATION TOKENS
+ * ----------------------------
+ */
+function extractLocationTokens(locationString) {
+  const raw = String(locationString || "").trim();
+  if (!raw) return [];
+  const pieces = raw
+    .split(LOCATION_SPLIT_REGEX)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  const tokens = new Set([raw, ...pieces]);
+  return Array.from(tokens);
+}
+
+function extractStateCodes(tokens) {
+  const found = new Set();
+  for (const t of tokens || []) {
+    const upper = String(t).toUpperCase();
+    const matches = upper.match(/\b[A-Z]{2}\b/g) || [];
+    for (const code of matches) {
+      if (US_STATE_ABBR_SET.has(code)) found.add(code);
+    }
+  }
+  return Array.from(found);
+}
+
+/**
+ * ----------------------------
+ * TIME + IDS
+ * ----------------------------
+ */
+function toTimestampOrNull(isoOrDateString) {
+  if (!isoOrDateString) return null;
+  try {
+    const d = new Date(isoOrDateString);
+    if (Number.isNaN(d.getTime())) return null;
+    return admin.firestore.Timestamp.fromDate(d);
+  } catch {
+    return null;
+  }
+}
+
+/** Epoch milliseconds → Timestamp, or null for 0 / garbage. */
+function timestampFromMillis(ms) {
+  const n = Number(ms);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return admin.firestore.Timestamp.fromDate(new Date(n));
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Midnight UTC of the day `ms` falls in. */
+function startOfUtcDayMs(ms) {
+  return Math.floor(ms / DAY_MS) * DAY_MS;
+}
+
+function makeJobDocId({ source, companyKey, externalId }) {
+  const base = `${String(source)}|${String(companyKey)}|${String(externalId)}`;
+  return sanitizeId(base);
+}
+
+function sanitizeId(s) {
+  const clean = s
+    .toLowerCase()
+    .replace(/https?:\/\//g, "")
+    .replace(/[^\w|.-]+/g, "_")
+    .replace(/\|+/g, "|")
+    .slice(0, 150);
+
+  const checksum = simpleChecksum(s);
+  return `${clean}_${checksum}`;
+}
+
+function simpleChecksum(s) {
+  let h = 0;
+  for (let i = 0; i < s.length; i++) {
+    h = (h * 31 + s.charCodeAt(i)) >>> 0;
+  }
+  return h.toString(16);
+}
+
+/**
+ * Appends `key=value` to a URL unless the key is already present.
+ * Used for per-ATS query flags (Greenhouse content=true, Lever mode=json).
+ */
+function withQueryFlag(url, key, value) {
+  if (new RegExp(`[?&]${key}=`).test(url)) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}${key}=${value}`;
+}
+
+module.exports = {
+  NotModifiedError,
+  fetchJson,
+  stripHtml,
+  extractLocationTokens,
+  extractStateCodes,
+  toTimestampOrNull,
+  timestampFromMillis,
+  startOfUtcDayMs,
+  makeJobDocId,
+  withQueryFlag,
+  US_STATE_ABBREVIATIONS,
+};
@@ -0,0 +1,228 @@
+/**
+ * functions/lib/sources/eightfold.cjs
+ *
+ * Eightfold.ai adapter (Microsoft, PayPal, Nvidia, BNY… and Netflix, whose
+ * explore.jobs.netflix.net backend speaks the same positions shape).
+ *   Feed:   https://{company}.eightfold.ai/api/pcsx/search?domain={company}.com&...
+ *           https://explore.jobs.netflix.net/api/apply/v2/jobs?domain=netflix.com&...
+ *   Detail: /api/pcsx/position_details  |  /api/apply/v2/jobs/{id} (Netflix)
+ *
+ * Bulk listings carry no JD, so the sync enriches recent jobs via describe().
+ */
+
+const { logger } = require("firebase-functions");
+
+const { normalizeToMapLocation } = require("../locationNormalizer.cjs");
+const {
+  fetchJson: defaultFetchJson,
+  stripHtml,
+  extractLocationTokens,
+  extractStateCodes,
+  timestampFromMillis,
+  makeJobDocId,
+} = require("./common.cjs");
+
+const PAGE_SIZE = 10;
+const MAX_JOBS = 5000;
+
+const NETFLIX_RE = /explore\.jobs\.netflix\.net\/api\/apply\/v2\/jobs/i;
+const PCSX_RE = /\/api\/pcsx\/search/i;
+
+function detect(url) {
+  const u = String(url || "");
+  return NETFLIX_RE.test(u) || PCSX_RE.test(u);
+}
+
+/**
+ * Eightfold boards live on any company domain, so the path alone can't tell a
+ * board from an internal address the sync would fetch server-side. Only
+ * public https hosts pass.
+ */
+function isPublicHttpsUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = parsed.hostname.toLowerCase();
+  return parsed.protocol === "https:" &&
+    host.includes(".") &&
+    !/^[\d.]+$/.test(host) &&
+    !host.startsWith("[") &&
+    !/\.(?:local|internal|localhost)$/.test(host);
+}
+
+function validate(url) {
+  const clean = String(url || "").trim();
+  if ((NETFLIX_RE.test(clean) || PCSX_RE.test(clean)) && isPublicHttpsUrl(clean)) return { ok: true, normalizedUrl: clean };
+  return {
+    ok: false,
+    error: "Eightfold/Microsoft URL should look like: https://<domain>/api/pcsx/search?domain=<domain>&...",
+  };
+}
+
+/**
+ * Offset-based pagination (start=0, 10, 20, ...).
+ * Stops early when jobs are older than recentCutoff to avoid unnecessary requests.
+ */
+async function fetchJobs(baseUrl, { recentCutoffMs = null, fetchJson = defaultFetchJson, signal } = {}) {
+  const allPositions = [];
+
+  // Parse URL and ensure start param can be manipulated
+  const urlObj = new URL(baseUrl);
+  let offset = parseInt(urlObj.searchParams.get("start") || "0", 10);
+
+  while (allPositions.length < MAX_JOBS) {
+    urlObj.searchParams.set("start", String(offset));
+    const json = await fetchJson(urlObj.toString(), 2, { signal });
+
+    const positions = json?.positions || json?.data?.positions;
+    if (!Array.isArray(positions) || positions.length === 0) break;
+
+    allPositions.push(...positions);
+
+    // Smart stop: if the oldest job on this page is older than our cutoff, stop
+    if (recentCutoffMs) {
+      const oldestOnPage = positions[positions.length - 1];
+      const oldestEpoch = oldestOnPage?.t_update || oldestOnPage?.postedTs || 0;
+      const oldestTs = oldestEpoch * 1000; // epoch seconds → ms
+      if (oldestTs > 0 && oldestTs < recentCutoffMs) {
+        logger.info(`Eightfold pagination: stopping at offset=${offset}, oldest job on page is past cutoff`);
+        break;
+      }
+    }
+
+    // If we got fewer than PAGE_SIZE, we've reached the end
+    if (positions.length < PAGE_SIZE) break;
+
+    const totalCount = json?.count ?? json?.data?.count ?? Infinity;
+    offset += PAGE_SIZE;
+    if (offset >= totalCount) break;
+  }
+
+  logger.info(`Eightfold pagination: fetched ${allPositions.length} total positions`);
+  return allPositions;
+}
+
+function normalize(rawJob, { companyName, companyKey, now, url }) {
+  if (!rawJob || typeof rawJob !== "object") return null;
+
+  const externalId = rawJob.id != null ? String(rawJob.id)
+    : (rawJob.displayJobId != null ? String(rawJob.displayJobId) : null);
+
+  let domain = "careers.microsoft.com";
+  try {
+    if (url) {
+      const urlObj = new URL(url);
+      domain = urlObj.hostname;
+    }
+  } catch (e) {
+    // fallback
+  }
+
+  const jobUrl = rawJob.canonicalPositionUrl || (rawJob.positionUrl
+    ? `https://${domain}${rawJob.positionUrl}`
+    : null);
+  if (!externalId && !jobUrl) return null;
+
+  const title = rawJob.name ? String(rawJob.name) : null;
+
+  // Combine locations array into a single string
+  const locationsArr = Array.isArray(rawJob.locations) ? rawJob.locations : [];
+  const standardizedArr = Array.isArray(rawJob.standardizedLocations) ? rawJob.standardizedLocations : [];
+  const locationName = locationsArr.join("; ") || null;
+
+  // postedTs / t_update is epoch seconds
+  const updatedEpoch = Number(rawJob.t_update || rawJob.postedTs) || 0;
+  const sourceUpdatedTs = timestampFromMillis(updatedEpoch * 1000) || now;
+  const sourceUpdatedIso = updatedEpoch
+    ? new Date(updatedEpoch * 1000).toISOString()
+    : null;
+
+  // Use standardized locations as tokens (contains city, state abbrev, country)
+  const allLocTokens = [...locationsArr, ...standardizedArr];
+  const locationTokens = extractLocationTokens(allLocTokens.join("; "));
+  const stateCodes = extractStateCodes(locationTokens);
+
+  const meta = {};
+  if (rawJob.department) meta["Department"] = rawJob.department;
+  if (rawJob.workLocationOption) meta["Work Location"] = rawJob.workLocationOption;
+  if (rawJob.displayJobId) meta["Job ID"] = rawJob.displayJobId;
+
+  const jobDocId = makeJobDocId({
+    source: "eightfold",
+    companyKey,
+    externalId: externalId || jobUrl,
+  });
+
+  return {
+    jobDocId,
+    source: "eightfold",
+    companyKey,
+    companyName,
+    externalId,
+    title,
+    jobUrl,
+    locationName,
+    locationTokens,
+    stateCodes,
+    sourceUpdatedTs,
+    sourceUpdatedIso,
+    meta,
+    mapLocation: normalizeToMapLocation(locationName),
+  };
+}
+
+async function describe({ externalId, feedUrl }, { fetchJson = defaultFetchJson } = {}) {
+  if (!externalId) return null;
+  const url = String(feedUrl || "");
+
+  // ── Netflix: has its own backend separate from standard Eightfold ──
+  // Detail: https://explore.jobs.netflix.net/api/apply/v2/jobs/<id>?domain=netflix.com
+  if (url.includes("netflix")) {
+    const json = await fetchJson(`https://explore.jobs.netflix.net/api/apply/v2/jobs/${externalId}?domain=netflix.com`);
+    const raw = json?.job_description || "";
+    return raw ? stripHtml(raw) : null;
+  }
+
+  // ── Standard Eightfold companies (BNY Mellon, Microsoft, Morgan Stanley, Nvidia, etc.) ──
+  // Every Eightfold feed URL already contains ?domain=<company>.com — extract it directly.
+  // This means ANY new Eightfold company added to feeds will work without code changes.
+  let apiBase = "";
+  let domain = "";
+  try {
+    const u = new URL(url);
+    apiBase = `${u.protocol}//${u.hostname}`;
+
+    // Best source: the domain= param already embedded in the feed URL
+    // e.g. https://bnymellon.eightfold.ai/api/pcsx/search?domain=bnymellon.com → "bnymellon.com"
+    domain = u.searchParams.get("domain") ||
+      // Fallback: strip .eightfold.ai suffix
+      u.hostname.replace(/\.eightfold\.ai$/, ".com");
+  } catch (_) {
+    return null;
+  }
+
+  if (!apiBase || !domain) return null;
+
+  // pcsx/position_details is the canonical detail endpoint for all Eightfold companies
+  const json = await fetchJson(`${apiBase}/api/pcsx/position_details?position_id=${externalId}&domain=${domain}&hl=en`);
+  const raw = json?.data?.jobDescription || "";
+  return raw ? stripHtml(raw) : null;
+}
+
+module.exports = {
+  id: "eightfold",
+  label: "Eightfold.ai",
+  feedSources: ["eightfold", "microsoft", "paypal", "netflix"],
+  // Pagination stops at the recent-window cutoff; absence does not mean closed
+  fullListing: false,
+  // Bulk listings carry no JD; the sync calls describe() for recent jobs
+  enrichDescriptions: true,
+  detect,
+  validate,
+  fetch: fetchJobs,
+  normalize,
+  describe,
+};
@@ -0,0 +1,140 @@
+/**
+ * functions/lib/sources/greenhouse.cjs
+ *
+ * Greenhouse Job Board API adapter.
+ *   Feed:   https://boards-api.greenhouse.io/v1/boards/{slug}/jobs
+ *   Detail: https://boards-api.greenhouse.io/v1/boards/{slug}/jobs/{id}
+ *
+ * The feed is fetched with content=true so every job arrives with its JD.
+ */
+
+const { normalizeToMapLocation } = require("../locationNormalizer.cjs");
+const {
+  fetchJson: defaultFetchJson,
+  stripHtml,
+  extractLocationTokens,
+  extractStateCodes,
+  toTimestampOrNull,
+  makeJobDocId,
+  withQueryFlag,
+} = require("./common.cjs");
+
+const FEED_RE = /^https:\/\/boards-api\.greenhouse\.io\/v1\/boards\/[^/]+\/jobs(?:\?.*)?$/i;
+
+function detect(url) {
+  return /boards-api\.greenhouse\.io\/v1\/boards\//i.test(String(url || ""));
+}
+
+function validate(url) {
+  const clean = String(url || "").trim();
+  if (!FEED_RE.test(clean)) {
+    return { ok: false, error: "Greenhouse URL should look like: https://boards-api.greenhouse.io/v1/boards/<company>/jobs" };
+  }
+  return { ok: true, normalizedUrl: clean.toLowerCase() };
+}
+
+async function fetchJobs(url, { fetchJson = defaultFetchJson, signal } = {}) {
+  const json = await fetchJson(withQueryFlag(url, "content", "true"), 2, { signal });
+  return Array.isArray(json?.jobs) ? json.jobs : [];
+}
+
+function simplifyMetadataArray(metadata) {
+  if (!Array.isArray(metadata)) return {};
+  const out = {};
+  for (const m of metadata) {
+    if (!m || typeof m !== "object") continue;
+    const name = m.name != null ? String(m.name) : null;
+    if (!name) continue;
+    out[name] = m.value ?? null;
+  }
+  return out;
+}
+
+function normalize(rawJob, { companyName, companyKey, now }) {
+  if (!rawJob || typeof rawJob !== "object") return null;
+
+  const externalId =
+    rawJob.id != null ? String(rawJob.id)
+      : (rawJob.internal_job_id != null ? String(rawJob.internal_job_id) : null);
+
+  const jobUrl = rawJob.absolute_url ? String(rawJob.absolute_url) : null;
+  if (!externalId && !jobUrl) return null;
+
+  const title = rawJob.title ? String(rawJob.title) : null;
+  const locationName = rawJob?.location?.name ? String(rawJob.location.name) : null;
+
+  const sourceUpdatedIso = rawJob.updated_at ? String(rawJob.updated_at) : null;
+  const sourceUpdatedTs = toTimestampOrNull(sourceUpdatedIso) || now;
+
+  const locationTokens = extractLocationTokens(locationName || "");
+  const stateCodes = extractStateCodes(locationTokens);
+
+  const meta = simplifyMetadataArray(rawJob.metadata);
+  // content=true lists departments outside metadata (kept out of meta so revisions don't flag it)
+  const departments = Array.isArray(rawJob.departments) ? rawJob.departments.map((d) => d?.name).filter(Boolean) : [];
+
+  const jobDocId = makeJobDocId({
+    source: "greenhouse",
+    companyKey,
+    externalId: externalId || jobUrl,
+  });
+
+  const rawDesc = rawJob.content || rawJob.description || "";
+  const fullDescription = stripHtml(rawDesc);
+
+  return {
+    jobDocId,
+    source: "greenhouse",
+    companyKey,
+    companyName,
+    externalId,
+    title,
+    jobUrl,
+    locationName,
+    locationTokens,
+    stateCodes,
+    sourceUpdatedTs,
+    sourceUpdatedIso,
+    meta,
+    department: departments.length > 0 ? departments.join(", ") : null,
+    fullDescription, // Save directly into Firestore
+    mapLocation: normalizeToMapLocation(locationName),
+  };
+}
+
+async function describe({ externalId, feedUrl }, { fetchJson = defaultFetchJson } = {}) {
+  const url = String(feedUrl || "");
+
+  // Try API feed URL: https://boards-api.greenhouse.io/v1/boards/{slug}/jobs
+  let slug = null;
+  const apiMatch = url.match(/boards-api\.greenhouse\.io\/v1\/boards\/([^/?#]+)/i);
+  if (apiMatch) slug = apiMatch[1];
+
+  // Fallback: jobUrl format: https://boards.greenhouse.io/{slug}/jobs/{id}
+  if (!slug) {
+    const jobMatch = url.match(/boards\.greenhouse\.io\/([^/?#]+)\/jobs/i);
+    if (jobMatch) slug = jobMatch[1];
+  }
+
+  if (!slug || !externalId) return null;
+
+  // Greenhouse IDs in normalized feed look like "7743800_5ca2b88". API only accepts "7743800"
+  const realId = String(externalId).split("_")[0];
+
+  const json = await fetchJson(`https://boards-api.greenhouse.io/v1/boards/${slug}/jobs/${realId}`);
+  const raw = json?.content || json?.description || "";
+  return stripHtml(raw);
+}
+
+module.exports = {
+  id: "greenhouse",
+  label: "Greenhouse",
+  feedSources: ["greenhouse"],
+  // One GET returns every open posting, so absent postings are closed
+  fullListing: true,
+  detect,
+  validate,
+  fetch: fetchJobs,
+  normalize,
+  describe,
+};
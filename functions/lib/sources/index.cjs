@@ -0,0 +1,65 @@
+/**
+ * functions/lib/sources/index.cjs
+ *
+ * ATS source-adapter registry. The sync core never branches on an ATS name;
+ * it resolves a feed to an adapter here and drives it through one contract:
+ *
+ *   id                  job.source value written to Firestore ("ashbyhq", …)
+ *   label               human-readable name
+ *   feedSources         feed.source values this adapter answers to
+ *   detect(url)         true when the URL belongs to this ATS
+ *   validate(url)       { ok, normalizedUrl } | { ok: false, error }
+ *   fetch(url, opts)    raw postings as the ATS sent them; opts = { recentCutoffMs, fetchJson, nowMs, signal },
+ *                       where every request passes `signal` on so a timed-out fetch stops paging
+ *   normalize(raw, ctx) minimal job doc or null; ctx = { companyName, companyKey, now, url }
+ *   describe(job, opts) plain-text JD or null; job = { externalId, feedUrl, descriptionHint }
+ *   fullListing         fetch() returns the whole board, so a missing posting is closed
+ *   enrichDescriptions  optional; sync calls describe() for recent jobs without a JD
+ *   postedDateOnly      optional; postings carry a date, not a time, so the
+ *                       recent window starts at midnight UTC of the cutoff
+ *   stableTimestamps    optional; sourceUpdatedTs doesn't move on an edit, so
+ *                       stored postings are compared by content hash every run
+ *
+ * `fetchJson` is injectable so the contract tests (functions/test) can replay
+ * fixture payloads without network access. Adding an ATS = one new file here
+ * plus its entry in ADAPTERS, a fixture, and the URL rule on the Feeds page.
+ */
+
+const greenhouse = require("./greenhouse.cjs");
+const ashby = require("./ashby.cjs");
+const lever = require("./lever.cjs");
+const workday = require("./workday.cjs");
+const eightfold = require("./eightfold.cjs");
+
+const ADAPTERS = [greenhouse, ashby, lever, workday, eightfold];
+
+const BY_SOURCE = new Map();
+for (const adapter of ADAPTERS) {
+  BY_SOURCE.set(adapter.id, adapter);
+  for (const alias of adapter.feedSources) BY_SOURCE.set(alias, adapter);
+}
+
+/** Adapter for a feed.source or job.source value, or null. */
+function getAdapter(source) {
+  return BY_SOURCE.get(String(source || "").toLowerCase().trim()) || null;
+}
+
+/** First adapter whose detect() claims the URL, or null. */
+function detectAdapter(url) {
+  return ADAPTERS.find((a) => a.detect(url)) || null;
+}
+
+/**
+ * Resolves a feed doc to its adapter: the stored `source` wins, the URL is
+ * the fallback for legacy feeds saved with a blank or unknown source.
+ */
+function resolveFeedAdapter(feed) {
+  return getAdapter(feed?.source) || detectAdapter(feed?.url);
+}
+
+module.exports = {
+  ADAPTERS,
+  getAdapter,
+  detectAdapter,
+  resolveFeedAdapter,
+};
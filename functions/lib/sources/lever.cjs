@@ -0,0 +1,147 @@
+/**
+ * functions/lib/sources/lever.cjs
+ *
+ * Lever public postings API adapter.
+ *   Feed:   https://api.lever.co/v0/postings/{company}?mode=json
+ *   Detail: https://api.lever.co/v0/postings/{company}/{id}
+ *
+ * Without mode=json Lever serves an HTML board, so fetch() always forces it.
+ */
+
+const { normalizeToMapLocation } = require("../locationNormalizer.cjs");
+const {
+  fetchJson: defaultFetchJson,
+  stripHtml,
+  extractLocationTokens,
+  extractStateCodes,
+  timestampFromMillis,
+  makeJobDocId,
+  withQueryFlag,
+} = require("./common.cjs");
+
+const FEED_RE = /^https:\/\/(?:api\.lever\.co\/v0\/postings|jobs\.lever\.co)\/([^/?#]+)\/?(?:\?.*)?$/i;
+
+function detect(url) {
+  return /(?:api\.lever\.co\/v0\/postings|jobs\.lever\.co)\//i.test(String(url || ""));
+}
+
+function validate(url) {
+  const m = String(url || "").trim().match(FEED_RE);
+  if (!m) {
+    return { ok: false, error: "Lever URL should look like: https://api.lever.co/v0/postings/<company>?mode=json" };
+  }
+  // Public board links (jobs.lever.co/<company>) are rewritten to the JSON API
+  return { ok: true, normalizedUrl: `https://api.lever.co/v0/postings/${m[1].toLowerCase()}?mode=json` };
+}
+
+async function fetchJobs(url, { fetchJson = defaultFetchJson, signal } = {}) {
+  const json = await fetchJson(withQueryFlag(url, "mode", "json"), 2, { signal });
+  // Lever's postings API returns a bare array when mode=json is set
+  return Array.isArray(json) ? json : [];
+}
+
+/**
+ * Lever splits a JD into an intro, titled lists (requirements, benefits…)
+ * and a closing blurb. Stitch them back into one HTML string for stripHtml.
+ */
+function leverDescriptionHtml(posting) {
+  if (!posting || typeof posting !== "object") return "";
+  const lists = Array.isArray(posting.lists)
+    ? posting.lists.map((l) => `<h3>${l?.text || ""}</h3><ul>${l?.content || ""}</ul>`).join("")
+    : "";
+  return [
+    posting.description || posting.descriptionPlain || "",
+    lists,
+    posting.additional || posting.additionalPlain || "",
+  ].join("\n");
+}
+
+function normalize(rawJob, { companyName, companyKey, now }) {
+  if (!rawJob || typeof rawJob !== "object") return null;
+
+  const externalId = rawJob.id != null ? String(rawJob.id) : null;
+
+  const jobUrl = rawJob.hostedUrl ? String(rawJob.hostedUrl) : (rawJob.applyUrl ? String(rawJob.applyUrl) : null);
+  if (!externalId && !jobUrl) return null;
+
+  const title = rawJob.text ? String(rawJob.text) : null;
+
+  const categories = rawJob.categories && typeof rawJob.categories === "object" ? rawJob.categories : {};
+  const primaryLoc = categories.location ? String(categories.location) : null;
+  const allLocations = Array.isArray(categories.allLocations)
+    ? categories.allLocations.map((s) => String(s)).filter(Boolean)
+    : [];
+  const combinedLocation = Array.from(new Set([primaryLoc, ...allLocations].filter(Boolean))).join("; ");
+
+  // Lever only exposes createdAt (epoch ms); edits are found by content hash (stableTimestamps)
+  const createdMs = Number(rawJob.createdAt) || 0;
+  const sourceUpdatedTs = timestampFromMillis(createdMs) || now;
+  const sourceUpdatedIso = createdMs ? new Date(createdMs).toISOString() : null;
+
+  const locationTokens = extractLocationTokens(combinedLocation || "");
+  const stateCodes = extractStateCodes(locationTokens);
+
+  const meta = {};
+  if (categories.commitment) meta["Employment Type"] = categories.commitment;
+  if (categories.department) meta["Department"] = categories.department;
+  if (categories.team) meta["Team"] = categories.team;
+
+  const fullDescription = stripHtml(leverDescriptionHtml(rawJob));
+
+  const workplaceType = rawJob.workplaceType && rawJob.workplaceType !== "unspecified"
+    ? String(rawJob.workplaceType)
+    : null;
+
+  const jobDocId = makeJobDocId({
+    source: "lever",
+    companyKey,
+    externalId: externalId || jobUrl,
+  });
+
+  return {
+    jobDocId,
+    source: "lever",
+    companyKey,
+    companyName,
+    externalId,
+    title,
+    jobUrl,
+    locationName: combinedLocation || null,
+    locationTokens,
+    stateCodes,
+    workplaceType,
+    isRemote: workplaceType ? workplaceType === "remote" : null,
+    sourceUpdatedTs,
+    sourceUpdatedIso,
+    meta,
+    fullDescription,
+    mapLocation: normalizeToMapLocation(combinedLocation || null),
+  };
+}
+
+async function describe({ externalId, feedUrl, descriptionHint }, { fetchJson = defaultFetchJson } = {}) {
+  // Description already captured from feed listing
+  if (descriptionHint) return String(descriptionHint).slice(0, 4000);
+
+  // Feed URL: https://api.lever.co/v0/postings/{company}?mode=json
+  const m = String(feedUrl || "").match(/api\.lever\.co\/v0\/postings\/([^/?#]+)/i);
+  if (!m || !externalId) return null;
+
+  const json = await fetchJson(`https://api.lever.co/v0/postings/${m[1]}/${externalId}`);
+  const raw = leverDescriptionHtml(json);
+  return raw.trim() ? stripHtml(raw) : null;
+}
+
+module.exports = {
+  id: "lever",
+  label: "Lever",
+  feedSources: ["lever"],
+  // One GET returns every open posting, so absent postings are closed
+  fullListing: true,
+  stableTimestamps: true,
+  detect,
+  validate,
+  fetch: fetchJobs,
+  normalize,
+  describe,
+};
@@ -0,0 +1,235 @@
+/**
+ * functions/lib/sources/workday.cjs
+ *
+ * Workday career-site (CXS) adapter.
+ *   Feed:   POST https://{tenant}.wdN.myworkdayjobs.com/wday/cxs/{tenant}/{site}/jobs
+ *   Detail: GET  https://{tenant}.wdN.myworkdayjobs.com/wday/cxs/{tenant}/{site}{externalPath}
+ *
+ * Workday paginates via a POST body ({ limit, offset }) instead of query
+ * params, caps pages at 20, and only reports `total` on the first page.
+ * Listings carry a relative "Posted N Days Ago" string and no description,
+ * so jobs inside the recent window get a per-job detail fetch during fetch().
+ * The posted date is estimated in normalize(), not stored on the raw
+ * posting, so it stays out of the payload hash (lib/feedCache.cjs).
+ */
+
+const { logger } = require("firebase-functions");
+const pLimitPkg = require("p-limit");
+const pLimit = pLimitPkg.default ?? pLimitPkg;
+
+const { normalizeToMapLocation } = require("../locationNormalizer.cjs");
+const {
+  fetchJson: defaultFetchJson,
+  stripHtml,
+  extractLocationTokens,
+  extractStateCodes,
+  timestampFromMillis,
+  startOfUtcDayMs,
+  makeJobDocId,
+} = require("./common.cjs");
+
+const PAGE_SIZE = 20;
+const MAX_JOBS = 2000;
+const DETAIL_CONCURRENCY = 5;
+
+const FEED_RE = /^https:\/\/[^/]+\.myworkdayjobs\.com\/(?:wday\/cxs\/[^/]+\/[^/?#]+\/jobs|(?:[a-z]{2}-[A-Z]{2}\/)?[^/?#]+)\/?(?:\?.*)?$/i;
+
+function detect(url) {
+  return /\.myworkdayjobs\.com\//i.test(String(url || ""));
+}
+
+function validate(url) {
+  const clean = String(url || "").trim();
+  if (!FEED_RE.test(clean)) {
+    return { ok: false, error: "Workday URL should look like: https://<tenant>.wd5.myworkdayjobs.com/wday/cxs/<tenant>/<site>/jobs" };
+  }
+  // Public career-site links (…myworkdayjobs.com/en-US/<site>) are rewritten to the CXS jobs API
+  const bare = clean.replace(/[?#].*$/, "").replace(/\/$/, "");
+  if (/\/wday\/cxs\//i.test(bare)) return { ok: true, normalizedUrl: bare };
+  const { hostname, pathname } = new URL(bare);
+  const tenant = hostname.split(".")[0];
+  const site = pathname.split("/").filter(Boolean).pop();
+  return { ok: true, normalizedUrl: `https://${hostname}/wday/cxs/${tenant}/${site}/jobs` };
+}
+
+/**
+ * Converts Workday's relative "Posted Today" / "Posted 3 Days Ago" / "Posted
+ * 30+ Days Ago" into an epoch-ms estimate. Workday never exposes anything
+ * finer than a date, so the estimate is midnight UTC of that day: the same
+ * posting gets the same timestamp on every run, not the time of the fetch.
+ */
+function estimateWorkdayPostedMs(postedOn, nowMs) {
+  const s = String(postedOn || "").toLowerCase();
+  if (!s) return null;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const today = startOfUtcDayMs(nowMs);
+  if (s.includes("today")) return today;
+  if (s.includes("yesterday")) return today - DAY_MS;
+  const m = s.match(/(\d+)\+?\s*days?\s+ago/);
+  if (m) return today - Number(m[1]) * DAY_MS;
+  return null;
+}
+
+/**
+ * GET the Workday detail doc for one posting. The detail endpoint is the
+ * listing endpoint with "/jobs" swapped for the posting's externalPath.
+ */
+async function fetchWorkdayJobDetail(feedUrl, externalPath, fetchJson = defaultFetchJson, signal) {
+  const base = String(feedUrl).replace(/\/jobs\/?(?:\?.*)?$/i, "");
+  const json = await fetchJson(`${base}${externalPath}`, 2, { signal });
+  return json?.jobPostingInfo || null;
+}
+
+async function fetchJobs(baseUrl, { recentCutoffMs = null, fetchJson = defaultFetchJson, nowMs = Date.now(), signal } = {}) {
+  const allPostings = [];
+
+  let offset = 0;
+  let totalCount = Infinity;
+  const postedMs = (p) => estimateWorkdayPostedMs(p?.postedOn, nowMs) || 0;
+
+  while (allPostings.length < MAX_JOBS) {
+    const json = await fetchJson(baseUrl, 2, {
+      body: { appliedFacets: {}, limit: PAGE_SIZE, offset, searchText: "" },
+      signal,
+    });
+
+    const postings = json?.jobPostings;
+    if (!Array.isArray(postings) || postings.length === 0) break;
+
+    if (offset === 0 && Number(json?.total) > 0) totalCount = Number(json.total);
+
+    allPostings.push(...postings);
+
+    // Smart stop: Workday lists newest first, so once the last posting on the
+    // page is past the cutoff every later page is too.
+    if (recentCutoffMs) {
+      const oldestTs = postedMs(allPostings[allPostings.length - 1]);
+      if (oldestTs > 0 && oldestTs < recentCutoffMs) {
+        logger.info(`Workday pagination: stopping at offset=${offset}, oldest job on page is past cutoff`);
+        break;
+      }
+    }
+
+    if (postings.length < PAGE_SIZE) break;
+
+    offset += PAGE_SIZE;
+    if (offset >= totalCount) break;
+  }
+
+  // Detail fetch only for postings that can survive the recent-window filter
+  const needsDetail = allPostings.filter((p) =>
+    p.externalPath && (!recentCutoffMs || postedMs(p) >= recentCutoffMs)
+  );
+  const detailLimiter = pLimit(DETAIL_CONCURRENCY);
+  await Promise.all(
+    needsDetail.map((p) =>
+      detailLimiter(async () => {
+        if (signal?.aborted) return;
+        try {
+          p.detail = await fetchWorkdayJobDetail(baseUrl, p.externalPath, fetchJson, signal);
+        } catch (e) {
+          logger.warn(`Workday detail fetch failed for ${p.externalPath}: ${e.message}`);
+        }
+      })
+    )
+  );
+
+  logger.info(`Workday pagination: fetched ${allPostings.length} total postings, ${needsDetail.length} detailed`);
+  return allPostings;
+}
+
+function normalize(rawJob, { companyName, companyKey, now, url }) {
+  if (!rawJob || typeof rawJob !== "object") return null;
+
+  // externalPath is the only handle the detail endpoint accepts, so it doubles as the ID
+  const externalId = rawJob.externalPath ? String(rawJob.externalPath) : null;
+  if (!externalId) return null;
+
+  const detail = rawJob.detail && typeof rawJob.detail === "object" ? rawJob.detail : {};
+
+  let jobUrl = detail.externalUrl ? String(detail.externalUrl) : null;
+  if (!jobUrl && url) {
+    // https://<tenant>.wd5.myworkdayjobs.com/wday/cxs/<tenant>/<site>/jobs → https://<host>/<site><externalPath>
+    const m = url.match(/^(https:\/\/[^/]+)\/wday\/cxs\/[^/]+\/([^/]+)\/jobs/i);
+    if (m) jobUrl = `${m[1]}/${m[2]}${externalId}`;
+  }
+
+  const title = detail.title || rawJob.title ? String(detail.title || rawJob.title) : null;
+
+  // Listing shows "2 Locations" for multi-site roles; the detail doc has the real list
+  const detailLocations = [
+    detail.location,
+    ...(Array.isArray(detail.additionalLocations) ? detail.additionalLocations : []),
+  ].filter(Boolean).map(String);
+  const listingLoc = rawJob.locationsText && !/^\d+\s+locations?$/i.test(rawJob.locationsText)
+    ? String(rawJob.locationsText)
+    : null;
+  const combinedLocation = detailLocations.length > 0 ? detailLocations.join("; ") : listingLoc;
+
+  // postedOn counts from the first posting, so edits are found by content hash
+  // (stableTimestamps). "30+ Days Ago" re-estimates to a later date every day;
+  // a rewrite for an edit keeps the stored date (ingestFeeds).
+  const postedMs = estimateWorkdayPostedMs(rawJob.postedOn, now.toMillis()) || 0;
+  const sourceUpdatedTs = timestampFromMillis(postedMs) || now;
+  const sourceUpdatedIso = postedMs ? new Date(postedMs).toISOString() : null;
+
+  const locationTokens = extractLocationTokens(combinedLocation || "");
+  const stateCodes = extractStateCodes(locationTokens);
+
+  const meta = {};
+  const reqId = detail.jobReqId || (Array.isArray(rawJob.bulletFields) ? rawJob.bulletFields[0] : null);
+  if (reqId) meta["Job ID"] = reqId;
+  if (detail.timeType) meta["Employment Type"] = detail.timeType;
+  if (detail.remoteType) meta["Work Location"] = detail.remoteType;
+  if (rawJob.postedOn) meta["Posted"] = rawJob.postedOn;
+
+  const fullDescription = detail.jobDescription ? stripHtml(detail.jobDescription) : null;
+
+  const jobDocId = makeJobDocId({
+    source: "workday",
+    companyKey,
+    externalId,
+  });
+
+  return {
+    jobDocId,
+    source: "workday",
+    companyKey,
+    companyName,
+    externalId,
+    title,
+    jobUrl,
+    locationName: combinedLocation || null,
+    locationTokens,
+    stateCodes,
+    sourceUpdatedTs,
+    sourceUpdatedIso,
+    meta,
+    ...(fullDescription ? { fullDescription } : {}),
+    mapLocation: normalizeToMapLocation(combinedLocation || null),
+  };
+}
+
+async function describe({ externalId, feedUrl }, { fetchJson = defaultFetchJson } = {}) {
+  // externalId is the posting's externalPath (/job/<location>/<title>_<reqId>)
+  if (!externalId || !/\/wday\/cxs\//i.test(String(feedUrl || ""))) return null;
+  const detail = await fetchWorkdayJobDetail(feedUrl, externalId, fetchJson);
+  const raw = detail?.jobDescription || "";
+  return raw ? stripHtml(raw) : null;
+}
+
+module.exports = {
+  id: "workday",
+  label: "Workday",
+  feedSources: ["workday"],
+  // Pagination stops at the recent-window cutoff; absence does not mean closed
+  fullListing: false,
+  postedDateOnly: true,
+  stableTimestamps: true,
+  detect,
+  validate,
+  fetch: fetchJobs,
+  normalize,
+  describe,
+  estimateWorkdayPostedMs,
+};
@@ -0,0 +1,157 @@
+/**
+ * functions/lib/syncFanOut.cjs
+ *
+ * Bookkeeping for the fanned-out sync. One invocation can't fetch every
+ * board and score for every user inside 540s, so the scheduled run is a
+ * coordinator: it plans the boards, enqueues one syncFeedTask per board and,
+ * once those are in, one scoreUserTask per AI-enabled user. The run doc
+ * (users/{ADMIN_UID}/syncRuns/{runId}) adds up their results:
+ *
+ *   status: "RUNNING" → "SCORING" → "FINALIZING" → "DONE"  ("STALE" if tasks never came back)
+ *   tasksTotal / tasksDone        feed tasks
+ *   scoringTotal / scoringDone    user scoring tasks
+ *   feedsProcessed, jobsWritten…  counters (SUMMARY_COUNTERS), live while tasks
+ *                                 report, then re-summed from the task docs
+ *
+ * Each feed task creates syncRuns/{runId}/feedResults/{taskKey} (its
+ * counters, the per-feed result and the new jobs to score), each scoring
+ * task syncRuns/{runId}/scoring/{uid}; create() failing on an existing doc
+ * makes redelivered tasks no-ops, and counting those docs tells the last
+ * task to move the run on. In-process runs (one-feed retry, backfill) write
+ * the same feedResults docs, so the History page can drill into any run.
+ */
+
+const SUMMARY_COUNTERS = [
+  "feedsProcessed",
+  "failedFeeds",
+  "skippedFeeds",
+  "unchangedFeeds",
+  "notModifiedFeeds",
+  "bytesFetched",
+  "bytesSaved",
+  "jobsFetched",
+  "jobsKeptRecent",
+  "jobsWritten",
+  "jobsClosed",
+  "jobsChanged",
+  "jobsDeduped",
+  "jobsExcluded",
+];
+
+// Task queue retries; the last attempt records the failure instead of throwing
+const SYNC_TASK_RETRY = { maxAttempts: 3, minBackoffSeconds: 30 };
+
+/** Summary of a run that touched nothing. */
+function emptySyncSummary(feedsCount = 0) {
+  const summary = { ok: true, feedsCount };
+  for (const key of SUMMARY_COUNTERS) summary[key] = 0;
+  return summary;
+}
+
+/**
+ * Run-doc patch adding one task's counters.
+ * @param {object} summary - ingestFeeds() counters
+ * @param {(n: number) => any} increment - FieldValue.increment
+ */
+function counterIncrements(summary, increment) {
+  const patch = {};
+  for (const key of SUMMARY_COUNTERS) {
+    const n = Number(summary?.[key]) || 0;
+    if (n !== 0) patch[key] = increment(n);
+  }
+  return patch;
+}
+
+/** Summary read back from a run doc's counters. */
+function summaryFromRun(run) {
+  return sumSyncSummaries([run], Number(run?.feedsCount) || 0);
+}
+
+/** Counters of several task results added up. */
+function sumSyncSummaries(results, feedsCount = 0) {
+  const summary = emptySyncSummary(feedsCount);
+  for (const result of results) {
+    for (const key of SUMMARY_COUNTERS) summary[key] += Number(result?.[key]) || 0;
+  }
+  return summary;
+}
+
+// How a board fared in one run
+const FEED_OUTCOMES = ["ok", "unchanged", "notModified", "skipped", "failed"];
+
+/**
+ * One board's line in a run (the fields the History drill-down and trend
+ * chart read). pages = HTTP requests the adapter made, i.e. pages walked on
+ * a paginated board like Eightfold.
+ */
+function feedRunResult({
+  ownerUid,
+  feedId,
+  ranAt = null,
+  companyName = null,
+  source = null,
+  outcome,
+  httpStatus = null,
+  durationMs = null,
+  pages = 0,
+  bytes = 0,
+  jobsFetched = 0,
+  jobsKeptRecent = 0,
+  jobsWritten = 0,
+  jobsClosed = 0,
+  jobsExcluded = 0,
+  error = null,
+}) {
+  return {
+    ownerUid,
+    feedId,
+    ranAt,
+    companyName,
+    source,
+    outcome: FEED_OUTCOMES.includes(outcome) ? outcome : "failed",
+    httpStatus,
+    durationMs,
+    pages,
+    bytes,
+    jobsFetched,
+    jobsKeptRecent,
+    jobsWritten,
+    jobsClosed,
+    jobsExcluded,
+    error: error ? String(error).slice(0, 500) : null,
+  };
+}
+
+/** Doc id / task id for one board in one run (task ids allow [A-Za-z0-9_-] only). */
+function feedTaskKey(runId, ownerUid, feedId) {
+  return `${runId}-${ownerUid}-${feedId}`.replace(/[^A-Za-z0-9_-]/g, "_");
+}
+
+/**
+ * What a feed task stores per job to score. Descriptions stay on the job doc
+ * (the scoring task reads them back) so the result doc stays small.
+ */
+function scoringRef(job) {
+  return {
+    jobDocId: job.jobDocId,
+    companyKey: job.companyKey,
+    source: job.source,
+    externalId: job.externalId,
+    feedUrl: job.feedUrl || null,
+    jobUrl: job.jobUrl || null,
+    geo: job.geo || null,
+  };
+}
+
+module.exports = {
+  SUMMARY_COUNTERS,
+  SYNC_TASK_RETRY,
+  emptySyncSummary,
+  counterIncrements,
+  summaryFromRun,
+  sumSyncSummaries,
+  FEED_OUTCOMES,
+  feedRunResult,
+  feedTaskKey,
+  scoringRef,
+};
@@ -10,7 +10,17 @@
  *
  * Aggregation doc:
  *   /users/{userId}/aggregations/myJobScores
- *   { scores: { [jobId]: { score, reason } }, count, updatedAt }
+ *   { scores: { [jobId]: { score, reason, source, resumeHash, rubricVersion, breakdown, matched, missing } }, count, updatedAt }
+ *
+ * breakdown / matched / missing: the per-dimension sub-scores and the job's
+ * requirements the resume meets or lacks (lib/scoreBreakdown.cjs). The
+ * requirement lists are dropped from the oldest entries once the doc nears
+ * its size budget; jobScores always keeps them.
+ *
+ * source: "ai" (the chat model) or "similarity" (estimated by the embedding
+ * prefilter, lib/embeddings.cjs). resumeHash and rubricVersion are what the
+ * score was made from (lib/rescore.cjs, lib/scoringRubric.cjs; rubricVersion
+ * is null for estimates), so stale scores can be marked and redone.
  *
  * Read cost: 1 document per /jobs session per user, regardless of corpus size.
  */
@@ -18,11 +28,14 @@
 const admin = require("firebase-admin");
 
 const MAX_SCORES_IN_AGG = 2000; // keep the aggregation doc well under 1 MiB
+// Approximate doc size past which entries stop carrying requirement lists
+const AGG_BYTE_BUDGET = 850 * 1024;
 
 /**
  * Upsert a batch of scores for a user and refresh their aggregation doc.
  * @param {string} userId
- * @param {Array<{ jobId: string, score: number, reason: string }>} entries
+ * @param {Array<{ jobId: string, score: number, reason: string, source?: string, rubricVersion?: string,
+ *   resumeHash?: string, breakdown?: object, matched?: string[], missing?: string[] }>} entries
  * @param {FirebaseFirestore.Firestore} [dbInstance]
  */
 async function writeUserScores(userId, entries, dbInstance) {
@@ -37,13 +50,19 @@ async function writeUserScores(userId, entries, dbInstance) {
   const CHUNK = 400;
   for (let i = 0; i < entries.length; i += CHUNK) {
     const batch = db.batch();
-    for (const { jobId, score, reason } of entries.slice(i, i + CHUNK)) {
+    for (const { jobId, score, reason, source, rubricVersion, resumeHash, breakdown, matched, missing } of entries.slice(i, i + CHUNK)) {
       if (!jobId) continue;
       batch.set(
         scoresRef.doc(jobId),
         {
           score: typeof score === "number" ? score : null,
           reason: reason || "",
+          source: source || "ai",
+          rubricVersion: rubricVersion || null,
+          resumeHash: resumeHash || null,
+          breakdown: breakdown || null,
+          matched: Array.isArray(matched) ? matched : [],
+          missing: Array.isArray(missing) ? missing : [],
           scoredAt,
         },
         { merge: true }
@@ -70,13 +89,30 @@ async function rebuildUserJobScores(userId, dbInstance) {
     .limit(MAX_SCORES_IN_AGG)
     .get();
 
+  // Newest first, so the oldest scores are the ones that lose their lists
   const scores = {};
+  let bytes = 0;
   snap.forEach((d) => {
     const x = d.data();
-    scores[d.id] = {
+    const entry = {
       score: typeof x.score === "number" ? x.score : null,
       reason: x.reason || "",
+      source: x.source || "ai",
+      resumeHash: x.resumeHash || null,
+      rubricVersion: x.rubricVersion || null,
+      breakdown: x.breakdown || null,
     };
+    bytes += d.id.length + JSON.stringify(entry).length;
+    const matched = Array.isArray(x.matched) ? x.matched : [];
+    const missing = Array.isArray(x.missing) ? x.missing : [];
+    if (matched.length + missing.length > 0) {
+      const detail = JSON.stringify([matched, missing]).length;
+      if (bytes + detail <= AGG_BYTE_BUDGET) {
+        bytes += detail;
+        Object.assign(entry, { matched, missing });
+      }
+    }
+    scores[d.id] = entry;
   });
 
   await db
@@ -0,0 +1,101 @@
+/**
+ * functions/lib/workAuth.cjs
+ *
+ * Work-authorization requirements stated in a JD, detected at sync time and
+ * stored on the job as:
+ *
+ *   workAuth: {
+ *     sponsorship: "available" | "unavailable" | null,   // null = not stated
+ *     clearance: {
+ *       level: "public_trust" | "confidential" | "secret" | "top_secret" | "ts_sci" | "unspecified",
+ *       active: boolean,                                // must already hold it (vs. able to obtain)
+ *     } | null,
+ *     usPersonRequired: boolean,                        // ITAR / EAR export control
+ *     citizenshipRequired: boolean,                     // U.S. citizens only
+ *   }
+ *
+ * Deliberately conservative: a refusal anywhere in the text wins over an offer
+ * ("we sponsor for some roles, not this one"), and only explicit requirement
+ * wording sets a flag. The worker's auto-apply loop skips jobs that contradict
+ * the profile (worker/lib/requirements.mjs).
+ */
+
+const CLEARANCE_LEVELS = ["public_trust", "confidential", "secret", "top_secret", "ts_sci", "unspecified"];
+
+const VISA = "(?:visa |immigration |employment |employer |work |h-?1b |work visa )?";
+
+const SPONSORSHIP_UNAVAILABLE = [
+  new RegExp(`\\b(?:unable|not able|cannot|can't|can not|won't|will not|do not|does not|don't|doesn't|not in a position|is not able|are not able)\\s+(?:to\\s+)?(?:currently\\s+)?(?:provide|offer|support)?\\s*${VISA}sponsor`),
+  new RegExp(`\\b(?:no|without)\\s+(?:the\\s+)?(?:need for\\s+|requiring\\s+|requirement of\\s+)?(?:current or future\\s+|future\\s+|current\\s+)?${VISA}sponsorship`),
+  /\bsponsorship\s+(?:is\s+|will\s+)?not\s+(?:be\s+)?(?:available|offered|provided|possible|considered)/,
+  /\bnot\s+(?:eligible|open)\s+(?:for|to)\s+(?:visa\s+)?sponsorship/,
+  /\b(?:does|do|will)\s+not\s+(?:require|need)\s+(?:visa\s+)?sponsorship\s+now or in the future/,
+];
+
+const SPONSORSHIP_AVAILABLE = [
+  new RegExp(`\\b${VISA}sponsorship\\s+(?:is\\s+)?(?:available|offered|provided|supported)`),
+  new RegExp(`\\b(?:we|will|can|happy to|able to|willing to)\\s+(?:provide\\s+|offer\\s+|support\\s+)?${VISA}sponsor(?:ship)?\\b`),
+  /\b(?:offers?|provides?|supports?)\s+(?:visa|h-?1b|immigration)\s+sponsorship/,
+];
+
+// Most specific first
+const CLEARANCE_PATTERNS = [
+  ["ts_sci", /\bts\s*\/\s*sci\b|\btop secret\s*\/\s*sci\b|\bsci\s+(?:eligib|access|clearance)/],
+  ["top_secret", /\btop secret\b|\bts clearance\b/],
+  ["secret", /\bsecret\s+(?:security\s+)?clearance\b|\b(?:active|current|interim)\s+secret\b/],
+  ["confidential", /\bconfidential\s+(?:security\s+)?clearance\b/],
+  ["public_trust", /\bpublic trust\b/],
+  ["unspecified", /\b(?:security|government|federal|dod|dhs|doe|q|l)\s+clearance\b|\bclearance\s+(?:is\s+)?required\b|\b(?:active|current)\s+clearance\b|\bclearable\b|\bpolygraph\b/],
+];
+const NO_CLEARANCE_RE = /\bno\s+(?:security\s+)?clearance\s+(?:is\s+)?(?:required|needed)\b|\bclearance\s+(?:is\s+)?not\s+required\b/;
+const CLEARANCE_ACTIVE_RE = /\b(?:active|current|existing|hold|holds|possess|maintain)\b.{0,40}\bclearance\b|\bclearance\b.{0,20}\b(?:active|current)\b/;
+
+const CITIZENSHIP_RE = new RegExp([
+  // "citizens or permanent residents" is the U.S.-person rule, not citizenship
+  "\\bmust be (?:a )?(?:u\\.?s\\.?|united states) citizens?\\b(?!,? (?:or|and) (?:a )?(?:lawful |u\\.?s\\.? )?(?:permanent|green))",
+  "\\b(?:u\\.?s\\.?|united states) citizenship (?:is )?(?:required|mandatory)",
+  "\\brequires? (?:u\\.?s\\.?|united states) citizenship",
+  "\\b(?:u\\.?s\\.?|united states) citizens only",
+  "\\bonly (?:open to )?(?:u\\.?s\\.?|united states) citizens",
+].join("|"));
+
+const EXPORT_CONTROL_RE = /\bitar\b|\bexport[- ]control(?:led)?\b|\bexport administration regulations\b/;
+const US_PERSON_RE = /\bu\.?s\.? persons?\b|\b(?:citizen|citizens|citizenship)\b|\b(?:lawful )?permanent residents?\b|\bgreen card\b/;
+
+function detectSponsorship(t) {
+  if (SPONSORSHIP_UNAVAILABLE.some((re) => re.test(t))) return "unavailable";
+  if (SPONSORSHIP_AVAILABLE.some((re) => re.test(t))) return "available";
+  return null;
+}
+
+function detectClearance(t) {
+  if (NO_CLEARANCE_RE.test(t)) return null;
+  const hit = CLEARANCE_PATTERNS.find(([, re]) => re.test(t));
+  if (!hit) return null;
+  return { level: hit[0], active: CLEARANCE_ACTIVE_RE.test(t) };
+}
+
+/**
+ * Structured requirements for one description.
+ * @param {string} text fullDescription (plain text)
+ */
+function detectWorkAuth(text) {
+  const t = String(text || "").toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, " ");
+  const clearance = detectClearance(t);
+  const citizenshipRequired = CITIZENSHIP_RE.test(t);
+  // "U.S. person" is an export-control term of art; otherwise ITAR/EAR wording
+  // plus citizen / permanent-resident language
+  const usPersonRequired = /\bmust be a u\.?s\.? person\b/.test(t) ||
+    (EXPORT_CONTROL_RE.test(t) && US_PERSON_RE.test(t));
+  return {
+    sponsorship: detectSponsorship(t),
+    clearance,
+    usPersonRequired,
+    citizenshipRequired,
+  };
+}
+
+module.exports = {
+  CLEARANCE_LEVELS,
+  detectWorkAuth,
+};
@@ -0,0 +1,147 @@
+/**
+ * functions/lib/workplace.cjs
+ *
+ * One normalized workplace type per job, whatever the source exposes.
+ * Ashby and Lever send `workplaceType` / `isRemote`; Eightfold's
+ * `workLocationOption` and Workday's `remoteType` land in meta["Work Location"];
+ * Greenhouse only has the location string and the JD. Stored on the job as:
+ *
+ *   workplace: {
+ *     type: "remote" | "hybrid" | "onsite" | null,   // null = nothing to go on
+ *     hybridDays: number | null,                     // required in-office days per week
+ *     source: "source" | "metadata" | "location" | "description",
+ *   }
+ *
+ * Structured fields win over the location string, which wins over JD
+ * phrases; a location that names a place and nothing else reads as onsite.
+ * The raw `workplaceType` / `isRemote` fields are left as the source sent
+ * them (they're revision-tracked). Also decides the map pin: remote jobs
+ * count as remotePin, hybrid city jobs as hybridPin.
+ */
+
+const WORKPLACE_TYPES = ["remote", "hybrid", "onsite"];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+const N = "(\\d|one|two|three|four|five)";
+const RANGE = `${N}(?:\\s*(?:-|–|to|or)\\s*${N})?`;
+const OFFICE = "(?:(?:in|at|from|on)\\s+(?:the |our |an? |one of our )?(?:[a-z.]+ ){0,3}?)?(?:office|offices|on-?site|in-office|hq|headquarters|studio)";
+
+// "3 days a week in the office", "2-3 days per week onsite"
+const DAYS_THEN_OFFICE_RE = new RegExp(`\\b${RANGE}\\s*\\+?\\s*(?:days?|x)\\s*(?:(?:a|per|each|every|\\/)\\s*week|weekly)?\\s*${OFFICE}\\b`);
+// "in office 3 days a week", "in-office at least three days", "onsite 3x per week"
+const OFFICE_THEN_DAYS_RE = new RegExp(`\\b(?:(?:in|at)[- ](?:the )?office|on-?site|in[- ]person)\\s*(?:for\\s+)?(?:at least\\s+|a minimum of\\s+|minimum\\s+)?${RANGE}\\s*(?:days?|x)\\b`);
+
+const ONSITE_TEXT_RE = /\b(?:this|the) (?:role|position|job) is (?:fully |100% )?(?:on-?site|in[- ]office|in[- ]person)\b|\b(?:fully|100%) (?:on-?site|in[- ]office)\b|\bnot (?:a )?remote\b|\bno remote\b|\bremote work is not\b/;
+const HYBRID_TEXT_RE = /\bhybrid (?:role|position|schedule|work|working|model|environment|arrangement|opportunity|setup|policy)\b|\b(?:this|the) (?:role|position|job) is hybrid\b/;
+const REMOTE_TEXT_RE = /\b(?:fully|100%|completely) remote\b|\b(?:this|the) (?:role|position|job) is (?:a )?remote\b|\bremote (?:role|position|opportunity)\b|\bwork from anywhere\b/;
+
+const norm = (s) => String(s || "").toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, " ");
+
+/** Normalize a structured value ("OnSite", "Hybrid", "remote_local", "Flexible"). */
+function workplaceFromValue(value) {
+  const v = norm(value).replace(/[_-]/g, " ");
+  if (!v.trim() || v === "unspecified") return null;
+  if (/\b(hybrid|flexible)\b/.test(v)) return "hybrid";
+  if (/\b(remote|telecommute|virtual|work from home|wfh|anywhere)\b/.test(v)) return "remote";
+  if (/\b(on ?site|in office|office|in person)\b/.test(v)) return "onsite";
+  return null;
+}
+
+/** Metadata fields that carry a workplace option (Eightfold / Workday "Work Location"). */
+function workplaceFromMeta(meta) {
+  if (!meta || typeof meta !== "object") return null;
+  for (const [key, value] of Object.entries(meta)) {
+    if (!/work ?location|workplace|remote|location type|work arrangement|work model/i.test(key)) continue;
+    if (typeof value !== "string") continue;
+    const type = workplaceFromValue(value);
+    if (type) return type;
+  }
+  return null;
+}
+
+/** Remote / hybrid wording in the location string. Places alone return null. */
+function workplaceFromLocation(locationName) {
+  const t = norm(locationName);
+  if (/\bhybrid\b/.test(t)) return "hybrid";
+  if (/\b(remote|anywhere|work from home|distributed)\b/.test(t)) return "remote";
+  if (/\b(on-?site|in[- ]office)\b/.test(t)) return "onsite";
+  return null;
+}
+
+const dayCount = (word) => (word == null ? null : NUMBER_WORDS[word] || Number(word));
+
+/** Required in-office days per week stated in the JD, or null. Ranges report the low end. */
+function officeDaysFromText(text) {
+  const t = norm(text);
+  const m = t.match(DAYS_THEN_OFFICE_RE) || t.match(OFFICE_THEN_DAYS_RE);
+  if (!m) return null;
+  const days = Math.min(dayCount(m[1]), dayCount(m[2]) ?? Infinity);
+  return days >= 1 && days <= 5 ? days : null;
+}
+
+/** Workplace type from JD phrases, with hybrid days when stated. */
+function workplaceFromText(text) {
+  const t = norm(text);
+  if (!t) return { type: null, hybridDays: null };
+  const days = officeDaysFromText(t);
+  if (days === 5 || ONSITE_TEXT_RE.test(t)) return { type: "onsite", hybridDays: null };
+  if (days != null) return { type: "hybrid", hybridDays: days };
+  if (HYBRID_TEXT_RE.test(t)) return { type: "hybrid", hybridDays: null };
+  if (REMOTE_TEXT_RE.test(t)) return { type: "remote", hybridDays: null };
+  return { type: null, hybridDays: null };
+}
+
+/**
+ * Normalized workplace for one job.
+ * @param {{ workplaceType?, isRemote?, locationName?, meta?, fullDescription?, geo? }} job
+ * @returns {{ type: string|null, hybridDays: number|null, source: string|null }}
+ */
+function classifyWorkplace(job) {
+  const withDays = (type, source) => {
+    const days = type === "hybrid" ? officeDaysFromText(job?.fullDescription) : null;
+    return { type, hybridDays: days != null && days < 5 ? days : null, source };
+  };
+
+  const explicit = workplaceFromValue(job?.workplaceType) || (job?.isRemote === true ? "remote" : null);
+  if (explicit) return withDays(explicit, "source");
+
+  const fromMeta = workplaceFromMeta(job?.meta);
+  if (fromMeta) return withDays(fromMeta, "metadata");
+
+  const fromLocation = workplaceFromLocation(job?.locationName) || (job?.geo?.remote === true ? "remote" : null);
+  if (fromLocation) return withDays(fromLocation, "location");
+
+  const fromText = workplaceFromText(job?.fullDescription);
+  if (fromText.type) return { ...fromText, source: "description" };
+
+  // A named place and no other signal: the posting expects you there
+  if (String(job?.locationName || "").trim()) return { type: "onsite", hybridDays: null, source: "location" };
+  return { type: null, hybridDays: null, source: null };
+}
+
+/** Stored workplace when present, otherwise computed (jobs synced before this existed). */
+function workplaceFor(job) {
+  if (job?.workplace && (job.workplace.type === null || WORKPLACE_TYPES.includes(job.workplace.type))) {
+    return job.workplace;
+  }
+  return classifyWorkplace(job);
+}
+
+/**
+ * Map pin type for a job's mapLocation: remote jobs pin as "remote" wherever
+ * they're placed, hybrid jobs at a real city as "hybrid".
+ */
+function pinTypeFor(mapLocation, workplace) {
+  const pinType = mapLocation?.pinType || "city";
+  if (workplace?.type === "remote") return "remote";
+  if (workplace?.type === "hybrid" && pinType === "city") return "hybrid";
+  return pinType;
+}
+
+module.exports = {
+  WORKPLACE_TYPES,
+  classifyWorkplace,
+  workplaceFor,
+  workplaceFromText,
+  pinTypeFor,
+};
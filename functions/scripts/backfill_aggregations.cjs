@@ -10,6 +10,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { workplaceFor, pinTypeFor } = require("../lib/workplace.cjs");
 
 const PROJECT_ID = "greenhouse-jobs-scrapper";
 const ADMIN_UID = "7Tojjo8l5PZIYctPmdwncf7PC133";
@@ -125,15 +126,18 @@ function computeAggregations(jobs) {
   const companies = {};
 
   for (const job of jobs) {
+    // Jobs from users' own boards stay out of the shared view
+    if (job.feedOwner) continue;
+
     // Map clusters
     const loc = job.mapLocation;
     if (loc && loc.city && loc.state) {
       const key = `${loc.city}|${loc.state}`;
       if (!clusters[key]) {
-        clusters[key] = { lat: loc.lat, lng: loc.lng, count: 0, cityPin: 0, remotePin: 0, statePin: 0 };
+        clusters[key] = { lat: loc.lat, lng: loc.lng, count: 0, cityPin: 0, remotePin: 0, statePin: 0, hybridPin: 0 };
       }
       clusters[key].count++;
-      const ptKey = (loc.pinType || "city") + "Pin";
+      const ptKey = pinTypeFor(loc, workplaceFor(job)) + "Pin";
       if (clusters[key][ptKey] !== undefined) clusters[key][ptKey]++;
     }
 
@@ -4,7 +4,7 @@
  * One-time backfill for /users/{ADMIN_UID}/aggregations/recentJobs so the
  * frontend Jobs page can render with a single Firestore read on first visit.
  * After this runs once, the doc is kept fresh automatically by Cloud Functions
- * (syncUserRecentJobs, scoreNewJobsForUser, dailyAggregationReconciliation).
+ * (syncFeeds, scoreNewJobsForUser, dailyAggregationReconciliation).
  *
  * Run from /functions:   node scripts/backfill_recent_jobs.cjs
  */
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// Self-tests for the AI provider interface. Run: npm test (from functions/)
+const path = require("path");
+const {
+  AI_FEATURES,
+  TIER_DEFAULTS,
+  featureEnvName,
+  resolveModel,
+  providerKind,
+  createAIProvider,
+} = require("../lib/aiProvider.cjs");
+const { embedTexts, cosineSimilarity } = require("../lib/embeddings.cjs");
+const { parseScoreBreakdown } = require("../lib/scoreBreakdown.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+const throws = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+};
+const FIXTURES = path.join(__dirname, "aiMock.json");
+
+// ── model selection ──────────────────────────────────────────────────────────
+eq("model: env names", [featureEnvName("scoring"), featureEnvName("resumeParse"), featureEnvName("coverLetter")],
+  ["AI_MODEL_SCORING", "AI_MODEL_RESUME_PARSE", "AI_MODEL_COVER_LETTER"]);
+eq("model: tier defaults", [resolveModel("scoring", {}), resolveModel("assistant", {}), resolveModel("embeddings", {})],
+  [TIER_DEFAULTS.fast, TIER_DEFAULTS.smart, TIER_DEFAULTS.embedding]);
+eq("model: tier env", [resolveModel("scoring", { OPENAI_FAST_MODEL: "f" }), resolveModel("assistant", { OPENAI_SMART_MODEL: "s" })], ["f", "s"]);
+eq("model: feature env beats tier env", resolveModel("scoring", { OPENAI_FAST_MODEL: "f", AI_MODEL_SCORING: "x" }), "x");
+eq("model: feature env only moves its feature", resolveModel("coverLetter", { AI_MODEL_SCORING: "x" }), TIER_DEFAULTS.fast);
+eq("model: OPENAI_MODEL covers chat, not embeddings", [resolveModel("answers", { OPENAI_MODEL: "m" }), resolveModel("embeddings", { OPENAI_MODEL: "m" })],
+  ["m", TIER_DEFAULTS.embedding]);
+eq("model: unknown feature", throws(() => resolveModel("poetry", {})), "Unknown AI feature \"poetry\".");
+eq("model: every feature has a tier default", Object.values(AI_FEATURES).every((t) => TIER_DEFAULTS[t]), true);
+
+// ── provider selection ───────────────────────────────────────────────────────
+eq("kind: openai by default", providerKind({}), "openai");
+eq("kind: case-insensitive", providerKind({ AI_PROVIDER: " Mock " }), "mock");
+eq("kind: unknown rejected", /Unknown AI_PROVIDER/.test(throws(() => providerKind({ AI_PROVIDER: "gemini" }))), true);
+eq("openai: needs a key", throws(() => createAIProvider({ env: {} })), "OPENAI_API_KEY is not configured.");
+eq("local: needs a base URL", /AI_BASE_URL/.test(throws(() => createAIProvider({ env: { AI_PROVIDER: "local" } }))), true);
+const openai = createAIProvider({ apiKey: "sk-test", env: { AI_MODEL_SCORING: "gpt-x" } });
+eq("openai: client surface and per-feature model", [openai.kind, typeof openai.chat.completions.create, typeof openai.embeddings.create, openai.model("scoring")],
+  ["openai", "function", "function", "gpt-x"]);
+const local = createAIProvider({ env: { AI_PROVIDER: "local", AI_BASE_URL: "http://localhost:11434/v1", OPENAI_FAST_MODEL: "llama3.1" } });
+eq("local: OpenAI-compatible client on the base URL", [local.kind, typeof local.chat.completions.create, local.model("formFields")], ["local", "function", "llama3.1"]);
+eq("openai: SDK resolved from the caller's package", createAIProvider({ apiKey: "sk-test", env: {}, sdkFrom: __filename }).kind, "openai");
+eq("kind option beats env", createAIProvider({ kind: "mock", env: { AI_PROVIDER: "local" } }).kind, "mock");
+
+// ── mock provider ────────────────────────────────────────────────────────────
+(async () => {
+  const mock = createAIProvider({ env: { AI_PROVIDER: "mock", AI_MOCK_FIXTURES: FIXTURES } });
+  const ask = (feature, content) =>
+    mock.chat.completions.create({ model: mock.model(feature), messages: [{ role: "system", content: "sys" }, { role: "user", content }] });
+  const content = (res) => res.choices[0].message.content;
+
+  eq("mock: models name the feature", [mock.kind, mock.model("scoring"), mock.model("resumeParse")], ["mock", "mock:scoring", "mock:resumeParse"]);
+  eq("mock: unknown feature", throws(() => mock.model("poetry")), "Unknown AI feature \"poetry\".");
+
+  const scored = JSON.parse(content(await ask("scoring", "## Job Title\nBackend Engineer\n\n## Job Description\nNode.js")));
+  eq("mock: regex fixture answers, objects as JSON", [scored.score, parseScoreBreakdown(scored).missing], [82, ["Kubernetes"]]);
+  eq("mock: first matching fixture wins", JSON.parse(content(await ask("scoring", "## Job Title\nRecruiter"))).score, 10);
+  eq("mock: string reply", content(await ask("pronunciation", "Generate a guide for \"Sam Lee\"")), "Sam Lee");
+  eq("mock: deterministic", content(await ask("pronunciation", "again")), "Sam Lee");
+
+  const toolTurn = await ask("assistant", "Which feeds do I follow?");
+  eq("mock: tool calls", [toolTurn.choices[0].finish_reason, toolTurn.choices[0].message.tool_calls.map((c) => [c.function.name, c.function.arguments])],
+    ["tool_calls", [["list_feeds", "{}"]]]);
+  const answer = await mock.chat.completions.create({
+    model: mock.model("assistant"),
+    messages: [{ role: "user", content: "Which feeds do I follow?" }, { role: "tool", tool_call_id: "call_1", content: "[{\"id\":\"a\"},{\"id\":\"b\"}]" }],
+  });
+  eq("mock: matches the last message (tool result → reply)", [answer.choices[0].finish_reason, content(answer)], ["stop", "You follow 2 feeds."]);
+
+  let missing = null;
+  try {
+    await ask("coverLetter", "Write a letter");
+  } catch (e) {
+    missing = e.message;
+  }
+  eq("mock: no fixture is an error", missing, "No mock AI fixture for this coverLetter request.");
+  eq("mock: calls recorded by feature", mock.calls.map((c) => c.feature).slice(0, 4), ["scoring", "scoring", "pronunciation", "pronunciation"]);
+
+  const vectors = await embedTexts(mock, ["Go", "Rust", "Go"], { model: mock.model("embeddings") });
+  eq("mock: embeddings sized by the fixtures", vectors.map((v) => v.length), [16, 16, 16]);
+  eq("mock: embeddings are unit vectors", Math.abs(Math.hypot(...vectors[0]) - 1) < 1e-9, true);
+  eq("mock: equal texts, equal vectors", [JSON.stringify(vectors[0]) === JSON.stringify(vectors[2]), cosineSimilarity(vectors[0], vectors[1]) < 0.999], [true, true]);
+  eq("mock: default 8 dims without fixtures", (await createAIProvider({ kind: "mock", fixtures: {} }).embeddings.create({ model: "mock:embeddings", input: "x" })).data[0].embedding.length, 8);
+
+  console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+  process.exit(fail ? 1 : 0);
+})();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Self-tests for cross-feed duplicate detection. Run: npm test (from functions/)
+const {
+  normalizeCompany,
+  normalizeTitle,
+  descriptionSketch,
+  sketchSimilarity,
+  fingerprintJob,
+  planDedupe,
+} = require("../lib/jobDedupe.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const JD = "We are looking for a backend engineer to build payment systems at scale. " +
+  "You will design APIs, own services end to end, and work closely with product. " +
+  "Requirements include five years of experience with distributed systems and strong Go or Java skills. " +
+  "We offer competitive pay, equity, and flexible remote work across the United States.";
+
+// ── normalization ────────────────────────────────────────────────────────────
+eq("company: legal suffix dropped", normalizeCompany("Stripe, Inc."), "stripe");
+eq("company: suffix-only name kept", normalizeCompany("Co"), "co");
+eq("title: bracketed notes dropped", normalizeTitle("Software Engineer (Remote) [R-1234]", "Remote"), "software engineer");
+eq("title: trailing location segment dropped", normalizeTitle("Software Engineer - Seattle", "Seattle, WA"), "software engineer");
+eq("title: trailing team segment kept", normalizeTitle("Software Engineer - Payments", "Seattle, WA"), "software engineer payments");
+
+// ── fingerprints ─────────────────────────────────────────────────────────────
+const a = fingerprintJob({ companyName: "Acme Inc", title: "Backend Engineer - Austin", locationName: "Austin, TX", fullDescription: JD });
+const b = fingerprintJob({ companyName: "ACME", title: "Backend Engineer - New York", locationName: "New York, NY", fullDescription: `<p>${JD}</p>` });
+eq("fingerprint: multi-location clones share a key", a.dedupeKey, b.dedupeKey);
+eq("fingerprint: html wrapper doesn't change the sketch", sketchSimilarity(a.dedupeSig, b.dedupeSig), 1);
+eq("fingerprint: no company → null", fingerprintJob({ title: "Engineer" }), null);
+eq("fingerprint: location and listing ID", [!!a.dedupeLoc, a.dedupeLoc === b.dedupeLoc, a.dedupeRef], [true, false, null]);
+eq("fingerprint: listing ID from meta", fingerprintJob({ companyName: "Acme", title: "Engineer", meta: { "Job ID": " R-7 " } }).dedupeRef, "R-7");
+eq("sketch: too short", descriptionSketch("Apply now"), null);
+
+const rewritten = descriptionSketch("Totally different role in sales. " + "Own a territory, close deals, and grow accounts across the west coast region every quarter.");
+eq("similarity: different JD below threshold", sketchSimilarity(a.dedupeSig, rewritten) < 0.8, true);
+
+// ── grouping ─────────────────────────────────────────────────────────────────
+const plan = planDedupe([
+  { id: "gh_2", sig: a.dedupeSig, open: true, firstSeenMs: 200 },
+  { id: "gh_1", sig: a.dedupeSig, open: true, firstSeenMs: 100 },
+  { id: "ef_9", sig: null, loc: "sea", ref: null, open: true, firstSeenMs: 300 },
+  { id: "gh_3", sig: rewritten, loc: "sea", ref: null, open: true, firstSeenMs: 50 },
+]);
+eq("plan: earliest open posting is canonical", plan.get("gh_1"), { canonicalId: null, repostCount: 1 });
+eq("plan: clone links to canonical", plan.get("gh_2"), { canonicalId: "gh_1", repostCount: 0 });
+eq("plan: missing description groups on title + location", plan.get("ef_9").canonicalId, "gh_3");
+eq("plan: different description stays separate", plan.get("gh_3").canonicalId, null);
+
+const noJd = (id, loc, ref = null) => ({ id, sig: null, loc, ref, open: true, firstSeenMs: Number(id.slice(1)) });
+const bare = planDedupe([noJd("w1", "austin"), noJd("w2", "austin"), noJd("w3", "seattle"), noJd("w4", null), noJd("w5", null)]);
+eq("plan: no description, same location → duplicate", bare.get("w2").canonicalId, "w1");
+eq("plan: no description, other location → separate", bare.get("w3").canonicalId, null);
+eq("plan: no description, no location → separate", [bare.get("w4").canonicalId, bare.get("w5").canonicalId], [null, null]);
+const listed = planDedupe([noJd("w1", "austin", "R-1"), noJd("w2", "austin", "R-2"), noJd("w3", "austin")]);
+eq("plan: listing IDs keep same-place openings apart", [...listed.values()].map((p) => p.canonicalId), [null, null, null]);
+
+// Jaccard 9/11 between neighbours, 8/12 between the ends
+const range = (from) => Array.from({ length: 10 }, (_, i) => from + i);
+const chain = planDedupe([
+  { id: "c1", sig: range(1), open: true, firstSeenMs: 1 },
+  { id: "c2", sig: range(2), open: true, firstSeenMs: 2 },
+  { id: "c3", sig: range(3), open: true, firstSeenMs: 3 },
+]);
+eq("plan: members must match the whole group, not just its first", [chain.get("c2").canonicalId, chain.get("c3").canonicalId], ["c1", null]);
+
+const repost = planDedupe([
+  { id: "old", sig: a.dedupeSig, open: false, firstSeenMs: 100 },
+  { id: "new", sig: a.dedupeSig, open: true, firstSeenMs: 900 },
+]);
+eq("plan: repost replaces its closed original", [repost.get("new"), repost.get("old").canonicalId], [{ canonicalId: null, repostCount: 1 }, "new"]);
+eq("plan: single job", [...planDedupe([{ id: "x", sig: null, open: true, firstSeenMs: 1 }])], [["x", { canonicalId: null, repostCount: 0 }]]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
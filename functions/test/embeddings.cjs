@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// Self-tests for the embedding prefilter. Run: npm test (from functions/)
+const {
+  DEFAULT_PREFILTER,
+  EMBEDDING_MAX_CHARS,
+  resolvePrefilterPrefs,
+  jobEmbeddingText,
+  textHash,
+  cosineSimilarity,
+  similarityScore,
+  planAiScoring,
+  embedTexts,
+} = require("../lib/embeddings.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+// ── preferences ──────────────────────────────────────────────────────────────
+eq("prefs: defaults when unset", resolvePrefilterPrefs({}), { ...DEFAULT_PREFILTER });
+eq("prefs: defaults without a prefs doc", resolvePrefilterPrefs(null), { ...DEFAULT_PREFILTER });
+eq("prefs: saved values kept", resolvePrefilterPrefs({ aiPrefilter: { similarityFloor: 0.45, maxAiJobs: 10 } }), { similarityFloor: 0.45, maxAiJobs: 10 });
+eq("prefs: floor clamped to 0–1", [resolvePrefilterPrefs({ aiPrefilter: { similarityFloor: 3 } }).similarityFloor, resolvePrefilterPrefs({ aiPrefilter: { similarityFloor: -1 } }).similarityFloor], [1, 0]);
+eq("prefs: AI limit capped", resolvePrefilterPrefs({ aiPrefilter: { maxAiJobs: 10000 } }).maxAiJobs, 500);
+eq("prefs: zero AI jobs allowed", resolvePrefilterPrefs({ aiPrefilter: { maxAiJobs: 0 } }).maxAiJobs, 0);
+eq("prefs: junk falls back", resolvePrefilterPrefs({ aiPrefilter: { similarityFloor: "x", maxAiJobs: 2.5 } }), { ...DEFAULT_PREFILTER });
+
+// ── text and hashing ─────────────────────────────────────────────────────────
+eq("text: title then description", jobEmbeddingText(" Backend Engineer ", "Build APIs. "), "Backend Engineer\n\nBuild APIs.");
+eq("text: capped", jobEmbeddingText("T", "x".repeat(EMBEDDING_MAX_CHARS * 2)).length, EMBEDDING_MAX_CHARS);
+eq("hash: stable", textHash("abc"), textHash("abc"));
+eq("hash: text-sensitive", textHash("abc") === textHash("abd"), false);
+
+// ── similarity ───────────────────────────────────────────────────────────────
+eq("cosine: identical", cosineSimilarity([1, 2, 3], [1, 2, 3]).toFixed(6), "1.000000");
+eq("cosine: orthogonal", cosineSimilarity([1, 0], [0, 1]), 0);
+eq("cosine: scale-free", cosineSimilarity([1, 1], [5, 5]).toFixed(6), "1.000000");
+eq("cosine: mismatched or empty vectors", [cosineSimilarity([1], [1, 2]), cosineSimilarity([], []), cosineSimilarity(null, [1]), cosineSimilarity([0, 0], [1, 1])], [0, 0, 0, 0]);
+eq("estimate: ends of the range", [similarityScore(0.15), similarityScore(0.65)], [0, 100]);
+eq("estimate: clamped", [similarityScore(-0.5), similarityScore(0.99)], [0, 100]);
+eq("estimate: linear in between", similarityScore(0.4), 50);
+
+// ── planning ─────────────────────────────────────────────────────────────────
+const candidates = [
+  { jobDocId: "a", similarity: 0.2 },
+  { jobDocId: "b", similarity: 0.6 },
+  { jobDocId: "c", similarity: 0.5 },
+  { jobDocId: "d", similarity: 0.4 },
+];
+const plan = planAiScoring(candidates, { similarityFloor: 0.3, maxAiJobs: 2 });
+eq("plan: closest above the floor go to AI", [...plan.aiIds].sort(), ["b", "c"]);
+eq("plan: the rest estimated, closest first", plan.estimated.map((e) => [e.jobDocId, e.score]), [["d", 50], ["a", 10]]);
+eq("plan: reason says why", plan.estimated.map((e) => /limit/.test(e.reason) ? "limit" : /floor/.test(e.reason) ? "floor" : "?"), ["limit", "floor"]);
+eq("plan: floor 0, big limit → all AI", planAiScoring(candidates, { similarityFloor: 0, maxAiJobs: 40 }).estimated.length, 0);
+eq("plan: limit 0 → all estimated", planAiScoring(candidates, { similarityFloor: 0, maxAiJobs: 0 }).aiIds.size, 0);
+eq("plan: empty", [planAiScoring([], DEFAULT_PREFILTER).aiIds.size, planAiScoring([], DEFAULT_PREFILTER).estimated], [0, []]);
+
+// ── embedding requests ───────────────────────────────────────────────────────
+(async () => {
+  const requests = [];
+  const fakeOpenAI = {
+    embeddings: {
+      create: async ({ input }) => {
+        requests.push(input.length);
+        // Out of order on purpose; results are matched back by index
+        return { data: input.map((t, index) => ({ index, embedding: [t.length] })).reverse() };
+      },
+    },
+  };
+  const texts = Array.from({ length: 250 }, (_, i) => "x".repeat(i + 1));
+  const vectors = await embedTexts(fakeOpenAI, texts, { model: "m" });
+  eq("embed: batched by 100", requests, [100, 100, 50]);
+  eq("embed: vectors in input order", vectors.map((v) => v[0]), texts.map((t) => t.length));
+
+  console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+  process.exit(fail ? 1 : 0);
+})();
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Self-tests for ingest exclusion rules. Run: npm test (from functions/)
+const {
+  resolveExclusionRules,
+  invalidPatterns,
+  compileExclusionRules,
+  exclusionRulesKey,
+} = require("../lib/exclusionRules.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const rules = (r) => compileExclusionRules(resolveExclusionRules({ exclusionRules: r }));
+const job = (title, extra = {}) => ({ title, companyName: "Acme", companyKey: "acme-gh", meta: {}, ...extra });
+
+eq("resolve: missing rules are empty lists", resolveExclusionRules(null), { companies: [], titleInclude: [], titleExclude: [], departments: [] });
+eq("resolve: trims and dedupes", resolveExclusionRules({ exclusionRules: { companies: [" SpaceX", "SpaceX", "", null] } }).companies, ["SpaceX"]);
+eq("no rules: inactive, nothing matches", [rules({}).active, rules({}).match(job("Engineer"))], [false, null]);
+
+const company = rules({ companies: ["spacex", "acme-gh"] });
+eq("company: by name, any case", company.match(job("Engineer", { companyName: "SpaceX" })), { rule: "company", pattern: "spacex" });
+eq("company: by feed id", company.match(job("Engineer"))?.rule, "company");
+
+const titles = rules({ titleExclude: ["intern", "/\\bsr\\.? director\\b/"] });
+eq("keyword: whole word", titles.match(job("Software Engineering Intern"))?.pattern, "intern");
+eq("keyword: not inside other words", titles.match(job("Internal Tools Engineer")), null);
+eq("regex: case-insensitive by default", titles.match(job("SR. DIRECTOR, Sales"))?.pattern, "/\\bsr\\.? director\\b/");
+
+const include = rules({ titleInclude: ["engineer", "developer"] });
+eq("include: matching title kept", include.match(job("Backend Developer")), null);
+eq("include: anything else dropped", include.match(job("Account Executive")), { rule: "titleInclude", pattern: null });
+
+const keyword = rules({ titleExclude: ["C++"] });
+eq("keyword: punctuation is literal", [!!keyword.match(job("C++ Engineer")), !!keyword.match(job("C Engineer"))], [true, false]);
+
+const dept = rules({ departments: ["sales"] });
+eq("department: meta.Department", dept.match(job("Engineer", { meta: { Department: "Sales Engineering" } }))?.rule, "department");
+eq("department: meta.Team", dept.match(job("Engineer", { meta: { Team: "Enterprise Sales" } }))?.rule, "department");
+eq("department: Greenhouse field", dept.match(job("Engineer", { department: "Sales" }))?.rule, "department");
+eq("department: none listed", dept.match(job("Engineer")), null);
+
+eq("invalid regex ignored", [invalidPatterns(["/(/", "ok"]), rules({ titleExclude: ["/(/"] }).active], [["/(/"], false]);
+eq("key: empty without rules, stable with", [exclusionRulesKey(resolveExclusionRules(null)), exclusionRulesKey({ ...resolveExclusionRules(null), companies: ["x"] }).length], ["", 12]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Self-tests for historical feed backfill bookkeeping. Run: npm test (from functions/)
+const { backfillFirstSeen, backfillAfterIngest, backfillAfterBatch } = require("../lib/feedBackfill.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+// Minimal Timestamp stand-in: only toMillis() is read
+const ts = (ms) => ({ ms, toMillis: () => ms });
+const NOW = ts(1_000_000);
+
+// ── firstSeenAt ──────────────────────────────────────────────────────────────
+eq("old posting keeps its posted date", backfillFirstSeen(ts(400_000), NOW).ms, 400_000);
+eq("future-dated posting clamps to now", backfillFirstSeen(ts(2_000_000), NOW).ms, 1_000_000);
+eq("no date → now", backfillFirstSeen(null, NOW).ms, 1_000_000);
+
+// ── ingest status ────────────────────────────────────────────────────────────
+const started = ts(900_000);
+const ingested = backfillAfterIngest({ startedAt: started, now: NOW, jobsWritten: 3, jobIds: ["a", "b", "a", "c"] });
+eq("queue deduped, scoring pending", [ingested.status.state, ingested.queue, ingested.status.scoreTotal, ingested.status.scoreRemaining, ingested.status.finishedAt],
+  ["scoring", ["a", "b", "c"], 3, 3, null]);
+eq("the queue stays off the feed doc", "scoreQueue" in ingested.status, false);
+const empty = backfillAfterIngest({ startedAt: started, now: NOW, jobsWritten: 0, jobIds: [] });
+eq("nothing to score → done", [empty.status.state, empty.status.finishedAt?.ms, empty.queue], ["done", 1_000_000, []]);
+
+// ── drain ────────────────────────────────────────────────────────────────────
+const first = backfillAfterBatch(ingested.status, 1, NOW);
+eq("batch with jobs left", [first.state, first.scoreRemaining, first.finishedAt], ["scoring", 1, null]);
+eq("progress keeps the totals", [first.scoreTotal, first.jobsWritten], [3, 3]);
+const last = backfillAfterBatch(first, 0, NOW);
+eq("last batch finishes", [last.state, last.scoreRemaining, last.finishedAt?.ms], ["done", 0, 1_000_000]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Self-tests for conditional feed fetching. Run: npm test (from functions/)
+const { fetchJson, NotModifiedError } = require("../lib/sources/common.cjs");
+const { createConditionalFetch, hashPayload } = require("../lib/feedCache.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const BOARD = "https://boards-api.greenhouse.io/v1/boards/acme/jobs?content=true";
+const BODY = JSON.stringify({ jobs: [{ id: 1, title: "Engineer" }] });
+
+// Minimal stand-in for the global fetch: honours If-None-Match against one ETag
+const sent = [];
+const signals = [];
+globalThis.fetch = async (url, init) => {
+  sent.push(init.headers);
+  signals.push(init.signal);
+  const notModified = init.headers["if-none-match"] === "\"v1\"";
+  return {
+    ok: !notModified,
+    status: notModified ? 304 : 200,
+    statusText: notModified ? "Not Modified" : "OK",
+    headers: new Map([["etag", "\"v1\""], ["last-modified", "Tue, 01 Sep 2026 00:00:00 GMT"]]),
+    text: async () => (notModified ? "" : BODY),
+    json: async () => JSON.parse(BODY),
+  };
+};
+
+(async () => {
+  // ── first run: plain GET, validators captured ──────────────────────────────
+  const run1 = createConditionalFetch(null, fetchJson);
+  const json = await run1.fetchJson(BOARD);
+  eq("first run: payload parsed", json.jobs.length, 1);
+  eq("first run: no conditional headers", "if-none-match" in sent[0], false);
+  const cache = run1.result();
+  eq("first run: validators + size stored", cache.httpCache, {
+    url: BOARD, etag: "\"v1\"", lastModified: "Tue, 01 Sep 2026 00:00:00 GMT", bytes: Buffer.byteLength(BODY),
+  });
+
+  // ── second run: 304 ────────────────────────────────────────────────────────
+  const run2 = createConditionalFetch(cache.httpCache, fetchJson);
+  const err = await run2.fetchJson(BOARD).catch((e) => e);
+  eq("second run: 304 throws NotModifiedError", err instanceof NotModifiedError, true);
+  eq("second run: sent both validators", [sent[1]["if-none-match"], !!sent[1]["if-modified-since"]], ["\"v1\"", true]);
+  eq("second run: nothing downloaded", run2.result().bytes, 0);
+
+  // ── validators only for the same URL, first request ────────────────────────
+  const run3 = createConditionalFetch(cache.httpCache, fetchJson);
+  await run3.fetchJson(`${BOARD}&page=2`);
+  eq("other url: no validators", "if-none-match" in sent[2], false);
+
+  const paged = createConditionalFetch(null, fetchJson);
+  await paged.fetchJson(BOARD);
+  await paged.fetchJson(`${BOARD}&page=2`);
+  eq("paginated fetch: validators not kept", paged.result().httpCache, null);
+  eq("paginated fetch: bytes summed", paged.result().bytes, 2 * Buffer.byteLength(BODY));
+  eq("paginated fetch: pages + last status", [paged.result().requests, paged.result().status], [2, 200]);
+
+  // ── abort signal reaches fetch ─────────────────────────────────────────────
+  const { signal } = new AbortController();
+  await createConditionalFetch(null, fetchJson).fetchJson(BOARD, 2, { signal });
+  eq("signal: passed through to fetch", signals[signals.length - 1] === signal, true);
+
+  // ── payload hash ───────────────────────────────────────────────────────────
+  eq("hash: stable", hashPayload([{ id: 1 }]), hashPayload([{ id: 1 }]));
+  eq("hash: edits change it", hashPayload([{ id: 1 }]) === hashPayload([{ id: 1, title: "x" }]), false);
+
+  console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+  process.exit(fail ? 1 : 0);
+})();
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Self-tests for the per-feed circuit breaker. Run: npm test (from functions/)
+const {
+  HEALTH_STATE,
+  FAILURE_THRESHOLD,
+  backoffMs,
+  shouldAttemptFeed,
+  recordFeedSuccess,
+  recordFeedFailure,
+  withTimeout,
+} = require("../lib/feedHealth.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const MIN = 60 * 1000;
+const now = 1_000_000_000_000;
+const ms = (t) => (t ? t.toMillis() : null);
+
+// ── backoff curve ────────────────────────────────────────────────────────────
+eq("backoff: none under threshold", backoffMs(FAILURE_THRESHOLD - 1), 0);
+eq("backoff: opens at threshold", backoffMs(FAILURE_THRESHOLD), 30 * MIN);
+eq("backoff: doubles per failed probe", backoffMs(FAILURE_THRESHOLD + 2), 120 * MIN);
+eq("backoff: capped at a day", backoffMs(50), 24 * 60 * MIN);
+
+// ── failure → degraded → backoff ─────────────────────────────────────────────
+let h = undefined;
+h = recordFeedFailure(h, { nowMs: now, latencyMs: 1000 });
+eq("failure 1: degraded, still attempted", [h.state, h.consecutiveFailures, shouldAttemptFeed(h, now + 1).attempt], [HEALTH_STATE.DEGRADED, 1, true]);
+h = recordFeedFailure(h, { nowMs: now, latencyMs: 3000 });
+h = recordFeedFailure(h, { nowMs: now, latencyMs: 3000 });
+eq("failure 3: backing off", [h.state, ms(h.nextAttemptAt)], [HEALTH_STATE.BACKOFF, now + 30 * MIN]);
+eq("backoff: skipped before nextAttemptAt", shouldAttemptFeed(h, now + 10 * MIN), { attempt: false, probe: false });
+eq("backoff: probe once due", shouldAttemptFeed(h, now + 30 * MIN), { attempt: true, probe: true });
+eq("latency: EWMA", h.avgLatencyMs, 2020);
+
+// ── recovery ─────────────────────────────────────────────────────────────────
+const ok = recordFeedSuccess(h, { nowMs: now + 31 * MIN, latencyMs: 500 });
+eq("success: breaker closes", [ok.state, ok.consecutiveFailures, ok.nextAttemptAt], [HEALTH_STATE.HEALTHY, 0, null]);
+eq("success: keeps last failure time", ms(ok.lastFailureAt), now);
+eq("fresh feed: attempted", shouldAttemptFeed(undefined, now), { attempt: true, probe: false });
+
+// ── timeout ──────────────────────────────────────────────────────────────────
+(async () => {
+  const late = await withTimeout(new Promise((r) => setTimeout(r, 200)), 10, "slow feed").catch((e) => e.message);
+  eq("timeout: rejects slow fetch", late, "slow feed timed out after 0s");
+  eq("timeout: passes fast result", await withTimeout(Promise.resolve(7), 1000, "x"), 7);
+  let seen = null;
+  const aborted = await withTimeout((signal) => {
+    seen = signal;
+    return new Promise((_, reject) => signal.addEventListener("abort", () => reject(signal.reason)));
+  }, 10, "paged feed").catch((e) => e.message);
+  eq("timeout: aborts the work's signal", [aborted, seen.aborted, seen.reason.message],
+    ["paged feed timed out after 0s", true, "paged feed timed out after 0s"]);
+  let fastSignal = null;
+  await withTimeout((signal) => { fastSignal = signal; return Promise.resolve(1); }, 1000, "x");
+  eq("timeout: fast work's signal never aborts", fastSignal.aborted, false);
+
+  console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+  process.exit(fail ? 1 : 0);
+})();
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Self-tests for the server-only feed state. Run: npm test (from functions/)
+const { LEGACY_FEED_FIELDS, feedStateId, resolveFeedState } = require("../lib/feedState.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const EMPTY = { openJobs: {}, contentHashes: {}, httpCache: null, payloadHash: null, locationFilterKey: null, health: null };
+const feedDoc = {
+  url: "https://boards-api.greenhouse.io/v1/boards/acme/jobs",
+  openJobs: { "greenhouse-acme-1": 1 },
+  httpCache: { url: "u", etag: "e" },
+  payloadHash: "h",
+  locationFilterKey: "k",
+  health: { state: "backoff", consecutiveFailures: 9 },
+};
+
+// ── ids ──────────────────────────────────────────────────────────────────────
+eq("id: owner and feed", feedStateId("uid1", "feedA"), "uid1__feedA");
+eq("id: no path separators", feedStateId("uid/1", "feed.A"), "uid_1__feed_A");
+
+// ── resolving ────────────────────────────────────────────────────────────────
+const stored = { openJobs: { a: 5 }, contentHashes: { a: "h1" }, httpCache: null, payloadHash: "p", locationFilterKey: "k2", health: { state: "healthy" }, updatedAt: 1 };
+eq("state: stored doc wins over the feed doc", resolveFeedState(stored, feedDoc, { trustFeedDoc: true }),
+  { openJobs: { a: 5 }, contentHashes: { a: "h1" }, httpCache: null, payloadHash: "p", locationFilterKey: "k2", health: { state: "healthy" } });
+eq("state: catalog feed carries its old fields over", resolveFeedState(null, feedDoc, { trustFeedDoc: true }),
+  { openJobs: feedDoc.openJobs, contentHashes: {}, httpCache: feedDoc.httpCache, payloadHash: "h", locationFilterKey: "k", health: feedDoc.health });
+eq("state: owner-written fields are ignored", resolveFeedState(null, feedDoc, { trustFeedDoc: false }), EMPTY);
+eq("state: owner-written fields ignored even with a stored doc", resolveFeedState({}, feedDoc, { trustFeedDoc: false }), EMPTY);
+eq("state: junk openJobs", resolveFeedState({ openJobs: "all" }, {}, { trustFeedDoc: false }).openJobs, {});
+eq("legacy: every moved field is dropped from the feed doc", LEGACY_FEED_FIELDS, ["openJobs", "httpCache", "payloadHash", "locationFilterKey"]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Self-tests for per-user feed subscriptions and fetch planning. Run: npm test (from functions/)
+const { feedUrlKey, resolveFeedSubscriptions, planFeedFetches, viewKeysFor } = require("../lib/feedSubscriptions.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const ADMIN = "admin";
+const GH = (slug) => `https://boards-api.greenhouse.io/v1/boards/${slug}/jobs`;
+const feed = (id, url, createdAt = 0) => ({ id, url, createdAt });
+
+// ── url keys / prefs ─────────────────────────────────────────────────────────
+eq("url key: case, trailing slash, fragment", feedUrlKey(" https://API.lever.co/v0/postings/Acme/?mode=json#x "), "https://api.lever.co/v0/postings/acme?mode=json");
+eq("subscriptions: missing → whole catalog", resolveFeedSubscriptions({}), null);
+eq("subscriptions: deduped, junk dropped", resolveFeedSubscriptions({ feedSubscriptions: ["a", "a", "", 3, "b"] }), ["a", "b"]);
+
+// ── planning ─────────────────────────────────────────────────────────────────
+const catalog = [feed("stripe", GH("stripe")), feed("figma", GH("figma"))];
+const plan = planFeedFetches({
+  corpusUid: ADMIN,
+  catalog,
+  userFeeds: [
+    { ownerUid: "u1", feed: feed("u1-stripe", GH("Stripe") + "/") },   // same board as the catalog
+    { ownerUid: "u2", feed: feed("u2-acme", GH("acme"), 200) },
+    { ownerUid: "u1", feed: feed("u1-acme", GH("acme"), 100) },       // older → canonical
+  ],
+  subscriptions: { u1: ["figma"], u2: null, u3: ["stripe", "gone"], u4: null },
+});
+
+eq("each distinct URL fetched once", plan.fetches.map((f) => `${f.ownerUid}/${f.feed.id}`), ["admin/stripe", "admin/figma", "u1/u1-acme"]);
+eq("duplicates become mirrors", plan.fetches.map((f) => f.mirrors.map((m) => m.feedId)), [["u1-stripe"], [], ["u2-acme"]]);
+eq("shared view is the catalog", plan.sharedKeys, ["stripe", "figma"]);
+eq("own feed of a catalog board maps to the catalog key", plan.viewKeys.u1, ["figma", "stripe", "u1-acme"]);
+eq("follows all + own feed", plan.viewKeys.u2, ["stripe", "figma", "u1-acme"]);
+eq("unknown catalog ids ignored", plan.viewKeys.u3, ["stripe"]);
+eq("default users have no personal view", [plan.viewKeys.u4, plan.viewKeys[ADMIN]], [undefined, undefined]);
+eq("viewKeysFor falls back to the catalog", [...viewKeysFor(plan, "u4")], ["stripe", "figma"]);
+
+const solo = planFeedFetches({ corpusUid: ADMIN, catalog: [], userFeeds: [{ ownerUid: "u1", feed: feed("x", GH("x")) }], subscriptions: {} });
+eq("no catalog: own feeds only", [solo.sharedKeys, solo.viewKeys.u1], [[], ["x"]]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
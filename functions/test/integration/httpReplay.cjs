@@ -0,0 +1,138 @@
+/**
+ * functions/test/integration/httpReplay.cjs
+ *
+ * The network for the sync integration harness (syncCore.cjs). Installed as
+ * globalThis.fetch, so the adapters' fetchJson, description enrichment and
+ * the OpenAI SDK all go through it unchanged.
+ *
+ * Recordings (recordings/*.json, written by record.cjs):
+ *
+ *   { source, companyName, feedUrl, recordedAt, pages,
+ *     responses: { "GET <url>": { status, headers, body }, ... } }
+ *
+ * POSTs are keyed "POST <url> <body>". A request that carries If-None-Match
+ * matching the recorded etag gets a 304, like the live board would. Anything
+ * not recorded answers 404 and lands in `misses`.
+ *
+ * The AI provider is a stub: chat completions score the job from its title
+ * (stubScore, stubBreakdown), so assertions know every score in advance. Embeddings return
+ * the same unit vector for every input, so the prefilter ranks every job
+ * alike and sends them all to the chat stub.
+ */
+
+const OPENAI_CHAT_URL = "https://api.openai.com/v1/chat/completions";
+const OPENAI_EMBEDDINGS_URL = "https://api.openai.com/v1/embeddings";
+const STUB_EMBEDDING_DIMS = 8;
+
+/** Deterministic score for a job title. */
+function stubScore(title) {
+  return /engineer|developer/i.test(String(title || "")) ? 90 : 10;
+}
+
+/** Deterministic breakdown for a job title (lib/scoreBreakdown.cjs shape). */
+function stubBreakdown(title) {
+  const score = stubScore(title);
+  return {
+    breakdown: { skills: score, seniority: score, location: null, domain: null, compensation: null },
+    matched: score >= 50 ? ["Software engineering"] : [],
+    missing: score >= 50 ? [] : ["Role outside software engineering"],
+  };
+}
+
+/** Job title out of scoreJobWithAI's user prompt ("## Job Title\n<title>"). */
+function titleFromPrompt(messages) {
+  const user = (messages || []).find((m) => m.role === "user");
+  const hit = /## Job Title\n([^\n]*)/.exec(String(user?.content || ""));
+  return hit ? hit[1].trim() : "";
+}
+
+const requestKey = (method, url, body) => (method === "GET" ? `GET ${url}` : `${method} ${url} ${body || ""}`);
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(status === 304 ? null : JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json", ...headers },
+  });
+}
+
+/**
+ * Build a replaying fetch over one or more recordings.
+ * @param {object[]} recordings
+ * @returns {{ fetch: Function, calls: string[], misses: string[], aiCalls: string[], embeddingCalls: number[], set: Function }}
+ */
+function createReplay(recordings) {
+  const responses = new Map();
+  for (const rec of recordings) {
+    for (const [key, res] of Object.entries(rec.responses || {})) responses.set(key, res);
+  }
+  const calls = [];
+  const misses = [];
+  const aiCalls = [];
+  const embeddingCalls = [];
+
+  const replayFetch = async (input, init = {}) => {
+    const url = String(input?.url || input);
+    const method = String(init.method || input?.method || "GET").toUpperCase();
+    const body = typeof init.body === "string" ? init.body : null;
+    const headers = new Headers(init.headers || input?.headers);
+
+    if (method === "POST" && url === OPENAI_CHAT_URL) {
+      const { model, messages } = JSON.parse(body || "{}");
+      const title = titleFromPrompt(messages);
+      aiCalls.push(title);
+      const content = JSON.stringify({ score: stubScore(title), reason: "stub provider", ...stubBreakdown(title) });
+      return jsonResponse(200, {
+        id: `chatcmpl-stub-${aiCalls.length}`,
+        object: "chat.completion",
+        created: Math.floor(Date.now() / 1000),
+        model: model || "stub",
+        choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      });
+    }
+
+    if (method === "POST" && url === OPENAI_EMBEDDINGS_URL) {
+      const { model, input } = JSON.parse(body || "{}");
+      const inputs = Array.isArray(input) ? input : [input];
+      embeddingCalls.push(inputs.length);
+      const embedding = Array.from({ length: STUB_EMBEDDING_DIMS }, (_, i) => (i === 0 ? 1 : 0));
+      return jsonResponse(200, {
+        object: "list",
+        data: inputs.map((_, index) => ({ object: "embedding", index, embedding })),
+        model: model || "stub",
+        usage: { prompt_tokens: 0, total_tokens: 0 },
+      });
+    }
+
+    const key = requestKey(method, url, body);
+    calls.push(key);
+    const res = responses.get(key);
+    if (!res) {
+      misses.push(key);
+      return jsonResponse(404, { error: "not recorded" });
+    }
+    const etag = res.headers?.etag;
+    if (etag && headers.get("if-none-match") === etag) return jsonResponse(304, null, { etag });
+    return jsonResponse(res.status || 200, res.body, res.headers || {});
+  };
+
+  return {
+    fetch: replayFetch,
+    calls,
+    misses,
+    aiCalls,
+    embeddingCalls,
+    /** Replace (or add) one recorded response, e.g. a board that changed. */
+    set: (key, res) => responses.set(key, res),
+    get: (key) => responses.get(key),
+  };
+}
+
+module.exports = {
+  OPENAI_CHAT_URL,
+  OPENAI_EMBEDDINGS_URL,
+  stubScore,
+  stubBreakdown,
+  requestKey,
+  createReplay,
+};
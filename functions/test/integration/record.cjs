@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Re-record the payloads the sync integration harness replays (syncCore.cjs).
+// Run from functions/:
+//
+//   npm run record:fixtures                                  every recording, from its own feedUrl
+//   npm run record:fixtures -- eightfold                     just that one
+//   npm run record:fixtures -- greenhouse <feedUrl> "Name"   point a recording at another board
+//
+// Hits the live boards through the adapters' own fetch code, keeps the first
+// MAX_JOBS postings of a single-request board and MAX_PAGES pages of a
+// paginated one (override with env), and records the detail requests the
+// sync makes for boards without a JD in their listing. Recordings are
+// committed; review the diff before you do.
+const fs = require("fs");
+const path = require("path");
+
+const { resolveFeedAdapter } = require("../../lib/sources/index.cjs");
+const { fetchJson } = require("../../lib/sources/common.cjs");
+const { requestKey } = require("./httpReplay.cjs");
+
+const RECORDING_DIR = path.join(__dirname, "recordings");
+const MAX_JOBS = Number(process.env.MAX_JOBS) || 5;
+const MAX_PAGES = Number(process.env.MAX_PAGES) || 2;
+const EIGHTFOLD_PAGE_SIZE = 10;
+
+/** Cut a listing down to size; returns the body to record and replay. */
+function trimListing(source, body) {
+  if (source === "eightfold") {
+    // Lowering count ends pagination after MAX_PAGES pages
+    const data = body?.data || body;
+    if (data && typeof data.count === "number") data.count = Math.min(data.count, MAX_PAGES * EIGHTFOLD_PAGE_SIZE);
+    return body;
+  }
+  if (Array.isArray(body?.jobs)) {
+    body.jobs = body.jobs.slice(0, MAX_JOBS);
+    if (body.meta && typeof body.meta.total === "number") body.meta.total = body.jobs.length;
+  }
+  return body;
+}
+
+async function record(name, { source, feedUrl, companyName }) {
+  const adapter = resolveFeedAdapter({ source, url: feedUrl });
+  if (!adapter) throw new Error(`${name}: no adapter for source "${source}" / ${feedUrl}`);
+  const v = adapter.validate(feedUrl);
+  if (!v.ok) throw new Error(`${name}: ${v.error}`);
+
+  const responses = {};
+  const recording = ({ trim }) => async (url, maxRetries, opts = {}) => {
+    let meta = null;
+    const json = await fetchJson(url, maxRetries, { ...opts, onResponse: (r) => { meta = r; } });
+    const body = trim ? trimListing(adapter.id, json) : json;
+    const headers = {};
+    if (meta?.etag) headers.etag = meta.etag;
+    if (meta?.lastModified) headers["last-modified"] = meta.lastModified;
+    const method = opts.body ? "POST" : "GET";
+    responses[requestKey(method, url, opts.body ? JSON.stringify(opts.body) : null)] = { status: meta?.status || 200, headers, body };
+    return body;
+  };
+
+  const listing = recording({ trim: true });
+  let pages = 0;
+  const raw = await adapter.fetch(v.normalizedUrl, {
+    recentCutoffMs: null,
+    fetchJson: (...args) => {
+      pages += 1;
+      return listing(...args);
+    },
+  });
+
+  // Detail requests the sync makes during enrichment
+  if (adapter.enrichDescriptions) {
+    const detail = recording({ trim: false });
+    for (const job of raw.map((j) => adapter.normalize(j, { companyName, companyKey: name, now: null, url: v.normalizedUrl })).filter(Boolean)) {
+      if (job.fullDescription) continue;
+      await adapter.describe({ externalId: job.externalId, feedUrl: v.normalizedUrl }, { fetchJson: detail })
+        .catch((err) => console.warn(`  ${name}: no detail for ${job.externalId}: ${err.message}`));
+    }
+  }
+
+  const out = { source, companyName, feedUrl: v.normalizedUrl, recordedAt: new Date().toISOString(), pages, responses };
+  fs.writeFileSync(path.join(RECORDING_DIR, `${name}.json`), `${JSON.stringify(out, null, 2)}\n`);
+  console.log(`${name}: ${raw.length} postings, ${pages} page(s), ${Object.keys(responses).length} responses`);
+}
+
+async function main() {
+  const [name, feedUrl, companyName] = process.argv.slice(2);
+  const names = name
+    ? [name]
+    : fs.readdirSync(RECORDING_DIR).filter((f) => f.endsWith(".json")).map((f) => path.basename(f, ".json"));
+
+  for (const n of names) {
+    const file = path.join(RECORDING_DIR, `${n}.json`);
+    const prev = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+    const url = feedUrl || prev.feedUrl;
+    if (!url) throw new Error(`${n}: no recording yet, pass a feed URL`);
+    // A new URL decides the adapter by itself
+    const source = resolveFeedAdapter({ source: feedUrl ? "" : prev.source, url })?.id;
+    await record(n, { source, feedUrl: url, companyName: companyName || prev.companyName || n });
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+// Integration harness for the sync core. Run: npm run test:integration (from functions/)
+//
+// Drives the real scheduled sync (syncRecentJobsHourly → syncFeedTask →
+// scoreUserTask) against the Firestore emulator. The network is replayed
+// from recordings/*.json (httpReplay.cjs), the AI provider is a stub and the
+// task queue runs in-process, so a run is deterministic and offline.
+// Re-record with `npm run record:fixtures` when a board's payload changes.
+//
+// Three runs: a first ingest, the same boards again (nothing to write or
+// score) and one where a Greenhouse posting disappears (closed).
+const fs = require("fs");
+const path = require("path");
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error("FIRESTORE_EMULATOR_HOST is not set. Run through `npm run test:integration`, which starts the emulator.");
+  process.exit(1);
+}
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || "demo-jobwatch";
+process.env.OPENAI_API_KEY = "stub";
+// Recorded postings are older than the live 20-minute window
+process.env.RECENT_WINDOW_MINUTES = String(20 * 365 * 24 * 60);
+
+const { createReplay, stubScore, stubBreakdown } = require("./httpReplay.cjs");
+const { SYNC_TASK_RETRY } = require("../../lib/syncFanOut.cjs");
+const { getAdapter, resolveFeedAdapter } = require("../../lib/sources/index.cjs");
+const { fetchJson } = require("../../lib/sources/common.cjs");
+const { resolveExclusionRules, compileExclusionRules } = require("../../lib/exclusionRules.cjs");
+const { resolveScoringRubric, rubricVersion, compileHardCaps } = require("../../lib/scoringRubric.cjs");
+const { feedStateId } = require("../../lib/feedState.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const ADMIN_UID = "7Tojjo8l5PZIYctPmdwncf7PC133";
+const USER_UID = "integration-user";
+const ANYWHERE = { countries: [], regions: [], cities: [], remote: "anywhere" };
+
+const RECORDING_DIR = path.join(__dirname, "recordings");
+const recordings = fs.readdirSync(RECORDING_DIR)
+  .filter((f) => f.endsWith(".json"))
+  .sort()
+  .map((f) => {
+    const rec = JSON.parse(fs.readFileSync(path.join(RECORDING_DIR, f), "utf8"));
+    return { ...rec, feedId: `rec-${path.basename(f, ".json")}` };
+  });
+
+// ── network + task queue ─────────────────────────────────────────────────────
+const realFetch = globalThis.fetch;
+const replay = createReplay(recordings);
+globalThis.fetch = replay.fetch;
+
+// Cloud Tasks stand-in: same dedupe-by-id as the real queue, drained by drainTasks()
+const queued = [];
+const taskIds = new Set();
+require("firebase-admin/functions").getFunctions = () => ({
+  taskQueue: (name) => ({
+    enqueue: async (data, { id } = {}) => {
+      if (id && taskIds.has(id)) throw Object.assign(new Error(`Task ${id} already exists`), { code: 6 });
+      if (id) taskIds.add(id);
+      queued.push({ fn: name.split("/").pop(), data, retryCount: 0 });
+    },
+  }),
+});
+
+const fns = require("../../index.js");
+const admin = require("firebase-admin");
+const db = admin.firestore();
+const { Timestamp } = admin.firestore;
+
+async function drainTasks() {
+  while (queued.length > 0) {
+    const task = queued.shift();
+    try {
+      await fns[task.fn].run({ data: task.data, retryCount: task.retryCount });
+    } catch (err) {
+      if (task.retryCount + 1 >= SYNC_TASK_RETRY.maxAttempts) throw err;
+      queued.push({ ...task, retryCount: task.retryCount + 1 });
+    }
+  }
+}
+
+/** One scheduled run with every task it queues; returns the run doc. */
+async function runSync() {
+  await fns.syncRecentJobsHourly.run({ scheduleTime: new Date().toISOString() });
+  await drainTasks();
+  const runs = await db.collection("users").doc(ADMIN_UID).collection("syncRuns").orderBy("startedAt", "desc").limit(1).get();
+  return runs.docs[0];
+}
+
+// ── fixtures → expectations ──────────────────────────────────────────────────
+/** Postings on a recorded board, normalized (and enriched) the way the sync does. */
+async function recordedPostings(rec) {
+  const adapter = resolveFeedAdapter({ source: rec.source, url: rec.feedUrl });
+  const raw = await adapter.fetch(rec.feedUrl, { recentCutoffMs: null, fetchJson });
+  const now = Timestamp.now();
+  const postings = raw
+    .map((j) => adapter.normalize(j, { companyName: rec.companyName, companyKey: rec.feedId, now, url: rec.feedUrl }))
+    .filter(Boolean);
+  for (const job of postings) {
+    if (job.fullDescription || !adapter.enrichDescriptions) continue;
+    const desc = await adapter.describe({ externalId: job.externalId, feedUrl: rec.feedUrl }, { fetchJson }).catch(() => null);
+    if (desc && desc.length > 50) job.fullDescription = desc;
+  }
+  return postings;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const sorted = (list) => [...list].sort();
+const idsOf = (jobs) => sorted(jobs.map((j) => j.jobDocId));
+
+// Only the ATS payloads are recorded; the Jina reader fallback for a posting without a JD isn't
+const unexpectedMisses = () => replay.misses.filter((key) => !key.includes("https://r.jina.ai/"));
+
+// ── emulator state ───────────────────────────────────────────────────────────
+async function clearEmulator() {
+  const url = `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${process.env.GCLOUD_PROJECT}/databases/(default)/documents`;
+  const resp = await realFetch(url, { method: "DELETE" });
+  if (!resp.ok) throw new Error(`Could not clear the Firestore emulator: HTTP ${resp.status}`);
+}
+
+const RESUME = {
+  summary: "Backend engineer, six years building distributed services and data pipelines.",
+  skills: ["Go", "Python", "TypeScript", "Kubernetes", "Postgres"],
+  roles: [{ title: "Senior Software Engineer", company: "Initech", description: "Platform APIs and CI." }],
+};
+
+async function seed(exclusionRules) {
+  const users = db.collection("users");
+  await users.doc(ADMIN_UID).set({ email: "admin@example.com" });
+  await users.doc(ADMIN_UID).collection("resume").doc("profile").set(RESUME);
+  await users.doc(ADMIN_UID).collection("settings").doc("preferences").set({ locationFilter: ANYWHERE, exclusionRules });
+  for (const rec of recordings) {
+    await users.doc(ADMIN_UID).collection("feeds").doc(rec.feedId).set({
+      companyName: rec.companyName,
+      source: rec.source,
+      url: rec.feedUrl,
+      archivedAt: null,
+      createdAt: Timestamp.now(),
+    });
+  }
+
+  // A second AI-enabled user following only the first board
+  await users.doc(USER_UID).set({ email: "user@example.com", aiAccess: true });
+  await users.doc(USER_UID).collection("resume").doc("profile").set(RESUME);
+  await users.doc(USER_UID).collection("settings").doc("preferences").set({
+    locationFilter: ANYWHERE,
+    feedSubscriptions: [recordings[0].feedId],
+  });
+}
+
+// Neither user sets a rubric, so the default one's title caps apply to the stub's score
+const DEFAULT_RUBRIC = resolveScoringRubric(null);
+const capScore = compileHardCaps(DEFAULT_RUBRIC);
+const expectedScore = (doc) => (String(doc.fullDescription || "").length >= 50 ? capScore(doc.title, stubScore(doc.title)) : -1);
+
+async function main() {
+  eq("recordings: one per adapter under test", sorted(recordings.map((r) => getAdapter(r.source)?.id)), ["ashbyhq", "eightfold", "greenhouse"]);
+
+  const boards = [];
+  for (const rec of recordings) boards.push({ rec, postings: await recordedPostings(rec) });
+  replay.calls.length = 0;
+
+  // Exclude the first posting of the first board by exact title
+  const rules = resolveExclusionRules({ exclusionRules: { titleExclude: [`/^${escapeRegExp(boards[0].postings[0].title)}$/`] } });
+  const exclusion = compileExclusionRules(rules);
+  for (const board of boards) {
+    board.kept = board.postings.filter((j) => !exclusion.match(j));
+    board.excluded = board.postings.filter((j) => exclusion.match(j));
+  }
+  const kept = boards.flatMap((b) => b.kept);
+  const excluded = boards.flatMap((b) => b.excluded);
+
+  await clearEmulator();
+  await seed(rules);
+
+  const jobsCol = db.collection("users").doc(ADMIN_UID).collection("jobs");
+  const readJobs = async (list) => (await db.getAll(...list.map((j) => jobsCol.doc(j.jobDocId)))).map((s) => s.data() || null);
+
+  // ── run 1: first ingest ────────────────────────────────────────────────────
+  const run1 = await runSync();
+  const r1 = run1.data();
+  eq("run 1: DONE and ok", [r1.status, r1.ok, r1.fanOut], ["DONE", true, true]);
+  eq("run 1: every feed task reported", [r1.tasksTotal, r1.tasksDone], [recordings.length, recordings.length]);
+  eq("run 1: no failed or skipped feeds", [r1.failedFeeds, r1.skippedFeeds], [0, 0]);
+  eq("run 1: jobsFetched", r1.jobsFetched, boards.reduce((n, b) => n + b.postings.length, 0));
+  eq("run 1: jobsWritten", r1.jobsWritten, kept.length);
+  eq("run 1: jobsExcluded", r1.jobsExcluded, excluded.length);
+  eq("run 1: scored for admin and the subscriber", [r1.scoringTotal, r1.scoringDone], [2, 2]);
+
+  const results1 = await run1.ref.collection("feedResults").get();
+  for (const board of boards) {
+    const result = results1.docs.map((d) => d.data()).find((d) => d.feedId === board.rec.feedId) || {};
+    const tag = `run 1: ${board.rec.feedId}`;
+    eq(`${tag} outcome`, [result.outcome, result.httpStatus, result.error], ["ok", 200, null]);
+    eq(`${tag} pages walked`, result.pages, board.rec.pages);
+    eq(`${tag} counters`, [result.jobsFetched, result.jobsWritten, result.jobsExcluded], [board.postings.length, board.kept.length, board.excluded.length]);
+  }
+
+  const docs = await readJobs(kept);
+  eq("jobs: a doc per kept posting", docs.filter(Boolean).length, kept.length);
+  eq("jobs: open, on their board, with a title", docs.filter((d, i) => d?.status === "open" && d.companyKey === kept[i].companyKey && d.title === kept[i].title).length, kept.length);
+  eq("jobs: descriptions stored (enriched for Eightfold)", docs.map((d) => d?.fullDescription || null), kept.map((j) => j.fullDescription || null));
+  eq("jobs: admin relevanceScore from the stub", docs.map((d) => d?.relevanceScore), docs.map((d) => d && expectedScore(d)));
+  eq("jobs: excluded postings never written", (await readJobs(excluded)).filter(Boolean).length, 0);
+  const withDescription = kept.filter((j, i) => docs[i]?.fullDescription);
+  const embeddings = await db.getAll(...withDescription.map((j) => db.collection("users").doc(ADMIN_UID).collection("jobEmbeddings").doc(j.jobDocId)));
+  eq("embeddings: one cached vector per described job", embeddings.filter((s) => s.exists && s.get("hash")).length, withDescription.length);
+  eq("ai: one call per scorable job per user", replay.aiCalls.length,
+    docs.filter((d) => expectedScore(d) >= 0).length + docs.filter((d, i) => expectedScore(d) >= 0 && kept[i].companyKey === recordings[0].feedId).length);
+
+  const followed = boards[0].kept;
+  const userScores = await db.getAll(...followed.map((j) => db.collection("users").doc(USER_UID).collection("jobScores").doc(j.jobDocId)));
+  const followedDocs = await readJobs(followed);
+  eq("jobScores: subscriber scored on the board they follow", userScores.map((s) => s.get("score")), followedDocs.map((d) => expectedScore(d)));
+  eq("jobScores: AI scores carry the rubric version", userScores.filter((s) => s.get("score") >= 0).map((s) => s.get("rubricVersion")),
+    userScores.filter((s) => s.get("score") >= 0).map(() => rubricVersion(DEFAULT_RUBRIC)));
+  const scoredFollowed = followed.filter((j, i) => expectedScore(followedDocs[i]) >= 0);
+  eq("jobScores: breakdown and requirements stored",
+    userScores.filter((s) => s.get("score") >= 0).map((s) => ({ breakdown: s.get("breakdown"), matched: s.get("matched"), missing: s.get("missing") })),
+    scoredFollowed.map((j) => stubBreakdown(j.title)));
+  const scoringStatus = (await db.collection("users").doc(USER_UID).collection("aggregations").doc("scoringStatus").get()).data() || {};
+  eq("jobScores: made from the resume scoringStatus calls current", userScores.filter((s) => s.get("score") >= 0).map((s) => s.get("resumeHash")),
+    userScores.filter((s) => s.get("score") >= 0).map(() => scoringStatus.current?.resumeHash || "missing"));
+  const otherScores = await db.collection("users").doc(USER_UID).collection("jobScores").get();
+  eq("jobScores: nothing from boards they don't follow", otherScores.size, followed.length);
+
+  const aggregation = async (uid, id) => (await db.collection("users").doc(uid).collection("aggregations").doc(id).get()).data() || {};
+  const myScores = (await aggregation(USER_UID, "myJobScores")).scores || {};
+  eq("myJobScores: breakdowns in the aggregation", scoredFollowed.map((j) => myScores[j.jobDocId]?.breakdown), scoredFollowed.map((j) => stubBreakdown(j.title).breakdown));
+  const aggIds = (agg) => sorted((agg.jobs || []).map((j) => j.id));
+  eq("aggregations: recentJobs lists every kept job", aggIds(await aggregation(ADMIN_UID, "recentJobs")), idsOf(kept));
+  eq("aggregations: allJobs lists every kept job", aggIds(await aggregation(ADMIN_UID, "allJobs")), idsOf(kept));
+  eq("aggregations: subscriber's recentJobs is their board", aggIds(await aggregation(USER_UID, "recentJobs")), idsOf(followed));
+
+  for (const board of boards) {
+    const feed = (await db.collection("users").doc(ADMIN_UID).collection("feeds").doc(board.rec.feedId).get()).data();
+    const state = (await db.collection("feedState").doc(feedStateId(ADMIN_UID, board.rec.feedId)).get()).data() || {};
+    eq(`feed ${board.rec.feedId}: open jobs tracked server-side, healthy`,
+      [sorted(Object.keys(state.openJobs || {})), state.health?.state, feed.lastError, "openJobs" in feed],
+      [idsOf(board.kept), "healthy", null, false]);
+  }
+  eq("replay: every request was recorded", unexpectedMisses(), []);
+
+  // ── run 2: nothing changed ─────────────────────────────────────────────────
+  const aiCallsAfterRun1 = replay.aiCalls.length;
+  const embeddedTexts = () => replay.embeddingCalls.reduce((a, b) => a + b, 0);
+  const embeddedAfterRun1 = embeddedTexts();
+  const run2 = await runSync();
+  const r2 = run2.data();
+  eq("run 2: DONE, nothing written or scored", [r2.status, r2.jobsWritten, r2.jobsClosed, r2.scoringTotal], ["DONE", 0, 0, 0]);
+  const results2 = (await run2.ref.collection("feedResults").get()).docs.map((d) => d.data());
+  for (const board of boards) {
+    // Single-request boards with a recorded ETag get a 304; the rest match last run's payload hash
+    const etagged = board.rec.pages === 1 && Object.values(board.rec.responses).some((r) => r.headers?.etag);
+    const result = results2.find((d) => d.feedId === board.rec.feedId) || {};
+    eq(`run 2: ${board.rec.feedId} ${etagged ? "not modified" : "unchanged"}`,
+      [result.outcome, result.httpStatus], etagged ? ["notModified", 304] : ["unchanged", 200]);
+  }
+  eq("run 2: no AI calls", replay.aiCalls.length, aiCallsAfterRun1);
+
+  // ── run 3: a posting comes down ────────────────────────────────────────────
+  const gh = boards.find((b) => b.rec.source === "greenhouse");
+  const listKey = Object.keys(gh.rec.responses).find((k) => k.endsWith("?content=true"));
+  const listing = JSON.parse(JSON.stringify(replay.get(listKey)));
+  const removed = listing.body.jobs.pop();
+  replay.set(listKey, { ...listing, headers: { ...listing.headers, etag: "W/\"changed\"" } });
+  const removedId = gh.kept.find((j) => j.externalId === String(removed.id))?.jobDocId;
+  eq("run 3: the removed posting was ingested before", !!removedId, true);
+
+  const run3 = await runSync();
+  const r3 = run3.data();
+  eq("run 3: DONE, one job closed", [r3.status, r3.jobsClosed], ["DONE", 1]);
+  eq("run 3: the rest of the board rewritten", r3.jobsWritten, gh.kept.length - 1);
+  const closed = removedId ? (await jobsCol.doc(removedId).get()).data() || {} : {};
+  eq("run 3: removed posting is closed", [closed.status, !!closed.closedAt], ["closed", true]);
+  eq("run 3: already scored jobs not re-scored", replay.aiCalls.length, aiCallsAfterRun1);
+  eq("run 3: unchanged descriptions not re-embedded", embeddedTexts(), embeddedAfterRun1);
+  eq("replay: every request was recorded", unexpectedMisses(), []);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    fail++;
+  })
+  .finally(() => {
+    console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+    process.exit(fail ? 1 : 0);
+  });
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Self-tests for seniority / role-family classification. Run: npm test (from functions/)
+const {
+  CLASSIFIER_VERSION,
+  SENIORITY_LEVELS,
+  ROLE_FAMILIES,
+  classifyJob,
+  classificationFor,
+} = require("../lib/jobClassifier.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const tags = (title, fullDescription) => {
+  const { seniority, roleFamily } = classifyJob({ title, fullDescription });
+  return [seniority, roleFamily];
+};
+
+// ── seniority ────────────────────────────────────────────────────────────────
+eq("intern beats everything", tags("Senior Software Engineer Intern"), ["intern", "software"]);
+eq("level words", ["Junior Developer", "Software Engineer II", "Senior Backend Engineer", "Staff Engineer", "Principal Engineer"].map((t) => tags(t)[0]),
+  ["entry", "mid", "senior", "staff", "principal"]);
+eq("roman numerals", ["Software Engineer I", "Software Engineer III", "Engineer I/II"].map((t) => tags(t)[0]), ["entry", "senior", "mid"]);
+eq("leadership tracks", ["Engineering Manager, Payments", "Director of Engineering", "VP, Platform", "Head of Design"].map((t) => tags(t)[0]),
+  ["manager", "director", "director", "director"]);
+eq("product manager is a role, not a level", tags("Product Manager"), ["mid", "pm"]);
+eq("MTS isn't the staff level", tags("Member of Technical Staff"), ["mid", "software"]);
+eq("description years break ties", [
+  tags("Software Engineer", "You have 6+ years of professional software experience.")[0],
+  tags("Software Engineer", "0-1 years of experience, new to industry welcome")[0],
+  tags("Senior Software Engineer", "1+ years of experience")[0],
+], ["senior", "entry", "senior"]);
+
+// ── role family ──────────────────────────────────────────────────────────────
+eq("engineering families", [
+  "Backend Engineer", "Frontend Engineer", "Full-Stack Developer", "iOS Engineer", "Site Reliability Engineer",
+  "Security Engineer", "Machine Learning Engineer", "Data Engineer", "SDET", "Firmware Engineer", "Software Engineer",
+].map((t) => tags(t)[1]), ["backend", "frontend", "fullstack", "mobile", "infra", "security", "ml", "data", "qa", "hardware", "software"]);
+eq("specific beats generic", ["Software Engineer, Machine Learning Platform", "Software Engineer (React)", "Design Verification Engineer"].map((t) => tags(t)[1]),
+  ["ml", "frontend", "hardware"]);
+eq("non-engineering families", [
+  "Technical Program Manager", "Senior Product Designer", "Sales Engineer", "Field Marketing Manager", "Technical Recruiter",
+  "Senior Accountant", "Customer Success Manager", "Product Counsel", "Office Manager", "Chief of Staff",
+].map((t) => tags(t)[1]), ["pm", "design", "sales", "marketing", "recruiting", "finance", "support", "legal", "operations", "other"]);
+
+// ── contract ─────────────────────────────────────────────────────────────────
+eq("outputs stay inside the enums", ["", "???", "Wizard", "Senior Staff Principal Engineer"]
+  .map((t) => classifyJob({ title: t }))
+  .every((c) => SENIORITY_LEVELS.includes(c.seniority) && ROLE_FAMILIES.includes(c.roleFamily)), true);
+eq("classificationFor: stored tags when current", classificationFor({
+  title: "Backend Engineer", seniority: "staff", roleFamily: "infra", classifierVersion: CLASSIFIER_VERSION,
+}), { seniority: "staff", roleFamily: "infra" });
+eq("classificationFor: legacy job computed", classificationFor({ title: "Senior iOS Engineer" }), { seniority: "senior", roleFamily: "mobile" });
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
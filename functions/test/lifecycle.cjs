@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Self-tests for the pure job-lifecycle helpers. Run: npm test (from functions/)
+const admin = require("firebase-admin");
+const {
+  JOB_STATUS,
+  DEFAULT_RETENTION_DAYS,
+  SEEN_REFRESH_MS,
+  resolveRetentionDays,
+  isTrackedJob,
+  computeExpireAt,
+  planFeedLifecycle,
+} = require("../lib/jobLifecycle.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = 1_000 * 3600 * 24 * 100; // fixed clock
+const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+const ms = (t) => (t ? t.toMillis() : null);
+
+// ── retention settings ───────────────────────────────────────────────────────
+eq("retention: defaults when unset", resolveRetentionDays(null), DEFAULT_RETENTION_DAYS);
+eq("retention: user override", resolveRetentionDays({ jobRetentionDays: { open: 30, closed: 2 } }), { open: 30, closed: 2 });
+eq("retention: null keeps forever", resolveRetentionDays({ jobRetentionDays: { closed: null } }).closed, null);
+eq("retention: garbage falls back", resolveRetentionDays({ jobRetentionDays: { open: "abc", closed: 0 } }), DEFAULT_RETENTION_DAYS);
+eq("retention: capped at a year", resolveRetentionDays({ jobRetentionDays: { open: 9999 } }).open, 365);
+
+// ── tracked jobs ─────────────────────────────────────────────────────────────
+eq("tracked: plain job", isTrackedJob({ title: "x" }), false);
+eq("tracked: worker applied", isTrackedJob({ lastAppliedAt: new Date() }), true);
+eq("tracked: extension applied", isTrackedJob({ autoApplied: true }), true);
+eq("tracked: explicit flag", isTrackedJob({ tracked: true }), true);
+
+// ── expireAt ─────────────────────────────────────────────────────────────────
+const retention = { open: 14, closed: 7 };
+eq("expire: open slides from lastSeenAt",
+  ms(computeExpireAt({ status: JOB_STATUS.OPEN, lastSeenAt: ts(now) }, retention)), now + 14 * DAY);
+eq("expire: closed counts from closedAt",
+  ms(computeExpireAt({ status: JOB_STATUS.CLOSED, closedAt: ts(now), lastSeenAt: ts(now - 5 * DAY) }, retention)), now + 7 * DAY);
+eq("expire: legacy doc falls back to sourceUpdatedTs",
+  ms(computeExpireAt({ sourceUpdatedTs: ts(now) }, retention)), now + 14 * DAY);
+eq("expire: tracked job never expires",
+  computeExpireAt({ status: JOB_STATUS.CLOSED, closedAt: ts(now), appliedAt: "2026-01-01" }, retention), null);
+eq("expire: null retention keeps forever",
+  computeExpireAt({ status: JOB_STATUS.CLOSED, closedAt: ts(now) }, { open: 14, closed: null }), null);
+
+// ── per-feed diff ────────────────────────────────────────────────────────────
+const fresh = now - 60 * 1000;
+const stale = now - SEEN_REFRESH_MS - 1;
+const prevOpen = { a: fresh, b: stale, c: fresh, d: stale };
+const current = new Set(["a", "b", "e"]); // c, d left the board; e is new
+const written = new Set(["e"]);
+
+const full = planFeedLifecycle({ prevOpen, currentIds: current, writtenIds: written, fullListing: true, nowMs: now, openRetentionDays: 14 });
+eq("diff: full listing closes missing postings", full.toClose.sort(), ["c", "d"]);
+eq("diff: refreshes only stale lastSeenAt", full.toRefresh, ["b"]);
+eq("diff: nextOpen drops closed, keeps fresh stamp, adds written",
+  full.nextOpen, { a: fresh, b: now, e: now });
+
+const partial = planFeedLifecycle({
+  prevOpen: { ...prevOpen, old: now - 20 * DAY },
+  currentIds: current, writtenIds: written, fullListing: false, nowMs: now, openRetentionDays: 14,
+});
+eq("diff: paginated source never closes", partial.toClose, []);
+eq("diff: paginated source keeps unseen until retention, prunes past it",
+  Object.keys(partial.nextOpen).sort(), ["a", "b", "c", "d", "e"]);
+
+const empty = planFeedLifecycle({ prevOpen, currentIds: new Set(), writtenIds: new Set(), fullListing: true, nowMs: now, openRetentionDays: 14 });
+eq("diff: empty board is not trusted to close everything", empty.toClose, []);
+
+const rewritten = planFeedLifecycle({ prevOpen: { a: stale }, currentIds: new Set(["a"]), writtenIds: new Set(["a"]), fullListing: true, nowMs: now, openRetentionDays: 14 });
+eq("diff: rewritten job is not also refreshed", [rewritten.toRefresh, rewritten.nextOpen], [[], { a: now }]);
+
+eq("diff: first run with no map", planFeedLifecycle({ prevOpen: undefined, currentIds: current, writtenIds: written, fullListing: true, nowMs: now, openRetentionDays: 14 }).nextOpen, { e: now });
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
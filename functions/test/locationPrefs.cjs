@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Self-tests for location classification and per-user location filters. Run: npm test (from functions/)
+const { normalizeToMapLocation, classifyLocation } = require("../lib/locationNormalizer.cjs");
+const {
+  DEFAULT_LOCATION_PREFS,
+  resolveLocationPrefs,
+  jobMatchesLocationPrefs,
+  mergeLocationPrefs,
+  locationPrefsKey,
+} = require("../lib/locationPrefs.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const pin = (loc) => (loc ? [loc.city, loc.state, loc.country, loc.pinType] : null);
+const job = (locationName, extra = {}) => ({ geo: classifyLocation(locationName), ...extra });
+
+// ── map pins ─────────────────────────────────────────────────────────────────
+eq("pin: US city unchanged", pin(normalizeToMapLocation("Austin, TX")), ["Austin", "TX", "US", "city"]);
+eq("pin: UK city", pin(normalizeToMapLocation("London, United Kingdom")), ["London", "ENG", "GB", "city"]);
+eq("pin: Canadian province code", pin(normalizeToMapLocation("Toronto, ON")), ["Toronto", "ON", "CA", "city"]);
+eq("pin: country picks the right Dublin", [pin(normalizeToMapLocation("Dublin, CA")), pin(normalizeToMapLocation("Dublin, Ireland"))],
+  [["Dublin", "CA", "US", "city"], ["Dublin", null, "IE", "city"]]);
+eq("pin: accents folded", pin(normalizeToMapLocation("Montréal, QC")), ["Montreal", "QC", "CA", "city"]);
+eq("pin: foreign remote isn't pinned in SF", normalizeToMapLocation("Remote - Canada"), null);
+eq("pin: US remote still falls back to SF", pin(normalizeToMapLocation("Remote (US)")), ["San Francisco", "CA", "US", "remote"]);
+
+// ── classification ───────────────────────────────────────────────────────────
+eq("classify: city + remote segments", classifyLocation("Seattle, WA; Remote - US"), {
+  countries: ["US"], regions: ["US-WA"], cities: ["Seattle"], remote: true, remoteCountries: ["US"],
+});
+eq("classify: New Mexico isn't Mexico", classifyLocation("Santa Fe, New Mexico").countries, ["US"]);
+eq("classify: unscoped remote", classifyLocation("Remote"), {
+  countries: [], regions: [], cities: [], remote: true, remoteCountries: [],
+});
+
+// ── prefs ────────────────────────────────────────────────────────────────────
+eq("prefs: missing → defaults", resolveLocationPrefs({}), DEFAULT_LOCATION_PREFS);
+eq("prefs: invalid entries dropped", resolveLocationPrefs({
+  locationFilter: { countries: ["gb", "Britain"], regions: ["ca-on", "Ontario"], cities: [" London ", ""], remote: "mars" },
+}), { countries: ["GB"], regions: ["CA-ON"], cities: ["London"], remote: "country" });
+
+const us = resolveLocationPrefs(null);
+eq("defaults: US city in, London out", [job("Austin, TX"), job("London, UK")].map((j) => jobMatchesLocationPrefs(j, us)), [true, false]);
+eq("defaults: US remote in, unscoped remote out", [job("Remote (US)"), job("Remote")].map((j) => jobMatchesLocationPrefs(j, us)), [true, false]);
+eq("legacy job without geo placed by stateCodes", jobMatchesLocationPrefs({ stateCodes: ["TX"] }, us), true);
+
+const uk = resolveLocationPrefs({ locationFilter: { countries: ["GB"], remote: "none" } });
+eq("UK user: London in, Remote UK out (no remote)", [job("London, England"), job("Remote - United Kingdom")].map((j) => jobMatchesLocationPrefs(j, uk)), [true, false]);
+
+const toronto = resolveLocationPrefs({ locationFilter: { countries: [], regions: ["CA-ON"], cities: ["Vancouver"], remote: "country" } });
+eq("region/city user: Ontario + Vancouver + remote Canada",
+  [job("Toronto, Ontario, Canada"), job("Vancouver, BC"), job("Calgary, AB"), job("Remote - Canada")].map((j) => jobMatchesLocationPrefs(j, toronto)),
+  [true, true, false, true]);
+
+const anywhere = resolveLocationPrefs({ locationFilter: { countries: [], remote: "anywhere" } });
+eq("unrestricted user matches everything", [job("Berlin, Germany"), job("Remote"), job("Multiple Locations")].map((j) => jobMatchesLocationPrefs(j, anywhere)), [true, true, true]);
+
+// ── ingest union ─────────────────────────────────────────────────────────────
+eq("merge: union of places, widest remote", mergeLocationPrefs([us, uk, toronto]), {
+  countries: ["GB", "US"], regions: ["CA-ON"], cities: ["Vancouver"], remote: "country",
+});
+eq("merge: any unrestricted user lifts the filter", mergeLocationPrefs([us, anywhere]).countries, []);
+eq("key: stable, changes with the filter",
+  [locationPrefsKey(mergeLocationPrefs([us])) === locationPrefsKey(resolveLocationPrefs(null)), locationPrefsKey(us) === locationPrefsKey(uk)],
+  [true, false]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
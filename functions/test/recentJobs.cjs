@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Self-tests for the "All" view lean projection. Run: npm test (from functions/)
+const admin = require("firebase-admin");
+const { projectJobLean, leanRowsWithinBudget, ALL_JOBS_LIMIT, ALL_JOBS_MAX_BYTES, MAX_LEAN_ROW_BYTES } = require("../lib/recentJobs.cjs");
+const { CLASSIFIER_VERSION } = require("../lib/jobClassifier.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const ts = admin.firestore.Timestamp.fromMillis(1_760_000_000_000);
+const cities = ["San Francisco", "New York", "Seattle", "Los Angeles", "Washington", "Salt Lake City", "Minneapolis", "Philadelphia", "Indianapolis", "Jacksonville"];
+
+// Every field at its longest: clipped strings over their caps, full geo /
+// salary / workAuth / workplace objects, every timestamp set, a long Workday URL.
+const worst = {
+  title: "Senior Staff Software Engineer, Distributed Systems Infrastructure ".repeat(3),
+  companyKey: "workday:northwestern-mutual-life-insurance",
+  companyName: "The Northwestern Mutual Life Insurance Company of Wisconsin, Inc.",
+  locationName: cities.map((c) => `${c}, US`).join("; "),
+  stateCodes: ["CA", "NY", "WA", "TX", "MA", "IL", "CO", "GA", "VA", "NC"],
+  geo: {
+    countries: ["US", "CA", "GB", "DE", "FR", "IE", "NL", "ES", "PT"],
+    regions: ["US-CA", "US-NY", "US-WA", "US-TX", "US-MA", "US-IL", "US-CO", "US-GA", "US-VA"],
+    cities,
+    remote: true,
+    remoteCountries: ["US", "CA", "GB", "DE", "FR", "IE", "NL", "ES", "PT"],
+  },
+  salary: { min: 1_250_000, max: 1_750_000, currency: "USD", period: "year", annualMin: 1_250_000, annualMax: 1_750_000, source: "description" },
+  equity: true,
+  workAuth: { sponsorship: "not_available", clearance: { level: "ts_sci_poly", active: true }, usPersonRequired: true, citizenshipRequired: true },
+  classifierVersion: CLASSIFIER_VERSION,
+  seniority: "principal",
+  roleFamily: "data_science",
+  skills: Array.from({ length: 20 }, (_, i) => `kubernetes-${i}`),
+  isRemote: true,
+  workplaceType: "Hybrid",
+  workplace: { type: "hybrid", hybridDays: 3, source: "description" },
+  source: "smartrecruiters",
+  externalId: "/job/San-Francisco-CA/Senior-Staff-Software-Engineer_R-1234567",
+  jobUrl: "https://northwesternmutual.wd5.myworkdayjobs.com/en-US/CORPORATE-CAREERS/job/San-Francisco-CA/Senior-Staff-Software-Engineer--Distributed-Systems_R-1234567",
+  applyUrl: "https://northwesternmutual.wd5.myworkdayjobs.com/en-US/CORPORATE-CAREERS/job/San-Francisco-CA/Senior-Staff-Software-Engineer--Distributed-Systems_R-1234567/apply",
+  sourceUpdatedTs: ts,
+  firstSeenAt: ts,
+  fetchedAt: ts,
+  status: "closed",
+  closedAt: ts,
+  lastChangedAt: ts,
+  lastChangedFields: ["title", "locationName", "salary", "fullDescription"],
+  revisionCount: 999,
+  repostCount: 99,
+};
+
+const row = projectJobLean("a".repeat(40), worst);
+const bytes = Buffer.byteLength(JSON.stringify(row));
+console.log(`    worst-case lean row: ${bytes} B`);
+eq("worst-case lean row fits MAX_LEAN_ROW_BYTES", bytes <= MAX_LEAN_ROW_BYTES, true);
+eq("budget plus one worst-case row stays under 1 MiB", ALL_JOBS_MAX_BYTES + MAX_LEAN_ROW_BYTES < 1024 * 1024, true);
+
+// ── byte budget ──────────────────────────────────────────────────────────────
+const docsOf = (n, x) => Array.from({ length: n }, (_, i) => ({ id: `job-${i}`, data: () => x }));
+const heavy = leanRowsWithinBudget(docsOf(ALL_JOBS_LIMIT, worst));
+const heavyBytes = heavy.reduce((n, r) => n + Buffer.byteLength(JSON.stringify(r)), 0);
+eq("worst-case corpus is cut at the byte budget", [heavy.length < ALL_JOBS_LIMIT, heavyBytes <= ALL_JOBS_MAX_BYTES], [true, true]);
+// Typical row: a Greenhouse posting with pay, a hybrid policy and a few skills
+const typical = {
+  title: "Senior Software Engineer, Payments", companyKey: "greenhouse:stripe", companyName: "Stripe", locationName: "San Francisco, CA",
+  stateCodes: ["CA"], geo: { countries: ["US"], regions: ["US-CA"], cities: ["San Francisco"], remote: false, remoteCountries: [] },
+  salary: { min: 180000, max: 250000, currency: "USD", period: "year", annualMin: 180000, annualMax: 250000, source: "description" },
+  workAuth: { sponsorship: null, clearance: null, usPersonRequired: false, citizenshipRequired: false },
+  skills: ["python", "go", "postgres", "kubernetes", "aws", "kafka"], workplace: { type: "hybrid", hybridDays: 3, source: "description" },
+  source: "greenhouse", externalId: "4012345678", jobUrl: "https://job-boards.greenhouse.io/stripe/jobs/4012345678",
+  sourceUpdatedTs: ts, firstSeenAt: ts, fetchedAt: ts, lastChangedAt: ts, revisionCount: 1,
+};
+eq("typical corpus is cut at ALL_JOBS_LIMIT", leanRowsWithinBudget(docsOf(ALL_JOBS_LIMIT + 50, typical)).length, ALL_JOBS_LIMIT);
+
+eq("display strings clipped", [row.title.length, row.companyName.length, row.locationName.length, row.title.endsWith("…")],
+  [120, 60, 80, true]);
+eq("place lists capped", [row.stateCodes.length, row.geo.cities.length, row.geo.remoteCountries.length, row.geo.remote], [5, 5, 5, true]);
+eq("skills capped", row.skills.length, 10);
+eq("fallback-only fields folded", [row.jobUrl, row.firstSeenAt], [worst.jobUrl, ts]);
+eq("applyUrl / fetchedAt fill in when missing",
+  (({ jobUrl, firstSeenAt }) => [jobUrl, firstSeenAt])(projectJobLean("x", { applyUrl: "https://a", fetchedAt: ts })), ["https://a", ts]);
+eq("fields the Jobs page doesn't read are left out", ["applyUrl", "fetchedAt", "externalId", "workplaceType", "locationTokens", "lastChangedFields"]
+  .filter((k) => k in row).concat("source" in row.salary ? ["salary.source"] : []), []);
+eq("filter fields kept", ["workAuth", "workplace", "geo", "salary", "seniority", "roleFamily", "lastChangedAt"].every((k) => row[k] != null), true);
+eq("short strings untouched", projectJobLean("x", { title: "Engineer", locationName: "Remote" }).title, "Engineer");
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Self-tests for rescoring after resume / rubric changes. Run: npm test (from functions/)
+const {
+  RESCORE_BATCH,
+  resumeHashOf,
+  isScoreStale,
+  planRescore,
+  newRescore,
+  takeRescoreBatch,
+} = require("../lib/rescore.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+// ── hashing ──────────────────────────────────────────────────────────────────
+eq("hash: short and stable", [resumeHashOf("Summary: x").length, resumeHashOf("Summary: x") === resumeHashOf("Summary: x")], [12, true]);
+eq("hash: text-sensitive", resumeHashOf("Skills: Go") === resumeHashOf("Skills: Rust"), false);
+
+// ── staleness ────────────────────────────────────────────────────────────────
+const current = { resumeHash: "r2", rubricVersion: "v2" };
+eq("stale: current AI score", isScoreStale({ source: "ai", resumeHash: "r2", rubricVersion: "v2" }, current), false);
+eq("stale: older resume", isScoreStale({ source: "ai", resumeHash: "r1", rubricVersion: "v2" }, current), true);
+eq("stale: older rubric", isScoreStale({ source: "ai", resumeHash: "r2", rubricVersion: "v1" }, current), true);
+eq("stale: from before hashes were stored", isScoreStale({ score: 80 }, current), true);
+eq("stale: estimates ignore the rubric", isScoreStale({ source: "similarity", resumeHash: "r2", rubricVersion: null }, current), false);
+eq("stale: estimate from an older resume", isScoreStale({ source: "similarity", resumeHash: "r1" }, current), true);
+eq("stale: nothing to compare with", [isScoreStale({ resumeHash: "r1" }, null), isScoreStale(null, current)], [false, false]);
+
+// ── planning ─────────────────────────────────────────────────────────────────
+const jobs = new Map([
+  ["old", { status: "open", firstSeenMs: 100 }],
+  ["new", { status: "open", firstSeenMs: 900 }],
+  ["mid", { status: "open", firstSeenMs: 500 }],
+  ["closed", { status: "closed", firstSeenMs: 950 }],
+  ["dupe", { status: "open", canonicalId: "new", firstSeenMs: 990 }],
+  ["fresh", { status: "open", firstSeenMs: 999 }],
+  ["gone", null],
+]);
+const scores = [
+  { id: "old", source: "ai", resumeHash: "r1", rubricVersion: "v2" },
+  { id: "new", source: "ai", resumeHash: "r1", rubricVersion: "v2" },
+  { id: "mid", source: "similarity", resumeHash: "r1" },
+  { id: "closed", source: "ai", resumeHash: "r1", rubricVersion: "v2" },
+  { id: "dupe", source: "ai", resumeHash: "r1", rubricVersion: "v2" },
+  { id: "fresh", source: "ai", resumeHash: "r2", rubricVersion: "v2" },
+  { id: "gone", source: "ai", resumeHash: "r1", rubricVersion: "v2" },
+];
+eq("plan: stale open jobs, newest first", planRescore(scores, jobs, current), ["new", "mid", "old"]);
+eq("plan: capped", planRescore(scores, jobs, current, 2), ["new", "mid"]);
+eq("plan: only what differs from the current inputs", planRescore(scores, jobs, { resumeHash: "r1", rubricVersion: "v2" }), ["fresh"]);
+
+// ── progress ─────────────────────────────────────────────────────────────────
+const queue = Array.from({ length: RESCORE_BATCH + 5 }, (_, i) => `j${i}`);
+const started = newRescore({ reason: "resume", queue, now: "T0" });
+eq("new: queued with totals", [started.state, started.total, started.done, started.finishedAt], ["queued", queue.length, 0, null]);
+eq("new: empty queue is done", [newRescore({ reason: "rubric", queue: [], now: "T0" }).state, newRescore({ reason: "rubric", queue: [], now: "T0" }).finishedAt], ["done", "T0"]);
+const first = takeRescoreBatch(started, "T1");
+eq("batch: first slice, still running", [first.batch.length, first.next.state, first.next.done, first.next.queue.length], [RESCORE_BATCH, "running", RESCORE_BATCH, 5]);
+const second = takeRescoreBatch(first.next, "T2");
+eq("batch: last slice finishes", [second.batch, second.next.state, second.next.done, second.next.finishedAt], [queue.slice(RESCORE_BATCH), "done", queue.length, "T2"]);
+eq("batch: keeps the request", [second.next.reason, second.next.requestedAt], ["resume", "T0"]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Self-tests for the job revision diffing. Run: npm test (from functions/)
+const admin = require("firebase-admin");
+const { diffJob, contentHash, findEditedPostings, summarizeDescriptionDiff, buildRevision, REVISION_TTL_DAYS } = require("../lib/jobRevisions.cjs");
+const { getAdapter } = require("../lib/sources/index.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const base = {
+  title: "Software Engineer",
+  locationName: "New York, NY",
+  isRemote: false,
+  jobUrl: "https://example.com/1",
+  meta: { Team: "Payments", Posted: "2 days ago" },
+  fullDescription: "About us\nWe build things.\nRequirements: 3+ years.",
+};
+
+// ── scalar fields ────────────────────────────────────────────────────────────
+eq("diff: identical docs", diffJob(base, { ...base }), null);
+eq("diff: title + location edit",
+  diffJob(base, { ...base, title: "Senior Software Engineer", locationName: "Remote" }).changes,
+  [
+    { field: "title", from: "Software Engineer", to: "Senior Software Engineer" },
+    { field: "locationName", from: "New York, NY", to: "Remote" },
+  ]);
+eq("diff: field missing on old doc is not an edit", diffJob({ title: "A" }, { title: "A", workplaceType: "remote" }), null);
+eq("diff: missing side", diffJob(null, base), null);
+
+// ── meta ─────────────────────────────────────────────────────────────────────
+eq("diff: volatile Posted meta ignored", diffJob(base, { ...base, meta: { ...base.meta, Posted: "3 days ago" } }), null);
+eq("diff: meta key edits reported as meta.X",
+  diffJob(base, { ...base, meta: { Team: "Risk", Posted: "2 days ago" } }).fields, ["meta.Team"]);
+
+// ── description ──────────────────────────────────────────────────────────────
+eq("desc: whitespace-only change ignored", summarizeDescriptionDiff("a  b\n\nc", "a b\nc"), null);
+const d = summarizeDescriptionDiff(base.fullDescription, "About us\nWe build things.\nRequirements: 5+ years.\nVisa sponsorship unavailable.");
+eq("desc: added/removed lines", [d.addedCount, d.removedCount, d.removed], [2, 1, ["Requirements: 3+ years."]]);
+eq("desc: samples capped", summarizeDescriptionDiff("x", Array.from({ length: 12 }, (_, i) => `line ${i}`).join("\n")).added.length, 5);
+eq("diff: description edit listed as fullDescription",
+  diffJob(base, { ...base, fullDescription: "New text" }).fields, ["fullDescription"]);
+eq("diff: empty enrichment on either side skipped", diffJob(base, { ...base, fullDescription: "" }), null);
+
+// ── revision doc ─────────────────────────────────────────────────────────────
+const now = admin.firestore.Timestamp.fromMillis(1_000_000_000);
+const diff = diffJob(base, { ...base, title: "Staff Engineer" });
+const { revision, jobPatch } = buildRevision(diff, { now, tracked: false });
+eq("revision: expires after TTL", revision.expireAt.toMillis(), now.toMillis() + REVISION_TTL_DAYS * 24 * 60 * 60 * 1000);
+eq("revision: stamps job", jobPatch.lastChangedFields, ["title"]);
+eq("revision: tracked job history kept", buildRevision(diff, { now, tracked: true }).revision.expireAt, null);
+
+// ── content hashes (sources with stable timestamps) ──────────────────────────
+eq("hash: same content, same hash", contentHash({ ...base, fullDescription: `  ${base.fullDescription}\n` }), contentHash(base));
+eq("hash: volatile meta ignored", contentHash({ ...base, meta: { ...base.meta, Posted: "today" } }), contentHash(base));
+eq("hash: description edit changes it", contentHash({ ...base, fullDescription: "Rewritten." }) === contentHash(base), false);
+const posting = (id, title) => ({ ...base, jobDocId: id, title });
+const prevHashes = { a: contentHash(posting("a", "Engineer")), b: contentHash(posting("b", "Designer")) };
+const found = findEditedPostings(
+  [posting("a", "Senior Engineer"), posting("b", "Designer"), posting("c", "Analyst"), posting("d", "Intern")],
+  prevHashes,
+  new Set(["a", "b", "c"])
+);
+eq("edited: changed stored posting found", found.edited.map((j) => j.jobDocId), ["a"]);
+eq("edited: unhashed stored posting only recorded, unstored skipped", Object.keys(found.hashes), ["a", "b", "c"]);
+const bare = findEditedPostings([{ ...posting("a", "Senior Engineer"), fullDescription: null }], prevHashes, new Set(["a"]));
+eq("edited: posting without its JD keeps last run's hash", [bare.edited.length, bare.hashes.a], [0, prevHashes.a]);
+
+// ── adapters with stable timestamps ──────────────────────────────────────────
+const ashby = getAdapter("ashbyhq");
+const workday = getAdapter("workday");
+eq("stableTimestamps: ashby and workday", [ashby.stableTimestamps, workday.stableTimestamps], [true, true]);
+
+const ctx = { companyName: "Acme", companyKey: "feed_acme", now, url: "https://api.ashbyhq.com/posting-api/job-board/acme" };
+const rawAshby = {
+  id: "5b7d3c1e-0f6a-4e61-9b55-2f1d0c6a9a01",
+  title: "Product Designer",
+  team: "Core Product",
+  location: "New York, NY",
+  publishedAt: "2026-10-01T16:20:00.000+00:00",
+  workplaceType: "Hybrid",
+  jobUrl: "https://jobs.ashbyhq.com/acme/5b7d3c1e-0f6a-4e61-9b55-2f1d0c6a9a01",
+  descriptionHtml: "<p>Design end-to-end flows for our web app.</p>",
+};
+const stored = ashby.normalize(rawAshby, ctx);
+const editedAshby = ashby.normalize({ ...rawAshby, descriptionHtml: "<p>Design end-to-end flows for our web and mobile apps.</p>" }, ctx);
+const ashbyRun = findEditedPostings([editedAshby], { [stored.jobDocId]: contentHash(stored) }, new Set([stored.jobDocId]));
+eq("ashby: JD edit keeps publishedAt", editedAshby.sourceUpdatedTs.toMillis(), stored.sourceUpdatedTs.toMillis());
+eq("ashby: JD edit found by hash", ashbyRun.edited.map((j) => j.jobDocId), [stored.jobDocId]);
+eq("ashby: found edit diffs as a revision", diffJob(stored, editedAshby).fields, ["fullDescription"]);
+
+// Same Workday posting a day later: postedOn and its estimate move, the hash doesn't
+const wdUrl = "https://acme.wd5.myworkdayjobs.com/wday/cxs/acme/External/jobs";
+const rawWorkday = (postedOn) => ({
+  title: "Principal Data Scientist",
+  externalPath: "/job/Chicago-IL/Principal-Data-Scientist_R-10007",
+  postedOn,
+  detail: { title: "Principal Data Scientist", location: "Chicago, IL", jobDescription: "<p>Lead forecasting.</p>", jobReqId: "R-10007" },
+});
+const DAY_MS = 24 * 60 * 60 * 1000;
+const today = workday.normalize(rawWorkday("Posted 30+ Days Ago"), { ...ctx, url: wdUrl });
+const tomorrow = workday.normalize(rawWorkday("Posted 30+ Days Ago"),
+  { ...ctx, url: wdUrl, now: admin.firestore.Timestamp.fromMillis(now.toMillis() + DAY_MS) });
+eq("workday: re-estimated date alone is not an edit",
+  [tomorrow.sourceUpdatedTs.toMillis() > today.sourceUpdatedTs.toMillis(),
+    findEditedPostings([tomorrow], { [today.jobDocId]: contentHash(today) }, new Set([today.jobDocId])).edited.length],
+  [true, 0]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Self-tests for salary / equity extraction. Run: npm test (from functions/)
+const {
+  normalizeSalary,
+  salaryFromText,
+  salaryFromMeta,
+  mentionsEquity,
+  mentionsPay,
+  extractCompensation,
+} = require("../lib/salary.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const brief = (s) => (s ? [s.min, s.max, s.currency, s.period] : null);
+
+// ── description text ─────────────────────────────────────────────────────────
+eq("text: plain annual range", brief(salaryFromText("The base salary range for this role is $150,000 to $200,000 per year.")),
+  [150000, 200000, "USD", "year"]);
+eq("text: k suffix + en dash", brief(salaryFromText("Pay range: $120K–$150K + equity")), [120000, 150000, "USD", "year"]);
+eq("text: shared k suffix", brief(salaryFromText("Salary: $120 - 150k")), [120000, 150000, "USD", "year"]);
+eq("text: hourly with markers on both ends", brief(salaryFromText("Hourly rate: $45/hr - $60/hr")), [45, 60, "USD", "hour"]);
+eq("text: hourly annualized", (({ annualMin, annualMax }) => [annualMin, annualMax])(
+  salaryFromText("The pay for this role is $58.50 - $72.25 per hour")), [121680, 150280]);
+eq("text: currency code before", brief(salaryFromText("Compensation: USD 100,000 - 130,000")), [100000, 130000, "USD", "year"]);
+eq("text: currency code after", brief(salaryFromText("Salary range 120,000 - 150,000 USD annually")), [120000, 150000, "USD", "year"]);
+eq("text: pounds per annum", brief(salaryFromText("Salary: £60,000 - £75,000 per annum")), [60000, 75000, "GBP", "year"]);
+eq("text: CA$ beats $", brief(salaryFromText("The hiring range is CA$120,000—CA$140,000 CAD")), [120000, 140000, "CAD", "year"]);
+eq("text: pay zones spanned", brief(salaryFromText(
+  "Salary ranges by zone. Zone A: $150,000 - $180,000; Zone B: $135,000 - $160,000")), [135000, 180000, "USD", "year"]);
+eq("text: single figure", brief(salaryFromText("Base salary: $185,000 per year")), [185000, 185000, "USD", "year"]);
+eq("text: funding and headcount aren't pay", [
+  salaryFromText("We raised $50M - $100M from investors to grow."),
+  salaryFromText("Our salary bands reflect our 2,000 - 5,000 employees"),
+  salaryFromText("We process $10 - $20 billion in payments a year"),
+], [null, null, null]);
+
+// ── metadata ─────────────────────────────────────────────────────────────────
+eq("meta: greenhouse currency_range", brief(salaryFromMeta({
+  "Salary Range": { min_value: "100000.0", max_value: "150000.0", unit: "USD" },
+})), [100000, 150000, "USD", "year"]);
+eq("meta: free-text field", brief(salaryFromMeta({ Department: "Eng", "Pay Range": "$90,000 - $110,000" })),
+  [90000, 110000, "USD", "year"]);
+eq("meta wins over description", extractCompensation({
+  meta: { "Salary Range": { min_value: 100000, max_value: 120000, unit: "USD" } },
+  fullDescription: "Salary: $90,000 - $95,000. Competitive equity.",
+}), {
+  salary: { min: 100000, max: 120000, currency: "USD", period: "year", annualMin: 100000, annualMax: 120000, source: "metadata" },
+  equity: true,
+});
+
+// ── normalize (also validates AI output) ─────────────────────────────────────
+eq("normalize: swaps min/max, uppercases currency", brief(normalizeSalary({ min: 90, max: 70, currency: "eur", period: "hour" })),
+  [70, 90, "EUR", "hour"]);
+eq("normalize: rejects implausible", [
+  normalizeSalary({ min: 1, max: 2, period: "year" }),
+  normalizeSalary({ min: 20, max: 200000, currency: "USD" }),
+  normalizeSalary({ min: "n/a" }),
+], [null, null, null]);
+
+// ── equity / pay hints ───────────────────────────────────────────────────────
+eq("equity: compensation mentions", ["Competitive salary, equity and benefits", "RSUs and 401k", "generous stock options"].map(mentionsEquity),
+  [true, true, true]);
+eq("equity: DEI and pay equity ignored", ["We value pay equity across teams", "Diversity, Equity & Inclusion", "Equity and inclusion matter"].map(mentionsEquity),
+  [false, false, false]);
+eq("mentionsPay: needs pay words and an amount", [
+  mentionsPay("Salary: $95k DOE"), mentionsPay("Competitive salary"), mentionsPay("$5M raised"),
+], [true, false, false]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
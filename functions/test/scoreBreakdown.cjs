@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Self-tests for score breakdowns. Run: npm test (from functions/)
+const {
+  SCORE_DIMENSIONS,
+  SCORE_REPLY_FORMAT,
+  jobFactsForScoring,
+  parseScoreBreakdown,
+} = require("../lib/scoreBreakdown.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+// ── reply format ─────────────────────────────────────────────────────────────
+eq("format: asks for every dimension", SCORE_DIMENSIONS.every((d) => SCORE_REPLY_FORMAT.includes(`"${d}"`)), true);
+eq("format: asks for requirements", ["\"matched\"", "\"missing\""].every((k) => SCORE_REPLY_FORMAT.includes(k)), true);
+
+// ── parsing ──────────────────────────────────────────────────────────────────
+eq("parse: full reply", parseScoreBreakdown({
+  score: 72,
+  breakdown: { skills: 80, seniority: 70.4, location: 100, domain: null, compensation: "55" },
+  matched: ["Python", "AWS"],
+  missing: ["Kubernetes"],
+}), {
+  breakdown: { skills: 80, seniority: 70, location: 100, domain: null, compensation: 55 },
+  matched: ["Python", "AWS"],
+  missing: ["Kubernetes"],
+});
+eq("parse: old-style reply", parseScoreBreakdown({ score: 60, reason: "ok" }), { breakdown: null, matched: [], missing: [] });
+eq("parse: nothing parsed", parseScoreBreakdown(null), { breakdown: null, matched: [], missing: [] });
+eq("parse: all-null breakdown → null", parseScoreBreakdown({ breakdown: { skills: null, domain: "n/a" } }).breakdown, null);
+eq("parse: sub-scores clamped, unknown keys dropped", parseScoreBreakdown({ breakdown: { skills: 140, seniority: -5, vibes: 100 } }).breakdown,
+  { skills: 100, seniority: 0, location: null, domain: null, compensation: null });
+eq("parse: requirement lists cleaned", parseScoreBreakdown({ matched: ["  Go ", "", "go", null, 7, "x".repeat(200)] }).matched, ["Go", "7", "x".repeat(80)]);
+eq("parse: requirement lists capped", parseScoreBreakdown({ missing: ["a", "b", "c", "d", "e", "f", "g"] }).missing, ["a", "b", "c", "d", "e"]);
+eq("parse: non-list requirements", parseScoreBreakdown({ matched: "Python", missing: { a: 1 } }), { breakdown: null, matched: [], missing: [] });
+
+// ── job facts ────────────────────────────────────────────────────────────────
+eq("facts: location, workplace and pay", jobFactsForScoring({
+  locationName: "Seattle, WA",
+  workplace: { type: "hybrid" },
+  salary: { min: 150000, max: 190000, currency: "USD", period: "year" },
+}), "Location: Seattle, WA · hybrid\nStated pay: USD 150000-190000 per year");
+eq("facts: single amount", jobFactsForScoring({ salary: { min: 60, max: 60, currency: "USD", period: "hour" } }), "Stated pay: USD 60 per hour");
+eq("facts: nothing known", [jobFactsForScoring({}), jobFactsForScoring(null)], ["", ""]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
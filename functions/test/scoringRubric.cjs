@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Self-tests for per-user scoring rubrics. Run: npm test (from functions/)
+const {
+  DEFAULT_RUBRIC,
+  resolveScoringRubric,
+  rubricVersion,
+  buildScoringPrompt,
+  compileHardCaps,
+} = require("../lib/scoringRubric.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+// ── resolving ────────────────────────────────────────────────────────────────
+const defaults = resolveScoringRubric(null);
+eq("resolve: unset → the default rubric", defaults, DEFAULT_RUBRIC);
+eq("resolve: unset fields keep defaults", resolveScoringRubric({ scoringRubric: { targetRoles: ["Data Scientist"] } }).hardCaps, DEFAULT_RUBRIC.hardCaps);
+eq("resolve: lists cleaned and deduped", resolveScoringRubric({ scoringRubric: { mustHaveSkills: [" Python ", "", "Python", null, "SQL"] } }).mustHaveSkills, ["Python", "SQL"]);
+eq("resolve: cleared caps stay cleared", resolveScoringRubric({ scoringRubric: { hardCaps: [] } }).hardCaps, []);
+eq("resolve: bad caps dropped, scores clamped",
+  resolveScoringRubric({ scoringRubric: { hardCaps: [{ titles: ["Intern"], maxScore: 140 }, { titles: [], maxScore: 10 }, { titles: ["VP"], maxScore: "x" }] } }).hardCaps,
+  [{ titles: ["Intern"], maxScore: 100 }]);
+eq("resolve: open-ended seniority", resolveScoringRubric({ scoringRubric: { seniority: { minYears: 8, maxYears: "" } } }).seniority, { minYears: 8, maxYears: null });
+eq("resolve: swapped seniority reordered", resolveScoringRubric({ scoringRubric: { seniority: { minYears: 12, maxYears: 5 } } }).seniority, { minYears: 5, maxYears: 12 });
+
+// ── versions ─────────────────────────────────────────────────────────────────
+eq("version: stable", rubricVersion(resolveScoringRubric(null)), rubricVersion(resolveScoringRubric({})));
+eq("version: changes with the rubric", rubricVersion(defaults) === rubricVersion(resolveScoringRubric({ scoringRubric: { targetRoles: ["Data Scientist"] } })), false);
+eq("version: short hex", /^[0-9a-f]{12}$/.test(rubricVersion(defaults)), true);
+
+// ── prompt ───────────────────────────────────────────────────────────────────
+const base = buildScoringPrompt(defaults, "RESUME");
+eq("prompt: default keeps the old caps", base.includes('- Title has "Principal", "Distinguished", "VP", "Director", "Head of", "C-level" → score 0-30'), true);
+eq("prompt: default seniority", base.includes("AND right seniority level (0-8 yrs)"), true);
+eq("prompt: resume last", base.endsWith("## Candidate Resume\nRESUME"), true);
+const ds = buildScoringPrompt(resolveScoringRubric({ scoringRubric: {
+  targetRoles: ["Data Scientist", "ML Engineer"],
+  seniority: { minYears: 8, maxYears: null },
+  mustHaveSkills: ["Python", "SQL"],
+  niceToHaveSkills: ["Spark"],
+  dealBreakers: ["requires security clearance"],
+  hardCaps: [],
+} }), "R");
+eq("prompt: custom targets", ["Target roles: Data Scientist / ML Engineer", "Seniority: 8+ yrs", "Must-have skills: Python, SQL", "Nice-to-have skills: Spark"].map((t) => ds.includes(t)), [true, true, true, true]);
+eq("prompt: deal-breakers capped", ds.includes("- Job has a deal-breaker (requires security clearance) → score 0-10"), true);
+eq("prompt: a data scientist isn't capped", ds.includes('"Data Scientist" →'), false);
+eq("prompt: no seniority → no seniority line", buildScoringPrompt(resolveScoringRubric({ scoringRubric: { seniority: {} } }), "R").includes("Seniority:"), false);
+
+// ── hard caps ────────────────────────────────────────────────────────────────
+const cap = compileHardCaps(defaults);
+eq("caps: principal capped at 30", cap("Principal Software Engineer", 92), 30);
+eq("caps: tightest cap wins", cap("Product Manager Intern", 80), 15);
+eq("caps: whole words only", cap("Internal Tools Engineer", 88), 88);
+eq("caps: low scores untouched", cap("Director of Engineering", 12), 12);
+eq("caps: regex patterns", compileHardCaps(resolveScoringRubric({ scoringRubric: { hardCaps: [{ titles: ["/\\bstaff\\b/"], maxScore: 40 }] } }))("Staff Engineer", 90), 40);
+eq("caps: none", compileHardCaps(resolveScoringRubric({ scoringRubric: { hardCaps: [] } }))("Principal Engineer", 90), 90);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
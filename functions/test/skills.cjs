@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Self-tests for tech-stack tag extraction. Run: npm test (from functions/)
+const { SKILL_TAXONOMY, extractSkills, skillLabel } = require("../lib/skills.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+eq("aliases collapse to one id", extractSkills("React.js, ReactJS and React"), ["react"]);
+eq("symbols in names", extractSkills("Strong C++ or C# plus ASP.NET"), ["cpp", "csharp", "dotnet"]);
+eq("taxonomy order, not text order", extractSkills("AWS, Kubernetes, PostgreSQL and Python"), ["python", "postgres", "aws", "kubernetes"]);
+eq("case-sensitive aliases skip English words", extractSkills("We react quickly, go the extra mile and rest on weekends."), []);
+eq("case-sensitive aliases still match names", extractSkills("Services in Go and Rust behind REST APIs"), ["go", "rust", "rest"]);
+eq("no partial-word matches", extractSkills("Javanese, Pythonic, PostgreSQLite, nodes, Sparkling"), []);
+eq("JavaScript isn't Java", extractSkills("Modern JavaScript / TypeScript"), ["javascript", "typescript"]);
+eq("grouped tools share an id", extractSkills("CI/CD with GitHub Actions and Jenkins; Datadog + Grafana"), ["ci_cd", "observability"]);
+eq("empty input", [extractSkills(""), extractSkills(null)], [[], []]);
+eq("labels", ["cpp", "nodejs", "unknown"].map(skillLabel), ["C++", "Node.js", "unknown"]);
+eq("ids are unique", new Set(SKILL_TAXONOMY.map((r) => r[0])).size, SKILL_TAXONOMY.length);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// Contract tests for the ATS source adapters. Run: npm test (from functions/)
+//
+// Every adapter in lib/sources must ship a fixture in test/fixtures/ shaped
+// like its real API response. The fixture's `responses` map stands in for the
+// network: keys are GET URLs, or "POST <url> offset=<n>" for paginated POSTs.
+const fs = require("fs");
+const path = require("path");
+const { ADAPTERS, getAdapter, detectAdapter, resolveFeedAdapter } = require("../lib/sources/index.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+function stubFetchJson(responses, calls, signals = []) {
+  return async (url, _maxRetries, { body, signal } = {}) => {
+    const key = body ? `POST ${url} offset=${body.offset}` : url;
+    calls.push(key);
+    signals.push(signal);
+    if (!(key in responses)) throw new Error(`HTTP 404 Not Found for ${key}. Body: no fixture`);
+    return JSON.parse(JSON.stringify(responses[key]));
+  };
+}
+
+function pick(obj, keys) {
+  const out = {};
+  for (const k of keys) out[k] = obj ? obj[k] : undefined;
+  return out;
+}
+
+// Fixed clock so relative dates (Workday "Posted Today") stay stable
+const NOW_MS = Date.parse("2026-10-18T16:00:00.000Z");
+const now = { toMillis: () => NOW_MS, fixture: "now" };
+
+const FIXTURE_DIR = path.join(__dirname, "fixtures");
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter((f) => f.endsWith(".json"))
+  .map((f) => ({ file: f, ...JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, f), "utf8")) }));
+
+// ── registry ─────────────────────────────────────────────────────────────────
+for (const adapter of ADAPTERS) {
+  eq(`registry: ${adapter.id} has a fixture`, fixtures.some((f) => f.source === adapter.id), true);
+  eq(`registry: ${adapter.id} implements the contract`,
+    ["detect", "validate", "fetch", "normalize", "describe"].filter((fn) => typeof adapter[fn] !== "function"), []);
+  eq(`registry: ${adapter.id} declares fullListing`, typeof adapter.fullListing, "boolean");
+  for (const alias of [adapter.id, ...adapter.feedSources]) {
+    eq(`registry: "${alias}" resolves to ${adapter.id}`, getAdapter(alias)?.id, adapter.id);
+  }
+}
+eq("registry: unknown source resolves to null", getAdapter("smartrecruiters"), null);
+eq("registry: source lookup is case-insensitive", getAdapter(" Lever ")?.id, "lever");
+eq("registry: unknown URL detects nothing", detectAdapter("https://example.com/careers"), null);
+eq("registry: legacy feed without source falls back to URL",
+  resolveFeedAdapter({ source: "", url: "https://jobs.lever.co/acme" })?.id, "lever");
+eq("registry: eightfold only takes public https hosts",
+  ["http://acme.eightfold.ai/api/pcsx/search", "https://169.254.169.254/api/pcsx/search", "https://metadata.google.internal/api/pcsx/search", "https://localhost/api/pcsx/search"]
+    .map((u) => getAdapter("eightfold").validate(u).ok),
+  [false, false, false, false]);
+const { estimateWorkdayPostedMs } = getAdapter("workday");
+eq("registry: workday relative dates anchor to midnight UTC",
+  ["Posted Today", "Posted Yesterday", "Posted 3 Days Ago"].map((s) => new Date(estimateWorkdayPostedMs(s, NOW_MS)).toISOString()),
+  ["2026-10-18T00:00:00.000Z", "2026-10-17T00:00:00.000Z", "2026-10-15T00:00:00.000Z"]);
+eq("registry: workday estimate is the same all day",
+  estimateWorkdayPostedMs("Posted Today", NOW_MS + 7 * 60 * 60 * 1000), estimateWorkdayPostedMs("Posted Today", NOW_MS));
+
+// ── per-adapter contract ─────────────────────────────────────────────────────
+async function runFixture(fx) {
+  const adapter = getAdapter(fx.source);
+  const tag = adapter ? adapter.id : fx.file;
+  if (!adapter) return eq(`${fx.file}: source "${fx.source}" is registered`, false, true);
+  const { expect } = fx;
+
+  // detect / validate
+  eq(`${tag}: detects its own feed URL`, adapter.detect(fx.feedUrl), true);
+  eq(`${tag}: no other adapter claims its feed URL`,
+    ADAPTERS.filter((a) => a !== adapter && a.detect(fx.feedUrl)).map((a) => a.id), []);
+  const v = adapter.validate(fx.feedUrl);
+  eq(`${tag}: validates its own feed URL`, v.ok && typeof v.normalizedUrl === "string", true);
+  eq(`${tag}: normalizedUrl is stable`, adapter.validate(v.normalizedUrl).normalizedUrl, v.normalizedUrl);
+  const bad = adapter.validate("https://example.com/jobs");
+  eq(`${tag}: rejects a foreign URL with a message`, !bad.ok && typeof bad.error === "string" && bad.error.length > 0, true);
+
+  // fetch
+  const calls = [];
+  const fetchJson = stubFetchJson(fx.responses, calls);
+  const rawJobs = await adapter.fetch(fx.feedUrl, { recentCutoffMs: null, fetchJson, nowMs: NOW_MS });
+  eq(`${tag}: fetch returns an array`, Array.isArray(rawJobs), true);
+  eq(`${tag}: fetch returns every posting`, rawJobs.length, expect.fetched);
+  eq(`${tag}: fetch only hits fixture URLs`, calls.filter((k) => !(k in fx.responses)), []);
+  const signals = [];
+  const { signal } = new AbortController();
+  await adapter.fetch(fx.feedUrl, { recentCutoffMs: null, fetchJson: stubFetchJson(fx.responses, [], signals), nowMs: NOW_MS, signal });
+  eq(`${tag}: every request carries the fetch's abort signal`, signals.length > 0 && signals.every((s) => s === signal), true);
+  // The payload is hashed to skip unchanged boards, so nothing derived from the clock goes in it
+  const later = await adapter.fetch(fx.feedUrl, { recentCutoffMs: null, fetchJson: stubFetchJson(fx.responses, []), nowMs: NOW_MS + 3_600_000 });
+  eq(`${tag}: raw postings don't depend on the clock`, JSON.stringify(later) === JSON.stringify(rawJobs), true);
+
+  // normalize
+  const ctx = { companyName: "Acme", companyKey: "feed_acme", now, url: fx.feedUrl };
+  const jobs = rawJobs.map((j) => adapter.normalize(j, ctx)).filter(Boolean);
+  eq(`${tag}: normalize keeps the expected postings`, jobs.map((j) => j.externalId), expect.externalIds);
+
+  const missing = [];
+  for (const j of jobs) {
+    if (typeof j.jobDocId !== "string" || !j.jobDocId) missing.push(`${j.externalId}:jobDocId`);
+    if (j.source !== adapter.id) missing.push(`${j.externalId}:source`);
+    if (j.companyKey !== "feed_acme" || j.companyName !== "Acme") missing.push(`${j.externalId}:company`);
+    if (typeof j.title !== "string" || !j.title) missing.push(`${j.externalId}:title`);
+    if (!/^https:\/\//.test(j.jobUrl || "")) missing.push(`${j.externalId}:jobUrl`);
+    if (!Array.isArray(j.locationTokens) || !Array.isArray(j.stateCodes)) missing.push(`${j.externalId}:location`);
+    if (!j.sourceUpdatedTs || typeof j.sourceUpdatedTs.toMillis !== "function") missing.push(`${j.externalId}:sourceUpdatedTs`);
+    if (!j.meta || typeof j.meta !== "object") missing.push(`${j.externalId}:meta`);
+    if (!("mapLocation" in j)) missing.push(`${j.externalId}:mapLocation`);
+  }
+  eq(`${tag}: normalized jobs carry the required fields`, missing, []);
+  eq(`${tag}: jobDocIds are unique`, new Set(jobs.map((j) => j.jobDocId)).size, jobs.length);
+  eq(`${tag}: jobDocIds are deterministic`,
+    rawJobs.map((j) => adapter.normalize(j, ctx)).filter(Boolean).map((j) => j.jobDocId), jobs.map((j) => j.jobDocId));
+  eq(`${tag}: garbage input normalizes to null`,
+    [null, undefined, "posting", 42, {}].map((raw) => adapter.normalize(raw, ctx)), [null, null, null, null, null]);
+
+  const sample = jobs.find((j) => j.externalId === expect.sample.externalId);
+  const keys = Object.keys(expect.sample);
+  eq(`${tag}: sample job fields`, pick(sample, keys), expect.sample);
+
+  // describe
+  const d = expect.describe;
+  const desc = await adapter.describe(
+    { externalId: d.externalId, feedUrl: fx.feedUrl, descriptionHint: d.descriptionHint || null },
+    { fetchJson }
+  );
+  eq(`${tag}: describe returns the JD`, typeof desc === "string" && desc.includes(d.contains), true);
+  eq(`${tag}: describe without an id returns null`,
+    await adapter.describe({ externalId: null, feedUrl: fx.feedUrl, descriptionHint: null }, { fetchJson }), null);
+}
+
+(async () => {
+  for (const fx of fixtures) await runFixture(fx);
+  console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m  (${ADAPTERS.length} adapters, ${fixtures.length} fixtures)`);
+  process.exit(fail ? 1 : 0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Self-tests for fanned-out sync bookkeeping. Run: npm test (from functions/)
+const {
+  SUMMARY_COUNTERS,
+  emptySyncSummary,
+  counterIncrements,
+  summaryFromRun,
+  sumSyncSummaries,
+  feedRunResult,
+  feedTaskKey,
+  scoringRef,
+} = require("../lib/syncFanOut.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const empty = emptySyncSummary(4);
+eq("empty summary has every counter at 0", SUMMARY_COUNTERS.every((k) => empty[k] === 0), true);
+eq("empty summary keeps feedsCount", [empty.ok, empty.feedsCount], [true, 4]);
+
+const inc = (n) => ({ inc: n });
+eq("increments only non-zero counters", counterIncrements({ jobsWritten: 3, jobsClosed: 0, failedFeeds: 1, other: 9 }, inc), { failedFeeds: { inc: 1 }, jobsWritten: { inc: 3 } });
+eq("increments tolerate a missing summary", counterIncrements(undefined, inc), {});
+
+const summary = summaryFromRun({ feedsCount: 2, jobsWritten: 5, bytesSaved: "12", status: "DONE" });
+eq("summary from run doc", [summary.feedsCount, summary.jobsWritten, summary.bytesSaved, summary.jobsClosed, summary.status], [2, 5, 12, 0, undefined]);
+
+const total = sumSyncSummaries([{ jobsWritten: 2, failedFeeds: 1 }, { jobsWritten: 3 }, {}], 3);
+eq("task results add up", [total.feedsCount, total.jobsWritten, total.failedFeeds, total.jobsClosed], [3, 5, 1, 0]);
+
+const failed = feedRunResult({ ownerUid: "u1", feedId: "f1", outcome: "failed", httpStatus: 404, error: "x".repeat(900) });
+eq("feed result: defaults filled in", [failed.pages, failed.jobsWritten, failed.durationMs, failed.companyName], [0, 0, null, null]);
+eq("feed result: error capped", failed.error.length, 500);
+eq("feed result: unknown outcome reads as failed", feedRunResult({ ownerUid: "u1", feedId: "f1", outcome: "weird" }).outcome, "failed");
+
+eq("task key is a valid task id", feedTaskKey("1700000000000", "7Tojjo8l", "stripe.com/jobs"), "1700000000000-7Tojjo8l-stripe_com_jobs");
+
+const ref = scoringRef({ jobDocId: "gh_1", companyKey: "stripe", source: "greenhouse", externalId: "1", feedUrl: "u", fullDescription: "long", geo: { remote: true } });
+eq("scoring ref drops the description", ref, { jobDocId: "gh_1", companyKey: "stripe", source: "greenhouse", externalId: "1", feedUrl: "u", jobUrl: null, geo: { remote: true } });
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Self-tests for sponsorship / clearance / citizenship detection. Run: npm test (from functions/)
+const { detectWorkAuth } = require("../lib/workAuth.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const sponsorship = (t) => detectWorkAuth(t).sponsorship;
+
+// ── sponsorship ──────────────────────────────────────────────────────────────
+eq("sponsorship: refusals", [
+  "We are unable to sponsor visas for this position.",
+  "Must be authorized to work in the U.S. without the need for current or future visa sponsorship.",
+  "We do not offer visa sponsorship.",
+  "Sponsorship is not available for this role.",
+  "We can’t sponsor work visas at this time.",
+].map(sponsorship), ["unavailable", "unavailable", "unavailable", "unavailable", "unavailable"]);
+eq("sponsorship: offers", ["Visa sponsorship is available.", "We sponsor H-1B visas.", "The company offers visa sponsorship."].map(sponsorship),
+  ["available", "available", "available"]);
+eq("sponsorship: refusal wins over an offer", sponsorship("We sponsor visas for engineering roles, but we cannot sponsor for this position."),
+  "unavailable");
+eq("sponsorship: not stated", sponsorship("Competitive salary and benefits. Equal opportunity employer."), null);
+
+// ── clearance ────────────────────────────────────────────────────────────────
+eq("clearance: level + active", detectWorkAuth("Requires an active TS/SCI clearance with polygraph.").clearance, { level: "ts_sci", active: true });
+eq("clearance: obtainable", detectWorkAuth("Ability to obtain a Secret security clearance.").clearance, { level: "secret", active: false });
+eq("clearance: public trust", detectWorkAuth("Must be able to obtain a Public Trust.").clearance.level, "public_trust");
+eq("clearance: explicitly not required", detectWorkAuth("No security clearance is required.").clearance, null);
+
+// ── citizenship / export control ─────────────────────────────────────────────
+eq("citizenship only", detectWorkAuth("Must be a U.S. citizen.").citizenshipRequired, true);
+eq("ITAR with permanent residents is U.S.-person, not citizenship", (({ usPersonRequired, citizenshipRequired }) => [usPersonRequired, citizenshipRequired])(
+  detectWorkAuth("This role accesses ITAR-controlled data. Applicants must be U.S. citizens or lawful permanent residents.")), [true, false]);
+eq("U.S. person term of art", detectWorkAuth("You must be a U.S. person as defined by the EAR.").usPersonRequired, true);
+eq("inclusive language isn't a requirement", detectWorkAuth("We hire regardless of citizenship or immigration status."), {
+  sponsorship: null, clearance: null, usPersonRequired: false, citizenshipRequired: false,
+});
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
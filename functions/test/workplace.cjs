@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Self-tests for workplace classification. Run: npm test (from functions/)
+const { classifyWorkplace, workplaceFor, workplaceFromText, pinTypeFor } = require("../lib/workplace.cjs");
+
+let pass = 0, fail = 0;
+const eq = (name, got, want) => {
+  const ok = JSON.stringify(got) === JSON.stringify(want);
+  console.log(`${ok ? "\x1b[32m✓" : "\x1b[31m✗"}\x1b[0m ${name}`);
+  if (!ok) { console.log(`    got : ${JSON.stringify(got)}`); console.log(`    want: ${JSON.stringify(want)}`); fail++; } else pass++;
+};
+
+const type = (job) => classifyWorkplace(job).type;
+
+// ── structured fields ────────────────────────────────────────────────────────
+eq("ashby/lever workplaceType", ["Hybrid", "OnSite", "remote"].map((w) => type({ workplaceType: w })), ["hybrid", "onsite", "remote"]);
+eq("isRemote alone", type({ isRemote: true, locationName: "New York, NY" }), "remote");
+eq("eightfold workLocationOption", ["onsite", "flexible", "remote_local"].map((w) => type({ meta: { "Work Location": w } })),
+  ["onsite", "hybrid", "remote"]);
+eq("workday remoteType", classifyWorkplace({ meta: { "Work Location": "On-site" }, locationName: "Remote" }),
+  { type: "onsite", hybridDays: null, source: "metadata" });
+
+// ── location string ──────────────────────────────────────────────────────────
+eq("location: remote / hybrid wording", ["Remote - US", "Hybrid - San Francisco, CA", "Anywhere"].map((l) => type({ locationName: l })),
+  ["remote", "hybrid", "remote"]);
+eq("location: a place with no signal is onsite", classifyWorkplace({ locationName: "Austin, TX" }),
+  { type: "onsite", hybridDays: null, source: "location" });
+eq("nothing to go on", classifyWorkplace({}), { type: null, hybridDays: null, source: null });
+
+// ── description ──────────────────────────────────────────────────────────────
+eq("text: days then office", workplaceFromText("You'll work 3 days a week in our SF office."), { type: "hybrid", hybridDays: 3 });
+eq("text: office then days, word number", workplaceFromText("We expect you in-office at least three days per week."), { type: "hybrid", hybridDays: 3 });
+eq("text: range reports the low end", workplaceFromText("2-3 days per week onsite"), { type: "hybrid", hybridDays: 2 });
+eq("text: five days is onsite", workplaceFromText("This role requires 5 days a week in the office."), { type: "onsite", hybridDays: null });
+eq("text: not remote beats remote-first wording", workplaceFromText("We're fully remote as a company, but this is not a remote role."),
+  { type: "onsite", hybridDays: null });
+eq("text: remote role", workplaceFromText("This position is remote within the US."), { type: "remote", hybridDays: null });
+eq("description decides over a bare city", classifyWorkplace({ locationName: "Boston, MA", fullDescription: "Hybrid schedule, 2 days in office." }),
+  { type: "hybrid", hybridDays: 2, source: "description" });
+eq("structured hybrid picks up days from the JD", classifyWorkplace({ workplaceType: "Hybrid", fullDescription: "in office 4 days a week" }),
+  { type: "hybrid", hybridDays: 4, source: "source" });
+eq("unrelated numbers aren't days", workplaceFromText("3 years of experience; office snacks"), { type: null, hybridDays: null });
+
+// ── stored / map ─────────────────────────────────────────────────────────────
+eq("workplaceFor: stored wins", workplaceFor({ workplace: { type: "remote", hybridDays: null, source: "source" }, locationName: "Austin, TX" }).type, "remote");
+eq("workplaceFor: legacy job computed", workplaceFor({ locationName: "Remote (US)" }).type, "remote");
+eq("pin types", [
+  pinTypeFor({ pinType: "city" }, { type: "remote" }),
+  pinTypeFor({ pinType: "city" }, { type: "hybrid" }),
+  pinTypeFor({ pinType: "state" }, { type: "hybrid" }),
+  pinTypeFor({ pinType: "city" }, { type: "onsite" }),
+], ["remote", "hybrid", "state", "city"]);
+
+console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m`);
+process.exit(fail ? 1 : 0);
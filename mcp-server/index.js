@@ -103,7 +103,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           .where("archivedAt", "==", null)
           .get();
 
-        const feeds = feedsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+        // Drop the per-feed lifecycle id map (openJobs); it can run to hundreds of entries
+        const feeds = feedsSnap.docs.map(d => {
+          const { openJobs: _openJobs, ...feed } = d.data();
+          return { id: d.id, ...feed };
+        });
         return {
           content: [{ type: "text", text: JSON.stringify(feeds, null, 2) }],
         };
@@ -253,16 +253,7 @@ export default function App() {
       <Routes location={location} key={location.pathname}>
         <Route path="/extension-auth" element={<ExtensionAuth />} />
         <Route path="/" element={<Home user={user} userMeta={userMeta} />} />
-        <Route
-          path="/feeds"
-          element={
-            user.uid === ADMIN_UID ? (
-              <Feeds user={user} />
-            ) : (
-              <Navigate to="/" replace />
-            )
-          }
-        />
+        <Route path="/feeds" element={<Feeds user={user} preferences={preferences} />} />
         <Route
           path="/users"
           element={
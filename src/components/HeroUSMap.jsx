@@ -90,6 +90,8 @@ function AnimatedBubbles({ map, clusters, interactive = false, onBubbleClick, on
       let sumX = a._p.x * a.count;
       let sumY = a._p.y * a.count;
       let total = a.count;
+      let remote = a.remotePin || 0;
+      let hybrid = a.hybridPin || 0;
       let mergedNames = [a.city];
       for (let j = i + 1; j < projected.length; j++) {
         if (taken[j]) continue;
@@ -100,6 +102,8 @@ function AnimatedBubbles({ map, clusters, interactive = false, onBubbleClick, on
           sumX += b._p.x * b.count;
           sumY += b._p.y * b.count;
           total += b.count;
+          remote += b.remotePin || 0;
+          hybrid += b.hybridPin || 0;
           mergedNames.push(b.city);
           taken[j] = true;
         }
@@ -112,6 +116,8 @@ function AnimatedBubbles({ map, clusters, interactive = false, onBubbleClick, on
         x: sumX / total,
         y: sumY / total,
         count: total,
+        remote,
+        hybrid,
         mergedCount: mergedNames.length,
       });
     }
@@ -220,6 +226,11 @@ function AnimatedBubbles({ map, clusters, interactive = false, onBubbleClick, on
         <div className="rounded-lg bg-gray-900/90 backdrop-blur-md text-white px-2.5 py-1.5 text-[11px] font-semibold shadow-xl whitespace-nowrap">
           <span className="text-white">{hovered.city}, {hovered.state}</span>
           <span className="ml-1.5 text-indigo-300">· {hovered.count.toLocaleString()} jobs</span>
+          {(hovered.remote > 0 || hovered.hybrid > 0) && (
+            <span className="ml-1 text-gray-300 text-[10px]">
+              ({[hovered.remote > 0 && `${hovered.remote} remote`, hovered.hybrid > 0 && `${hovered.hybrid} hybrid`].filter(Boolean).join(", ")})
+            </span>
+          )}
           {hovered.mergedCount > 1 && (
             <span className="ml-1 text-gray-400 text-[10px]">+{hovered.mergedCount - 1} nearby</span>
           )}
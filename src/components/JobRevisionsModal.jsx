@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { collection, getDocs, limit, orderBy, query } from "firebase/firestore";
+import { db } from "../firebase";
+import { ADMIN_UID } from "../App.jsx";
+
+/**
+ * Change history for one job — the revisions written by the sync whenever a
+ * company edits a posting (see functions/lib/jobRevisions.cjs). Revisions are
+ * read on demand, only when the modal opens, so the Jobs list stays at one
+ * aggregation read per session.
+ */
+
+const REVISION_LIMIT = 20;
+
+const FIELD_LABELS = {
+  title: "Title",
+  locationName: "Location",
+  workplaceType: "Workplace",
+  isRemote: "Remote",
+  jobUrl: "Link",
+  fullDescription: "Description",
+};
+
+function fieldLabel(field) {
+  if (field.startsWith("meta.")) return field.slice(5);
+  return FIELD_LABELS[field] || field;
+}
+
+function formatValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (typeof v === "boolean") return v ? "Yes" : "No";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+function formatWhen(ts) {
+  const d = ts?.toDate ? ts.toDate() : null;
+  if (!d) return "Unknown time";
+  return d.toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+}
+
+export default function JobRevisionsModal({ job, onClose }) {
+  const [state, setState] = useState({ loading: true, revisions: [], error: "" });
+
+  useEffect(() => {
+    if (!job?.id) return undefined;
+    let cancelled = false;
+    const q = query(
+      collection(db, "users", ADMIN_UID, "jobs", job.id, "revisions"),
+      orderBy("at", "desc"),
+      limit(REVISION_LIMIT)
+    );
+    getDocs(q)
+      .then((snap) => {
+        if (!cancelled) setState({ loading: false, revisions: snap.docs.map((d) => ({ id: d.id, ...d.data() })), error: "" });
+      })
+      .catch((err) => {
+        console.error("Load revisions error:", err);
+        if (!cancelled) setState({ loading: false, revisions: [], error: "Could not load change history." });
+      });
+    return () => { cancelled = true; };
+  }, [job?.id]);
+
+  return (
+    <AnimatePresence>
+      {job && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-gray-900/40 backdrop-blur-sm"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-2xl shadow-xl w-full max-w-2xl overflow-hidden flex flex-col max-h-[85vh]"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between px-6 py-4 border-b border-gray-100 bg-gray-50/50">
+              <div>
+                <h3 className="text-sm font-bold text-gray-900">Posting Changes</h3>
+                <p className="text-[11px] font-semibold text-indigo-600 uppercase tracking-widest mt-0.5">
+                  {job.companyName} • {job.title}
+                </p>
+              </div>
+              <button
+                onClick={onClose}
+                className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+              >
+                <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="p-6 flex-1 overflow-y-auto space-y-6">
+              {state.loading ? (
+                <p className="text-sm text-gray-400 text-center py-8">Loading history…</p>
+              ) : state.error ? (
+                <div className="p-4 bg-red-50 text-red-600 rounded-xl text-sm ring-1 ring-inset ring-red-200">{state.error}</div>
+              ) : state.revisions.length === 0 ? (
+                <p className="text-sm text-gray-400 text-center py-8">No edits recorded for this posting.</p>
+              ) : (
+                state.revisions.map((rev) => (
+                  <section key={rev.id}>
+                    <p className="caps-label mb-2">{formatWhen(rev.at)}</p>
+
+                    {Array.isArray(rev.changes) && rev.changes.length > 0 && (
+                      <table className="w-full text-xs mb-3">
+                        <tbody>
+                          {rev.changes.map((c) => (
+                            <tr key={c.field} className="border-b border-gray-50 align-top">
+                              <td className="py-1.5 pr-3 font-bold text-gray-700 whitespace-nowrap">{fieldLabel(c.field)}</td>
+                              <td className="py-1.5 pr-3 text-red-600 line-through break-all">{formatValue(c.from)}</td>
+                              <td className="py-1.5 text-emerald-700 break-all">{formatValue(c.to)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+
+                    {rev.description && (
+                      <div className="rounded-xl ring-1 ring-gray-100 bg-gray-50/60 p-3 text-xs space-y-1.5">
+                        <p className="font-bold text-gray-700">
+                          Description rewritten: +{rev.description.addedCount} / −{rev.description.removedCount} lines
+                        </p>
+                        {(rev.description.removed || []).map((line, i) => (
+                          <p key={`r${i}`} className="font-mono text-red-600 whitespace-pre-wrap">− {line}</p>
+                        ))}
+                        {(rev.description.added || []).map((line, i) => (
+                          <p key={`a${i}`} className="font-mono text-emerald-700 whitespace-pre-wrap">+ {line}</p>
+                        ))}
+                      </div>
+                    )}
+                  </section>
+                ))
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
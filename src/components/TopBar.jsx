@@ -42,11 +42,9 @@ export default function TopBar({ user, userMeta, onLogout, extInstalled }) {
           {user && (
             <div className="hidden md:flex items-center gap-2">
               <NavButton active={location.pathname === "/"} to="/" icon={HomeIcon}>Dashboard</NavButton>
+              <NavButton active={location.pathname === "/feeds"} to="/feeds" icon={RssIcon}>Feeds</NavButton>
               {user.uid === ADMIN_UID && (
-                <>
-                  <NavButton active={location.pathname === "/feeds"} to="/feeds" icon={RssIcon}>Feeds</NavButton>
-                  <NavButton active={location.pathname === "/users"} to="/users" icon={UsersIcon}>Users</NavButton>
-                </>
+                <NavButton active={location.pathname === "/users"} to="/users" icon={UsersIcon}>Users</NavButton>
               )}
               <NavButton active={location.pathname === "/jobs"} to="/jobs" icon={BriefcaseIcon}>Jobs</NavButton>
               <NavButton active={location.pathname === "/history"} to="/history" icon={ClockIcon}>History</NavButton>
@@ -133,11 +131,9 @@ export default function TopBar({ user, userMeta, onLogout, extInstalled }) {
           >
             <div className="space-y-1 px-4 py-4">
               <MobileNavButton active={location.pathname === "/"} to="/" icon={HomeIcon} onClick={() => setIsMenuOpen(false)}>Dashboard</MobileNavButton>
+              <MobileNavButton active={location.pathname === "/feeds"} to="/feeds" icon={RssIcon} onClick={() => setIsMenuOpen(false)}>Feeds</MobileNavButton>
               {user.uid === ADMIN_UID && (
-                <>
-                  <MobileNavButton active={location.pathname === "/feeds"} to="/feeds" icon={RssIcon} onClick={() => setIsMenuOpen(false)}>Feeds</MobileNavButton>
-                  <MobileNavButton active={location.pathname === "/users"} to="/users" icon={UsersIcon} onClick={() => setIsMenuOpen(false)}>Users</MobileNavButton>
-                </>
+                <MobileNavButton active={location.pathname === "/users"} to="/users" icon={UsersIcon} onClick={() => setIsMenuOpen(false)}>Users</MobileNavButton>
               )}
               <MobileNavButton active={location.pathname === "/jobs"} to="/jobs" icon={BriefcaseIcon} onClick={() => setIsMenuOpen(false)}>Jobs</MobileNavButton>
               <MobileNavButton active={location.pathname === "/history"} to="/history" icon={ClockIcon} onClick={() => setIsMenuOpen(false)}>History</MobileNavButton>
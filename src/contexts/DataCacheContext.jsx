@@ -17,7 +17,8 @@ export function DataCacheProvider({ children }) {
   const getCached = useCallback((key) => {
     const entry = cache.current[key];
     if (!entry) return null;
-    if (Date.now() - entry.fetchedAt > (TTL[key] || 120_000)) {
+    // Per-owner keys ("companyStats:<uid>") share their prefix's TTL
+    if (Date.now() - entry.fetchedAt > (TTL[key.split(":")[0]] || 120_000)) {
       delete cache.current[key];
       return null;
     }
@@ -47,14 +48,16 @@ export function DataCacheProvider({ children }) {
     return data;
   }, [getCached, setCached]);
 
-  const getCompanyStats = useCallback(async () => {
-    const cached = getCached("companyStats");
+  // ownerUid: a user with their own feed selection has personal companyStats
+  const getCompanyStats = useCallback(async (ownerUid = ADMIN_UID) => {
+    const key = ownerUid === ADMIN_UID ? "companyStats" : `companyStats:${ownerUid}`;
+    const cached = getCached(key);
     if (cached) return cached;
 
-    const snap = await getDoc(doc(db, "users", ADMIN_UID, "aggregations", "companyStats"));
+    const snap = await getDoc(doc(db, "users", ownerUid, "aggregations", "companyStats"));
     if (!snap.exists()) return { companies: {}, totalCompanies: 0 };
     const data = snap.data();
-    setCached("companyStats", data);
+    setCached(key, data);
     return data;
   }, [getCached, setCached]);
 
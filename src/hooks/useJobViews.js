@@ -0,0 +1,66 @@
+/**
+ * useJobViews.js — "when did I last look at this job?" per user.
+ *
+ * Backs the "changed since you last looked" indicator on the Jobs page.
+ * Stored as a single map doc so the whole list costs one read per session:
+ *
+ *   /users/{uid}/settings/jobViews  →  { seen: { [jobId]: epochMs } }
+ *
+ * A job counts as looked at when its posting is opened or its change
+ * history is viewed. The map is trimmed to the newest MAX_ENTRIES so the
+ * doc stays far below Firestore's 1 MiB ceiling.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { doc, onSnapshot, setDoc } from "firebase/firestore";
+import { db } from "../firebase";
+
+const MAX_ENTRIES = 2000;
+
+export function useJobViews(uid) {
+  const [seen, setSeen] = useState({});
+  const seenRef = useRef(seen);
+
+  useEffect(() => {
+    seenRef.current = seen;
+  }, [seen]);
+
+  useEffect(() => {
+    if (!uid) return undefined;
+    const ref = doc(db, "users", uid, "settings", "jobViews");
+    return onSnapshot(
+      ref,
+      (snap) => {
+        const data = snap.exists() ? snap.data() : null;
+        setSeen(data && typeof data.seen === "object" ? data.seen : {});
+      },
+      (err) => {
+        console.warn("jobViews snapshot error:", err);
+        setSeen({});
+      }
+    );
+  }, [uid]);
+
+  const markSeen = useCallback(async (jobId) => {
+    if (!uid || !jobId) return;
+    const ref = doc(db, "users", uid, "settings", "jobViews");
+    const now = Date.now();
+    const current = seenRef.current;
+    try {
+      if (Object.keys(current).length >= MAX_ENTRIES) {
+        const trimmed = Object.fromEntries(
+          Object.entries(current)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_ENTRIES - 1)
+        );
+        await setDoc(ref, { seen: { ...trimmed, [jobId]: now } });
+      } else {
+        await setDoc(ref, { seen: { [jobId]: now } }, { merge: true });
+      }
+    } catch (err) {
+      console.warn("jobViews update failed:", err);
+    }
+  }, [uid]);
+
+  return { seen, markSeen };
+}
@@ -0,0 +1,66 @@
+// ── Job facets ───────────────────────────────────────────────────────────────
+// Labels for the seniority / role-family tags written by
+// functions/lib/jobClassifier.cjs — keep the value lists in sync.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const SENIORITY_OPTIONS = [
+  { value: "intern", label: "Intern" },
+  { value: "entry", label: "Entry" },
+  { value: "mid", label: "Mid" },
+  { value: "senior", label: "Senior" },
+  { value: "staff", label: "Staff" },
+  { value: "principal", label: "Principal" },
+  { value: "manager", label: "Manager" },
+  { value: "director", label: "Director+" },
+];
+
+export const ROLE_FAMILY_OPTIONS = [
+  { value: "backend", label: "Backend" },
+  { value: "frontend", label: "Frontend" },
+  { value: "fullstack", label: "Full Stack" },
+  { value: "mobile", label: "Mobile" },
+  { value: "infra", label: "Infra / SRE" },
+  { value: "security", label: "Security" },
+  { value: "ml", label: "ML / AI" },
+  { value: "data", label: "Data" },
+  { value: "qa", label: "QA" },
+  { value: "hardware", label: "Hardware" },
+  { value: "software", label: "Software (General)" },
+  { value: "pm", label: "Product / Program" },
+  { value: "design", label: "Design" },
+  { value: "sales", label: "Sales" },
+  { value: "marketing", label: "Marketing" },
+  { value: "recruiting", label: "Recruiting / People" },
+  { value: "finance", label: "Finance" },
+  { value: "support", label: "Support / Success" },
+  { value: "legal", label: "Legal" },
+  { value: "operations", label: "Operations" },
+  { value: "other", label: "Other" },
+];
+
+/** "a,b" URL param → valid values only. */
+export function parseFacetParam(raw, options) {
+  const allowed = new Set(options.map((o) => o.value));
+  return String(raw || "").split(",").map((s) => s.trim()).filter((s) => allowed.has(s));
+}
+
+// Normalized workplace from functions/lib/workplace.cjs
+export const WORKPLACE_OPTIONS = [
+  { value: "remote", label: "Remote" },
+  { value: "hybrid", label: "Hybrid" },
+  { value: "onsite", label: "Onsite" },
+];
+
+/** Workplace type for a list row; rows projected before `workplace` existed fall back to isRemote. */
+export function workplaceOf(job) {
+  return job?.workplace?.type || (job?.isRemote === true ? "remote" : null);
+}
+
+/** Short label for the job row, e.g. "Hybrid · 3 days in office". */
+export function workplaceLabel(job) {
+  const type = workplaceOf(job);
+  if (!type) return "";
+  const label = WORKPLACE_OPTIONS.find((o) => o.value === type).label;
+  const days = job.workplace?.hybridDays;
+  return type === "hybrid" && days ? `${label} · ${days} day${days === 1 ? "" : "s"} in office` : label;
+}
@@ -0,0 +1,98 @@
+// ── Location preferences ─────────────────────────────────────────────────────
+// Client mirror of functions/lib/locationPrefs.cjs — keep the two in sync.
+// Stored at users/{uid}/settings/preferences.locationFilter:
+//   { countries: ["US"], regions: ["US-WA"], cities: ["London"], remote }
+// where remote is "none" | "country" | "anywhere". Jobs carry `geo`, the
+// classification written at sync time; older jobs fall back to stateCodes.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const REMOTE_SCOPES = [
+  { value: "none", label: "No remote roles" },
+  { value: "country", label: "Remote in my countries" },
+  { value: "anywhere", label: "Remote anywhere" },
+];
+
+export const DEFAULT_LOCATION_PREFS = { countries: ["US"], regions: [], cities: [], remote: "country" };
+
+// Countries the backend can resolve (COUNTRY_NAMES in locationNormalizer.cjs)
+export const COUNTRY_OPTIONS = [
+  { code: "US", name: "United States" }, { code: "CA", name: "Canada" }, { code: "GB", name: "United Kingdom" },
+  { code: "IE", name: "Ireland" }, { code: "DE", name: "Germany" }, { code: "FR", name: "France" },
+  { code: "NL", name: "Netherlands" }, { code: "ES", name: "Spain" }, { code: "PT", name: "Portugal" },
+  { code: "IT", name: "Italy" }, { code: "PL", name: "Poland" }, { code: "SE", name: "Sweden" },
+  { code: "DK", name: "Denmark" }, { code: "NO", name: "Norway" }, { code: "FI", name: "Finland" },
+  { code: "CH", name: "Switzerland" }, { code: "AT", name: "Austria" }, { code: "BE", name: "Belgium" },
+  { code: "CZ", name: "Czechia" }, { code: "EE", name: "Estonia" }, { code: "IN", name: "India" },
+  { code: "SG", name: "Singapore" }, { code: "JP", name: "Japan" }, { code: "KR", name: "South Korea" },
+  { code: "AU", name: "Australia" }, { code: "NZ", name: "New Zealand" }, { code: "IL", name: "Israel" },
+  { code: "AE", name: "United Arab Emirates" }, { code: "MX", name: "Mexico" }, { code: "BR", name: "Brazil" },
+  { code: "AR", name: "Argentina" }, { code: "CO", name: "Colombia" }, { code: "PH", name: "Philippines" },
+];
+
+const SCOPE_VALUES = REMOTE_SCOPES.map((s) => s.value);
+
+function cleanList(v, re, upper) {
+  if (!Array.isArray(v)) return [];
+  const out = v
+    .map((x) => String(x || "").trim())
+    .map((x) => (upper ? x.toUpperCase() : x))
+    .filter((x) => re.test(x));
+  return [...new Set(out)].sort();
+}
+
+export function resolveLocationPrefs(prefs) {
+  const raw = prefs && typeof prefs.locationFilter === "object" && prefs.locationFilter;
+  if (!raw) return { ...DEFAULT_LOCATION_PREFS, countries: [...DEFAULT_LOCATION_PREFS.countries] };
+  return {
+    countries: cleanList(raw.countries, /^[A-Z]{2}$/, true),
+    regions: cleanList(raw.regions, /^[A-Z]{2}-[A-Z0-9]{1,3}$/, true),
+    cities: cleanList(raw.cities, /^\S.{0,59}$/, false),
+    remote: SCOPE_VALUES.includes(raw.remote) ? raw.remote : DEFAULT_LOCATION_PREFS.remote,
+  };
+}
+
+const hasPlaces = (p) => p.countries.length + p.regions.length + p.cities.length > 0;
+
+function geoForJob(job) {
+  if (job?.geo && Array.isArray(job.geo.countries)) return job.geo;
+  const stateCodes = Array.isArray(job?.stateCodes) ? job.stateCodes : [];
+  const remote = job?.isRemote === true;
+  return {
+    countries: ["US"],
+    regions: stateCodes.map((s) => `US-${s}`),
+    cities: [],
+    remote,
+    remoteCountries: remote ? ["US"] : [],
+  };
+}
+
+export function jobMatchesLocationPrefs(job, prefs) {
+  const geo = geoForJob(job);
+  const restricted = hasPlaces(prefs);
+
+  const onsite = geo.countries.length > 0 || geo.cities.length > 0 || !geo.remote;
+  if (onsite) {
+    if (!restricted) return true;
+    const cities = new Set(prefs.cities.map((c) => c.toLowerCase()));
+    if (geo.cities.some((c) => cities.has(String(c).toLowerCase()))) return true;
+    if (geo.regions.some((r) => prefs.regions.includes(r))) return true;
+    if (geo.countries.some((c) => prefs.countries.includes(c))) return true;
+  }
+
+  if (geo.remote) {
+    if (prefs.remote === "anywhere") return true;
+    if (prefs.remote === "country") {
+      if (!restricted) return true;
+      const allowed = new Set([...prefs.countries, ...prefs.regions.map((r) => r.slice(0, 2))]);
+      return (geo.remoteCountries || []).some((c) => allowed.has(c));
+    }
+  }
+  return false;
+}
+
+/** Short human summary: "US, CA-ON, London · remote in my countries". */
+export function describeLocationPrefs(prefs) {
+  const places = [...prefs.countries, ...prefs.regions, ...prefs.cities];
+  const scope = REMOTE_SCOPES.find((s) => s.value === prefs.remote)?.label.toLowerCase();
+  return `${places.length ? places.join(", ") : "Anywhere"} · ${scope}`;
+}
@@ -0,0 +1,24 @@
+// ── Rescoring ────────────────────────────────────────────────────────────────
+// Stale-score and progress helpers over /users/{uid}/aggregations/scoringStatus,
+// mirroring functions/lib/rescore.cjs:
+//   { current: { resumeHash, rubricVersion },
+//     rescore: { state, reason, total, done, requestedAt, finishedAt, error } }
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Whether a myJobScores entry was made from another resume or rubric than
+ * the current one. Estimates don't use the rubric, so only the resume counts.
+ */
+export function isScoreStale(score, current) {
+  if (!score || !current) return false;
+  if (current.resumeHash && score.resumeHash !== current.resumeHash) return true;
+  if ((score.source || "ai") === "ai" && current.rubricVersion && score.rubricVersion !== current.rubricVersion) return true;
+  return false;
+}
+
+/** In-progress rescore as { done, total, reason }, or null when none is running. */
+export function rescoreProgress(status) {
+  const r = status?.rescore;
+  if (!r || (r.state !== "queued" && r.state !== "running")) return null;
+  return { done: r.done || 0, total: r.total || 0, reason: r.reason === "rubric" ? "rubric" : "resume" };
+}
@@ -0,0 +1,27 @@
+// ── Manual sync ──────────────────────────────────────────────────────────────
+// Client for the runSyncNow HTTP function (functions/index.js). No feedId =
+// full fanned-out run (admin, answers 202); feedId = that one board now,
+// ignoring its backoff; ownerUid lets the admin retry another user's board;
+// backfill re-reads every open posting on it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { db } from "../firebase";
+
+export async function callRunSyncNow(user, { feedId = null, ownerUid = null, backfill = false } = {}) {
+  const projectId = import.meta.env.VITE_FIREBASE_PROJECT_ID || db.app.options.projectId;
+  if (!projectId) throw new Error("Missing project id env.");
+  const idToken = await user.getIdToken();
+  let endpoint = `https://us-central1-${projectId}.cloudfunctions.net/runSyncNow?userId=${encodeURIComponent(user.uid)}`;
+  if (feedId) endpoint += `&feedId=${encodeURIComponent(feedId)}`;
+  if (ownerUid) endpoint += `&ownerUid=${encodeURIComponent(ownerUid)}`;
+  if (backfill) endpoint += "&backfill=1";
+  const resp = await fetch(endpoint, {
+    method: "GET",
+    headers: {
+      "X-Session-Token": localStorage.getItem("jw_session_token") || "",
+      "Authorization": `Bearer ${idToken}`
+    }
+  });
+  const data = await resp.json().catch(() => ({}));
+  return { resp, data };
+}
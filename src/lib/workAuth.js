@@ -0,0 +1,47 @@
+// ── Work authorization ───────────────────────────────────────────────────────
+// Display + filter helpers for `job.workAuth`, the requirement flags detected
+// at sync time by functions/lib/workAuth.cjs:
+//   { sponsorship: "available" | "unavailable" | null,
+//     clearance: { level, active } | null, usPersonRequired, citizenshipRequired }
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CLEARANCE_LABELS = {
+  public_trust: "Public Trust",
+  confidential: "Confidential",
+  secret: "Secret",
+  top_secret: "Top Secret",
+  ts_sci: "TS/SCI",
+  unspecified: "Clearance",
+};
+
+// "Hide …" toggles on the Jobs page; each predicate is true for jobs to drop
+export const WORK_AUTH_FILTERS = [
+  { value: "no-sponsorship", label: "No sponsorship", hides: (wa) => wa?.sponsorship === "unavailable" },
+  { value: "clearance", label: "Clearance required", hides: (wa) => Boolean(wa?.clearance) },
+  { value: "citizenship", label: "Citizens / U.S. persons only", hides: (wa) => Boolean(wa?.citizenshipRequired || wa?.usPersonRequired) },
+];
+
+/** The hide toggles implied by the profile's compliance answers (Profile → Application Defaults). */
+export function workAuthFiltersForProfile(userMeta) {
+  const needsSponsorship = userMeta?.requiresSponsorship === "Yes";
+  const notUsPerson = userMeta?.usPersonExportControl === "No" || needsSponsorship;
+  return [
+    ...(needsSponsorship ? ["no-sponsorship"] : []),
+    ...(notUsPerson ? ["clearance", "citizenship"] : []),
+  ];
+}
+
+/** Short chips for a job row: [{ label, tone: "good" | "warn" }]. */
+export function workAuthBadges(wa) {
+  if (!wa) return [];
+  const out = [];
+  if (wa.sponsorship === "available") out.push({ label: "Sponsors visas", tone: "good" });
+  if (wa.sponsorship === "unavailable") out.push({ label: "No sponsorship", tone: "warn" });
+  if (wa.clearance) {
+    const level = CLEARANCE_LABELS[wa.clearance.level] || "Clearance";
+    out.push({ label: wa.clearance.active ? `Active ${level}` : `${level} eligible`, tone: "warn" });
+  }
+  if (wa.citizenshipRequired) out.push({ label: "U.S. citizens only", tone: "warn" });
+  else if (wa.usPersonRequired) out.push({ label: "U.S. persons (export control)", tone: "warn" });
+  return out;
+}
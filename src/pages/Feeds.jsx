@@ -4,17 +4,20 @@ import { useSearchParams } from "react-router-dom";
 import {
   addDoc,
   collection,
+  deleteField,
   doc,
   onSnapshot,
   orderBy,
   query,
   serverTimestamp,
+  setDoc,
   updateDoc,
 } from "firebase/firestore";
 import { db } from "../firebase";
 import { useToast } from "../components/Toast/ToastProvider.jsx";
 import { ADMIN_UID } from "../App.jsx";
 import { track } from "../lib/analytics.js";
+import { callRunSyncNow } from "../lib/runSyncNow.js";
 
 const ScrollReveal = ({ children, delay = 0 }) => {
   const [isVisible, setIsVisible] = useState(false);
@@ -69,6 +72,32 @@ const URL_RULES = {
     isValid: (u) => /\/api\/pcsx\/search/i.test(u),
     normalize: (u) => u.trim(),
   },
+  lever: {
+    label: "Lever Postings API",
+    placeholder: "https://api.lever.co/v0/postings/<company>?mode=json",
+    isValid: (u) =>
+      /^https:\/\/(?:api\.lever\.co\/v0\/postings|jobs\.lever\.co)\/[^/?#]+\/?(?:\?.*)?$/i.test(u),
+    // Public board links (jobs.lever.co/<company>) are rewritten to the JSON API
+    normalize: (u) => {
+      const m = u.trim().match(/^https:\/\/(?:api\.lever\.co\/v0\/postings|jobs\.lever\.co)\/([^/?#]+)/i);
+      return `https://api.lever.co/v0/postings/${m[1].toLowerCase()}?mode=json`;
+    },
+  },
+  workday: {
+    label: "Workday Career Site API",
+    placeholder: "https://<tenant>.wd5.myworkdayjobs.com/wday/cxs/<tenant>/<site>/jobs",
+    isValid: (u) =>
+      /^https:\/\/[^/]+\.myworkdayjobs\.com\/(?:wday\/cxs\/[^/]+\/[^/?#]+\/jobs|(?:[a-z]{2}-[A-Z]{2}\/)?[^/?#]+)\/?(?:\?.*)?$/i.test(u),
+    // Public career-site links (…myworkdayjobs.com/en-US/<site>) are rewritten to the CXS jobs API
+    normalize: (u) => {
+      const clean = u.trim().replace(/[?#].*$/, "").replace(/\/$/, "");
+      if (/\/wday\/cxs\//i.test(clean)) return clean;
+      const { hostname, pathname } = new URL(clean);
+      const tenant = hostname.split(".")[0];
+      const site = pathname.split("/").filter(Boolean).pop();
+      return `https://${hostname}/wday/cxs/${tenant}/${site}/jobs`;
+    },
+  },
   netflix: {
     label: "Netflix Careers API",
     placeholder: "https://explore.jobs.netflix.net/api/apply/v2/jobs?domain=netflix.com&...",
@@ -81,6 +110,8 @@ function detectSourceFromUrl(raw) {
   const u = (raw || "").trim().toLowerCase();
   if (u.includes("boards-api.greenhouse.io/v1/boards/")) return "greenhouse";
   if (u.includes("api.ashbyhq.com/posting-api/job-board/")) return "ashby";
+  if (u.includes("api.lever.co/v0/postings/") || u.includes("jobs.lever.co/")) return "lever";
+  if (u.includes(".myworkdayjobs.com/")) return "workday";
   if (u.includes("explore.jobs.netflix.net/api/apply/v2/jobs")) return "netflix";
   if (u.includes("/api/pcsx/search")) return "eightfold";
   return "greenhouse";
@@ -89,6 +120,8 @@ function detectSourceFromUrl(raw) {
 function prettySourceLabel(source) {
   if (source === "ashby" || source === "ashbyhq") return "AshbyHQ";
   if (source === "eightfold") return "Eightfold.ai";
+  if (source === "lever") return "Lever";
+  if (source === "workday") return "Workday";
   if (source === "netflix") return "Netflix";
   return "Greenhouse";
 }
@@ -106,11 +139,15 @@ function validateUrlForSource(source, rawUrl) {
     error:
       source === "ashby"
         ? "Ashby URL should look like: https://api.ashbyhq.com/posting-api/job-board/<company>"
-        : source === "eightfold"
-          ? "Eightfold/Microsoft URL should look like: https://<domain>/api/pcsx/search?domain=<domain>&..."
-          : source === "netflix"
-            ? "Netflix URL should look like: https://explore.jobs.netflix.net/api/apply/v2/jobs?domain=netflix.com&..."
-            : "Greenhouse URL should look like: https://boards-api.greenhouse.io/v1/boards/<company>/jobs",
+        : source === "lever"
+          ? "Lever URL should look like: https://api.lever.co/v0/postings/<company>?mode=json"
+          : source === "workday"
+            ? "Workday URL should look like: https://<tenant>.wd5.myworkdayjobs.com/wday/cxs/<tenant>/<site>/jobs"
+            : source === "eightfold"
+              ? "Eightfold/Microsoft URL should look like: https://<domain>/api/pcsx/search?domain=<domain>&..."
+              : source === "netflix"
+                ? "Netflix URL should look like: https://explore.jobs.netflix.net/api/apply/v2/jobs?domain=netflix.com&..."
+                : "Greenhouse URL should look like: https://boards-api.greenhouse.io/v1/boards/<company>/jobs",
     };
   }
   return { ok: true, normalizedUrl: rules.normalize(cleanUrl) };
@@ -134,6 +171,15 @@ function getDomainFromFeed(feed) {
       const boardIdx = parts.indexOf("boards");
       if (boardIdx !== -1 && parts[boardIdx + 1]) return `${parts[boardIdx + 1]}.com`;
     }
+    // Lever
+    if (url.includes("lever.co")) {
+      const match = url.match(/lever\.co\/(?:v0\/postings\/)?([^/?#]+)/);
+      if (match) return `${match[1]}.com`;
+    }
+    // Workday (tenant subdomain is usually the company name)
+    if (url.includes("myworkdayjobs.com")) {
+      return `${new URL(url).hostname.split(".")[0]}.com`;
+    }
     // Ashby
     if (url.includes("ashbyhq.com")) {
       const parts = url.split("/");
@@ -181,43 +227,135 @@ const LogoImage = ({ src, alt, company }) => {
   );
 };
 
-export default function Feeds({ user }) {
+function formatWait(ms) {
+  const mins = Math.max(1, Math.round(ms / 60000));
+  if (mins < 60) return `${mins}m`;
+  const hours = Math.round(mins / 60);
+  return hours < 24 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+}
+
+// Circuit-breaker state written by the sync (functions/lib/feedHealth.cjs)
+function describeFeedHealth(feed) {
+  const h = feed.health;
+  if (!h && !feed.lastError) return null;
+
+  const failures = h?.consecutiveFailures || 0;
+  const nextMs = h?.nextAttemptAt?.toMillis ? h.nextAttemptAt.toMillis() : null;
+  const details = [
+    feed.lastError ? `Last error: ${feed.lastError}` : null,
+    typeof h?.avgLatencyMs === "number" ? `Avg fetch: ${(h.avgLatencyMs / 1000).toFixed(1)}s` : null,
+    h?.lastSuccessAt?.toDate ? `Last success: ${h.lastSuccessAt.toDate().toLocaleString()}` : null,
+  ].filter(Boolean).join("\n");
+
+  if (h?.state === "backoff") {
+    const waitMs = nextMs ? nextMs - Date.now() : 0;
+    return {
+      label: waitMs > 0 ? `Paused · retry in ${formatWait(waitMs)}` : "Paused · probing",
+      cls: "bg-red-50 text-red-700 ring-red-600/20",
+      dot: "bg-red-500",
+      details,
+    };
+  }
+  if (h?.state === "degraded" || (!h && feed.lastError)) {
+    return {
+      label: failures > 0 ? `Degraded · ${failures} failure${failures === 1 ? "" : "s"}` : "Degraded",
+      cls: "bg-amber-50 text-amber-700 ring-amber-600/20",
+      dot: "bg-amber-500",
+      details,
+    };
+  }
+  return { label: "Healthy", cls: "bg-emerald-50 text-emerald-700 ring-emerald-600/20", dot: "bg-emerald-500", details };
+}
+
+// Historical backfill progress (functions/lib/feedBackfill.cjs)
+function describeBackfill(feed) {
+  const b = feed.backfill;
+  if (!b) return null;
+  if (b.state === "running") return "Backfilling open jobs…";
+  if (b.state === "scoring") {
+    return `Backfilled ${b.jobsWritten || 0} · scoring ${b.scoreRemaining || 0} left`;
+  }
+  if (b.state === "failed") return "Backfill failed";
+  return null;
+}
+
+const FeedHealthBadge = ({ feed }) => {
+  const health = describeFeedHealth(feed);
+  if (!health) return null;
+  return (
+    <span
+      className={`mt-2 inline-flex items-center gap-1.5 rounded-full px-2 py-0.5 text-[9px] font-black uppercase tracking-widest ring-1 ring-inset ${health.cls}`}
+      title={health.details || undefined}
+    >
+      <span className={`w-1.5 h-1.5 rounded-full ${health.dot}`} />
+      {health.label}
+    </span>
+  );
+};
+
+export default function Feeds({ user, preferences }) {
   const { showToast } = useToast();
   const [searchParams] = useSearchParams();
+  const isAdmin = user.uid === ADMIN_UID;
 
   const [company, setCompany] = useState(searchParams.get("company") || "");
   const [url, setUrl] = useState(searchParams.get("url") || "");
   const [feeds, setFeeds] = useState([]);
+  const [catalog, setCatalog] = useState([]);
   const [busyArchiveId, setBusyArchiveId] = useState(null);
   const [busyRunNow, setBusyRunNow] = useState(false);
+  const [busyRetryId, setBusyRetryId] = useState(null);
+  const [busyBackfillId, setBusyBackfillId] = useState(null);
+  const [busyFollowId, setBusyFollowId] = useState(null);
 
   const LOGO_KEY = import.meta.env.VITE_LOGO_DEV_KEY || "";
 
+  // Everyone manages their own feeds; the admin's double as the shared catalog
   useEffect(() => {
-    const feedsRef = collection(db, "users", ADMIN_UID, "feeds");
+    const feedsRef = collection(db, "users", user.uid, "feeds");
     const qFeeds = query(feedsRef, orderBy("createdAt", "desc"));
     return onSnapshot(qFeeds, (snap) =>
       setFeeds(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
     );
   }, [user.uid]);
 
+  useEffect(() => {
+    if (isAdmin) return undefined;
+    const qCatalog = query(collection(db, "users", ADMIN_UID, "feeds"), orderBy("company"));
+    return onSnapshot(qCatalog, (snap) =>
+      setCatalog(snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((f) => !f.archivedAt))
+    );
+  }, [isAdmin]);
+
   const activeFeeds = useMemo(() => feeds.filter((f) => !f.archivedAt), [feeds]);
   const archivedFeeds = useMemo(() => feeds.filter((f) => !!f.archivedAt), [feeds]);
 
+  // preferences.feedSubscriptions: catalog feed ids; missing = follow the whole catalog
+  const subscriptions = Array.isArray(preferences?.feedSubscriptions) ? preferences.feedSubscriptions : null;
+  const followedIds = useMemo(
+    () => new Set(subscriptions ?? catalog.map((f) => f.id)),
+    [subscriptions, catalog]
+  );
+  const followedCatalog = useMemo(() => catalog.filter((f) => followedIds.has(f.id)), [catalog, followedIds]);
+
   const feedStats = useMemo(() => {
-    const counts = { greenhouse: 0, ashby: 0, eightfold: 0 };
-    for (const f of activeFeeds) {
+    const counts = { greenhouse: 0, ashby: 0, lever: 0, workday: 0, eightfold: 0 };
+    for (const f of [...activeFeeds, ...followedCatalog]) {
       const src = f.source || detectSourceFromUrl(f.url);
       if (src === "greenhouse") counts.greenhouse++;
       else if (src === "ashby") counts.ashby++;
+      else if (src === "lever") counts.lever++;
+      else if (src === "workday") counts.workday++;
       else counts.eightfold++; // eightfold + netflix + anything else
     }
     return [
       { name: "Greenhouse", value: counts.greenhouse },
       { name: "AshbyHQ", value: counts.ashby },
+      { name: "Lever", value: counts.lever },
+      { name: "Workday", value: counts.workday },
       { name: "Eightfold.ai", value: counts.eightfold },
     ];
-  }, [activeFeeds]);
+  }, [activeFeeds, followedCatalog]);
   const detectedSource = useMemo(() => detectSourceFromUrl(url), [url]);
 
   async function addFeed(e) {
@@ -240,8 +378,20 @@ export default function Feeds({ user }) {
       return;
     }
 
+    // Already in the catalog: follow it rather than adding a second copy
+    const inCatalog = catalog.find((f) => (f.url || "").toLowerCase() === candidate);
+    if (inCatalog) {
+      if (!followedIds.has(inCatalog.id)) await toggleFollow(inCatalog);
+      showToast(`${inCatalog.company} is in the shared catalog — following it.`, "info");
+      setCompany("");
+      setUrl("");
+      return;
+    }
+
     try {
-      await addDoc(collection(db, "users", ADMIN_UID, "feeds"), {
+      // Own feeds give this user a personal view, which needs an explicit catalog selection
+      if (!isAdmin && !subscriptions) await saveSubscriptions([...followedIds]);
+      await addDoc(collection(db, "users", user.uid, "feeds"), {
         company: cleanCompany,
         url: v.normalizedUrl,
         source,
@@ -267,32 +417,15 @@ export default function Feeds({ user }) {
     const startedAt = Date.now();
     track("sync_triggered");
     try {
-      const projectId = import.meta.env.VITE_FIREBASE_PROJECT_ID || db.app.options.projectId;
-      if (!projectId) {
-        showToast("Missing project id env.", "error");
-        return;
-      }
-      const idToken = await user.getIdToken();
-      const endpoint = `https://us-central1-${projectId}.cloudfunctions.net/runSyncNow?userId=${encodeURIComponent(ADMIN_UID)}`;
-      const resp = await fetch(endpoint, { 
-        method: "GET",
-        headers: {
-          "X-Session-Token": localStorage.getItem("jw_session_token") || "",
-          "Authorization": `Bearer ${idToken}`
-        }
-      });
-      const data = await resp.json().catch(() => ({}));
+      const { resp, data } = await callRunSyncNow(user);
       if (!resp.ok) {
         track("sync_failed", { status: resp.status, duration_ms: Date.now() - startedAt });
         showToast(data?.error || "Manual run failed.", "error");
         return;
       }
-      track("sync_completed", {
-        scanned: data?.scanned || 0,
-        updated: data?.updated || 0,
-        duration_ms: Date.now() - startedAt,
-      });
-      showToast(`Sync complete. Scanned ${data?.scanned || 0}, wrote ${data?.updated || 0}`, "success");
+      // Full runs are fanned out to per-feed tasks; the run doc fills in as they finish
+      track("sync_queued", { feeds: data?.queued || 0, duration_ms: Date.now() - startedAt });
+      showToast(`Sync started across ${data?.queued || 0} feeds. Follow it in the sync history.`, "success");
     } catch (e) {
       track("sync_failed", { reason: e?.message?.slice(0, 80) || "unknown", duration_ms: Date.now() - startedAt });
       console.error(e);
@@ -302,12 +435,85 @@ export default function Feeds({ user }) {
     }
   }
 
+  async function retryFeed(feed) {
+    setBusyRetryId(feed.id);
+    track("feed_retry", { source: feed.source, failures: feed.health?.consecutiveFailures || 0 });
+    try {
+      const { resp, data } = await callRunSyncNow(user, { feedId: feed.id });
+      if (!resp.ok) {
+        showToast(data?.error || `Retry failed for ${feed.company}.`, "error");
+      } else if (data?.failedFeeds > 0) {
+        showToast(`${feed.company} still failing — backing off.`, "error");
+      } else {
+        showToast(`${feed.company} is back: ${data?.scanned || 0} jobs scanned`, "success");
+      }
+    } catch (e) {
+      console.error(e);
+      showToast(e?.message || "Retry failed.", "error");
+    } finally {
+      setBusyRetryId(null);
+    }
+  }
+
+
 
+  function saveSubscriptions(next) {
+    const prefRef = doc(db, "users", user.uid, "settings", "preferences");
+    return setDoc(prefRef, { feedSubscriptions: next }, { merge: true });
+  }
+
+  async function toggleFollow(feed) {
+    setBusyFollowId(feed.id);
+    const following = followedIds.has(feed.id);
+    try {
+      await saveSubscriptions(
+        following ? [...followedIds].filter((id) => id !== feed.id) : [...followedIds, feed.id]
+      );
+      track("feed_follow", { following: !following, source: feed.source });
+    } catch (err) {
+      console.error(err);
+      showToast("Could not update your subscriptions.", "error");
+    } finally {
+      setBusyFollowId(null);
+    }
+  }
+
+  async function followAll() {
+    try {
+      // With own feeds the selection must stay explicit (it's what marks a personal view)
+      await saveSubscriptions(activeFeeds.length > 0 ? catalog.map((f) => f.id) : deleteField());
+      showToast("Following the whole catalog", "success");
+    } catch (err) {
+      console.error(err);
+      showToast("Could not update your subscriptions.", "error");
+    }
+  }
+
+  async function backfillFeed(feed) {
+    setBusyBackfillId(feed.id);
+    track("feed_backfill", { source: feed.source });
+    try {
+      const { resp, data } = await callRunSyncNow(user, { feedId: feed.id, backfill: true });
+      if (!resp.ok) {
+        showToast(data?.error || `Backfill failed for ${feed.company}.`, "error");
+      } else {
+        showToast(
+          `${feed.company}: ${data?.jobsWritten || 0} open jobs backfilled, ${data?.jobsQueuedForScoring || 0} queued for scoring`,
+          "success"
+        );
+      }
+    } catch (e) {
+      console.error(e);
+      showToast(e?.message || "Backfill failed.", "error");
+    } finally {
+      setBusyBackfillId(null);
+    }
+  }
 
   async function archiveFeed(feedId) {
     setBusyArchiveId(feedId);
     try {
-      await updateDoc(doc(db, "users", ADMIN_UID, "feeds", feedId), { archivedAt: serverTimestamp() });
+      await updateDoc(doc(db, "users", user.uid, "feeds", feedId), { archivedAt: serverTimestamp() });
       showToast("Feed archived", "info");
     } catch (err) {
       console.error(err);
@@ -320,7 +526,7 @@ export default function Feeds({ user }) {
   async function restoreFeed(feedId) {
     setBusyArchiveId(feedId);
     try {
-      await updateDoc(doc(db, "users", ADMIN_UID, "feeds", feedId), { archivedAt: null });
+      await updateDoc(doc(db, "users", user.uid, "feeds", feedId), { archivedAt: null });
       showToast("Feed restored to active", "success");
     } catch (err) {
       console.error(err);
@@ -339,7 +545,7 @@ export default function Feeds({ user }) {
     <div className="page-wrapper">
       <div className="page-header">
         <h1>Feed Management</h1>
-        <p>Connect Greenhouse and AshbyHQ job boards, manage your sources, and trigger syncs.</p>
+        <p>Connect Greenhouse, AshbyHQ, Lever and Workday job boards, manage your sources, and trigger syncs.</p>
       </div>
 
       <div className="section-grid">
@@ -349,23 +555,34 @@ export default function Feeds({ user }) {
           </h2>
           <p className="mt-2 text-sm text-indigo-900/80 leading-relaxed">
             Connect <span className="font-semibold">Greenhouse</span>,{" "}
-            <span className="font-semibold">AshbyHQ</span>, and{" "}
+            <span className="font-semibold">AshbyHQ</span>,{" "}
+            <span className="font-semibold">Lever</span>,{" "}
+            <span className="font-semibold">Workday</span>, and{" "}
             <span className="font-semibold">Eightfold.ai</span> (Microsoft, PayPal, Nvidia, etc.) job boards.
           </p>
 
-          <div className="mt-6">
-            <button
-              onClick={runSyncNow}
-              disabled={busyRunNow}
-              className="btn-primary w-full shadow-lg shadow-indigo-200/50 uppercase tracking-widest text-[11px] font-black py-3"
-            >
-              {busyRunNow ? "Syncing..." : "Run sync now"}
-            </button>
-          </div>
+          {isAdmin ? (
+            <>
+              <div className="mt-6">
+                <button
+                  onClick={runSyncNow}
+                  disabled={busyRunNow}
+                  className="btn-primary w-full shadow-lg shadow-indigo-200/50 uppercase tracking-widest text-[11px] font-black py-3"
+                >
+                  {busyRunNow ? "Syncing..." : "Run sync now"}
+                </button>
+              </div>
 
-          <p className="mt-4 text-[11px] text-indigo-900/50 leading-relaxed italic">
-            This triggers the backend ingestion immediately. Check results in the sync history.
-          </p>
+              <p className="mt-4 text-[11px] text-indigo-900/50 leading-relaxed italic">
+                This queues the backend ingestion immediately. Check results in the sync history.
+              </p>
+            </>
+          ) : (
+            <p className="mt-4 text-[11px] text-indigo-900/50 leading-relaxed italic">
+              Follow boards from the shared catalog below or add your own. Boards sync every
+              15 minutes; your Jobs page picks up changes after the next sync.
+            </p>
+          )}
         </div>
 
         <div className="md:col-span-2">
@@ -394,11 +611,7 @@ export default function Feeds({ user }) {
                   value={url}
                   onChange={(e) => setUrl(e.target.value)}
                   className="input-standard mt-2"
-                  placeholder={
-                    detectedSource === "ashby"
-                      ? URL_RULES.ashby.placeholder
-                      : URL_RULES.greenhouse.placeholder
-                  }
+                  placeholder={(URL_RULES[detectedSource] || URL_RULES.greenhouse).placeholder}
                 />
               </div>
             </div>
@@ -416,7 +629,7 @@ export default function Feeds({ user }) {
       </div>
 
       <div className="mt-16">
-        <dl className="grid grid-cols-1 gap-x-8 gap-y-10 text-center sm:grid-cols-3">
+        <dl className="grid grid-cols-1 gap-x-8 gap-y-10 text-center sm:grid-cols-5">
           {feedStats.map((stat) => (
             <div key={stat.name} className="mx-auto flex max-w-xs flex-col gap-y-2">
               <dt className="text-sm text-gray-500">{stat.name}</dt>
@@ -431,7 +644,7 @@ export default function Feeds({ user }) {
       <div className="mt-16">
         <div className="flex items-center justify-between mb-8">
           <div>
-            <h3 className="text-xl font-bold text-gray-900">Active Monitoring</h3>
+            <h3 className="text-xl font-bold text-gray-900">{isAdmin ? "Active Monitoring" : "Your Boards"}</h3>
             <p className="text-sm text-gray-500 mt-1">Currently tracking {activeFeeds.length} job boards</p>
           </div>
         </div>
@@ -478,6 +691,31 @@ export default function Feeds({ user }) {
                     <span className="mt-2 inline-flex items-center rounded-full bg-indigo-50 px-2 py-0.5 text-[9px] font-black uppercase tracking-widest text-indigo-600 ring-1 ring-inset ring-indigo-700/10">
                       {prettySourceLabel(feed.source || detectSourceFromUrl(feed.url))}
                     </span>
+                    <FeedHealthBadge feed={feed} />
+                    {describeBackfill(feed) && (
+                      <span className="mt-2 text-[9px] font-bold uppercase tracking-widest text-gray-400" title={feed.backfill?.error || undefined}>
+                        {describeBackfill(feed)}
+                      </span>
+                    )}
+                    {feed.health && feed.health.state !== "healthy" && (
+                      <button
+                        onClick={() => retryFeed(feed)}
+                        disabled={busyRetryId === feed.id}
+                        className="mt-2 text-[9px] font-black uppercase tracking-widest text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                      >
+                        {busyRetryId === feed.id ? "Retrying..." : "Retry now"}
+                      </button>
+                    )}
+                    {isAdmin && !["running", "scoring"].includes(feed.backfill?.state) && (
+                      <button
+                        onClick={() => backfillFeed(feed)}
+                        disabled={busyBackfillId === feed.id}
+                        className="mt-2 text-[9px] font-black uppercase tracking-widest text-gray-400 hover:text-indigo-600 disabled:opacity-50"
+                        title="Ingest every open job on this board, whatever its age"
+                      >
+                        {busyBackfillId === feed.id ? "Backfilling..." : "Backfill history"}
+                      </button>
+                    )}
                   </div>
                 </div>
               </ScrollReveal>
@@ -491,6 +729,52 @@ export default function Feeds({ user }) {
           )}
         </div>
 
+        {!isAdmin && catalog.length > 0 && (
+          <div className="mt-16">
+            <div className="flex items-center justify-between mb-6">
+              <div>
+                <h3 className="text-xl font-bold text-gray-900">Shared Catalog</h3>
+                <p className="text-sm text-gray-500 mt-1">
+                  Following {followedCatalog.length} of {catalog.length} boards
+                </p>
+              </div>
+              {subscriptions && (
+                <button
+                  onClick={followAll}
+                  className="text-[10px] font-black uppercase tracking-widest text-indigo-600 hover:text-indigo-800"
+                >
+                  Follow all
+                </button>
+              )}
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-4">
+              {catalog.map((feed) => {
+                const following = followedIds.has(feed.id);
+                return (
+                  <div
+                    key={feed.id}
+                    className={`p-4 rounded-xl border flex flex-col items-center transition-opacity ${
+                      following ? "bg-white border-indigo-100" : "bg-gray-50/50 border-gray-100 opacity-60 hover:opacity-100"
+                    }`}
+                  >
+                    <span className="text-[10px] font-bold text-gray-900 truncate w-full text-center">{feed.company}</span>
+                    <span className="mt-1 text-[9px] font-black uppercase tracking-widest text-gray-400">
+                      {prettySourceLabel(feed.source || detectSourceFromUrl(feed.url))}
+                    </span>
+                    <button
+                      onClick={() => toggleFollow(feed)}
+                      disabled={busyFollowId === feed.id}
+                      className="mt-2 text-[9px] font-black uppercase tracking-widest text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                    >
+                      {following ? "Unfollow" : "Follow"}
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         {archivedFeeds.length > 0 && (
           <div className="mt-16">
             <h3 className="text-xs font-black uppercase tracking-widest text-gray-400 mb-6">Archived History</h3>
@@ -1,8 +1,10 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { db } from "../firebase";
-import { collection, query, orderBy, limit, onSnapshot } from "firebase/firestore";
+import { collection, collectionGroup, query, where, orderBy, limit, onSnapshot, getDocs } from "firebase/firestore";
 import { AnimatePresence, motion } from "framer-motion";
 import { ADMIN_UID } from "../App.jsx";
+import { useToast } from "../components/Toast/ToastProvider.jsx";
+import { callRunSyncNow } from "../lib/runSyncNow.js";
 import {
   AreaChart,
   Area,
@@ -11,8 +13,10 @@ import {
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
-  BarChart,
+  ComposedChart,
   Bar,
+  Cell,
+  Line,
 } from "recharts";
 
 function fmtDateTimeFull(tsOrDate) {
@@ -53,6 +57,13 @@ function fmtDuration(ms) {
   return `${m}m ${String(rem).padStart(2, "0")}s`;
 }
 
+function fmtBytes(n) {
+  const b = Number(n);
+  if (!Number.isFinite(b) || b <= 0) return "0 B";
+  if (b < 1024) return `${b} B`;
+  if (b < 1024 * 1024) return `${(b / 1024).toFixed(0)} KB`;
+  return `${(b / (1024 * 1024)).toFixed(1)} MB`;
+}
 
 function CustomTooltip({ active, payload, label }) {
   if (!active || !payload?.length) return null;
@@ -68,6 +79,265 @@ function CustomTooltip({ active, payload, label }) {
   );
 }
 
+function fmtRunLabel(tsOrDate) {
+  const d = tsOrDate?.toDate ? tsOrDate.toDate() : tsOrDate instanceof Date ? tsOrDate : null;
+  if (!d) return "";
+  return d.toLocaleString("en-US", {
+    timeZone: "America/Los_Angeles",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  });
+}
+
+// outcome values written by feedRunResult (functions/lib/syncFanOut.cjs)
+const OUTCOME_STYLES = {
+  ok: { label: "OK", className: "bg-emerald-50 text-emerald-700" },
+  unchanged: { label: "Unchanged", className: "bg-gray-100 text-gray-600" },
+  notModified: { label: "Not Modified", className: "bg-gray-100 text-gray-600" },
+  skipped: { label: "Skipped", className: "bg-amber-50 text-amber-700" },
+  failed: { label: "Failed", className: "bg-red-50 text-red-700" },
+};
+
+const RESULT_COLUMNS = [
+  { key: "companyName", label: "Feed" },
+  { key: "outcome", label: "Outcome" },
+  { key: "httpStatus", label: "HTTP", numeric: true },
+  { key: "durationMs", label: "Duration", numeric: true },
+  { key: "pages", label: "Pages", numeric: true },
+  { key: "jobsFetched", label: "Fetched", numeric: true },
+  { key: "jobsKeptRecent", label: "Kept", numeric: true },
+  { key: "jobsExcluded", label: "Excluded", numeric: true },
+  { key: "jobsWritten", label: "Written", numeric: true },
+];
+
+const feedLabel = (r) => r.companyName || r.feedId;
+
+/* ── One feed across recent runs ──────────────────────── */
+function FeedTrend({ ownerUid, feedId }) {
+  const [points, setPoints] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const q = query(
+      collectionGroup(db, "feedResults"),
+      where("ownerUid", "==", ownerUid),
+      where("feedId", "==", feedId),
+      orderBy("ranAt", "desc"),
+      limit(30)
+    );
+    getDocs(q)
+      .then((snap) => {
+        if (cancelled) return;
+        setPoints(
+          snap.docs
+            .map((d) => d.data())
+            .reverse()
+            .map((r) => ({
+              label: fmtRunLabel(r.ranAt),
+              written: Number(r.jobsWritten || 0),
+              seconds: r.durationMs != null ? Math.round(r.durationMs / 100) / 10 : null,
+              failed: r.outcome === "failed",
+            }))
+        );
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setPoints([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [ownerUid, feedId]);
+
+  if (points === null) return <p className="text-[11px] text-gray-400 py-6 text-center">Loading trend…</p>;
+  if (points.length < 2) return <p className="text-[11px] text-gray-400 py-6 text-center">Not enough runs recorded for this feed yet.</p>;
+
+  const failures = points.filter((p) => p.failed).length;
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <span className="text-[10px] font-black uppercase tracking-widest text-gray-400">
+          Last {points.length} runs
+        </span>
+        <span className={`text-[10px] font-black uppercase tracking-widest ${failures ? "text-red-500" : "text-emerald-500"}`}>
+          {failures} failed
+        </span>
+      </div>
+      <ResponsiveContainer width="100%" height={180}>
+        <ComposedChart data={points} margin={{ top: 5, right: 5, left: -20, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+          <XAxis dataKey="label" tick={{ fontSize: 10, fill: "#9ca3af" }} axisLine={false} tickLine={false} />
+          <YAxis yAxisId="jobs" tick={{ fontSize: 10, fill: "#9ca3af" }} axisLine={false} tickLine={false} allowDecimals={false} />
+          <YAxis yAxisId="secs" orientation="right" tick={{ fontSize: 10, fill: "#9ca3af" }} axisLine={false} tickLine={false} unit="s" />
+          <Tooltip content={<CustomTooltip />} />
+          <Bar yAxisId="jobs" dataKey="written" name="Jobs Written" radius={[3, 3, 0, 0]}>
+            {points.map((p, i) => (
+              <Cell key={i} fill={p.failed ? "#ef4444" : "#6366f1"} />
+            ))}
+          </Bar>
+          <Line yAxisId="secs" type="monotone" dataKey="seconds" name="Duration (s)" stroke="#f59e0b" strokeWidth={2} dot={false} connectNulls />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/* ── Per-feed breakdown of one run ────────────────────── */
+function RunFeedResults({ runId, user }) {
+  const { showToast } = useToast();
+  const isAdmin = user.uid === ADMIN_UID;
+  const [rows, setRows] = useState(null);
+  const [sort, setSort] = useState({ key: "durationMs", dir: "desc" });
+  const [trendKey, setTrendKey] = useState(null);
+  const [busyKey, setBusyKey] = useState(null);
+
+  useEffect(() => {
+    const ref = collection(db, "users", ADMIN_UID, "syncRuns", runId, "feedResults");
+    // Other users only see the boards they own
+    const q = isAdmin ? ref : query(ref, where("ownerUid", "==", user.uid));
+    return onSnapshot(
+      q,
+      (snap) => setRows(snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((r) => r.feedId)),
+      (err) => {
+        console.error(err);
+        setRows([]);
+      }
+    );
+  }, [runId, isAdmin, user.uid]);
+
+  const sorted = useMemo(() => {
+    if (!rows) return [];
+    const col = RESULT_COLUMNS.find((c) => c.key === sort.key);
+    const value = (r) => (sort.key === "companyName" ? feedLabel(r).toLowerCase() : r[sort.key]);
+    const sign = sort.dir === "asc" ? 1 : -1;
+    return [...rows].sort((a, b) => {
+      const va = value(a);
+      const vb = value(b);
+      if (va == null && vb == null) return 0;
+      if (va == null) return 1; // blanks last either way
+      if (vb == null) return -1;
+      return sign * (col?.numeric ? Number(va) - Number(vb) : String(va).localeCompare(String(vb)));
+    });
+  }, [rows, sort]);
+
+  const toggleSort = (key) => {
+    setSort((prev) => (prev.key === key ? { key, dir: prev.dir === "asc" ? "desc" : "asc" } : { key, dir: "desc" }));
+  };
+
+  async function rerunFeed(r) {
+    setBusyKey(r.id);
+    try {
+      const { resp, data } = await callRunSyncNow(user, {
+        feedId: r.feedId,
+        ownerUid: r.ownerUid !== user.uid ? r.ownerUid : null,
+      });
+      if (!resp.ok) {
+        showToast(data?.error || `Re-run failed for ${feedLabel(r)}.`, "error");
+      } else if (data?.failedFeeds > 0) {
+        showToast(`${feedLabel(r)} failed again.`, "error");
+      } else {
+        showToast(`${feedLabel(r)} re-synced: ${data?.jobsWritten || 0} jobs written`, "success");
+      }
+    } catch (e) {
+      console.error(e);
+      showToast(e?.message || "Re-run failed.", "error");
+    } finally {
+      setBusyKey(null);
+    }
+  }
+
+  if (rows === null) return <p className="text-[11px] text-gray-400">Loading feeds…</p>;
+  if (rows.length === 0) {
+    return <p className="text-[11px] text-gray-400">No per-feed results were recorded for this run.</p>;
+  }
+
+  const trendRow = rows.find((r) => r.id === trendKey);
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto rounded-xl ring-1 ring-inset ring-gray-200">
+        <table className="min-w-full text-xs">
+          <thead className="bg-gray-50">
+            <tr>
+              {RESULT_COLUMNS.map((c) => (
+                <th
+                  key={c.key}
+                  onClick={() => toggleSort(c.key)}
+                  className={`px-3 py-2 text-[9px] font-black uppercase tracking-widest text-gray-400 cursor-pointer select-none whitespace-nowrap hover:text-gray-700 ${c.numeric ? "text-right" : "text-left"}`}
+                >
+                  {c.label}
+                  {sort.key === c.key && <span className="ml-1 text-indigo-500">{sort.dir === "asc" ? "▲" : "▼"}</span>}
+                </th>
+              ))}
+              <th className="px-3 py-2 text-left text-[9px] font-black uppercase tracking-widest text-gray-400">Error</th>
+              <th className="px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {sorted.map((r) => {
+              const style = OUTCOME_STYLES[r.outcome] || OUTCOME_STYLES.failed;
+              const selected = trendKey === r.id;
+              return (
+                <tr
+                  key={r.id}
+                  onClick={() => setTrendKey(selected ? null : r.id)}
+                  className={`cursor-pointer ${selected ? "bg-indigo-50/60" : "hover:bg-gray-50"}`}
+                  title="Show this feed across recent runs"
+                >
+                  <td className="px-3 py-2 font-bold text-gray-800 whitespace-nowrap">
+                    {feedLabel(r)}
+                    {r.source && <span className="ml-1.5 text-[10px] font-medium text-gray-400">{r.source}</span>}
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold ${style.className}`}>{style.label}</span>
+                  </td>
+                  <td className="px-3 py-2 text-right font-mono text-gray-600">{r.httpStatus ?? "—"}</td>
+                  <td className="px-3 py-2 text-right font-semibold text-gray-700">{r.durationMs != null ? fmtDuration(r.durationMs) : "—"}</td>
+                  <td className="px-3 py-2 text-right text-gray-600">{r.pages || "—"}</td>
+                  <td className="px-3 py-2 text-right text-gray-600">{Number(r.jobsFetched || 0).toLocaleString()}</td>
+                  <td className="px-3 py-2 text-right text-gray-600">{Number(r.jobsKeptRecent || 0).toLocaleString()}</td>
+                  <td className="px-3 py-2 text-right text-gray-600">{Number(r.jobsExcluded || 0).toLocaleString()}</td>
+                  <td className="px-3 py-2 text-right font-bold text-gray-900">{Number(r.jobsWritten || 0).toLocaleString()}</td>
+                  <td className="px-3 py-2 max-w-[16rem] truncate font-mono text-[10px] text-red-700" title={r.error || ""}>
+                    {r.error || ""}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    {(isAdmin || r.ownerUid === user.uid) && (
+                      <button
+                        type="button"
+                        disabled={busyKey !== null}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          rerunFeed(r);
+                        }}
+                        className="text-[10px] font-black uppercase tracking-widest text-indigo-600 hover:text-indigo-800 disabled:opacity-40 whitespace-nowrap"
+                      >
+                        {busyKey === r.id ? "Running…" : "Re-run"}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {trendRow && (
+        <div className="bg-white p-4 rounded-xl ring-1 ring-inset ring-gray-200 shadow-sm">
+          <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-2">
+            {feedLabel(trendRow)} — Trend
+          </div>
+          <FeedTrend ownerUid={trendRow.ownerUid} feedId={trendRow.feedId} />
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function FetchHistory({ user }) {
   const [runs, setRuns] = useState([]);
   const [openId, setOpenId] = useState(null);
@@ -87,17 +357,8 @@ export default function FetchHistory({ user }) {
       .reverse()
       .filter((r) => r.ranAt?.toDate)
       .map((r) => {
-        const d = r.ranAt.toDate();
-        const label = d.toLocaleString("en-US", {
-          timeZone: "America/Los_Angeles",
-          month: "2-digit",
-          day: "2-digit",
-          hour: "2-digit",
-          minute: "2-digit",
-          hour12: false,
-        });
         return {
-          label,
+          label: fmtRunLabel(r.ranAt),
           written: Number(r.jobsWritten ?? r.updated ?? 0),
           scanned: Number(r.scanned ?? 0),
           fetched: Number(r.jobsFetched ?? 0),
@@ -114,12 +375,21 @@ export default function FetchHistory({ user }) {
     const isOpen = openId === r.id;
 
     const isManual = String(r.source || "").toLowerCase().match(/manual|runsyncnow|http/);
+    const isBackfill = r.runType === "backfill";
     const hasError = r.ok === false || Boolean(r.error);
+    // Fanned-out runs fill in while their feed / scoring tasks report back
+    const inProgress = ["RUNNING", "SCORING", "FINALIZING"].includes(r.status);
+    const progressLabel = r.status === "SCORING"
+      ? `Scoring ${r.scoringDone || 0}/${r.scoringTotal || 0}`
+      : r.tasksTotal != null ? `Running ${r.tasksDone || 0}/${r.tasksTotal} feeds` : "Running";
 
     const scanned = Number(r.scanned ?? 0);
     const fetched = Number(r.jobsFetched ?? 0);
     const written = Number(r.jobsWritten ?? r.updated ?? 0);
     const keptRecent = Number(r.jobsKeptRecent ?? 0);
+    const excluded = Number(r.jobsExcluded ?? 0);
+    const unchangedFeeds = Number(r.unchangedFeeds ?? 0);
+    const hasCacheStats = r.bytesFetched != null;
     const durationMs = Number(r.durationMs ?? 0);
     const recentCutoffIso = r.recentCutoffIso ? new Date(r.recentCutoffIso) : null;
 
@@ -139,11 +409,11 @@ export default function FetchHistory({ user }) {
                 className={`text-[10px] font-black uppercase tracking-tight ${isManual ? "text-indigo-600" : "text-gray-400"
                   }`}
               >
-                {isManual ? "Manual Run" : "Scheduled Sync"}
+                {isBackfill ? "Backfill" : isManual ? "Manual Run" : "Scheduled Sync"}
               </span>
               <span className="text-gray-300">|</span>
-              <span className={`text-[10px] font-black uppercase ${hasError ? "text-red-500" : "text-emerald-500"}`}>
-                {hasError ? "Failed" : "OK"}
+              <span className={`text-[10px] font-black uppercase ${hasError ? "text-red-500" : inProgress ? "text-amber-500" : "text-emerald-500"}`}>
+                {hasError ? (r.status === "STALE" ? "Incomplete" : "Failed") : inProgress ? progressLabel : "OK"}
               </span>
 
               <span className="text-gray-300">|</span>
@@ -220,6 +490,41 @@ export default function FetchHistory({ user }) {
                     </span>
                     <span className="font-bold">{keptRecent.toLocaleString()}</span>
                   </div>
+
+                  {excluded > 0 && (
+                    <>
+                      <span className="text-gray-300">•</span>
+
+                      <div title="Dropped by the exclusion rules before writing">
+                        <span className="text-gray-400 font-black uppercase text-[9px] tracking-widest mr-1.5">
+                          Excluded
+                        </span>
+                        <span className="font-bold">{excluded.toLocaleString()}</span>
+                      </div>
+                    </>
+                  )}
+
+                  {hasCacheStats && (
+                    <>
+                      <span className="text-gray-300">•</span>
+
+                      <div title={`${Number(r.notModifiedFeeds ?? 0)} answered 304 Not Modified`}>
+                        <span className="text-gray-400 font-black uppercase text-[9px] tracking-widest mr-1.5">
+                          Unchanged Feeds
+                        </span>
+                        <span className="font-bold">{unchangedFeeds.toLocaleString()}</span>
+                      </div>
+
+                      <span className="text-gray-300">•</span>
+
+                      <div title={`${fmtBytes(r.bytesFetched)} downloaded`}>
+                        <span className="text-gray-400 font-black uppercase text-[9px] tracking-widest mr-1.5">
+                          Bytes Saved
+                        </span>
+                        <span className="font-bold">{fmtBytes(r.bytesSaved)}</span>
+                      </div>
+                    </>
+                  )}
                 </div>
 
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
@@ -240,6 +545,13 @@ export default function FetchHistory({ user }) {
                   </div>
                 </div>
 
+                <div onClick={(e) => e.stopPropagation()}>
+                  <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-2">
+                    Feeds
+                  </div>
+                  <RunFeedResults runId={r.id} user={user} />
+                </div>
+
                 {hasError && (
                   <div className="p-4 rounded-xl bg-red-50 border border-red-100">
                     <span className="text-[10px] font-black uppercase text-red-700 tracking-widest block mb-2">
@@ -1,7 +1,7 @@
 
 import React, { useCallback, useEffect, useMemo, useState } from "react";
-import { useSearchParams } from "react-router-dom";
-import { doc, onSnapshot } from "firebase/firestore";
+import { Link, useSearchParams } from "react-router-dom";
+import { doc, getDoc, onSnapshot } from "firebase/firestore";
 import { AnimatePresence, motion } from "framer-motion";
 import { jsPDF } from "jspdf";
 import { httpsCallable } from "firebase/functions";
@@ -10,6 +10,13 @@ import { useToast } from "../components/Toast/ToastProvider.jsx";
 import { ADMIN_UID } from "../App.jsx";
 import { useDataCache } from "../contexts/DataCacheContext.jsx";
 import { track } from "../lib/analytics.js";
+import { useJobViews } from "../hooks/useJobViews.js";
+import { describeLocationPrefs, jobMatchesLocationPrefs, resolveLocationPrefs } from "../lib/locationPrefs.js";
+import { ROLE_FAMILY_OPTIONS, SENIORITY_OPTIONS, WORKPLACE_OPTIONS, parseFacetParam, workplaceLabel, workplaceOf } from "../lib/jobFacets.js";
+import { resumeSkillIds, skillLabel } from "../lib/skills.js";
+import { WORK_AUTH_FILTERS, workAuthBadges, workAuthFiltersForProfile } from "../lib/workAuth.js";
+import { isScoreStale, rescoreProgress } from "../lib/rescore.js";
+import JobRevisionsModal from "../components/JobRevisionsModal.jsx";
 
 
 const US_STATES = [
@@ -32,6 +39,43 @@ const US_STATES = [
   { code: "WI", name: "Wisconsin" }, { code: "WY", name: "Wyoming" }, { code: "DC", name: "DC" },
 ];
 
+// "High-scoring" for the skill-gap summary
+const SKILL_GAP_MIN_SCORE = 70;
+const MAX_SKILL_CHIPS = 8;
+
+// Sub-scores behind a job's score (functions/lib/scoreBreakdown.cjs)
+const SCORE_DIMENSIONS = [
+  { key: "skills", label: "Skills" },
+  { key: "seniority", label: "Seniority" },
+  { key: "location", label: "Location" },
+  { key: "domain", label: "Domain" },
+  { key: "compensation", label: "Pay" },
+];
+
+// Minimum annual pay, compared in the posting's own currency (salaries aren't converted)
+const PAY_FILTERS = [
+  { id: "", label: "Any Pay" },
+  { id: "listed", label: "Pay Listed" },
+  { id: "50000", label: "50k+ / yr" },
+  { id: "100000", label: "100k+ / yr" },
+  { id: "150000", label: "150k+ / yr" },
+  { id: "200000", label: "200k+ / yr" },
+];
+
+const CURRENCY_PREFIX = { USD: "$", CAD: "CA$", GBP: "£", EUR: "€", INR: "₹", AUD: "A$", JPY: "¥" };
+const PERIOD_SUFFIX = { year: "/yr", month: "/mo", week: "/wk", day: "/day", hour: "/hr" };
+
+/** "$120k–$150k/yr" from a job's structured `salary` (functions/lib/salary.cjs). */
+function formatSalary(salary) {
+  if (!salary || !(salary.max > 0)) return null;
+  const prefix = CURRENCY_PREFIX[salary.currency] ?? `${salary.currency} `;
+  const amount = (n) => (n >= 1000 ? `${Math.round(n / 1000)}k` : String(Math.round(n * 100) / 100));
+  const range = salary.min && salary.min !== salary.max
+    ? `${prefix}${amount(salary.min)}–${prefix}${amount(salary.max)}`
+    : `${prefix}${amount(salary.max)}`;
+  return `${range}${PERIOD_SUFFIX[salary.period] || ""}`;
+}
+
 function timeAgoFromFirestore(ts) {
   if (!ts?.toDate) return "N/A";
   const d = ts.toDate();
@@ -73,6 +117,8 @@ function extractStateCodesFromLocationTokens(tokensOrString) {
 export default function Jobs({ user, userMeta, preferences }) {
   const { showToast } = useToast();
   const { getCompanyStats } = useDataCache();
+  // Users with their own feed selection read personal aggregations (lib/feedSubscriptions.cjs)
+  const viewUid = Array.isArray(preferences?.feedSubscriptions) ? user.uid : ADMIN_UID;
 
   const [searchParams, setSearchParams] = useSearchParams();
 
@@ -82,13 +128,21 @@ export default function Jobs({ user, userMeta, preferences }) {
   );
 
   const [jobs, setJobs] = useState([]);
-  const [myScores, setMyScores] = useState({}); // { [jobId]: { score, reason } }
+  const [myScores, setMyScores] = useState({}); // { [jobId]: { score, reason, source, breakdown, matched, missing } }
+  const [scoringStatus, setScoringStatus] = useState(null); // current score inputs + rescore progress, see src/lib/rescore.js
+  const [resumeSkills, setResumeSkills] = useState(() => new Set()); // canonical ids, see src/lib/skills.js
   const [loading, setLoading] = useState(true);
 
   const [titleSearch, setTitleSearch] = useState(() => searchParams.get("title") || "");
   const [companySearch, setCompanySearch] = useState("");
   const [stateFilter, setStateFilter] = useState(() => searchParams.get("state") || "");
   const [timeframe, setTimeframe] = useState(() => searchParams.get("t") || "1h");
+  const [payFilter, setPayFilter] = useState(() => searchParams.get("pay") || "");
+  const [sortBy, setSortBy] = useState(() => (searchParams.get("sort") === "pay" ? "pay" : "match"));
+  const [levelFilter, setLevelFilter] = useState(() => parseFacetParam(searchParams.get("level"), SENIORITY_OPTIONS));
+  const [familyFilter, setFamilyFilter] = useState(() => parseFacetParam(searchParams.get("family"), ROLE_FAMILY_OPTIONS));
+  const [workplaceFilter, setWorkplaceFilter] = useState(() => parseFacetParam(searchParams.get("wp"), WORKPLACE_OPTIONS));
+  const [authHides, setAuthHides] = useState(() => parseFacetParam(searchParams.get("hide"), WORK_AUTH_FILTERS));
   const [isFilterExpanded, setIsFilterExpanded] = useState(false);
 
   // Keep the URL in sync with shareable filter state.
@@ -98,17 +152,38 @@ export default function Jobs({ user, userMeta, preferences }) {
     if (titleSearch.trim()) next.set("title", titleSearch.trim());
     if (stateFilter) next.set("state", stateFilter);
     if (timeframe && timeframe !== "1h") next.set("t", timeframe);
+    if (payFilter) next.set("pay", payFilter);
+    if (sortBy === "pay") next.set("sort", "pay");
+    if (levelFilter.length) next.set("level", levelFilter.join(","));
+    if (familyFilter.length) next.set("family", familyFilter.join(","));
+    if (workplaceFilter.length) next.set("wp", workplaceFilter.join(","));
+    if (authHides.length) next.set("hide", authHides.join(","));
     setSearchParams(next, { replace: true });
-  }, [selectedKeys, titleSearch, stateFilter, timeframe, setSearchParams]);
+  }, [selectedKeys, titleSearch, stateFilter, timeframe, payFilter, sortBy, levelFilter, familyFilter, workplaceFilter, authHides, setSearchParams]);
 
   // Cover Letter State
   const [clState, setClState] = useState({ isOpen: false, job: null, loading: false, text: "", error: "" });
 
+  // Change history: per-user "last looked" map + the job whose diff is open
+  const { seen: jobViews, markSeen } = useJobViews(user?.uid);
+  const [historyJob, setHistoryJob] = useState(null);
+  const [breakdownJobId, setBreakdownJobId] = useState(null); // row with its score breakdown open
+
+  const openHistory = (e, job) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setHistoryJob(job);
+    markSeen(job.id);
+    track("job_history_opened", { source: job.source, revisions: job.revisionCount || 0 });
+  };
+
   useEffect(() => {
     let cancelled = false;
     (async () => {
       try {
-        const stats = await getCompanyStats();
+        let stats = await getCompanyStats(viewUid);
+        // Personal stats appear after the first sync following a subscription change
+        if (viewUid !== ADMIN_UID && !stats.updatedAt) stats = await getCompanyStats();
         const list = Object.entries(stats.companies || {})
           .map(([key, val]) => ({ id: key, companyKey: key, companyName: val.name, jobCount: val.count }))
           .sort((a, b) => a.companyName.localeCompare(b.companyName));
@@ -118,7 +193,7 @@ export default function Jobs({ user, userMeta, preferences }) {
       }
     })();
     return () => { cancelled = true; };
-  }, [user.uid, getCompanyStats]);
+  }, [viewUid, getCompanyStats]);
 
   // ─── Job enrichment shared by both data sources ────────────────────────
   const enrichJob = useCallback((data, id) => {
@@ -148,71 +223,56 @@ export default function Jobs({ user, userMeta, preferences }) {
 
   // ─── Single data source for all timeframes: aggregation docs.
   //     Cost per session: 1 read for the initial load + 1 per backend rebuild.
-  //     - timeframe === "all" → /users/{ADMIN_UID}/aggregations/allJobs
-  //         (lean projection, up to ALL_JOBS_LIMIT ≈ 1500 jobs)
+  //     - timeframe === "all" → /users/{viewUid}/aggregations/allJobs
+  //         (lean projection, up to ALL_JOBS_LIMIT = 800 jobs)
   //         Falls back to recentJobs if allJobs hasn't been built yet.
-  //     - all other timeframes → /users/{ADMIN_UID}/aggregations/recentJobs
+  //     - all other timeframes → /users/{viewUid}/aggregations/recentJobs
   //         (full projection, up to RECENT_JOBS_LIMIT = 500 jobs)
-  //     Both docs are maintained by Cloud Functions: scoreNewJobsForUser,
-  //     syncUserRecentJobs, and dailyAggregationReconciliation all rebuild them.
+  //     viewUid is the admin (shared catalog) unless the user picked their own
+  //     feeds; a personal view not built yet falls back to the shared one.
+  //     The docs are maintained by Cloud Functions: scoreNewJobsForUser,
+  //     syncFeeds, and dailyAggregationReconciliation all rebuild them.
   useEffect(() => {
     setLoading(true);
     const primaryDocId = timeframe === "all" ? "allJobs" : "recentJobs";
-    const fallbackDocId = timeframe === "all" ? "recentJobs" : null;
-
-    let unsubFallback = null;
-
-    const subscribeToFallback = () => {
-      if (!fallbackDocId || unsubFallback) return;
-      const fbRef = doc(db, "users", ADMIN_UID, "aggregations", fallbackDocId);
-      unsubFallback = onSnapshot(
-        fbRef,
+    const chain = [[viewUid, primaryDocId]];
+    if (timeframe === "all") chain.push([viewUid, "recentJobs"]);
+    if (viewUid !== ADMIN_UID) chain.push([ADMIN_UID, primaryDocId]);
+
+    const unsubs = [];
+    const subscribeAt = (i) => {
+      const [ownerUid, docId] = chain[i];
+      unsubs.push(onSnapshot(
+        doc(db, "users", ownerUid, "aggregations", docId),
         (snap) => {
-          const data = snap.exists() ? snap.data() : null;
-          const list = Array.isArray(data?.jobs) ? data.jobs : [];
+          if (!snap.exists()) {
+            if (i + 1 < chain.length) {
+              if (unsubs.length === i + 1) subscribeAt(i + 1);
+            } else {
+              setJobs([]);
+              setLoading(false);
+            }
+            return;
+          }
+          const data = snap.data();
+          const list = Array.isArray(data.jobs) ? data.jobs : [];
           setJobs(list.map((j) => enrichJob(j, j.id)));
           setLoading(false);
         },
         (err) => {
-          console.error(`${fallbackDocId} fallback snapshot error:`, err);
+          console.error(`${docId} snapshot error:`, err);
+          if (i === 0) showToast("Error loading jobs.", "error");
           setLoading(false);
         }
-      );
+      ));
     };
-
-    const ref = doc(db, "users", ADMIN_UID, "aggregations", primaryDocId);
-    const unsubPrimary = onSnapshot(
-      ref,
-      (snap) => {
-        if (!snap.exists()) {
-          if (fallbackDocId) {
-            subscribeToFallback();
-          } else {
-            setJobs([]);
-            setLoading(false);
-          }
-          return;
-        }
-        const data = snap.data();
-        const list = Array.isArray(data.jobs) ? data.jobs : [];
-        setJobs(list.map((j) => enrichJob(j, j.id)));
-        setLoading(false);
-      },
-      (err) => {
-        console.error(`${primaryDocId} snapshot error:`, err);
-        showToast("Error loading jobs.", "error");
-        setLoading(false);
-      }
-    );
-    return () => {
-      unsubPrimary();
-      if (unsubFallback) unsubFallback();
-    };
-  }, [timeframe, enrichJob, showToast]);
+    subscribeAt(0);
+    return () => unsubs.forEach((unsub) => unsub());
+  }, [timeframe, viewUid, enrichJob, showToast]);
 
   // ─── Per-user AI scores ──────────────────────────────────────────────
   //  Subscribes to /users/{currentUser.uid}/aggregations/myJobScores, a single
-  //  doc holding a map of jobId → { score, reason } for THIS user only.
+  //  doc holding a map of jobId → { score, reason, breakdown, … } for THIS user only.
   //  Cost: 1 read per session + 1 per backend rebuild (after scoring).
   //  Non-admin users with AI disabled simply get an empty doc.
   useEffect(() => {
@@ -236,6 +296,29 @@ export default function Jobs({ user, userMeta, preferences }) {
     return () => unsub();
   }, [user?.uid]);
 
+  // Which scores are out of date after a resume / rubric change, and how far
+  // the background rescore has got (aggregations/scoringStatus, 1 listener)
+  useEffect(() => {
+    if (!user?.uid) return undefined;
+    const unsub = onSnapshot(
+      doc(db, "users", user.uid, "aggregations", "scoringStatus"),
+      (snap) => setScoringStatus(snap.exists() ? snap.data() : null),
+      (err) => {
+        console.warn("scoringStatus snapshot error:", err);
+        setScoringStatus(null);
+      }
+    );
+    return () => unsub();
+  }, [user?.uid]);
+
+  // Resume skills (Profile → resume/profile.skills), canonicalized once per session
+  useEffect(() => {
+    if (!user?.uid) return;
+    getDoc(doc(db, "users", user.uid, "resume", "profile"))
+      .then((snap) => setResumeSkills(resumeSkillIds(snap.exists() ? snap.data()?.skills : [])))
+      .catch((err) => console.warn("resume skills load error:", err));
+  }, [user?.uid]);
+
   const handleGenerateCoverLetter = async (e, job) => {
     e.preventDefault();
     e.stopPropagation();
@@ -315,7 +398,32 @@ export default function Jobs({ user, userMeta, preferences }) {
     if (!term) return companies;
     return companies.filter((c) => (c.companyName || "").toLowerCase().includes(term));
   }, [companies, companySearch]);
-  const filteredJobs = useMemo(() => {
+  // The user's own location filter (Profile → Job Locations) over the shared corpus
+  const locationPrefs = useMemo(() => resolveLocationPrefs(preferences), [preferences]);
+
+  const rescore = rescoreProgress(scoringStatus);
+
+  // Skills most often asked for by the user's high-scoring jobs that the resume doesn't list
+  const skillGaps = useMemo(() => {
+    if (resumeSkills.size === 0) return { jobCount: 0, top: [] };
+    const counts = {};
+    let jobCount = 0;
+    for (const j of jobs) {
+      if ((myScores[j.id]?.score ?? -1) < SKILL_GAP_MIN_SCORE) continue;
+      if (!Array.isArray(j.skills) || j.skills.length === 0) continue;
+      if (!jobMatchesLocationPrefs(j, locationPrefs)) continue;
+      jobCount += 1;
+      for (const id of j.skills) if (!resumeSkills.has(id)) counts[id] = (counts[id] || 0) + 1;
+    }
+    const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 10);
+    return { jobCount, top };
+  }, [jobs, myScores, resumeSkills, locationPrefs]);
+
+  const toggleFacet = (setter, value) => {
+    setter((prev) => (prev.includes(value) ? prev.filter((v) => v !== value) : [...prev, value]));
+  };
+
+  const { filteredJobs, facetCounts } = useMemo(() => {
     const titleTerm = titleSearch.trim().toLowerCase();
     const companyKeySet = selectedKeys.length > 0 ? new Set(selectedKeys) : null;
     const thresholdMs = (() => {
@@ -324,8 +432,12 @@ export default function Jobs({ user, userMeta, preferences }) {
       const h = hoursMap[timeframe];
       return h ? Date.now() - h * 60 * 60 * 1000 : null;
     })();
+    const minPay = payFilter && payFilter !== "listed" ? Number(payFilter) : 0;
+    const activeAuthHides = WORK_AUTH_FILTERS.filter((f) => authHides.includes(f.value));
 
     const filtered = jobs.filter((j) => {
+      if (!jobMatchesLocationPrefs(j, locationPrefs)) return false;
+
       if (titleTerm && !j.title?.toLowerCase().includes(titleTerm)) return false;
 
       if (companyKeySet && !companyKeySet.has(j.companyKey)) return false;
@@ -335,6 +447,13 @@ export default function Jobs({ user, userMeta, preferences }) {
         if (!ts || ts < thresholdMs) return false;
       }
 
+      if (activeAuthHides.some((f) => f.hides(j.workAuth))) return false;
+
+      if (payFilter) {
+        const annualMax = j.salary?.annualMax;
+        if (typeof annualMax !== "number" || annualMax < minPay) return false;
+      }
+
       if (stateFilter) {
         if (Array.isArray(j.stateCodes)) {
           if (!j.stateCodes.includes(stateFilter)) return false;
@@ -348,22 +467,53 @@ export default function Jobs({ user, userMeta, preferences }) {
       return true;
     });
 
+    // Facet counts reflect every other filter, so each chip shows what picking it would leave
+    const facetCounts = { seniority: {}, roleFamily: {}, workplace: {} };
+    for (const j of filtered) {
+      if (j.seniority) facetCounts.seniority[j.seniority] = (facetCounts.seniority[j.seniority] || 0) + 1;
+      if (j.roleFamily) facetCounts.roleFamily[j.roleFamily] = (facetCounts.roleFamily[j.roleFamily] || 0) + 1;
+      const wp = workplaceOf(j);
+      if (wp) facetCounts.workplace[wp] = (facetCounts.workplace[wp] || 0) + 1;
+    }
+    const levelSet = levelFilter.length ? new Set(levelFilter) : null;
+    const familySet = familyFilter.length ? new Set(familyFilter) : null;
+    const workplaceSet = workplaceFilter.length ? new Set(workplaceFilter) : null;
+    const faceted = filtered.filter((j) =>
+      (!levelSet || levelSet.has(j.seniority)) &&
+      (!familySet || familySet.has(j.roleFamily)) &&
+      (!workplaceSet || workplaceSet.has(workplaceOf(j)))
+    );
+
     // Merge in the current user's personal AI scores from myJobScores. Jobs
     // without a personal score render as "unscored" (which is correct for
     // any user who hasn't enabled AI / hasn't been backfilled).
-    const merged = filtered.map((j) => {
+    const merged = faceted.map((j) => {
       const s = myScores[j.id];
       if (!s) return j;
-      return { ...j, relevanceScore: s.score, scoreReason: s.reason };
+      return {
+        ...j,
+        relevanceScore: s.score,
+        scoreReason: s.reason,
+        scoreSource: s.source || "ai",
+        scoreBreakdown: s.breakdown || null,
+        scoreMatched: Array.isArray(s.matched) ? s.matched : [],
+        scoreMissing: Array.isArray(s.missing) ? s.missing : [],
+        scoreStale: isScoreStale(s, scoringStatus?.current),
+      };
     });
 
-    return merged.sort((a, b) => (b.relevanceScore ?? -1) - (a.relevanceScore ?? -1));
-  }, [jobs, myScores, titleSearch, stateFilter, selectedKeys, timeframe]);
+    const byScore = (a, b) => (b.relevanceScore ?? -1) - (a.relevanceScore ?? -1);
+    // Highest stated pay first; unlisted pay falls to the bottom, still ranked by score
+    const byPay = (a, b) => (b.salary?.annualMax ?? -1) - (a.salary?.annualMax ?? -1) || byScore(a, b);
+    return { filteredJobs: merged.sort(sortBy === "pay" ? byPay : byScore), facetCounts };
+  }, [jobs, myScores, scoringStatus, locationPrefs, titleSearch, stateFilter, payFilter, sortBy, levelFilter, familyFilter, workplaceFilter, authHides, selectedKeys, timeframe]);
 
   const renderJobItem = (job) => {
     const updatedShort = job._updatedShort || "N/A";
     const score = job.relevanceScore;
     const hasScore = typeof score === "number";
+    // Estimated by the embedding prefilter rather than read by the model
+    const estimated = job.scoreSource === "similarity";
 
     // Tier determines the score chip color only — no background floods
     const tier =
@@ -372,13 +522,37 @@ export default function Jobs({ user, userMeta, preferences }) {
           : score >= 40 ? { dot: "bg-gray-400", label: "Partial Match", textCls: "text-gray-500" }
             : { dot: "bg-gray-300", label: "Weak Match", textCls: "text-gray-400" };
 
-    const scoreBadge = (hasScore && preferences?.aiScoringEnabled && userMeta?.aiAccess !== false) ? (
+    // "Changed since you last looked": only meaningful once the user has
+    // opened the job; before that every edit simply counts as an edit.
+    const changedMs = job.lastChangedAt?.toMillis ? job.lastChangedAt.toMillis() : null;
+    const lastLookedMs = jobViews[job.id] || null;
+    const changedSinceLooked = changedMs != null && lastLookedMs != null && changedMs > lastLookedMs;
+
+    const salaryLabel = formatSalary(job.salary);
+    const workplaceType = workplaceOf(job);
+
+    // Matched skills first, then the ones the resume doesn't list
+    const jobSkills = Array.isArray(job.skills) ? job.skills : [];
+    const orderedSkills = resumeSkills.size
+      ? [...jobSkills.filter((id) => resumeSkills.has(id)), ...jobSkills.filter((id) => !resumeSkills.has(id))]
+      : jobSkills;
+
+    const showScore = hasScore && preferences?.aiScoringEnabled && userMeta?.aiAccess !== false;
+    const hasBreakdown = showScore && (job.scoreBreakdown || job.scoreMatched?.length > 0 || job.scoreMissing?.length > 0);
+    const breakdownOpen = hasBreakdown && breakdownJobId === job.id;
+
+    const scoreBadge = showScore ? (
       <span className="relative group/score inline-flex items-center gap-1.5 cursor-help">
         {/* Score chip */}
-        <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-gray-100 ring-1 ring-gray-200 text-[10px] font-bold font-mono text-gray-700 transition-colors group-hover/score:bg-indigo-50 group-hover/score:ring-indigo-200 group-hover/score:text-indigo-700">
+        <span
+          className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-gray-100 ring-1 ring-gray-200 text-[10px] font-bold font-mono text-gray-700 transition-colors group-hover/score:bg-indigo-50 group-hover/score:ring-indigo-200 group-hover/score:text-indigo-700 ${job.scoreStale ? "opacity-50 line-through decoration-gray-400" : ""}`}
+        >
           <span className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ${tier.dot}`} />
-          {score}
+          {estimated ? `≈${score}` : score}
         </span>
+        {job.scoreStale && (
+          <span className="text-[10px] font-bold uppercase tracking-widest text-amber-500">Outdated</span>
+        )}
         {/* Label */}
         <span className={`text-[10px] font-bold uppercase tracking-widest ${tier.textCls}`}>
           {tier.label}
@@ -388,8 +562,11 @@ export default function Jobs({ user, userMeta, preferences }) {
         {job.scoreReason && (
           <span className="pointer-events-none absolute bottom-full left-0 mb-2 z-50 w-56 opacity-0 group-hover/score:opacity-100 transition-opacity duration-150">
             <span className="block rounded-lg bg-gray-900 px-3 py-2 text-[11px] leading-relaxed text-white shadow-xl ring-1 ring-white/10">
-              <span className="block text-[9px] font-black uppercase tracking-widest text-gray-400 mb-1">AI Analysis</span>
+              <span className="block text-[9px] font-black uppercase tracking-widest text-gray-400 mb-1">{estimated ? "Similarity Estimate" : "AI Analysis"}</span>
               {job.scoreReason}
+              {job.scoreStale && (
+                <span className="block mt-1 text-amber-300">Scored against your previous resume or rubric; it&apos;ll be refreshed shortly.</span>
+              )}
             </span>
             {/* Arrow */}
             <span className="block w-2 h-2 bg-gray-900 rotate-45 ml-3 -mt-1" />
@@ -410,7 +587,10 @@ export default function Jobs({ user, userMeta, preferences }) {
             href={job.absolute_url || "#"}
             target="_blank"
             rel="noreferrer"
-            onClick={() => track("job_opened", { source: job.source, company: job.companyName, has_score: job.relevanceScore != null })}
+            onClick={() => {
+              markSeen(job.id);
+              track("job_opened", { source: job.source, company: job.companyName, has_score: job.relevanceScore != null });
+            }}
             className="min-w-0 flex-1"
           >
             <div className="flex items-center gap-2 mb-1.5">
@@ -420,7 +600,9 @@ export default function Jobs({ user, userMeta, preferences }) {
               <span className="text-gray-300">|</span>
               <span className="text-xs text-gray-500 font-medium truncate">
                 {job.locationName || "Remote"}
-                {job.isRemote && <span className="ml-1 text-indigo-400 font-bold">(Remote)</span>}
+                {workplaceType && workplaceType !== "onsite" && (
+                  <span className="ml-1 text-indigo-400 font-bold">({workplaceLabel(job)})</span>
+                )}
               </span>
             </div>
 
@@ -430,11 +612,99 @@ export default function Jobs({ user, userMeta, preferences }) {
 
             <div className="mt-1.5 flex flex-wrap items-center gap-x-3 gap-y-1 overflow-visible">
               <span className="text-xs text-gray-400">Discovered {timeAgoFromFirestore(job.firstSeenAt)}</span>
+              {(salaryLabel || job.equity) && (
+                <span
+                  className="inline-flex items-center px-2 py-0.5 rounded-md bg-emerald-50 ring-1 ring-emerald-700/10 text-[10px] font-bold tracking-wide text-emerald-700"
+                  title={job.salary?.source === "ai" ? "Pay range estimated by AI from the description" : "Pay as stated in the posting"}
+                >
+                  {salaryLabel}
+                  {salaryLabel && job.salary?.source === "ai" && <span className="ml-1 font-medium text-emerald-500">est.</span>}
+                  {job.equity && <span className={salaryLabel ? "ml-1 text-emerald-500" : ""}>{salaryLabel ? "+ equity" : "Equity"}</span>}
+                </span>
+              )}
+              {job.status === "closed" && (
+                <span
+                  className="inline-flex items-center px-2 py-0.5 rounded-md bg-red-50 ring-1 ring-red-700/10 text-[10px] font-bold uppercase tracking-widest text-red-600"
+                  title="This posting is no longer listed on the company's job board"
+                >
+                  Closed {timeAgoFromFirestore(job.closedAt)}
+                </span>
+              )}
+              {job.repostCount > 0 && (
+                <span
+                  className="inline-flex items-center px-2 py-0.5 rounded-md bg-slate-50 ring-1 ring-slate-700/10 text-[10px] font-bold uppercase tracking-widest text-slate-500"
+                  title="The same opening is also listed under other posting IDs (reposts or multi-location copies)"
+                >
+                  Reposted {job.repostCount}×
+                </span>
+              )}
+              {changedSinceLooked ? (
+                <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-amber-50 ring-1 ring-amber-700/10 text-[10px] font-bold uppercase tracking-widest text-amber-600">
+                  <span className="w-1.5 h-1.5 rounded-full bg-amber-500" />
+                  Changed since you looked
+                </span>
+              ) : job.revisionCount > 0 ? (
+                <span className="text-xs text-gray-400">Edited {timeAgoFromFirestore(job.lastChangedAt)}</span>
+              ) : null}
+              {workAuthBadges(job.workAuth).map((b) => (
+                <span
+                  key={b.label}
+                  className={`inline-flex items-center px-2 py-0.5 rounded-md text-[10px] font-bold uppercase tracking-widest ${b.tone === "good"
+                    ? "bg-emerald-50 ring-1 ring-emerald-700/10 text-emerald-600"
+                    : "bg-orange-50 ring-1 ring-orange-700/10 text-orange-600"
+                    }`}
+                >
+                  {b.label}
+                </span>
+              ))}
               {scoreBadge}
             </div>
+
+            {orderedSkills.length > 0 && (
+              <div className="mt-2 flex flex-wrap items-center gap-1">
+                {orderedSkills.slice(0, MAX_SKILL_CHIPS).map((id) => {
+                  const matched = resumeSkills.has(id);
+                  return (
+                    <span
+                      key={id}
+                      className={`inline-flex items-center px-1.5 py-0.5 rounded text-[10px] font-semibold ${matched
+                        ? "bg-emerald-50 text-emerald-700 ring-1 ring-emerald-700/10"
+                        : resumeSkills.size
+                          ? "bg-white text-gray-400 border border-dashed border-gray-300"
+                          : "bg-gray-50 text-gray-500 ring-1 ring-gray-200"
+                        }`}
+                      title={matched ? "On your resume" : resumeSkills.size ? "Not on your resume" : undefined}
+                    >
+                      {skillLabel(id)}
+                    </span>
+                  );
+                })}
+                {orderedSkills.length > MAX_SKILL_CHIPS && (
+                  <span className="text-[10px] text-gray-400">+{orderedSkills.length - MAX_SKILL_CHIPS}</span>
+                )}
+              </div>
+            )}
           </a>
 
           <div className="flex items-center gap-4 flex-shrink-0 z-10">
+            {hasBreakdown && (
+              <button
+                onClick={() => setBreakdownJobId(breakdownOpen ? null : job.id)}
+                aria-expanded={breakdownOpen}
+                className="px-2.5 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest text-gray-600 bg-gray-50 hover:bg-gray-100 ring-1 ring-inset ring-gray-200 transition-colors"
+              >
+                Why {score}?
+              </button>
+            )}
+            {job.revisionCount > 0 && (
+              <button
+                onClick={(e) => openHistory(e, job)}
+                className="px-2.5 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest text-gray-600 bg-gray-50 hover:bg-gray-100 ring-1 ring-inset ring-gray-200 transition-colors"
+                title={(job.lastChangedFields || []).join(", ") || "View change history"}
+              >
+                Changes ({job.revisionCount})
+              </button>
+            )}
             {preferences?.aiScoringEnabled && userMeta?.aiAccess !== false && (
               <button
                 onClick={(e) => handleGenerateCoverLetter(e, job)}
@@ -451,6 +721,53 @@ export default function Jobs({ user, userMeta, preferences }) {
             </div>
           </div>
         </div>
+
+        {breakdownOpen && (
+          <div className="mt-4 grid gap-4 sm:grid-cols-2 rounded-xl bg-gray-50 ring-1 ring-gray-100 p-4">
+            {job.scoreBreakdown && (
+              <div className="space-y-1.5">
+                {SCORE_DIMENSIONS.map(({ key, label }) => {
+                  const value = job.scoreBreakdown[key];
+                  return (
+                    <div key={key} className="flex items-center gap-2">
+                      <span className="w-20 text-[10px] font-bold uppercase tracking-widest text-gray-400">{label}</span>
+                      <span className="flex-1 h-1.5 rounded-full bg-gray-200 overflow-hidden">
+                        {typeof value === "number" && (
+                          <span className="block h-full rounded-full bg-indigo-400" style={{ width: `${value}%` }} />
+                        )}
+                      </span>
+                      <span className="w-8 text-right text-[11px] font-mono font-bold text-gray-600">
+                        {typeof value === "number" ? value : "—"}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+            <div className="space-y-2">
+              {job.scoreMatched?.length > 0 && (
+                <div>
+                  <span className="block text-[10px] font-bold uppercase tracking-widest text-gray-400 mb-1">Matched</span>
+                  <div className="flex flex-wrap gap-1">
+                    {job.scoreMatched.map((r) => (
+                      <span key={r} className="px-1.5 py-0.5 rounded text-[10px] font-semibold bg-emerald-50 text-emerald-700 ring-1 ring-emerald-700/10">{r}</span>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {job.scoreMissing?.length > 0 && (
+                <div>
+                  <span className="block text-[10px] font-bold uppercase tracking-widest text-gray-400 mb-1">Missing</span>
+                  <div className="flex flex-wrap gap-1">
+                    {job.scoreMissing.map((r) => (
+                      <span key={r} className="px-1.5 py-0.5 rounded text-[10px] font-semibold bg-white text-gray-500 border border-dashed border-gray-300">{r}</span>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
       </li>
     );
   };
@@ -549,6 +866,12 @@ export default function Jobs({ user, userMeta, preferences }) {
               setCompanySearch("");
               setStateFilter("");
               setTimeframe("1h");
+              setPayFilter("");
+              setSortBy("match");
+              setLevelFilter([]);
+              setFamilyFilter([]);
+              setWorkplaceFilter([]);
+              setAuthHides([]);
               setSelectedKeys([]);
             }}
             className="text-xs font-bold text-gray-400 hover:text-indigo-600 py-1"
@@ -568,6 +891,102 @@ export default function Jobs({ user, userMeta, preferences }) {
             className="overflow-hidden mb-8"
           >
             <div className="space-y-8 py-4 px-1">
+              <p className="px-1 text-xs text-gray-500">
+                Showing jobs in <span className="font-semibold text-gray-700">{describeLocationPrefs(locationPrefs)}</span>.{" "}
+                <Link to="/profile" className="font-semibold text-indigo-600 hover:text-indigo-700">Change</Link>
+              </p>
+
+              {[
+                { title: "Workplace", options: WORKPLACE_OPTIONS, selected: workplaceFilter, setter: setWorkplaceFilter, counts: facetCounts.workplace },
+                { title: "Seniority", options: SENIORITY_OPTIONS, selected: levelFilter, setter: setLevelFilter, counts: facetCounts.seniority },
+                { title: "Role", options: ROLE_FAMILY_OPTIONS, selected: familyFilter, setter: setFamilyFilter, counts: facetCounts.roleFamily },
+              ].map((facet) => (
+                <div key={facet.title} className="space-y-4">
+                  <div className="flex items-center gap-2 px-1">
+                    <label className="caps-label text-gray-400 uppercase tracking-widest text-[10px] font-black">
+                      {facet.title}
+                    </label>
+                    {facet.selected.length > 0 && (
+                      <button onClick={() => facet.setter([])} className="text-[10px] font-bold text-indigo-600 hover:text-indigo-700">
+                        Clear
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="flex flex-wrap gap-1.5 px-1">
+                    {facet.options
+                      .filter((o) => facet.counts[o.value] || facet.selected.includes(o.value))
+                      .map((o) => (
+                        <button
+                          key={o.value}
+                          onClick={() => toggleFacet(facet.setter, o.value)}
+                          className={`px-3 py-1.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${facet.selected.includes(o.value)
+                            ? "bg-indigo-600 text-white shadow-md shadow-indigo-100"
+                            : "bg-white text-gray-500 ring-1 ring-inset ring-gray-200 hover:bg-gray-50"
+                            }`}
+                        >
+                          {o.label} <span className="ml-0.5 opacity-60">{facet.counts[o.value] || 0}</span>
+                        </button>
+                      ))}
+                  </div>
+                </div>
+              ))}
+
+              <div className="space-y-4">
+                <div className="flex items-center gap-2 px-1">
+                  <label className="caps-label text-gray-400 uppercase tracking-widest text-[10px] font-black">
+                    Hide Requirements
+                  </label>
+                  <button
+                    onClick={() => setAuthHides(workAuthFiltersForProfile(userMeta))}
+                    className="text-[10px] font-bold text-indigo-600 hover:text-indigo-700"
+                    title="Hide jobs your Application Defaults (sponsorship, U.S. person) rule out"
+                  >
+                    Match my work authorization
+                  </button>
+                </div>
+
+                <div className="flex flex-wrap gap-1.5 px-1">
+                  {WORK_AUTH_FILTERS.map((f) => (
+                    <button
+                      key={f.value}
+                      onClick={() => toggleFacet(setAuthHides, f.value)}
+                      className={`px-3 py-1.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${authHides.includes(f.value)
+                        ? "bg-indigo-600 text-white shadow-md shadow-indigo-100"
+                        : "bg-white text-gray-500 ring-1 ring-inset ring-gray-200 hover:bg-gray-50"
+                        }`}
+                    >
+                      {f.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="space-y-4">
+                <div className="flex items-center gap-2 px-1">
+                  <label className="caps-label text-gray-400 uppercase tracking-widest text-[10px] font-black">
+                    Minimum Pay
+                  </label>
+                  <span className="text-[10px] text-gray-400">in the posting's currency</span>
+                </div>
+
+                <div className="flex w-full overflow-hidden">
+                  <div className="inline-flex p-1 bg-gray-50 rounded-xl overflow-x-auto no-scrollbar scroll-smooth gap-1">
+                    {PAY_FILTERS.map((p) => (
+                      <button
+                        key={p.id || "any"}
+                        onClick={() => setPayFilter(p.id)}
+                        className={`px-5 py-2.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${payFilter === p.id
+                          ? "bg-indigo-600 text-white shadow-md shadow-indigo-100"
+                          : "bg-white text-gray-500 ring-1 ring-inset ring-gray-200 hover:bg-gray-50"
+                          }`}
+                      >
+                        {p.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
 
               <div className="space-y-4">
                 <div className="flex items-center gap-2 px-1">
@@ -690,6 +1109,41 @@ export default function Jobs({ user, userMeta, preferences }) {
         )}
       </AnimatePresence>
 
+      {rescore && (
+        <div className="p-4 mb-6 bg-white rounded-xl ring-1 ring-gray-200 shadow-sm">
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-xs text-gray-500">
+              Rescoring your jobs for your updated {rescore.reason === "rubric" ? "scoring rubric" : "resume"}
+              {" "}— scores marked <span className="font-bold text-amber-500">Outdated</span> refresh as it goes.
+            </p>
+            <span className="text-xs font-mono font-bold text-gray-700">{rescore.done}/{rescore.total}</span>
+          </div>
+          <div className="mt-2 h-1.5 rounded-full bg-gray-100 overflow-hidden">
+            <div className="h-full rounded-full bg-indigo-400 transition-all" style={{ width: `${rescore.total ? Math.round((rescore.done / rescore.total) * 100) : 0}%` }} />
+          </div>
+        </div>
+      )}
+
+      {skillGaps.top.length > 0 && (
+        <div className="p-4 mb-6 bg-white rounded-xl ring-1 ring-gray-200 shadow-sm">
+          <p className="caps-label text-gray-400 uppercase tracking-widest text-[10px] font-black">
+            Most requested skills you&apos;re missing
+          </p>
+          <p className="mt-0.5 text-xs text-gray-400">
+            Across {skillGaps.jobCount} job{skillGaps.jobCount === 1 ? "" : "s"} scoring {SKILL_GAP_MIN_SCORE}+.{" "}
+            <Link to="/profile" className="font-semibold text-indigo-600 hover:text-indigo-700">Update skills</Link>
+          </p>
+          <div className="mt-3 flex flex-wrap gap-1.5">
+            {skillGaps.top.map(([id, count]) => (
+              <span key={id} className="inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-[11px] font-bold bg-amber-50 text-amber-700 ring-1 ring-amber-700/10">
+                {skillLabel(id)}
+                <span className="font-mono text-amber-500">{count}</span>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="bg-white shadow-sm ring-1 ring-gray-200 rounded-2xl overflow-hidden flex flex-col min-h-[500px] transition-all">
         <div className="px-6 py-4 border-b bg-gray-50/50 border-gray-100 flex items-center justify-between">
           <div>
@@ -704,9 +1158,22 @@ export default function Jobs({ user, userMeta, preferences }) {
               )}
             </h3>
           </div>
-          <div className="flex items-center gap-2">
-            <div className="w-1.5 h-1.5 rounded-full bg-emerald-500 animate-pulse"></div>
-            <span className="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Live Feed</span>
+          <div className="flex items-center gap-4">
+            <div className="inline-flex p-0.5 bg-gray-100 rounded-lg gap-0.5">
+              {[{ id: "match", label: "Best Match" }, { id: "pay", label: "Highest Pay" }].map((o) => (
+                <button
+                  key={o.id}
+                  onClick={() => setSortBy(o.id)}
+                  className={`px-2.5 py-1 text-[10px] font-bold rounded-md transition-all whitespace-nowrap ${sortBy === o.id ? "bg-white text-indigo-600 shadow-sm" : "text-gray-500 hover:text-gray-700"}`}
+                >
+                  {o.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-1.5 h-1.5 rounded-full bg-emerald-500 animate-pulse"></div>
+              <span className="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Live Feed</span>
+            </div>
           </div>
         </div>
         {loading ? (
@@ -733,6 +1200,8 @@ export default function Jobs({ user, userMeta, preferences }) {
         </div>
       </div>
 
+      <JobRevisionsModal key={historyJob?.id || "none"} job={historyJob} onClose={() => setHistoryJob(null)} />
+
       <AnimatePresence>
         {clState.isOpen && (
           <motion.div
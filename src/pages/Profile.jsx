@@ -1,7 +1,8 @@
 import React, { useEffect, useRef, useState } from "react";
 import { doc, getDoc, serverTimestamp, setDoc, collection, query, orderBy, limit, onSnapshot } from "firebase/firestore";
 import { getIdToken, linkWithPhoneNumber, RecaptchaVerifier } from "firebase/auth";
-import { db, messaging, auth } from "../firebase";
+import { db, messaging, auth, functions } from "../firebase";
+import { httpsCallable } from "firebase/functions";
 import { getToken } from "firebase/messaging";
 import { useToast } from "../components/Toast/ToastProvider.jsx";
 import { motion } from "framer-motion";
@@ -11,6 +12,7 @@ import PhoneInput from "../components/PhoneInput.jsx";
 import UserAvatar from "../components/UserAvatar.jsx";
 import { ADMIN_UID } from "../App.jsx";
 import { track } from "../lib/analytics.js";
+import { COUNTRY_OPTIONS, REMOTE_SCOPES, resolveLocationPrefs } from "../lib/locationPrefs.js";
 
 // ─── Constants ─────────────────────────────────────────────────────────────────
 const PARSE_RESUME_URL =
@@ -41,7 +43,113 @@ function fromGithubSlug(slug = "") {
   return "https://github.com" + (slug.startsWith("/") ? slug : "/" + slug);
 }
 
+// Resolved location prefs → editable form state (lists as comma-separated text)
+function toLocationForm(prefs) {
+  return {
+    countries: prefs.countries,
+    regions: prefs.regions.join(", "),
+    cities: prefs.cities.join(", "),
+    remote: prefs.remote,
+  };
+}
+
 // ─── Phone Formatter ───────────────────────────────────────────────────────────
+// Exclusion rules (admin) — functions/lib/exclusionRules.cjs; one pattern per line,
+// "/…/" for a regex.
+const EXCLUSION_FIELDS = [
+  { key: "companies", label: "Blocked companies", placeholder: "SpaceX" },
+  { key: "titleExclude", label: "Exclude titles matching", placeholder: "intern\n/\\bsr\\.? director\\b/" },
+  { key: "titleInclude", label: "Only keep titles matching", placeholder: "Leave empty to keep all" },
+  { key: "departments", label: "Exclude departments", placeholder: "Sales" },
+];
+
+function toExclusionForm(rules) {
+  const form = {};
+  for (const { key } of EXCLUSION_FIELDS) form[key] = Array.isArray(rules?.[key]) ? rules[key].join("\n") : "";
+  return form;
+}
+
+function parseExclusionForm(form) {
+  const rules = {};
+  const invalid = [];
+  for (const { key } of EXCLUSION_FIELDS) {
+    rules[key] = [...new Set(String(form[key] || "").split("\n").map((l) => l.trim()).filter(Boolean))];
+    for (const pattern of rules[key]) {
+      const re = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+      if (!re) continue;
+      try {
+        new RegExp(re[1], re[2].replace(/[giy]/g, ""));
+      } catch {
+        invalid.push(pattern);
+      }
+    }
+  }
+  return { rules, invalid };
+}
+
+// Scoring rubric — mirrors DEFAULT_RUBRIC in functions/lib/scoringRubric.cjs; unset
+// fields score with these defaults.
+const DEFAULT_SCORING_RUBRIC = {
+  targetRoles: ["Software Engineer"],
+  seniority: { minYears: 0, maxYears: 8 },
+  mustHaveSkills: [],
+  niceToHaveSkills: [],
+  dealBreakers: [],
+  hardCaps: [
+    { titles: ["Intern", "New Grad", "PhD Intern", "University Graduate", "Co-op"], maxScore: 20 },
+    { titles: ["Product Manager", "Program Manager", "Data Scientist", "Analyst", "Sales", "Marketing", "Finance", "Recruiter", "Designer"], maxScore: 15 },
+    { titles: ["Principal", "Distinguished", "VP", "Director", "Head of", "C-level"], maxScore: 30 },
+  ],
+};
+const RUBRIC_LIST_FIELDS = [
+  { key: "targetRoles", label: "Target roles", placeholder: "Software Engineer\nData Scientist" },
+  { key: "mustHaveSkills", label: "Must-have skills", placeholder: "Python\nSQL" },
+  { key: "niceToHaveSkills", label: "Nice-to-have skills", placeholder: "Kubernetes" },
+  { key: "dealBreakers", label: "Deal-breakers", placeholder: "Requires security clearance" },
+];
+
+function toRubricForm(rubric) {
+  const r = { ...DEFAULT_SCORING_RUBRIC, ...(rubric || {}) };
+  const form = {};
+  for (const { key } of RUBRIC_LIST_FIELDS) form[key] = Array.isArray(r[key]) ? r[key].join("\n") : "";
+  form.minYears = r.seniority?.minYears != null ? String(r.seniority.minYears) : "";
+  form.maxYears = r.seniority?.maxYears != null ? String(r.seniority.maxYears) : "";
+  // One cap per line: "<max score>: title, title"
+  form.hardCaps = (Array.isArray(r.hardCaps) ? r.hardCaps : []).map((c) => `${c.maxScore}: ${c.titles.join(", ")}`).join("\n");
+  return form;
+}
+
+function parseRubricForm(form) {
+  const rubric = {};
+  const invalid = [];
+  for (const { key } of RUBRIC_LIST_FIELDS) {
+    rubric[key] = [...new Set(String(form[key] || "").split("\n").map((l) => l.trim()).filter(Boolean))];
+  }
+  const years = (v) => (String(v).trim() === "" ? null : Number(v));
+  rubric.seniority = { minYears: years(form.minYears), maxYears: years(form.maxYears) };
+  for (const [label, v] of [["min years", rubric.seniority.minYears], ["max years", rubric.seniority.maxYears]]) {
+    if (v !== null && (!Number.isInteger(v) || v < 0 || v > 50)) invalid.push(label);
+  }
+  rubric.hardCaps = [];
+  for (const line of String(form.hardCaps || "").split("\n").map((l) => l.trim()).filter(Boolean)) {
+    const m = /^(\d{1,3})\s*:\s*(.+)$/.exec(line);
+    const titles = m ? m[2].split(",").map((t) => t.trim()).filter(Boolean) : [];
+    if (!m || Number(m[1]) > 100 || titles.length === 0) {
+      invalid.push(line);
+      continue;
+    }
+    rubric.hardCaps.push({ titles, maxScore: Number(m[1]) });
+  }
+  return { rubric, invalid };
+}
+
+const EXCLUSION_RULE_LABELS = {
+  company: "company",
+  titleExclude: "title",
+  titleInclude: "not in kept titles",
+  department: "department",
+};
+
 function formatPhone(raw) {
   const digits = raw.replace(/\D/g, "");
   // strip leading country code 1 if present
@@ -142,6 +250,28 @@ export default function Profile({ user, userMeta }) {
   const [skillInput, setSkillInput] = useState("");
   const [aiScoringEnabled, setAiScoringEnabled] = useState(true);
   const [togglingAi, setTogglingAi] = useState(false);
+  // Embedding prefilter for AI scoring; mirrors DEFAULT_PREFILTER in functions/lib/embeddings.cjs
+  const [prefilterForm, setPrefilterForm] = useState({ similarityFloor: "0.3", maxAiJobs: "40" });
+  const [savingPrefilter, setSavingPrefilter] = useState(false);
+  // Per-user scoring rubric, compiled into the AI scoring prompt
+  const [rubricForm, setRubricForm] = useState(() => toRubricForm(null));
+  const [savedRubricForm, setSavedRubricForm] = useState(() => toRubricForm(null));
+  const [savingRubric, setSavingRubric] = useState(false);
+  // Job retention (admin — the shared job corpus lives under the admin account).
+  // Empty string = keep forever; mirrors DEFAULT_RETENTION_DAYS in functions/lib/jobLifecycle.cjs.
+  const [retentionDays, setRetentionDays] = useState({ open: "14", closed: "7" });
+  const [savingRetention, setSavingRetention] = useState(false);
+  // Ask the model for pay ranges the parser misses (admin; functions/lib/salary.cjs)
+  const [salaryAiFallback, setSalaryAiFallback] = useState(false);
+  const [togglingSalaryAi, setTogglingSalaryAi] = useState(false);
+  // Ingest exclusion rules (admin); the preview lists stored jobs they'd remove
+  const [exclusionForm, setExclusionForm] = useState(() => toExclusionForm(null));
+  const [savedExclusionForm, setSavedExclusionForm] = useState(() => toExclusionForm(null));
+  const [exclusionPreview, setExclusionPreview] = useState(null);
+  const [busyExclusion, setBusyExclusion] = useState(null);
+  // Job locations — see src/lib/locationPrefs.js; regions/cities edited as comma lists.
+  const [locationForm, setLocationForm] = useState(() => toLocationForm(resolveLocationPrefs(null)));
+  const [savingLocations, setSavingLocations] = useState(false);
   const isAdmin = user?.uid === ADMIN_UID;
   const [sessions, setSessions] = useState([]);
   
@@ -164,6 +294,35 @@ export default function Profile({ user, userMeta }) {
         if (typeof data.aiScoringEnabled === "boolean") {
           setAiScoringEnabled(data.aiScoringEnabled);
         }
+        setSalaryAiFallback(data.salaryAiFallback === true);
+        if (data.aiPrefilter && typeof data.aiPrefilter === "object") {
+          setPrefilterForm((prev) => ({
+            similarityFloor: data.aiPrefilter.similarityFloor != null ? String(data.aiPrefilter.similarityFloor) : prev.similarityFloor,
+            maxAiJobs: data.aiPrefilter.maxAiJobs != null ? String(data.aiPrefilter.maxAiJobs) : prev.maxAiJobs,
+          }));
+        }
+        if (data.scoringRubric && typeof data.scoringRubric === "object") {
+          setRubricForm(toRubricForm(data.scoringRubric));
+          setSavedRubricForm(toRubricForm(data.scoringRubric));
+        }
+        if (data.exclusionRules) {
+          setExclusionForm(toExclusionForm(data.exclusionRules));
+          setSavedExclusionForm(toExclusionForm(data.exclusionRules));
+        }
+        if (data.locationFilter) {
+          setLocationForm(toLocationForm(resolveLocationPrefs(data)));
+        }
+        if (data.jobRetentionDays && typeof data.jobRetentionDays === "object") {
+          setRetentionDays((prev) => {
+            const next = { ...prev };
+            for (const k of ["open", "closed"]) {
+              if (k in data.jobRetentionDays) {
+                next[k] = data.jobRetentionDays[k] == null ? "" : String(data.jobRetentionDays[k]);
+              }
+            }
+            return next;
+          });
+        }
       }
     });
 
@@ -194,6 +353,199 @@ export default function Profile({ user, userMeta }) {
     }
   }
 
+  function toggleLocationCountry(code) {
+    setLocationForm((prev) => ({
+      ...prev,
+      countries: prev.countries.includes(code)
+        ? prev.countries.filter((c) => c !== code)
+        : [...prev.countries, code],
+    }));
+  }
+
+  async function handleSaveLocations(e) {
+    e.preventDefault();
+    const splitList = (text) => text.split(",").map((x) => x.trim()).filter(Boolean);
+    const regions = splitList(locationForm.regions).map((r) => r.toUpperCase());
+    if (regions.some((r) => !/^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(r))) {
+      showToast("Regions look like US-WA or CA-ON", "error");
+      return;
+    }
+    const locationFilter = resolveLocationPrefs({
+      locationFilter: {
+        countries: locationForm.countries,
+        regions,
+        cities: splitList(locationForm.cities),
+        remote: locationForm.remote,
+      },
+    });
+    setSavingLocations(true);
+    try {
+      await setDoc(doc(db, "users", user.uid, "settings", "preferences"), { locationFilter }, { merge: true });
+      track("location_filter_updated", {
+        countries: locationFilter.countries.length,
+        regions: locationFilter.regions.length,
+        cities: locationFilter.cities.length,
+        remote: locationFilter.remote,
+      });
+      showToast("Locations saved. New matches appear after the next sync.", "success");
+    } catch {
+      showToast("Failed to update setting", "error");
+    } finally {
+      setSavingLocations(false);
+    }
+  }
+
+  async function handleToggleSalaryAi() {
+    setTogglingSalaryAi(true);
+    const next = !salaryAiFallback;
+    try {
+      await setDoc(doc(db, "users", user.uid, "settings", "preferences"), { salaryAiFallback: next }, { merge: true });
+      setSalaryAiFallback(next);
+      track("salary_ai_fallback_toggled", { enabled: next });
+      showToast(next ? "AI salary extraction enabled" : "AI salary extraction disabled", "success");
+    } catch {
+      showToast("Failed to update setting", "error");
+    } finally {
+      setTogglingSalaryAi(false);
+    }
+  }
+
+  const exclusionDirty = JSON.stringify(exclusionForm) !== JSON.stringify(savedExclusionForm);
+
+  function updateExclusionField(key, value) {
+    setExclusionForm((prev) => ({ ...prev, [key]: value }));
+    setExclusionPreview(null);
+  }
+
+  async function handleSaveExclusions(e) {
+    e.preventDefault();
+    const { rules, invalid } = parseExclusionForm(exclusionForm);
+    if (invalid.length > 0) {
+      showToast(`Invalid regex: ${invalid[0]}`, "error");
+      return;
+    }
+    setBusyExclusion("save");
+    try {
+      await setDoc(doc(db, "users", user.uid, "settings", "preferences"), { exclusionRules: rules }, { merge: true });
+      setSavedExclusionForm(toExclusionForm(rules));
+      setExclusionForm(toExclusionForm(rules));
+      track("exclusion_rules_updated", Object.fromEntries(Object.entries(rules).map(([k, v]) => [k, v.length])));
+      showToast("Exclusion rules saved. Applies from the next sync.", "success");
+    } catch {
+      showToast("Failed to update setting", "error");
+    } finally {
+      setBusyExclusion(null);
+    }
+  }
+
+  async function handlePreviewExclusions() {
+    const { rules, invalid } = parseExclusionForm(exclusionForm);
+    if (invalid.length > 0) {
+      showToast(`Invalid regex: ${invalid[0]}`, "error");
+      return;
+    }
+    setBusyExclusion("preview");
+    try {
+      const purge = httpsCallable(functions, "purgeExcludedJobs");
+      const { data } = await purge({ dryRun: true, rules });
+      setExclusionPreview({ ...data, forSaved: !exclusionDirty });
+    } catch (err) {
+      showToast(err?.message || "Preview failed", "error");
+    } finally {
+      setBusyExclusion(null);
+    }
+  }
+
+  async function handlePurgeExcluded() {
+    setBusyExclusion("purge");
+    try {
+      const purge = httpsCallable(functions, "purgeExcludedJobs");
+      const { data } = await purge({ dryRun: false });
+      track("excluded_jobs_purged", { removed: data.removed });
+      showToast(`Removed ${data.removed.toLocaleString()} jobs`, "success");
+      setExclusionPreview(null);
+    } catch (err) {
+      showToast(err?.message || "Purge failed", "error");
+    } finally {
+      setBusyExclusion(null);
+    }
+  }
+
+  async function handleSavePrefilter(e) {
+    e.preventDefault();
+    const similarityFloor = Number(prefilterForm.similarityFloor);
+    const maxAiJobs = Number(prefilterForm.maxAiJobs);
+    if (!Number.isFinite(similarityFloor) || similarityFloor < 0 || similarityFloor > 1) {
+      showToast("Similarity floor must be between 0 and 1", "error");
+      return;
+    }
+    if (!Number.isInteger(maxAiJobs) || maxAiJobs < 0 || maxAiJobs > 500) {
+      showToast("AI-scored jobs per run must be 0–500", "error");
+      return;
+    }
+    setSavingPrefilter(true);
+    try {
+      await setDoc(doc(db, "users", user.uid, "settings", "preferences"), { aiPrefilter: { similarityFloor, maxAiJobs } }, { merge: true });
+      track("ai_prefilter_updated", { similarityFloor, maxAiJobs });
+      showToast("Saved. Applies to newly scored jobs.", "success");
+    } catch {
+      showToast("Failed to update setting", "error");
+    } finally {
+      setSavingPrefilter(false);
+    }
+  }
+
+  const rubricDirty = JSON.stringify(rubricForm) !== JSON.stringify(savedRubricForm);
+
+  async function handleSaveRubric(e) {
+    e.preventDefault();
+    const { rubric, invalid } = parseRubricForm(rubricForm);
+    if (invalid.length > 0) {
+      showToast(`Fix before saving: ${invalid.join(", ")}`, "error");
+      return;
+    }
+    setSavingRubric(true);
+    try {
+      await setDoc(doc(db, "users", user.uid, "settings", "preferences"), { scoringRubric: rubric }, { merge: true });
+      setSavedRubricForm(toRubricForm(rubric));
+      setRubricForm(toRubricForm(rubric));
+      track("scoring_rubric_updated", { roles: rubric.targetRoles.length, caps: rubric.hardCaps.length, dealBreakers: rubric.dealBreakers.length });
+      showToast("Rubric saved. Your jobs are rescored in the background.", "success");
+    } catch {
+      showToast("Failed to update setting", "error");
+    } finally {
+      setSavingRubric(false);
+    }
+  }
+
+  async function handleSaveRetention(e) {
+    e.preventDefault();
+    const parsed = {};
+    for (const k of ["open", "closed"]) {
+      const raw = String(retentionDays[k]).trim();
+      if (!raw) {
+        parsed[k] = null;
+        continue;
+      }
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n < 1 || n > 365) {
+        showToast("Retention must be 1–365 days, or blank to keep forever", "error");
+        return;
+      }
+      parsed[k] = n;
+    }
+    setSavingRetention(true);
+    try {
+      await setDoc(doc(db, "users", user.uid, "settings", "preferences"), { jobRetentionDays: parsed }, { merge: true });
+      track("job_retention_updated", parsed);
+      showToast("Retention saved. Applies from the next sync.", "success");
+    } catch {
+      showToast("Failed to update setting", "error");
+    } finally {
+      setSavingRetention(false);
+    }
+  }
+
   useEffect(() => {
     if (userMeta) {
       setFormData({
@@ -390,7 +742,8 @@ export default function Profile({ user, userMeta }) {
       }
       setSavedResumeFull({ ...resumeData, savedAt: new Date() });
       track("resume_saved");
-      showToast("Resume saved!", "success");
+      // A changed resume queues a background rescore (functions: rescoreOnResumeChange)
+      showToast(isAdmin || aiScoringEnabled ? "Resume saved! Changed job scores refresh in the background." : "Resume saved!", "success");
       setResumePhase("idle");
     } catch { showToast("Failed to save resume", "error"); }
     finally { setSavingResume(false); }
@@ -984,6 +1337,302 @@ export default function Profile({ user, userMeta }) {
               </button>
             </div>
 
+            {/* Scoring Rubric Card */}
+            {(isAdmin || aiScoringEnabled) && (
+              <form onSubmit={handleSaveRubric} className="bg-white rounded-2xl border border-gray-100 shadow-sm p-5">
+                <p className="text-sm font-semibold text-gray-900">Scoring Rubric</p>
+                <p className="text-xs text-gray-400 mt-0.5">
+                  What the AI scores jobs against, besides your resume. One entry per line.
+                </p>
+                <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {RUBRIC_LIST_FIELDS.map(({ key, label, placeholder }) => (
+                    <label key={key} className="flex flex-col gap-1">
+                      <span className="caps-label">{label}</span>
+                      <textarea
+                        rows={3}
+                        value={rubricForm[key]}
+                        onChange={(e) => setRubricForm((prev) => ({ ...prev, [key]: e.target.value }))}
+                        placeholder={placeholder}
+                        className="input-standard text-xs"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div className="mt-3 flex flex-wrap items-end gap-3">
+                  <label className="flex flex-col gap-1">
+                    <span className="caps-label">Min years</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={50}
+                      value={rubricForm.minYears}
+                      onChange={(e) => setRubricForm((prev) => ({ ...prev, minYears: e.target.value }))}
+                      placeholder="Any"
+                      className="input-standard w-24"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="caps-label">Max years</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={50}
+                      value={rubricForm.maxYears}
+                      onChange={(e) => setRubricForm((prev) => ({ ...prev, maxYears: e.target.value }))}
+                      placeholder="Any"
+                      className="input-standard w-24"
+                    />
+                  </label>
+                </div>
+                <label className="mt-3 flex flex-col gap-1">
+                  <span className="caps-label">Hard caps — max score: title words</span>
+                  <textarea
+                    rows={3}
+                    value={rubricForm.hardCaps}
+                    onChange={(e) => setRubricForm((prev) => ({ ...prev, hardCaps: e.target.value }))}
+                    placeholder="20: Intern, New Grad"
+                    className="input-standard font-mono text-xs"
+                  />
+                </label>
+                <div className="mt-4 flex flex-wrap items-center gap-3">
+                  <button type="submit" disabled={savingRubric || !rubricDirty} className="btn-secondary">
+                    {savingRubric ? "Saving…" : "Save"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setRubricForm(toRubricForm(null))}
+                    disabled={savingRubric}
+                    className="text-xs text-gray-400 hover:text-gray-600"
+                  >
+                    Reset to defaults
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {/* AI Prefilter Card */}
+            {(isAdmin || aiScoringEnabled) && (
+              <form onSubmit={handleSavePrefilter} className="bg-white rounded-2xl border border-gray-100 shadow-sm p-5">
+                <p className="text-sm font-semibold text-gray-900">AI Prefilter</p>
+                <p className="text-xs text-gray-400 mt-0.5">
+                  New jobs are first compared to your resume by similarity. Only the closest ones, above the floor,
+                  are read by the AI; the rest get an estimated score (shown as ≈).
+                </p>
+                <div className="mt-4 flex flex-wrap items-end gap-3">
+                  <label className="flex flex-col gap-1">
+                    <span className="caps-label">Similarity floor (0–1)</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={1}
+                      step={0.05}
+                      value={prefilterForm.similarityFloor}
+                      onChange={(e) => setPrefilterForm((prev) => ({ ...prev, similarityFloor: e.target.value }))}
+                      className="input-standard w-28"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="caps-label">AI-scored per run</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={500}
+                      value={prefilterForm.maxAiJobs}
+                      onChange={(e) => setPrefilterForm((prev) => ({ ...prev, maxAiJobs: e.target.value }))}
+                      className="input-standard w-28"
+                    />
+                  </label>
+                  <button type="submit" disabled={savingPrefilter} className="btn-secondary">
+                    {savingPrefilter ? "Saving…" : "Save"}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {/* Job Locations Card */}
+            <form onSubmit={handleSaveLocations} className="bg-white rounded-2xl border border-gray-100 shadow-sm p-5">
+              <p className="text-sm font-semibold text-gray-900">Job Locations</p>
+              <p className="text-xs text-gray-400 mt-0.5">
+                Where you want to work. Jobs and AI scoring only include postings in these places.
+                Select no countries, regions or cities to see jobs anywhere.
+              </p>
+              <div className="mt-4 flex flex-wrap gap-1.5">
+                {COUNTRY_OPTIONS.map((c) => (
+                  <button
+                    key={c.code}
+                    type="button"
+                    onClick={() => toggleLocationCountry(c.code)}
+                    className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${locationForm.countries.includes(c.code)
+                      ? "bg-indigo-600 text-white"
+                      : "bg-white text-gray-500 ring-1 ring-inset ring-gray-200 hover:bg-gray-50"
+                      }`}
+                  >
+                    {c.name}
+                  </button>
+                ))}
+              </div>
+              <div className="mt-4 grid gap-3 sm:grid-cols-2">
+                <label className="flex flex-col gap-1">
+                  <span className="caps-label">Regions</span>
+                  <input
+                    type="text"
+                    value={locationForm.regions}
+                    onChange={(e) => setLocationForm((prev) => ({ ...prev, regions: e.target.value }))}
+                    placeholder="US-WA, CA-ON"
+                    className="input-standard"
+                  />
+                </label>
+                <label className="flex flex-col gap-1">
+                  <span className="caps-label">Cities</span>
+                  <input
+                    type="text"
+                    value={locationForm.cities}
+                    onChange={(e) => setLocationForm((prev) => ({ ...prev, cities: e.target.value }))}
+                    placeholder="London, Toronto"
+                    className="input-standard"
+                  />
+                </label>
+              </div>
+              <div className="mt-3 flex flex-wrap items-end gap-3">
+                <label className="flex flex-col gap-1">
+                  <span className="caps-label">Remote roles</span>
+                  <Select
+                    id="locationRemote" name="locationRemote"
+                    value={locationForm.remote}
+                    onChange={(e) => setLocationForm((prev) => ({ ...prev, remote: e.target.value }))}
+                    options={REMOTE_SCOPES}
+                  />
+                </label>
+                <button type="submit" disabled={savingLocations} className="btn-secondary">
+                  {savingLocations ? "Saving…" : "Save"}
+                </button>
+              </div>
+            </form>
+
+            {/* Job Retention Card (admin) */}
+            {isAdmin && (
+              <form onSubmit={handleSaveRetention} className="bg-white rounded-2xl border border-gray-100 shadow-sm p-5">
+                <p className="text-sm font-semibold text-gray-900">Job Retention</p>
+                <p className="text-xs text-gray-400 mt-0.5">
+                  How long jobs are kept after they were last seen (open) or left their board (closed).
+                  Leave blank to keep forever. Jobs you applied to are never deleted.
+                </p>
+                <div className="mt-4 flex flex-wrap items-end gap-3">
+                  {[["open", "Open"], ["closed", "Closed"]].map(([key, label]) => (
+                    <label key={key} className="flex flex-col gap-1">
+                      <span className="caps-label">{label} (days)</span>
+                      <input
+                        type="number"
+                        min={1}
+                        max={365}
+                        value={retentionDays[key]}
+                        onChange={(e) => setRetentionDays((prev) => ({ ...prev, [key]: e.target.value }))}
+                        placeholder="Forever"
+                        className="input-standard w-28"
+                      />
+                    </label>
+                  ))}
+                  <button type="submit" disabled={savingRetention} className="btn-secondary">
+                    {savingRetention ? "Saving…" : "Save"}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {/* Exclusion Rules Card (admin) */}
+            {isAdmin && (
+              <form onSubmit={handleSaveExclusions} className="bg-white rounded-2xl border border-gray-100 shadow-sm p-5">
+                <p className="text-sm font-semibold text-gray-900">Exclusion Rules</p>
+                <p className="text-xs text-gray-400 mt-0.5">
+                  Jobs matching these are never stored or scored. One per line; words match whole words,
+                  write <code>/pattern/</code> for a regex.
+                </p>
+                <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {EXCLUSION_FIELDS.map(({ key, label, placeholder }) => (
+                    <label key={key} className="flex flex-col gap-1">
+                      <span className="caps-label">{label}</span>
+                      <textarea
+                        rows={3}
+                        value={exclusionForm[key]}
+                        onChange={(e) => updateExclusionField(key, e.target.value)}
+                        placeholder={placeholder}
+                        className="input-standard font-mono text-xs"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div className="mt-4 flex flex-wrap items-center gap-3">
+                  <button type="submit" disabled={busyExclusion !== null || !exclusionDirty} className="btn-secondary">
+                    {busyExclusion === "save" ? "Saving…" : "Save"}
+                  </button>
+                  <button type="button" onClick={handlePreviewExclusions} disabled={busyExclusion !== null} className="btn-secondary">
+                    {busyExclusion === "preview" ? "Checking…" : "Preview stored jobs"}
+                  </button>
+                  {exclusionPreview?.forSaved && !exclusionDirty && exclusionPreview.matched > 0 && (
+                    <button type="button" onClick={handlePurgeExcluded} disabled={busyExclusion !== null} className="btn-primary">
+                      {busyExclusion === "purge" ? "Removing…" : `Remove ${exclusionPreview.matched.toLocaleString()} jobs`}
+                    </button>
+                  )}
+                </div>
+                {exclusionPreview && (
+                  <div className="mt-4 rounded-xl bg-gray-50 ring-1 ring-inset ring-gray-100 p-3">
+                    <p className="text-xs font-semibold text-gray-700">
+                      {exclusionPreview.matched.toLocaleString()} stored jobs match
+                      {Object.keys(exclusionPreview.byRule || {}).length > 0 && (
+                        <span className="font-normal text-gray-400">
+                          {" "}({Object.entries(exclusionPreview.byRule).map(([rule, n]) => `${n} by ${EXCLUSION_RULE_LABELS[rule] || rule}`).join(", ")})
+                        </span>
+                      )}
+                      {exclusionPreview.keptTracked > 0 && (
+                        <span className="font-normal text-gray-400"> · {exclusionPreview.keptTracked} tracked or applied kept</span>
+                      )}
+                    </p>
+                    {!exclusionPreview.forSaved && exclusionPreview.matched > 0 && (
+                      <p className="text-[11px] text-amber-600 mt-1">Save these rules to remove the matches.</p>
+                    )}
+                    {exclusionPreview.sample?.length > 0 && (
+                      <ul className="mt-2 max-h-48 overflow-y-auto divide-y divide-gray-100 text-[11px]">
+                        {exclusionPreview.sample.map((m) => (
+                          <li key={m.jobDocId} className="py-1 flex justify-between gap-3">
+                            <span className="truncate text-gray-700">
+                              <span className="font-semibold">{m.companyName || "Unknown"}</span> — {m.title || m.jobDocId}
+                            </span>
+                            <span className="flex-shrink-0 text-gray-400">{m.pattern || EXCLUSION_RULE_LABELS[m.rule]}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {exclusionPreview.matched > (exclusionPreview.sample?.length || 0) && (
+                      <p className="text-[11px] text-gray-400 mt-1">
+                        Showing {exclusionPreview.sample.length} of {exclusionPreview.matched.toLocaleString()}.
+                      </p>
+                    )}
+                  </div>
+                )}
+              </form>
+            )}
+
+            {/* Salary Extraction Card (admin) */}
+            {isAdmin && (
+              <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-5 flex items-start justify-between gap-4">
+                <div>
+                  <p className="text-sm font-semibold text-gray-900">AI Salary Extraction</p>
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    Pay ranges are parsed from postings automatically. When a description mentions pay the parser
+                    can't read, ask the AI model (up to 25 jobs per sync).
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={handleToggleSalaryAi}
+                  disabled={togglingSalaryAi}
+                  className={salaryAiFallback ? "btn-primary flex-shrink-0" : "btn-secondary flex-shrink-0"}
+                >
+                  {salaryAiFallback ? "On" : "Off"}
+                </button>
+              </div>
+            )}
+
             {/* User ID Card */}
             <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-5">
               <p className="caps-label mb-3">User ID (MCP Server)</p>
@@ -33,13 +33,12 @@ async function main() {
   const optLabel = {};
   form.questions.forEach((q) => (q.fields[0].values || []).forEach((v) => (optLabel[v.value] = v.label)));
 
-  // Real company name from the job doc (fallback: cleaned board token).
-  let companyName = args.company || null;
-  if (!companyName) {
-    const d = await db();
-    const snap = await d.collection("users").doc(ADMIN_UID).collection("jobs").where("externalId", "==", id).limit(1).get();
-    companyName = snap.empty ? token.replace(/\d+$/, "") : (snap.docs[0].data().companyName || token);
-  }
+  // The stored job doc (its id isn't the Greenhouse id) and its real company
+  // name (fallback: cleaned board token).
+  const d = await db();
+  const snap = await d.collection("users").doc(ADMIN_UID).collection("jobs").where("externalId", "==", id).limit(1).get();
+  const jobDocId = snap.empty ? null : snap.docs[0].id;
+  const companyName = args.company || (snap.empty ? token.replace(/\d+$/, "") : (snap.docs[0].data().companyName || token));
 
   console.log(`\n${c.b}${form.title}${c.x}  ${c.d}at ${companyName} (${token}/${id})${c.x}`);
   console.log(`${c.d}applying as ${profile.email}${c.x}\n`);
@@ -73,8 +72,13 @@ async function main() {
   const res = await submit({ token, id, answers: result.mapped.answers, resumePath: result.docs.resumePath, coverPath: result.docs.coverPath });
   if (res.ok) {
     console.log(`${c.g}SUBMITTED${c.x} (HTTP ${res.status}).`);
-    await db().then((d) => d.collection("users").doc(ADMIN_UID).collection("jobs").doc(id).set(
-      { lastAppliedAt: new Date(), autoApplied: true }, { merge: true }).catch(() => {}));
+    // expireAt: null — applied jobs are tracked and must never be TTL-deleted
+    if (jobDocId) {
+      await d.collection("users").doc(ADMIN_UID).collection("jobs").doc(jobDocId).set(
+        { lastAppliedAt: new Date(), autoApplied: true, expireAt: null }, { merge: true }).catch(() => {});
+    } else {
+      console.log(`${c.d}no stored job with externalId ${id}; nothing to mark applied${c.x}`);
+    }
   } else {
     console.log(`${c.r}NOT submitted${c.x} (HTTP ${res.status}). This board likely needs the company API key or the browser form.`);
     console.log(`${c.d}response: ${res.body}${c.x}`);
@@ -1,24 +1,29 @@
-// ai.mjs — OpenAI client for the worker. Uses gpt-4o-mini (cheap). Reads
-// OPENAI_API_KEY from the environment (worker/.env). Every text answer is run
-// through the plain-style sanitizer so no em dash / colon / AI phrasing can slip
-// into a submitted application.
+// ai.mjs — AI calls for the worker, through the shared provider
+// (functions/lib/aiProvider.cjs; AI_PROVIDER picks OpenAI, a local OpenAI-compatible
+// endpoint or the fixture mock). Reads OPENAI_API_KEY and any AI_* settings
+// from the environment (worker/.env). Every text answer is run through the
+// plain-style sanitizer so no em dash / colon / AI phrasing can slip into a
+// submitted application.
 
-import OpenAI from "openai";
+import { createAIProvider } from "../../functions/lib/aiProvider.cjs";
 import { sanitizeText, sanitizeBlock, STYLE_PROMPT } from "./style.mjs";
 
-const MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+let _provider;
+function provider() {
+  // The SDK comes from the worker's own node_modules
+  return (_provider ||= createAIProvider({ sdkFrom: import.meta.url }));
+}
 
-let _client;
-function client() {
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) throw new Error("OPENAI_API_KEY is not set (put it in worker/.env)");
-  return (_client ||= new OpenAI({ apiKey: key }));
+/** Swap the provider (tests pass a mock from createAIProvider({ kind: "mock", fixtures })). */
+export function useAIProvider(p) {
+  _provider = p;
 }
 
-/** Low-level chat call. Returns raw string content. */
-export async function chat(system, user, { maxTokens = 500, temperature = 0.5 } = {}) {
-  const res = await client().chat.completions.create({
-    model: MODEL,
+/** Low-level chat call for a feature (aiProvider.cjs AI_FEATURES). Returns raw string content. */
+export async function chat(feature, system, user, { maxTokens = 500, temperature = 0.5 } = {}) {
+  const ai = provider();
+  const res = await ai.chat.completions.create({
+    model: ai.model(feature),
     temperature,
     max_tokens: maxTokens,
     messages: [
@@ -43,7 +48,7 @@ export async function answerFreeText(question, ctx) {
     `Question: ${question}`,
   ].filter(Boolean).join("\n");
 
-  const raw = await chat(system, user, { maxTokens: 160, temperature: 0.4 });
+  const raw = await chat("answers", system, user, { maxTokens: 160, temperature: 0.4 });
   if (!raw || /NEEDS_REVIEW/i.test(raw)) return null;
   const clean = sanitizeText(raw);
   return clean || null;
@@ -63,7 +68,7 @@ export async function coverLetter(ctx) {
     ctx.jobDescription ? `Job description: ${ctx.jobDescription.slice(0, 1500)}` : "",
   ].filter(Boolean).join("\n");
 
-  const raw = await chat(system, user, { maxTokens: 380, temperature: 0.6 });
+  const raw = await chat("coverLetter", system, user, { maxTokens: 380, temperature: 0.6 });
   return sanitizeBlock(raw);
 }
 
@@ -83,7 +88,7 @@ export async function tailorResume(ctx) {
     "Return JSON with keys: summary (one short sentence), skills (array of the 12 most relevant skills from the list), bullets (array of the 6 most relevant experience bullets, rephrased plainly).",
   ].join("\n");
 
-  const raw = await chat(system, user, { maxTokens: 700, temperature: 0.4 });
+  const raw = await chat("tailoring", system, user, { maxTokens: 700, temperature: 0.4 });
   let parsed;
   try {
     parsed = JSON.parse(raw.replace(/^```json\s*|\s*```$/g, ""));
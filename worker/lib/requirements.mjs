@@ -0,0 +1,30 @@
+// requirements.mjs
+//
+// Skip jobs whose stated work-authorization requirements contradict the
+// profile. The flags come from the sync (`job.workAuth`, detected by
+// functions/lib/workAuth.cjs); jobs synced before that carry none and pass
+// through to the normal 4-pass gate.
+//
+// Only hard contradictions count. "Yes"/"No" are the profile's compliance
+// answers (requiresSponsorship, usPersonExportControl); anything else is
+// treated as unknown and never causes a skip.
+
+const norm = (s) => (s || "").toString().trim().toLowerCase();
+
+/** Reasons this job can't be applied to with this profile. Empty = compatible. */
+export function requirementConflicts(job, profile) {
+  const wa = job?.workAuth;
+  if (!wa || !profile) return [];
+  const needsSponsorship = norm(profile.requiresSponsorship) === "yes";
+  const notUsPerson = norm(profile.usPersonExportControl) === "no";
+  // Anyone who needs a visa is by definition not a U.S. person
+  const cannotBeUsPerson = notUsPerson || needsSponsorship;
+
+  const reasons = [];
+  if (wa.sponsorship === "unavailable" && needsSponsorship) reasons.push("no visa sponsorship");
+  if (wa.usPersonRequired && cannotBeUsPerson) reasons.push("U.S. person required (export control)");
+  if (wa.citizenshipRequired && cannotBeUsPerson) reasons.push("U.S. citizenship required");
+  // Clearances are only granted to U.S. citizens
+  if (wa.clearance && cannotBeUsPerson) reasons.push(`security clearance required (${wa.clearance.level})`);
+  return reasons;
+}
@@ -17,6 +17,7 @@ import { db, bucket, ADMIN_UID, getProfile, getResume } from "./lib/firestore.mj
 import { fetchForm, parseBoardToken } from "./lib/greenhouse.mjs";
 import { runApplyFlow } from "./lib/apply-flow.mjs";
 import { selectEligible, jobKey } from "./lib/dedup.mjs";
+import { requirementConflicts } from "./lib/requirements.mjs";
 
 const args = Object.fromEntries(process.argv.slice(2).flatMap((a, i, arr) =>
   a.startsWith("--") ? [[a.slice(2), arr[i + 1] && !arr[i + 1].startsWith("--") ? arr[i + 1] : true]] : []));
@@ -72,7 +73,20 @@ async function main() {
   console.log(`loop start  min-score=${MIN_SCORE}  submit=${SUBMIT ? "ON" : "dry-run"}`);
 
   const all = await loadGreenhouseJobs(d);
-  const { eligible, skipped } = selectEligible(all, { minScore: MIN_SCORE });
+  const selected = selectEligible(all, { minScore: MIN_SCORE });
+  const { skipped } = selected;
+
+  // Sponsorship / clearance / citizenship the JD rules out for this profile
+  const eligible = [];
+  for (const job of selected.eligible) {
+    const conflicts = requirementConflicts(job, profile);
+    if (conflicts.length) {
+      skipped.push({ key: jobKey(job), reason: conflicts.join(", ") });
+      console.log(`  skip (requirements: ${conflicts.join(", ")}): ${job.title}`);
+    } else {
+      eligible.push(job);
+    }
+  }
   console.log(`greenhouse jobs >= ${MIN_SCORE}: ${all.length} | eligible now: ${eligible.length} | skipped: ${skipped.length}`);
 
   let ready = 0, parked = 0, errors = 0, submitted = 0, processed = 0;
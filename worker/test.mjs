@@ -3,6 +3,9 @@
 import { sanitizeText, sanitizeBlock } from "./lib/style.mjs";
 import { fieldKind, isSelect, isFile } from "./lib/fieldkind.mjs";
 import { isEligible, selectEligible, RE_APPLY_HOURS } from "./lib/dedup.mjs";
+import { requirementConflicts } from "./lib/requirements.mjs";
+import { createAIProvider } from "../functions/lib/aiProvider.cjs";
+import { useAIProvider, answerFreeText, coverLetter, tailorResume } from "./lib/ai.mjs";
 
 let pass = 0, fail = 0;
 const eq = (name, got, want) => {
@@ -50,5 +53,44 @@ const sel = selectEligible(jobs, { now });
 eq("dedup: selects a and c, dedupes duplicate a", sel.eligible.map((j) => j.externalId), ["a", "c"]);
 eq("dedup: nothing silently lost (eligible+skipped == unique)", sel.eligible.length + sel.skipped.length, 3);
 
+// ── requirements: skip jobs the profile can't satisfy ────────────────────────
+const citizen = { requiresSponsorship: "No", usPersonExportControl: "Yes" };
+const visa = { requiresSponsorship: "Yes", usPersonExportControl: "No" };
+const wa = (over) => ({ workAuth: { sponsorship: null, clearance: null, usPersonRequired: false, citizenshipRequired: false, ...over } });
+eq("req: no flags, no conflict", requirementConflicts({ title: "legacy job" }, visa), []);
+eq("req: no sponsorship vs needs visa", requirementConflicts(wa({ sponsorship: "unavailable" }), visa), ["no visa sponsorship"]);
+eq("req: no sponsorship is fine for a citizen", requirementConflicts(wa({ sponsorship: "unavailable" }), citizen), []);
+eq("req: export control vs non-US person", requirementConflicts(wa({ usPersonRequired: true }), { usPersonExportControl: "No" }),
+  ["U.S. person required (export control)"]);
+eq("req: needing a visa implies not a US person", requirementConflicts(wa({ citizenshipRequired: true }), { requiresSponsorship: "Yes" }),
+  ["U.S. citizenship required"]);
+eq("req: clearance vs visa holder", requirementConflicts(wa({ clearance: { level: "secret", active: false } }), visa),
+  ["security clearance required (secret)"]);
+eq("req: unknown profile answers never skip", requirementConflicts(wa({ sponsorship: "unavailable", citizenshipRequired: true }), {}), []);
+
+// ── ai: answers through the mock provider, no network ────────────────────────
+const mock = createAIProvider({
+  kind: "mock",
+  fixtures: {
+    chat: [
+      { feature: "answers", match: "Question: Why us", reply: "I like the team; the product is great!" },
+      { feature: "answers", reply: "NEEDS_REVIEW" },
+      { feature: "coverLetter", reply: "I want this job — it fits.\n\nI built APIs: fast ones." },
+      { feature: "tailoring", match: "Acme", reply: { summary: "I build APIs", skills: ["Node.js.", "Go"], bullets: ["Led a team: five people"] } },
+      { feature: "tailoring", reply: "not json" },
+    ],
+  },
+});
+useAIProvider(mock);
+const ctx = { name: "Sam", jobTitle: "Engineer", companyName: "Acme", bullets: [] };
+eq("ai: free-text answer sanitized", await answerFreeText("Why us?", ctx), "I like the team. the product is great.");
+eq("ai: NEEDS_REVIEW parks the question", await answerFreeText("Salary history?", ctx), null);
+eq("ai: cover letter keeps paragraphs", await coverLetter(ctx), "I want this job, it fits.\n\nI built APIs, fast ones.");
+eq("ai: tailored resume parsed and sanitized", await tailorResume(ctx),
+  { summary: "I build APIs.", skills: ["Node.js", "Go"], bullets: ["Led a team, five people."] });
+eq("ai: unparseable tailoring falls back", await tailorResume({ ...ctx, companyName: "Other" }), null);
+eq("ai: each call names its feature's model", mock.calls.map((c) => c.model),
+  ["mock:answers", "mock:answers", "mock:coverLetter", "mock:tailoring", "mock:tailoring"]);
+
 console.log(`\n${fail ? "\x1b[31m" : "\x1b[32m"}${pass} passed, ${fail} failed\x1b[0m  (re-apply window ${RE_APPLY_HOURS}h)`);
 process.exit(fail ? 1 : 0);